@@ -1,15 +1,17 @@
 // Simple HTTP server for Void Supremacy 3D
-// Run with: node server.js
+// Also hosts the LAN lockstep relay on ws://<host>:3000/lockstep
+// Run with: node server.js (PORT=<port> to listen somewhere other than 3000)
 
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
 const LOG_FILE = path.join(__dirname, 'debug.log');
 
 // Clear log file on server start
@@ -110,6 +112,199 @@ const server = http.createServer((req, res) => {
     });
 });
 
+// ============================================================
+// Lockstep relay
+// One LAN room per server. Clients send a command batch for every
+// turn; once every active player's batch for a turn is in, the
+// merged batch is broadcast so all peers execute the same commands
+// on the same tick. The relay never runs the simulation itself.
+// ============================================================
+
+const MAX_PLAYERS = 4;
+
+const room = {
+    players: [],        // { id, name, socket, team, active }
+    hostId: null,
+    inMatch: false,
+    nextId: 1,
+    turns: new Map()    // turn -> Map(playerId -> { commands, checksum })
+};
+
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+function broadcast(message) {
+    for (const player of room.players) {
+        if (player.active) send(player.socket, message);
+    }
+}
+
+function broadcastLobby() {
+    broadcast({
+        type: 'lobby',
+        hostId: room.hostId,
+        players: room.players.map(p => ({ id: p.id, name: p.name }))
+    });
+}
+
+/**
+ * Back to the lobby. Players still connected stay in it and can start
+ * another match; anyone still playing is told the relay has stopped, runs
+ * out the turns it already has and plays on offline.
+ */
+function endMatch() {
+    broadcast({ type: 'ended' });
+
+    room.inMatch = false;
+    room.turns.clear();
+    room.players = room.players.filter(p => p.socket.readyState === p.socket.OPEN);
+    for (const player of room.players) {
+        player.active = true;
+        player.team = null;
+    }
+    if (!room.players.some(p => p.id === room.hostId)) {
+        room.hostId = room.players[0]?.id ?? null;
+    }
+
+    broadcastLobby();
+    console.log('Lockstep match ended');
+}
+
+/**
+ * Broadcast every turn that all active players have submitted, in order
+ */
+function flushTurns() {
+    const pending = [...room.turns.keys()].sort((a, b) => a - b);
+    const active = room.players.filter(p => p.active);
+
+    for (const turn of pending) {
+        const batches = room.turns.get(turn);
+        if (!active.every(p => batches.has(p.id))) break;
+
+        // Team order keeps the merged batch identical for every peer
+        const commands = [];
+        const checksums = [];
+        for (const player of room.players) {
+            const batch = batches.get(player.id);
+            if (!batch) continue;
+            commands.push(...batch.commands);
+            checksums.push(batch.checksum);
+        }
+
+        room.turns.delete(turn);
+        broadcast({ type: 'turn', turn, commands, checksums });
+    }
+}
+
+/**
+ * A player left the lobby or the match
+ * @param {Object} player
+ * @param {boolean} finished - The player's game ended; anyone else still
+ *                             playing keeps the relay until theirs does
+ */
+function removePlayer(player, finished = false) {
+    if (!player.active) return;
+    player.active = false;
+
+    if (!room.inMatch) {
+        room.players = room.players.filter(p => p !== player);
+        if (room.hostId === player.id) {
+            room.hostId = room.players[0]?.id ?? null;
+        }
+        broadcastLobby();
+        return;
+    }
+
+    broadcast({ type: 'left', id: player.id, team: player.team });
+
+    // Over once everyone has left it, or the host quits before its game ended
+    if (!room.players.some(p => p.active) || (player.id === room.hostId && !finished)) {
+        endMatch();
+        return;
+    }
+
+    // Stop waiting for the player that left
+    flushTurns();
+}
+
+function handleRelayMessage(socket, player, message) {
+    switch (message.type) {
+        case 'join': {
+            if (player.id !== null) return;
+            if (room.inMatch || room.players.length >= MAX_PLAYERS) {
+                send(socket, { type: 'error', message: room.inMatch ? 'Match in progress' : 'Lobby is full' });
+                socket.close();
+                return;
+            }
+
+            player.id = room.nextId++;
+            player.name = String(message.name || `Player ${player.id}`).slice(0, 20);
+            room.players.push(player);
+            if (room.hostId === null) room.hostId = player.id;
+
+            send(socket, { type: 'welcome', id: player.id });
+            broadcastLobby();
+            break;
+        }
+
+        case 'start': {
+            if (player.id !== room.hostId || room.inMatch) return;
+
+            room.inMatch = true;
+            room.turns.clear();
+            room.players.forEach((p, index) => { p.team = index; });
+
+            broadcast({
+                type: 'start',
+                config: message.config,
+                players: room.players.map(p => ({ id: p.id, name: p.name, team: p.team }))
+            });
+            console.log(`Lockstep match started with ${room.players.length} players`);
+            break;
+        }
+
+        case 'turn': {
+            if (!room.inMatch || !player.active || player.team === null) return;
+
+            // Commands always act for the sender's own team
+            const commands = (message.commands || []).map(cmd => ({ ...cmd, team: player.team }));
+
+            if (!room.turns.has(message.turn)) {
+                room.turns.set(message.turn, new Map());
+            }
+            room.turns.get(message.turn).set(player.id, { commands, checksum: message.checksum });
+            flushTurns();
+            break;
+        }
+
+        case 'leave':
+            // Late leaves after the match ended keep the player in the lobby
+            if (room.inMatch) removePlayer(player, message.finished === true);
+            break;
+    }
+}
+
+const relay = new WebSocketServer({ server, path: '/lockstep' });
+
+relay.on('connection', (socket) => {
+    const player = { id: null, name: null, socket, team: null, active: true };
+
+    socket.on('message', (data) => {
+        try {
+            handleRelayMessage(socket, player, JSON.parse(data));
+        } catch (e) {
+            send(socket, { type: 'error', message: 'Invalid message' });
+        }
+    });
+
+    socket.on('close', () => {
+        if (player.id !== null) removePlayer(player);
+    });
+});
+
 server.listen(PORT, () => {
     console.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -119,6 +314,7 @@ server.listen(PORT, () => {
 ║  Open this URL in your browser to play the game              ║
 ║                                                              ║
 ║  Debug logs: ${LOG_FILE.padEnd(45)}║
+║  LAN lockstep relay: ws://<this-machine>:${PORT}/lockstep       ║
 ║  Press Ctrl+C to stop the server                             ║
 ╚══════════════════════════════════════════════════════════════╝
 `);
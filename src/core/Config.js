@@ -44,6 +44,13 @@ export let CONFIG = {
     GAME_SPEED: 1.0,
     FOG_OF_WAR: false,
     AI_DIFFICULTY: 'normal',       // easy, normal, hard
+    AI_SLOT_PERSONALITIES: [],     // AI_PERSONALITIES key (or 'random') per AI slot
+    TEAM_SIDES: [],                // Side per player team; teams sharing a side start allied (empty = free for all)
+    VICTORY_MODE: 'annihilation',  // VICTORY_MODES key
+    VICTORY_CREDITS: 20000,        // Economic: credits a side must collect
+    VICTORY_CRYSTAL_FIELDS: 3,     // Crystal control: fields a side must hold
+    VICTORY_HOLD_TIME: 180,        // Crystal control: seconds to hold them
+    VICTORY_TIME_LIMIT: 1200,      // Timed score: match length in seconds
     MAP_SEED: '',
     STARTING_CREDITS: 1000,
     STARTING_HARVESTERS: 1
@@ -98,9 +105,32 @@ export function applyGameConfig(lobbyConfig) {
     if (lobbyConfig.aiDifficulty !== undefined) {
         CONFIG.AI_DIFFICULTY = lobbyConfig.aiDifficulty;
     }
+    if (lobbyConfig.aiPersonalities !== undefined) {
+        CONFIG.AI_SLOT_PERSONALITIES = [...lobbyConfig.aiPersonalities];
+    }
     if (lobbyConfig.gameSpeed !== undefined) {
         CONFIG.GAME_SPEED = lobbyConfig.gameSpeed;
     }
+    if (lobbyConfig.teamSides !== undefined) {
+        CONFIG.TEAM_SIDES = [...lobbyConfig.teamSides];
+    }
+
+    // Victory conditions
+    if (lobbyConfig.victoryMode !== undefined) {
+        CONFIG.VICTORY_MODE = lobbyConfig.victoryMode;
+    }
+    if (lobbyConfig.victoryCredits !== undefined) {
+        CONFIG.VICTORY_CREDITS = lobbyConfig.victoryCredits;
+    }
+    if (lobbyConfig.victoryCrystalFields !== undefined) {
+        CONFIG.VICTORY_CRYSTAL_FIELDS = lobbyConfig.victoryCrystalFields;
+    }
+    if (lobbyConfig.victoryHoldTime !== undefined) {
+        CONFIG.VICTORY_HOLD_TIME = lobbyConfig.victoryHoldTime;
+    }
+    if (lobbyConfig.victoryTimeLimit !== undefined) {
+        CONFIG.VICTORY_TIME_LIMIT = lobbyConfig.victoryTimeLimit;
+    }
 
     console.log('Game config applied:', CONFIG);
 }
@@ -137,12 +167,50 @@ export function resetConfig() {
         GAME_SPEED: 1.0,
         FOG_OF_WAR: false,
         AI_DIFFICULTY: 'normal',
+        AI_SLOT_PERSONALITIES: [],
+        TEAM_SIDES: [],
+        VICTORY_MODE: 'annihilation',
+        VICTORY_CREDITS: 20000,
+        VICTORY_CRYSTAL_FIELDS: 3,
+        VICTORY_HOLD_TIME: 180,
+        VICTORY_TIME_LIMIT: 1200,
         MAP_SEED: '',
         STARTING_CREDITS: 1000,
         STARTING_HARVESTERS: 1
     };
 }
 
+// ============================================================
+// Armor Classes
+// Every unit and building has an armorClass. Each weapon type's
+// damageVs scales its damage against each class (1 when missing).
+// ============================================================
+export const ARMOR_CLASSES = {
+    light: 'Light',
+    medium: 'Medium',
+    heavy: 'Heavy',
+    structure: 'Structure',
+    shield: 'Shield'
+};
+
+// ============================================================
+// Unit Stances
+// What a ship engages without orders. acquire: picks fights with
+// the nearest enemy; retaliate: answers whoever hits it; leash:
+// how far it chases from where the fight started (null = no limit).
+// Attack-move and patrol orders fight under any stance but hold fire;
+// a direct attack order is obeyed under every stance.
+// ============================================================
+export const UNIT_STANCES = {
+    aggressive: { name: 'Aggressive', acquire: true, retaliate: true, leash: null },
+    defensive: { name: 'Defensive', acquire: true, retaliate: true, leash: 50 },
+    returnFire: { name: 'Return Fire', acquire: false, retaliate: true, leash: 50 },
+    holdFire: { name: 'Hold Fire', acquire: false, retaliate: false, leash: 0 }
+};
+
+// Stance of ships whose definition sets none
+export const DEFAULT_STANCE = 'defensive';
+
 // ============================================================
 // Weapon Type Definitions
 // ============================================================
@@ -152,7 +220,9 @@ export const WEAPON_TYPES = {
         projectileSize: 0.3,
         trailLength: 3,
         color: 'team',  // Uses team color
-        sound: 'laser'
+        sound: 'laser',
+        // Fast and accurate against fighters, scatters off thick hulls
+        damageVs: { light: 1.25, medium: 1, heavy: 0.6, structure: 0.5, shield: 1 }
     },
     plasma: {
         projectileSpeed: 4,
@@ -160,7 +230,9 @@ export const WEAPON_TYPES = {
         trailLength: 1,
         color: [0, 1, 0.5],  // Cyan-green
         glow: true,
-        sound: 'plasma'
+        sound: 'plasma',
+        // Overloads shield projectors
+        damageVs: { light: 1, medium: 1, heavy: 0.9, structure: 0.75, shield: 1.5 }
     },
     missile: {
         projectileSpeed: 2.5,
@@ -168,20 +240,26 @@ export const WEAPON_TYPES = {
         trailLength: 5,
         color: [1, 0.5, 0],  // Orange
         homing: true,
-        sound: 'missile'
+        sound: 'missile',
+        // Too slow to track fighters; made for big, stationary targets
+        damageVs: { light: 0.6, medium: 1.25, heavy: 1.25, structure: 1.5, shield: 0.75 }
     },
     cannon: {
         projectileSpeed: 5,
         projectileSize: 1.5,
         trailLength: 2,
         color: [1, 1, 0],  // Yellow
-        sound: 'cannon'
+        sound: 'cannon',
+        // Kinetic rounds punch through armor plate
+        damageVs: { light: 0.75, medium: 1.25, heavy: 1.25, structure: 1, shield: 0.75 }
     },
     beam: {
         instant: true,  // No projectile, instant hit
         color: [1, 0, 0],  // Red
         duration: 0.2,
-        sound: 'beam'
+        sound: 'beam',
+        // Capital-ship weapon that cuts through heavy hulls
+        damageVs: { light: 0.75, medium: 1, heavy: 1.5, structure: 1, shield: 1.25 }
     }
 };
 
@@ -203,6 +281,30 @@ export const TEAM_COLORS = [
     [0.4, 1.0, 0.8]    // Neutral 2 - Cyan (Aliens)
 ];
 
+/**
+ * Lobby team presets. sides gives the side of each player slot (you first,
+ * then the AIs); slots on the same side start allied. numAIPlayers is set
+ * along with the preset, or left alone when null.
+ */
+export const TEAM_PRESETS = {
+    ffa: { name: 'Free for All', numAIPlayers: null, sides: [0, 1, 2, 3] },
+    twoVsTwo: { name: '2v2', numAIPlayers: 3, sides: [0, 0, 1, 1] },
+    coop: { name: 'Co-op vs AI', numAIPlayers: 2, sides: [0, 0, 1] },
+    oneVsThree: { name: '1v3', numAIPlayers: 3, sides: [0, 1, 1, 1] }
+};
+
+/**
+ * Lobby victory conditions (see VictorySystem). The description doubles
+ * as the HUD objective for modes without a progress readout.
+ */
+export const VICTORY_MODES = {
+    annihilation: { name: 'Annihilation', description: 'Destroy every enemy structure' },
+    assassination: { name: 'Assassination', description: 'Destroy every enemy command center' },
+    economic: { name: 'Economic', description: 'Be the first side to collect the target credits' },
+    crystalControl: { name: 'Crystal Control', description: 'Hold crystal fields with refineries until the timer runs out' },
+    score: { name: 'Timed Score', description: 'Have the highest score when time runs out' }
+};
+
 export const TEAM_NAMES = [
     'You',
     'Crimson Empire',
@@ -212,18 +314,45 @@ export const TEAM_NAMES = [
     'The Watchers'
 ];
 
+/**
+ * Unit tech tiers. A unit needs its tier's structures (completed) on top of
+ * its factory, and capital ships a power surplus (see TechRules). Units
+ * without a tier are tier 1.
+ */
+export const TECH_TIERS = {
+    1: { name: 'Basic', requires: [], powerSurplus: false },
+    2: { name: 'Advanced', requires: ['radar'], powerSurplus: false },
+    3: { name: 'Capital', requires: ['advancedShipyard', 'radar'], powerSurplus: true }
+};
+
+/**
+ * Veterancy ranks, lowest first. Ships earn 1 XP per point of damage they
+ * deal plus a bonus per kill; xp is the threshold as a multiple of the
+ * ship's own hull and shields, so fighters and capital ships rank up at a
+ * similar pace. Bonuses are fractions on top of research.
+ */
+export const VETERANCY_RANKS = [
+    { name: 'Recruit', insignia: '', xp: 0, damage: 0, fireRate: 0, shieldRegen: 0 },
+    { name: 'Veteran', insignia: '★', xp: 1, damage: 0.1, fireRate: 0.1, shieldRegen: 0.25 },
+    { name: 'Elite', insignia: '★★', xp: 3, damage: 0.2, fireRate: 0.15, shieldRegen: 0.5 },
+    { name: 'Heroic', insignia: '★★★', xp: 6, damage: 0.3, fireRate: 0.25, shieldRegen: 1 }
+];
+
 export const BUILDINGS = {
     commandCenter: {
         name: 'Command Center',
         icon: '🏛️',
         size: 14,
         maxHealth: 2500,
+        armorClass: 'structure',
         cost: 0,
         energyProduction: 25,
         energyDrain: 5,
         supplyProvided: 15,
         buildTime: 0,
         canBuild: ['harvester', 'scout'],
+        repairRate: 8,        // Hull HP/s for friendly ships within repairRange
+        repairRange: 40,
         color: [0.2, 0.6, 0.8]
     },
     powerPlant: {
@@ -231,6 +360,7 @@ export const BUILDINGS = {
         icon: '⚡',
         size: 8,
         maxHealth: 600,
+        armorClass: 'structure',
         cost: 150,
         energyProduction: 35,
         energyDrain: 0,
@@ -242,10 +372,13 @@ export const BUILDINGS = {
         icon: '🏭',
         size: 10,
         maxHealth: 1000,
+        armorClass: 'structure',
         cost: 200,
         energyDrain: 8,
         buildTime: 25,
         processRate: 60,
+        // In-place upgrade; stats replace the base ones
+        upgrade: { name: 'Advanced Refinery', cost: 300, time: 25, stats: { maxHealth: 1400, processRate: 100 } },
         color: [0.7, 0.4, 0.2]
     },
     shipyard: {
@@ -253,10 +386,14 @@ export const BUILDINGS = {
         icon: '🚀',
         size: 14,
         maxHealth: 1500,
+        armorClass: 'structure',
         cost: 350,
         energyDrain: 5,
         buildTime: 30,
+        requires: ['powerPlant'],
         canBuild: ['interceptor', 'striker', 'heavy', 'bomber', 'gunship'],
+        repairRate: 6,
+        repairRange: 35,
         color: [0.3, 0.5, 0.7]
     },
     advancedShipyard: {
@@ -264,10 +401,14 @@ export const BUILDINGS = {
         icon: '🛸',
         size: 18,
         maxHealth: 2500,
+        armorClass: 'structure',
         cost: 900,
         energyDrain: 10,
         buildTime: 50,
-        canBuild: ['frigate', 'cruiser', 'battlecruiser', 'dreadnought'],
+        requires: ['shipyard'],
+        canBuild: ['frigate', 'cruiser', 'battlecruiser', 'dreadnought', 'carrier'],
+        repairRate: 12,
+        repairRange: 45,
         color: [0.5, 0.3, 0.7]
     },
     turret: {
@@ -275,6 +416,7 @@ export const BUILDINGS = {
         icon: '🔫',
         size: 5,
         maxHealth: 500,
+        armorClass: 'structure',
         cost: 175,
         energyDrain: 3,
         buildTime: 15,
@@ -283,6 +425,7 @@ export const BUILDINGS = {
         fireRate: 400,
         weaponType: 'cannon',
         hardpoints: [{ x: -1.2, y: 2, z: 4 }, { x: 1.2, y: 2, z: 4 }],
+        upgrade: { name: 'Heavy Turret', cost: 250, time: 20, stats: { maxHealth: 650, damage: 38, range: 75 } },
         color: [0.6, 0.3, 0.3]
     },
     supplyDepot: {
@@ -290,6 +433,7 @@ export const BUILDINGS = {
         icon: '📦',
         size: 6,
         maxHealth: 500,
+        armorClass: 'structure',
         cost: 100,
         energyDrain: 0,
         supplyProvided: 12,
@@ -301,6 +445,7 @@ export const BUILDINGS = {
         icon: '📡',
         size: 6,
         maxHealth: 400,
+        armorClass: 'structure',
         cost: 200,
         energyDrain: 5,
         buildTime: 20,
@@ -312,6 +457,7 @@ export const BUILDINGS = {
         icon: '🛡️',
         size: 6,
         maxHealth: 800,
+        armorClass: 'structure',
         cost: 400,
         energyDrain: 8,
         buildTime: 25,
@@ -321,6 +467,89 @@ export const BUILDINGS = {
         fieldRegen: 5,        // HP/s regeneration when not taking damage
         fieldRegenDelay: 10,  // Seconds before regeneration after damage
         color: [0.2, 0.5, 0.8]
+    },
+    pointDefenseTurret: {
+        name: 'Point Defense',
+        icon: '🛰️',
+        size: 4,
+        maxHealth: 350,
+        armorClass: 'structure',
+        cost: 150,
+        energyDrain: 4,
+        buildTime: 12,
+        requires: ['radar'],
+        // Each hardpoint shoots down one hostile missile per volley (fireRate in ms)
+        pointDefense: {
+            range: 60,
+            fireRate: 300,
+            hardpoints: [{ x: -0.8, y: 4, z: 0 }, { x: 0.8, y: 4, z: 0 }]
+        },
+        color: [0.4, 0.5, 0.6]
+    },
+    researchLab: {
+        name: 'Research Lab',
+        icon: '🔬',
+        size: 10,
+        maxHealth: 900,
+        armorClass: 'structure',
+        cost: 450,
+        energyDrain: 10,
+        buildTime: 35,
+        requires: ['shipyard'],
+        canResearch: [
+            'laserDamage', 'plasmaDamage', 'missileDamage', 'cannonDamage', 'beamDamage',
+            'shieldRegen', 'hullArmor', 'harvesterCapacity', 'turretRange'
+        ],
+        color: [0.4, 0.7, 0.9]
+    }
+};
+
+/**
+ * Research lab upgrades. Each is researched once per team and queued like
+ * unit production. value is added to the team's bonus for stat (see
+ * ResearchSystem.getBonus):
+ *   damage        - Weapon damage of weaponType (+fraction)
+ *   shieldRegen   - Shield regeneration rate (+fraction)
+ *   armor         - Hull damage ships take (-fraction)
+ *   cargoCapacity - Harvester cargo (+fraction)
+ *   turretRange   - Defense turret range (+fraction)
+ */
+export const UPGRADES = {
+    laserDamage: {
+        name: 'Focused Lasers', icon: '🔴', desc: '+20% laser damage',
+        cost: 300, researchTime: 40, stat: 'damage', weaponType: 'laser', value: 0.2
+    },
+    plasmaDamage: {
+        name: 'Plasma Compression', icon: '🟢', desc: '+20% plasma damage',
+        cost: 350, researchTime: 45, stat: 'damage', weaponType: 'plasma', value: 0.2
+    },
+    missileDamage: {
+        name: 'Shaped Warheads', icon: '🎆', desc: '+20% missile damage',
+        cost: 400, researchTime: 50, stat: 'damage', weaponType: 'missile', value: 0.2
+    },
+    cannonDamage: {
+        name: 'Dense Shells', icon: '💥', desc: '+20% cannon damage (ships and turrets)',
+        cost: 350, researchTime: 45, stat: 'damage', weaponType: 'cannon', value: 0.2
+    },
+    beamDamage: {
+        name: 'Beam Amplifiers', icon: '⚡', desc: '+20% beam damage',
+        cost: 450, researchTime: 55, stat: 'damage', weaponType: 'beam', value: 0.2
+    },
+    shieldRegen: {
+        name: 'Shield Capacitors', icon: '🔷', desc: 'Shields recharge twice as fast',
+        cost: 400, researchTime: 50, stat: 'shieldRegen', value: 1
+    },
+    hullArmor: {
+        name: 'Reinforced Hulls', icon: '🛡️', desc: 'Ships take 20% less hull damage',
+        cost: 500, researchTime: 60, stat: 'armor', value: 0.2
+    },
+    harvesterCapacity: {
+        name: 'Expanded Holds', icon: '⛏️', desc: '+50% harvester cargo',
+        cost: 250, researchTime: 35, stat: 'cargoCapacity', value: 0.5
+    },
+    turretRange: {
+        name: 'Targeting Arrays', icon: '🎯', desc: '+25% turret range',
+        cost: 300, researchTime: 40, stat: 'turretRange', value: 0.25
     }
 };
 
@@ -331,6 +560,7 @@ export const UNITS = {
         size: 4,
         maxHealth: 200,
         shield: 0,
+        armorClass: 'medium',
         speed: 20,
         cost: 100,
         supply: 1,
@@ -345,6 +575,7 @@ export const UNITS = {
         size: 2,
         maxHealth: 50,
         shield: 30,
+        armorClass: 'light',
         speed: 40,
         cost: 50,
         supply: 1,
@@ -353,6 +584,7 @@ export const UNITS = {
         range: 35,
         fireRate: 180,
         weaponType: 'laser',
+        stance: 'holdFire',   // Scouts slip past rather than stop to fight
         // Nose-mounted laser - visual model is needle-shaped
         hardpoints: [{ x: 0, y: 0.3, z: 2 }],
         color: [0.6, 0.6, 1]
@@ -363,6 +595,7 @@ export const UNITS = {
         size: 2.5,
         maxHealth: 80,
         shield: 40,
+        armorClass: 'light',
         speed: 35,
         cost: 100,
         supply: 1,
@@ -382,6 +615,7 @@ export const UNITS = {
         size: 3,
         maxHealth: 100,
         shield: 50,
+        armorClass: 'light',
         speed: 30,
         cost: 150,
         supply: 2,
@@ -404,6 +638,7 @@ export const UNITS = {
         size: 4,
         maxHealth: 180,
         shield: 80,
+        armorClass: 'medium',
         speed: 22,
         cost: 250,
         supply: 3,
@@ -426,6 +661,7 @@ export const UNITS = {
         size: 5,
         maxHealth: 250,
         shield: 50,
+        armorClass: 'medium',
         speed: 18,
         cost: 300,
         supply: 3,
@@ -449,6 +685,7 @@ export const UNITS = {
         size: 5,
         maxHealth: 300,
         shield: 100,
+        armorClass: 'shield',
         speed: 20,
         cost: 350,
         supply: 4,
@@ -472,10 +709,12 @@ export const UNITS = {
         size: 8,
         maxHealth: 600,
         shield: 200,
+        armorClass: 'heavy',
         speed: 15,
         cost: 500,
         supply: 5,
         buildTime: 35,
+        tier: 2,
         damage: 35,
         range: 65,
         fireRate: 500,
@@ -495,10 +734,12 @@ export const UNITS = {
         size: 12,
         maxHealth: 1000,
         shield: 400,
+        armorClass: 'shield',
         speed: 12,
         cost: 800,
         supply: 8,
         buildTime: 45,
+        tier: 2,
         damage: 50,
         range: 80,
         fireRate: 600,
@@ -519,16 +760,24 @@ export const UNITS = {
         size: 16,
         maxHealth: 1800,
         shield: 600,
+        armorClass: 'heavy',
         speed: 10,
         cost: 1200,
         supply: 12,
         buildTime: 60,
+        tier: 3,
         damage: 80,
         range: 90,
         fireRate: 700,
         weaponType: 'beam',
         secondaryWeapon: 'missile',
         multiTarget: 6, // Can engage 6 targets simultaneously
+        // Point-defense hardpoints each shoot down one hostile missile per volley
+        pointDefense: {
+            range: 40,
+            fireRate: 500,
+            hardpoints: [{ x: -0.9, y: 0.4, z: -0.5 }, { x: 0.9, y: 0.4, z: -0.5 }]
+        },
         // Triple turrets at z:12, z:2, z:-6 with muzzles at (±0.8*s, y+1.5*s, z+10*s)
         // Visual scale s = 16/12 = 1.33, mult = 8
         hardpoints: [
@@ -548,10 +797,12 @@ export const UNITS = {
         size: 22,
         maxHealth: 3000,
         shield: 1000,
+        armorClass: 'heavy',
         speed: 7,
         cost: 2000,
         supply: 20,
         buildTime: 90,
+        tier: 3,
         damage: 120,
         range: 100,
         fireRate: 800,
@@ -559,6 +810,12 @@ export const UNITS = {
         secondaryWeapon: 'cannon',
         tertiaryWeapon: 'missile',
         multiTarget: 6, // Can engage 6 targets simultaneously
+        // Point-defense hardpoints each shoot down one hostile missile per volley
+        pointDefense: {
+            range: 45,
+            fireRate: 500,
+            hardpoints: [{ x: -0.8, y: 0.4, z: -0.8 }, { x: 0.8, y: 0.4, z: -0.8 }, { x: 0, y: 0.8, z: -1.5 }]
+        },
         // Four super-heavy turrets at z:18, z:10, z:-4, z:-12 with triple barrels
         // Muzzles at ((j-1)*1.2*s, (y+2.5)*s, (z+15)*s) where s=22/15=1.47, mult=11
         hardpoints: [
@@ -573,6 +830,58 @@ export const UNITS = {
             { x: -0.91, y: 0, z: 0.45, weapon: 'missile' }, { x: 0.91, y: 0, z: 0.45, weapon: 'missile' }
         ],
         color: [0.4, 0.3, 0.5]
+    },
+    carrier: {
+        name: 'Carrier',
+        icon: '⬢',
+        size: 18,
+        maxHealth: 2200,
+        shield: 700,
+        armorClass: 'heavy',
+        speed: 9,
+        cost: 1500,
+        supply: 12,
+        buildTime: 70,
+        tier: 3,
+        damage: 30,
+        range: 60,
+        fireRate: 500,
+        weaponType: 'laser',
+        multiTarget: 2, // Light defensive batteries
+        // Fighters launch at enemies within launchRange and come back aboard
+        // beyond leash, below returnAt hull or with nothing left to fight.
+        // Docked fighters re-arm for rearmTime seconds; lost ones are rebuilt
+        // at the fighter's cost and build time.
+        hangar: {
+            fighter: 'carrierDrone',
+            capacity: 6,
+            launchRange: 140,
+            leash: 220,
+            returnAt: 0.35,
+            rearmTime: 6
+        },
+        hardpoints: [{ x: -0.5, y: 0.4, z: 1.5 }, { x: 0.5, y: 0.4, z: 1.5 }],
+        color: [0.4, 0.5, 0.6]
+    },
+    // Interceptor-class fighter flown from a carrier's hangar, never queued
+    carrierDrone: {
+        name: 'Carrier Drone',
+        icon: '▹',
+        size: 2,
+        maxHealth: 60,
+        shield: 20,
+        armorClass: 'light',
+        speed: 45,
+        cost: 50,
+        supply: 0,
+        buildTime: 10,
+        damage: 10,
+        range: 40,
+        fireRate: 250,
+        weaponType: 'laser',
+        stance: 'holdFire',   // The carrier picks their targets
+        hardpoints: [{ x: 0, y: 0, z: 1 }],
+        color: [0.5, 0.7, 0.8]
     }
 };
 
@@ -584,6 +893,7 @@ export const ALIEN_UNITS = {
         size: 2,
         maxHealth: 50,
         shield: 30,
+        armorClass: 'light',
         speed: 40,
         damage: 5,
         range: 35,
@@ -599,6 +909,7 @@ export const ALIEN_UNITS = {
         size: 2.5,
         maxHealth: 80,
         shield: 40,
+        armorClass: 'light',
         speed: 35,
         damage: 12,
         range: 40,
@@ -614,6 +925,7 @@ export const ALIEN_UNITS = {
         size: 3,
         maxHealth: 100,
         shield: 50,
+        armorClass: 'light',
         speed: 30,
         damage: 18,
         range: 45,
@@ -632,6 +944,7 @@ export const ALIEN_UNITS = {
         size: 4,
         maxHealth: 180,
         shield: 80,
+        armorClass: 'medium',
         speed: 22,
         damage: 25,
         range: 50,
@@ -650,6 +963,7 @@ export const ALIEN_UNITS = {
         size: 5,
         maxHealth: 250,
         shield: 50,
+        armorClass: 'medium',
         speed: 18,
         damage: 60,
         range: 35,
@@ -669,6 +983,7 @@ export const ALIEN_UNITS = {
         size: 5,
         maxHealth: 300,
         shield: 100,
+        armorClass: 'shield',
         speed: 20,
         damage: 20,
         range: 55,
@@ -687,6 +1002,7 @@ export const ALIEN_UNITS = {
         size: 8,
         maxHealth: 600,
         shield: 200,
+        armorClass: 'heavy',
         speed: 15,
         damage: 35,
         range: 65,
@@ -706,6 +1022,7 @@ export const ALIEN_UNITS = {
         size: 12,
         maxHealth: 1000,
         shield: 400,
+        armorClass: 'shield',
         speed: 12,
         damage: 50,
         range: 80,
@@ -726,6 +1043,7 @@ export const ALIEN_UNITS = {
         size: 16,
         maxHealth: 1800,
         shield: 600,
+        armorClass: 'heavy',
         speed: 10,
         damage: 80,
         range: 90,
@@ -733,6 +1051,12 @@ export const ALIEN_UNITS = {
         weaponType: 'beam',
         secondaryWeapon: 'missile',
         multiTarget: 6,
+        // Point-defense hardpoints each shoot down one hostile missile per volley
+        pointDefense: {
+            range: 40,
+            fireRate: 500,
+            hardpoints: [{ x: -0.9, y: 0.4, z: -0.5 }, { x: 0.9, y: 0.4, z: -0.5 }]
+        },
         hardpoints: [
             { x: -0.13, y: 0.56, z: 2.75, weapon: 'beam' }, { x: 0.13, y: 0.56, z: 2.75, weapon: 'beam' },
             { x: -0.13, y: 0.81, z: 1.5, weapon: 'beam' }, { x: 0.13, y: 0.81, z: 1.5, weapon: 'beam' },
@@ -748,6 +1072,7 @@ export const ALIEN_UNITS = {
         size: 22,
         maxHealth: 3000,
         shield: 1000,
+        armorClass: 'heavy',
         speed: 7,
         damage: 120,
         range: 100,
@@ -756,6 +1081,12 @@ export const ALIEN_UNITS = {
         secondaryWeapon: 'cannon',
         tertiaryWeapon: 'missile',
         multiTarget: 6,
+        // Point-defense hardpoints each shoot down one hostile missile per volley
+        pointDefense: {
+            range: 45,
+            fireRate: 500,
+            hardpoints: [{ x: -0.8, y: 0.4, z: -0.8 }, { x: 0.8, y: 0.4, z: -0.8 }, { x: 0, y: 0.8, z: -1.5 }]
+        },
         hardpoints: [
             { x: -0.16, y: 0.59, z: 3.0, weapon: 'beam' }, { x: 0, y: 0.59, z: 3.0, weapon: 'beam' }, { x: 0.16, y: 0.59, z: 3.0, weapon: 'beam' },
             { x: -0.16, y: 0.95, z: 2.27, weapon: 'beam' }, { x: 0, y: 0.95, z: 2.27, weapon: 'beam' }, { x: 0.16, y: 0.95, z: 2.27, weapon: 'beam' },
@@ -767,12 +1098,306 @@ export const ALIEN_UNITS = {
     }
 };
 
+// ============================================================
+// AI Personality Definitions
+// ============================================================
+
+// Shared unit mixes. Each tier applies once credits reach minCredits;
+// repeat a type to weight it.
+const STANDARD_SHIPYARD_MIX = [
+    { minCredits: 0, units: ['interceptor'] },
+    { minCredits: 300, units: ['interceptor', 'striker', 'heavy'] },
+    { minCredits: 500, units: ['interceptor', 'striker', 'heavy', 'bomber', 'gunship'] }
+];
+const STANDARD_CAPITAL_MIX = [
+    { minCredits: 0, units: ['frigate', 'cruiser'] },
+    { minCredits: 1200, units: ['frigate', 'cruiser', 'battlecruiser'] },
+    { minCredits: 2000, units: ['frigate', 'cruiser', 'battlecruiser', 'dreadnought', 'carrier'] }
+];
+
+// Attack target classes tried in order; chance is the odds of committing
+// to a class when it has targets
+const STANDARD_TARGETS = [
+    { kind: 'production' },
+    { kind: 'units', chance: 0.6 },
+    { kind: 'buildings' }
+];
+
+/**
+ * AI personalities. Each defines:
+ *   buildOrder  - Structures built in order. Force field generators form a
+ *                 wall across the approach to the base; turrets built after
+ *                 them cover the gaps from behind.
+ *   unitMix     - Production tiers per factory type
+ *   harvesters  - Harvester target (difficulty adjusts it)
+ *   harvest     - crystalBias scales distance to crystal nodes (<1 prefers crystals)
+ *   expansion   - buildRadius around the command center; from startAt (seconds)
+ *                 claim up to maxFields extra resource fields with a refinery,
+ *                 guarded by turrets and an escort of ships. Every personality
+ *                 claims a new field when its current ones run dry.
+ *   attack      - minForce, aggression (chance per decision), firstAttackAt
+ *                 (seconds), retreatAt (hull + shield fraction at which a
+ *                 ship goes home to repair) and target priority
+ *   scouts      - Scouts built over the game to find enemy bases
+ *   counterBias - Chance to build a counter to scouted enemy ships instead
+ *                 of the regular mix
+ *   diplomacy   - Strength a player must have, relative to the AI's own, for
+ *                 the AI to accept a ceasefire or alliance with them
+ */
+export const AI_PERSONALITIES = {
+    balanced: {
+        name: 'Balanced',
+        description: 'Steady economy, mixed fleet',
+        buildOrder: [
+            'powerPlant',
+            'refinery',
+            'shipyard',
+            'supplyDepot',
+            'turret',           // Defense around base
+            'turret',           // Second turret
+            'supplyDepot',      // More supply for bigger army
+            'refinery',         // Second refinery for more income
+            'turret',           // Third turret
+            'powerPlant',       // More power for turrets
+            'radar',            // Unlocks frigates and up
+            'pointDefenseTurret',   // Answer to missile spam
+            'advancedShipyard', // Capital ship production
+            'forceFieldGenerator',  // Wall across the approach
+            'forceFieldGenerator',
+            'forceFieldGenerator',
+            'supplyDepot',      // More supply
+            'turret'            // Fourth turret, behind the wall
+        ],
+        unitMix: {
+            shipyard: STANDARD_SHIPYARD_MIX,
+            advancedShipyard: STANDARD_CAPITAL_MIX
+        },
+        harvesters: 6,
+        harvest: { crystalBias: 1 },
+        scouts: 2,
+        counterBias: 0.5,
+        expansion: { buildRadius: [30, 50], startAt: null, maxFields: 0, resource: 'any',
+            turrets: 1, escort: 2 },
+        diplomacy: { ceasefire: 0.8, alliance: 1.0 },
+        attack: { minForce: 8, aggression: 0.4, firstAttackAt: 0, retreatAt: 0.35, targets: STANDARD_TARGETS }
+    },
+
+    rusher: {
+        name: 'Rusher',
+        description: 'Early fighter waves aimed at harvesters',
+        buildOrder: [
+            'powerPlant', 'shipyard', 'refinery', 'supplyDepot', 'supplyDepot',
+            'turret', 'powerPlant', 'supplyDepot', 'radar', 'advancedShipyard'
+        ],
+        unitMix: {
+            shipyard: [
+                { minCredits: 0, units: ['interceptor', 'striker'] },
+                { minCredits: 250, units: ['interceptor', 'striker', 'striker', 'gunship'] }
+            ],
+            advancedShipyard: [
+                { minCredits: 0, units: ['frigate'] }
+            ]
+        },
+        harvesters: 4,
+        harvest: { crystalBias: 1 },
+        scouts: 1,
+        counterBias: 0.3,
+        expansion: { buildRadius: [25, 40], startAt: null, maxFields: 0, resource: 'any',
+            turrets: 0, escort: 1 },
+        diplomacy: { ceasefire: 1.3, alliance: 1.6 },
+        attack: {
+            minForce: 5,
+            aggression: 0.7,
+            firstAttackAt: 0,
+            retreatAt: 0.2,
+            targets: [
+                { kind: 'harvesters', chance: 0.5 },
+                { kind: 'production' },
+                { kind: 'units' },
+                { kind: 'buildings' }
+            ]
+        }
+    },
+
+    turtler: {
+        name: 'Turtler',
+        description: 'Fortified base, late heavy push',
+        buildOrder: [
+            'powerPlant', 'refinery', 'turret', 'turret', 'shipyard', 'supplyDepot',
+            'forceFieldGenerator', 'forceFieldGenerator', 'forceFieldGenerator', 'forceFieldGenerator',
+            'turret', 'powerPlant', 'turret', 'turret', 'refinery', 'supplyDepot',
+            'radar', 'pointDefenseTurret', 'advancedShipyard', 'powerPlant', 'turret', 'turret', 'pointDefenseTurret'
+        ],
+        unitMix: {
+            shipyard: [
+                { minCredits: 0, units: ['heavy'] },
+                { minCredits: 400, units: ['heavy', 'gunship'] }
+            ],
+            advancedShipyard: [
+                { minCredits: 0, units: ['cruiser'] },
+                { minCredits: 1200, units: ['cruiser', 'battlecruiser'] },
+                { minCredits: 2000, units: ['battlecruiser', 'dreadnought'] }
+            ]
+        },
+        harvesters: 6,
+        harvest: { crystalBias: 1 },
+        scouts: 1,
+        counterBias: 0.4,
+        expansion: { buildRadius: [35, 60], startAt: null, maxFields: 0, resource: 'any',
+            turrets: 2, escort: 2 },
+        diplomacy: { ceasefire: 0.5, alliance: 0.8 },
+        attack: { minForce: 16, aggression: 0.25, firstAttackAt: 900, retreatAt: 0.5, targets: STANDARD_TARGETS }
+    },
+
+    boomer: {
+        name: 'Boomer',
+        description: 'Greedy economy that expands early',
+        buildOrder: [
+            'powerPlant', 'refinery', 'refinery', 'supplyDepot', 'shipyard', 'refinery',
+            'powerPlant', 'supplyDepot', 'radar', 'advancedShipyard', 'forceFieldGenerator', 'forceFieldGenerator',
+            'turret', 'turret', 'supplyDepot'
+        ],
+        unitMix: {
+            shipyard: STANDARD_SHIPYARD_MIX,
+            advancedShipyard: STANDARD_CAPITAL_MIX
+        },
+        harvesters: 10,
+        harvest: { crystalBias: 1 },
+        scouts: 2,
+        counterBias: 0.5,
+        expansion: { buildRadius: [30, 50], startAt: 240, maxFields: 3, resource: 'any',
+            turrets: 1, escort: 2 },
+        diplomacy: { ceasefire: 0.6, alliance: 0.9 },
+        attack: { minForce: 14, aggression: 0.35, firstAttackAt: 600, retreatAt: 0.4, targets: STANDARD_TARGETS }
+    },
+
+    tech: {
+        name: 'Technologist',
+        description: 'Rushes capital ships',
+        buildOrder: [
+            'powerPlant', 'refinery', 'shipyard', 'powerPlant', 'radar', 'advancedShipyard',
+            'supplyDepot', 'forceFieldGenerator', 'forceFieldGenerator', 'turret', 'refinery',
+            'supplyDepot', 'turret'
+        ],
+        unitMix: {
+            shipyard: [
+                { minCredits: 0, units: ['heavy'] }
+            ],
+            advancedShipyard: [
+                { minCredits: 0, units: ['frigate', 'cruiser'] },
+                { minCredits: 1200, units: ['cruiser', 'battlecruiser'] },
+                { minCredits: 2000, units: ['battlecruiser', 'dreadnought', 'carrier'] }
+            ]
+        },
+        harvesters: 7,
+        harvest: { crystalBias: 1 },
+        scouts: 1,
+        counterBias: 0.4,
+        expansion: { buildRadius: [30, 50], startAt: 420, maxFields: 1, resource: 'any',
+            turrets: 1, escort: 2 },
+        diplomacy: { ceasefire: 0.7, alliance: 1.1 },
+        attack: { minForce: 6, aggression: 0.4, firstAttackAt: 480, retreatAt: 0.4, targets: STANDARD_TARGETS }
+    },
+
+    crystalRaider: {
+        name: 'Crystal Raider',
+        description: 'Mines crystals and hunts enemy harvesters',
+        buildOrder: [
+            'powerPlant', 'refinery', 'shipyard', 'supplyDepot', 'turret', 'refinery',
+            'powerPlant', 'supplyDepot', 'radar', 'advancedShipyard'
+        ],
+        unitMix: {
+            shipyard: [
+                { minCredits: 0, units: ['interceptor', 'striker', 'bomber'] },
+                { minCredits: 500, units: ['interceptor', 'striker', 'bomber', 'gunship'] }
+            ],
+            advancedShipyard: [
+                { minCredits: 0, units: ['frigate'] }
+            ]
+        },
+        harvesters: 5,
+        harvest: { crystalBias: 0.4 },
+        scouts: 3,
+        counterBias: 0.4,
+        expansion: { buildRadius: [30, 50], startAt: 180, maxFields: 2, resource: 'crystal',
+            turrets: 0, escort: 3 },
+        diplomacy: { ceasefire: 1.0, alliance: 1.3 },
+        attack: {
+            minForce: 6,
+            aggression: 0.55,
+            firstAttackAt: 120,
+            retreatAt: 0.3,
+            targets: [
+                { kind: 'harvesters' },
+                { kind: 'production', chance: 0.5 },
+                { kind: 'units' },
+                { kind: 'buildings' }
+            ]
+        }
+    }
+};
+
+export const DEFAULT_AI_PERSONALITY = 'balanced';
+
+// Ships the AI builds to answer each scouted enemy type
+export const AI_COUNTERS = {
+    // Fighter swarms: rapid-fire gunships and multi-target capital ships
+    interceptor: ['gunship', 'frigate', 'cruiser'],
+    striker: ['gunship', 'frigate', 'cruiser'],
+    // Slow bombers are easy prey for fast fighters
+    bomber: ['interceptor', 'striker'],
+    heavy: ['bomber', 'frigate'],
+    gunship: ['bomber', 'heavy'],
+    // Capital ships: missiles, or bigger capital ships
+    frigate: ['bomber', 'heavy'],
+    cruiser: ['bomber', 'battlecruiser'],
+    battlecruiser: ['bomber', 'dreadnought'],
+    dreadnought: ['bomber', 'dreadnought'],
+    // Drone swarms fall to rapid fire
+    carrier: ['gunship', 'cruiser']
+};
+
+// Difficulty adjusts a personality rather than replacing it
+export const AI_DIFFICULTY_SETTINGS = {
+    easy: {
+        attackForceBonus: -3,
+        aggressionScale: 0.5,
+        harvesterBonus: -2,
+        buildSpeedMultiplier: 0.7,
+        actionInterval: [2500, 4000]    // Slower decisions
+    },
+    normal: {
+        attackForceBonus: 0,
+        aggressionScale: 1,
+        harvesterBonus: 0,
+        buildSpeedMultiplier: 1.0,
+        actionInterval: [2000, 3000]
+    },
+    hard: {
+        attackForceBonus: 2,
+        aggressionScale: 1.5,
+        harvesterBonus: 2,
+        buildSpeedMultiplier: 1.3,
+        actionInterval: [1500, 2000]    // Faster decisions
+    }
+};
+
 // Helper to get team color as Color3
 export function getTeamColor3(team) {
     const c = TEAM_COLORS[team] || TEAM_COLORS[0];
     return new BABYLON.Color3(c[0], c[1], c[2]);
 }
 
+/**
+ * Damage multiplier of a weapon type against an armor class
+ * @param {string} weaponType - WEAPON_TYPES key
+ * @param {string} [armorClass] - ARMOR_CLASSES key
+ * @returns {number}
+ */
+export function getArmorMultiplier(weaponType, armorClass) {
+    return WEAPON_TYPES[weaponType]?.damageVs?.[armorClass] ?? 1;
+}
+
 // Helper to get team color as hex string
 export function getTeamColorHex(team) {
     const c = TEAM_COLORS[team] || TEAM_COLORS[0];
@@ -141,6 +141,7 @@ export const GameEvents = {
     GAME_RESUME: 'game:resume',
     GAME_END: 'game:end',
     GAME_UPDATE: 'game:update',
+    SIM_TICK: 'sim:tick',
 
     // Entity events
     ENTITY_CREATED: 'entity:created',
@@ -155,12 +156,21 @@ export const GameEvents = {
     UNIT_KILLED: 'unit:killed',
     UNIT_COMMAND: 'unit:command',
     UNIT_ATTACK: 'unit:attack',
+    UNIT_PROMOTED: 'unit:promoted',
+    FIGHTER_LAUNCHED: 'unit:fighter:launched',
 
     // Building events
     BUILDING_PLACED: 'building:placed',
     BUILDING_COMPLETED: 'building:completed',
     BUILDING_DESTROYED: 'building:destroyed',
     BUILDING_QUEUE_START: 'building:queue:start',
+    BUILDING_POWER_CHANGED: 'building:power:changed',
+    BUILDING_SOLD: 'building:sold',
+    BUILDING_UPGRADED: 'building:upgraded',
+
+    // Research events
+    RESEARCH_STARTED: 'research:started',
+    RESEARCH_COMPLETED: 'research:completed',
 
     // Resource events
     RESOURCE_CHANGED: 'resource:changed',
@@ -171,6 +181,7 @@ export const GameEvents = {
     // Combat events
     COMBAT_PROJECTILE_FIRED: 'combat:projectile:fired',
     COMBAT_PROJECTILE_HIT: 'combat:projectile:hit',
+    COMBAT_MISSILE_INTERCEPTED: 'combat:missile:intercepted',
     COMBAT_EXPLOSION: 'combat:explosion',
 
     // UI events
@@ -198,6 +209,9 @@ export const GameEvents = {
     DIPLOMACY_WAR: 'diplomacy:war',
     DIPLOMACY_PEACE: 'diplomacy:peace',
     DIPLOMACY_PROVOKED: 'diplomacy:provoked',
+    DIPLOMACY_ALLIANCE: 'diplomacy:alliance',
+    DIPLOMACY_PROPOSAL: 'diplomacy:proposal',
+    DIPLOMACY_CREDITS: 'diplomacy:credits',
 
     // Save/Load events
     QUICKSAVE: 'save:quick',
@@ -234,6 +248,24 @@ export const GameEvents = {
 
     // Command events
     COMMAND_COMPLETE: 'command:complete',
+    COMMAND_ISSUED: 'command:issued',
+    COMMAND_EXECUTED: 'command:executed',
+
+    // Replay events
+    REPLAY_STARTED: 'replay:started',
+    REPLAY_ENDED: 'replay:ended',
+    REPLAY_DESYNC: 'replay:desync',
+
+    // LAN multiplayer events
+    NET_CONNECTED: 'net:connected',
+    NET_DISCONNECTED: 'net:disconnected',
+    NET_LOBBY_UPDATE: 'net:lobby:update',
+    NET_MATCH_START: 'net:match:start',
+    NET_MATCH_END: 'net:match:end',
+    NET_PLAYER_LEFT: 'net:player:left',
+    NET_WAITING: 'net:waiting',
+    NET_DESYNC: 'net:desync',
+    NET_ERROR: 'net:error',
 
     // Unit command events
     UNIT_STOP: 'unit:stop',
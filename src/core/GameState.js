@@ -15,6 +15,9 @@ class GameState {
     reset() {
         this.running = false;
         this.paused = false;
+        this.winner = null;
+        this.winners = [];      // Every team on the winning side (allies share a victory)
+        this.victoryReason = null;  // GameEndReason value once the match is over
         this.gameTime = 0;
         this.deltaTime = 0;
         this.playerTeam = TEAMS.PLAYER;
@@ -58,6 +61,7 @@ class GameState {
         this.resources = {};
         this.stats = {};
         this.hostility = {};
+        this.alliances = {};
 
         // Initialize for all teams
         for (let t = 0; t <= 5; t++) {
@@ -78,7 +82,8 @@ class GameState {
                 enemyKilled: 0,
                 buildingsBuilt: 0,
                 buildingsLost: 0,
-                resourcesCollected: 0
+                resourcesCollected: 0,
+                missilesIntercepted: 0
             };
 
             // Initialize hostility matrix
@@ -91,6 +96,12 @@ class GameState {
                     this.hostility[t][t2] = false;
                 }
             }
+
+            // Nobody starts allied
+            this.alliances[t] = {};
+            for (let t2 = 0; t2 <= 5; t2++) {
+                this.alliances[t][t2] = false;
+            }
         }
     }
 
@@ -207,6 +218,10 @@ class GameState {
         return buildings.filter(b => b.type === type);
     }
 
+    getEntityById(id) {
+        return this.entities.find(e => e.id === id) || null;
+    }
+
     // ===== Selection Management =====
 
     select(entity) {
@@ -306,10 +321,71 @@ class GameState {
             this.hostility[team2][team1] = hostile;
         }
 
+        // Going to war ends any alliance
+        if (hostile && this.isAllied(team1, team2)) {
+            this.setAlliance(team1, team2, false);
+        }
+
         const event = hostile ? GameEvents.DIPLOMACY_WAR : GameEvents.DIPLOMACY_PEACE;
         eventBus.emit(event, { team1, team2 });
     }
 
+    /**
+     * Starting diplomacy from the lobby's teams: allied with teams on the
+     * same side, hostile to the rest. Sets the matrices without events.
+     * @param {Array<number|string>} sides - Side per player team
+     */
+    setupSides(sides) {
+        for (let t = 0; t < sides.length; t++) {
+            for (let t2 = 0; t2 < sides.length; t2++) {
+                if (t === t2) continue;
+                const allied = sides[t] === sides[t2];
+                this.alliances[t][t2] = allied;
+                this.hostility[t][t2] = !allied;
+            }
+        }
+    }
+
+    isAllied(team1, team2) {
+        return this.alliances[team1]?.[team2] || false;
+    }
+
+    /**
+     * Player teams that made peace with each other (ceasefire or alliance).
+     * Neutrals are never hostile until provoked, but have no treaty.
+     */
+    hasTreaty(team1, team2) {
+        return team1 !== team2 && team1 < TEAMS.NEUTRAL && team2 < TEAMS.NEUTRAL &&
+            !this.isHostile(team1, team2);
+    }
+
+    /**
+     * Teams allied with the given team
+     * @param {number} team
+     * @returns {number[]}
+     */
+    getAllies(team) {
+        const allies = [];
+        for (let t = 0; t <= 5; t++) {
+            if (this.isAllied(team, t)) allies.push(t);
+        }
+        return allies;
+    }
+
+    setAlliance(team1, team2, allied) {
+        if (this.isAllied(team1, team2) === allied) return;
+
+        this.alliances[team1][team2] = allied;
+        this.alliances[team2][team1] = allied;
+
+        // Allies are at peace
+        if (allied && this.isHostile(team1, team2)) {
+            this.setHostility(team1, team2, false);
+        }
+
+        eventBus.emit(GameEvents.DIPLOMACY_ALLIANCE, { team1, team2, allied });
+    }
+
     provoke(attackerTeam, victimTeam) {
         if (victimTeam >= TEAMS.NEUTRAL) {
             this.setHostility(attackerTeam, victimTeam, true);
@@ -342,6 +418,14 @@ class GameState {
         this.stats[team].buildingsLost++;
     }
 
+    recordInterception(team) {
+        this.stats[team].missilesIntercepted++;
+    }
+
+    recordResourcesCollected(team, credits) {
+        this.stats[team].resourcesCollected += credits;
+    }
+
     // ===== Projectiles & Particles =====
 
     addProjectile(projectile) {
@@ -380,9 +464,17 @@ class GameState {
         eventBus.emit(GameEvents.GAME_RESUME, this);
     }
 
-    end(winner) {
+    /**
+     * @param {number|null} winner - Winning team (first of an alliance)
+     * @param {number[]} [winners] - Every team that shares the victory
+     * @param {string|null} [reason] - GameEndReason value (see VictorySystem)
+     */
+    end(winner, winners = winner === null ? [] : [winner], reason = null) {
         this.running = false;
-        eventBus.emit(GameEvents.GAME_END, { winner, state: this });
+        this.winner = winner;
+        this.winners = [...winners];
+        this.victoryReason = reason;
+        eventBus.emit(GameEvents.GAME_END, { winner, winners: this.winners, reason, state: this });
     }
 
     update(deltaTime) {
@@ -0,0 +1,126 @@
+// ============================================================
+// VOID SUPREMACY 3D - Simulation Transforms
+// Babylon-free stand-ins for Vector3/TransformNode so the
+// simulation can run without a scene (headless matches, tests)
+// ============================================================
+
+/**
+ * Minimal Vector3 with the subset of the BABYLON.Vector3 API
+ * used by gameplay code (clone/add/subtract/normalize/scale)
+ */
+export class SimVector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    clone() {
+        return new SimVector3(this.x, this.y, this.z);
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    setAll(v) {
+        return this.set(v, v, v);
+    }
+
+    copyFrom(other) {
+        return this.set(other.x, other.y, other.z);
+    }
+
+    add(other) {
+        return new SimVector3(this.x + other.x, this.y + other.y, this.z + other.z);
+    }
+
+    subtract(other) {
+        return new SimVector3(this.x - other.x, this.y - other.y, this.z - other.z);
+    }
+
+    scale(s) {
+        return new SimVector3(this.x * s, this.y * s, this.z * s);
+    }
+
+    length() {
+        return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    }
+
+    normalize() {
+        const len = this.length();
+        if (len > 0) {
+            this.x /= len;
+            this.y /= len;
+            this.z /= len;
+        }
+        return this;
+    }
+}
+
+/**
+ * Stand-in for BABYLON.TransformNode used as an entity's `mesh`
+ * when no scene is attached. Rendering calls become no-ops.
+ */
+export class SimTransform {
+    constructor(x = 0, y = 0, z = 0) {
+        this.position = new SimVector3(x, y, z);
+        this.rotation = new SimVector3();
+        this.scaling = new SimVector3(1, 1, 1);
+        this.enabled = true;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    getChildMeshes() {
+        return [];
+    }
+
+    getChildTransformNodes() {
+        return [];
+    }
+
+    dispose() {
+        // Nothing to release - no GPU resources
+    }
+}
+
+/**
+ * Create a Vector3 using Babylon when it is loaded, otherwise a SimVector3
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {BABYLON.Vector3|SimVector3}
+ */
+export function createVector3(x = 0, y = 0, z = 0) {
+    if (typeof BABYLON !== 'undefined') {
+        return new BABYLON.Vector3(x, y, z);
+    }
+    return new SimVector3(x, y, z);
+}
+
+/**
+ * Linear interpolation between two positions of either vector type
+ * @param {Object} start - Start position (cloned for the result)
+ * @param {Object} end - End position
+ * @param {number} t - Interpolation factor
+ * @returns {Object} New vector of the same type as start
+ */
+export function lerpVector3(start, end, t) {
+    const result = start.clone();
+    result.x = start.x + (end.x - start.x) * t;
+    result.y = start.y + (end.y - start.y) * t;
+    result.z = start.z + (end.z - start.z) * t;
+    return result;
+}
+
+export default SimTransform;
@@ -0,0 +1,801 @@
+// ============================================================
+// VOID SUPREMACY 3D - Simulation
+// Scene-independent match rules: world setup, entity creation,
+// production/defense handlers and the per-tick system update.
+// Shared by the browser Game and headless matches.
+// ============================================================
+
+import { CONFIG, TEAMS, BUILDINGS, UNITS, UNIT_STANCES } from './Config.js?v=20260119';
+import { eventBus, GameEvents } from './EventBus.js?v=20260119';
+import { gameState } from './GameState.js?v=20260119';
+import { getSeededRandom } from './SeededRandom.js?v=20260119';
+import { simulationClock, FIXED_TIMESTEP } from './SimulationClock.js?v=20260119';
+import { LODManager } from '../rendering/LODManager.js?v=20260119';
+
+import { resetEntityIds, getEntityIdCounter, setEntityIdCounter } from '../entities/Entity.js?v=20260119';
+import { Unit } from '../entities/Unit.js?v=20260119';
+import { Building } from '../entities/Building.js?v=20260119';
+import { AlienUnit } from '../entities/AlienUnit.js?v=20260119';
+
+import { combatSystem } from '../systems/CombatSystem.js?v=20260119';
+import { aiSystem } from '../systems/AISystem.js?v=20260119';
+import { resourceSystem } from '../systems/ResourceSystem.js?v=20260119';
+import { pathfinding } from '../systems/Pathfinding.js?v=20260119';
+import { formationSystem } from '../systems/FormationSystem.js?v=20260119';
+import { forceFieldSystem } from '../systems/ForceFieldSystem.js?v=20260119';
+import { diplomacySystem } from '../systems/DiplomacySystem.js?v=20260119';
+import { victorySystem, GameEndReason, VictoryMode } from '../systems/VictorySystem.js?v=20260119';
+import { statsSystem } from '../systems/StatsSystem.js?v=20260119';
+import { researchSystem } from '../systems/ResearchSystem.js?v=20260119';
+import { techRules } from '../systems/TechRules.js?v=20260119';
+import { powerSystem } from '../systems/PowerSystem.js?v=20260119';
+import { buildingPlacementSystem } from '../systems/BuildingPlacementSystem.js?v=20260119';
+import { SpatialGrid } from '../systems/SpatialGrid.js?v=20260119';
+
+export class Simulation {
+    constructor() {
+        this.scene = null;
+        this.humanTeam = TEAMS.PLAYER;
+        this.humanTeams = [TEAMS.PLAYER];
+        this.stepGate = null; // () => false holds the next tick (lockstep waiting on a turn)
+        this.defenseTimestamps = new Map(); // Track last defense trigger per building
+        this._unsubs = null;
+    }
+
+    /**
+     * Initialize the gameplay systems
+     * @param {Object} options
+     * @param {BABYLON.Scene|null} options.scene - Scene for visuals (null = headless)
+     * @param {number|null} options.humanTeam - Team driven by the local player (null = every team is AI)
+     * @param {number[]|null} options.humanTeams - Every human-driven team in a multiplayer match
+     * @param {number} options.timestep - Seconds per simulation tick
+     */
+    initSystems({ scene = null, humanTeam = TEAMS.PLAYER, humanTeams = null, timestep = FIXED_TIMESTEP } = {}) {
+        this.scene = scene;
+        this.humanTeam = humanTeam;
+        this.humanTeams = humanTeams ?? (humanTeam === null ? [] : [humanTeam]);
+        this.defenseTimestamps.clear();
+
+        // Fresh clock and entity ids so a seed always produces the same match
+        simulationClock.reset(timestep);
+        resetEntityIds();
+
+        combatSystem.init(scene);
+        resourceSystem.init(scene);
+        aiSystem.init(this.getAITeams());
+        pathfinding.init();
+        formationSystem.init();
+        forceFieldSystem.init(scene);
+        diplomacySystem.init();
+        victorySystem.init();
+        statsSystem.init();
+        researchSystem.init();
+    }
+
+    /**
+     * Generate resources, spawn bases and start listening for match events
+     */
+    generateWorld() {
+        resourceSystem.generateOreFields();
+        resourceSystem.generateCrystalFields();
+
+        gameState.setupSides(this.getSides());
+        this.spawnPlayerBases();
+        this.spawnNeutralAliens();
+
+        this.setupEventHandlers();
+
+        // Calculate initial resources
+        this.updateResourceCapacity();
+    }
+
+    /**
+     * Player teams that are not controlled by a human
+     * @returns {number[]}
+     */
+    getAITeams() {
+        const teams = [];
+        for (let t = 0; t < this.getNumPlayers(); t++) {
+            if (!this.humanTeams.includes(t)) teams.push(t);
+        }
+        return teams;
+    }
+
+    getNumPlayers() {
+        return 1 + CONFIG.NUM_AI_PLAYERS;
+    }
+
+    /**
+     * Side of each player team from the lobby. Teams without one stand
+     * alone, so an empty list is free for all.
+     * @returns {Array<number|string>}
+     */
+    getSides() {
+        const sides = [];
+        for (let t = 0; t < this.getNumPlayers(); t++) {
+            sides.push(CONFIG.TEAM_SIDES?.[t] ?? `solo${t}`);
+        }
+        return sides;
+    }
+
+    /**
+     * Send an alert to the local player (ignored for other teams)
+     */
+    alert(team, message, type = 'info') {
+        if (team !== this.humanTeam) return;
+        eventBus.emit(GameEvents.UI_ALERT, { team, message, type });
+    }
+
+    setupEventHandlers() {
+        this._unsubs = [
+            // Handle building placement from UI or AI
+            eventBus.on(GameEvents.BUILDING_PLACED, (data) => {
+                this.createBuilding(data.position.x, data.position.z, data.team, data.type);
+                // Clear build mode after placing (for player)
+                if (data.team === this.humanTeam) {
+                    gameState.buildMode = null;
+                }
+            }),
+
+            // Handle unit spawning from buildings
+            eventBus.on(GameEvents.UNIT_SPAWNED, (data) => {
+                const unit = this.createUnit(data.position.x, data.position.z, data.team, data.unitType);
+
+                // Auto-rally or auto-harvest
+                if (data.rallyPoint) {
+                    unit.moveTo(data.rallyPoint.x, data.rallyPoint.z);
+                } else if (data.unitType === 'harvester') {
+                    const ore = unit.findNearestOre();
+                    if (ore) unit.harvest(ore);
+                }
+
+                // Supply is already reserved at queue time, just record stat
+                gameState.recordUnitBuilt(data.team);
+
+                this.alert(data.team, `${UNITS[data.unitType].name} ready!`, 'info');
+            }),
+
+            // Carriers launch fighters from their hangar
+            eventBus.on(GameEvents.FIGHTER_LAUNCHED, (data) => {
+                const fighter = this.createUnit(data.position.x, data.position.z, data.team, data.unitType);
+                fighter.carrier = data.carrier;
+                data.carrier.fighters.push(fighter);
+            }),
+
+            // Handle building completion
+            eventBus.on(GameEvents.BUILDING_COMPLETED, (data) => {
+                this.alert(data.building.team, `${data.building.def.name} complete!`, 'success');
+                gameState.recordBuildingBuilt(data.building.team);
+                this.updateResourceCapacity();
+            }),
+
+            // Switched-off structures stop draining
+            eventBus.on(GameEvents.BUILDING_POWER_CHANGED, () => {
+                this.updateResourceCapacity();
+            }),
+
+            // Sold structures stop draining and providing at once
+            eventBus.on(GameEvents.BUILDING_SOLD, () => {
+                this.updateResourceCapacity();
+            }),
+
+            // Handle game end check
+            eventBus.on(GameEvents.ENTITY_DESTROYED, () => {
+                this.checkGameEnd();
+            }),
+
+            // An alliance can leave only allies standing
+            eventBus.on(GameEvents.DIPLOMACY_ALLIANCE, () => {
+                this.checkGameEnd();
+            }),
+
+            // Handle unit queue request from BuildMenu or AI
+            eventBus.on(GameEvents.UNIT_QUEUE_REQUEST, (data) => {
+                this.handleUnitQueueRequest(data);
+            }),
+
+            // Handle production cancellation
+            eventBus.on(GameEvents.PRODUCTION_CANCEL, (data) => {
+                const { building, index } = data;
+                if (building && typeof building.cancelProduction === 'function') {
+                    building.cancelProduction(index);
+                }
+            }),
+
+            // Handle auto-defense: nearby units engage attackers when buildings take damage
+            eventBus.on(GameEvents.ENTITY_DAMAGED, (data) => {
+                this.handleBuildingDefense(data);
+            })
+        ];
+    }
+
+    handleUnitQueueRequest(data) {
+        const { type, team } = data;
+        console.log('Unit queue request:', type, 'for team', team);
+
+        // Find a production building that can build this unit
+        const productionBuilding = gameState.entities.find(e =>
+            e.team === team &&
+            e.isBuilding &&
+            !e.dead &&
+            !e.isConstructing &&
+            e.def?.canBuild?.includes(type)
+        );
+
+        if (productionBuilding) {
+            // Building.queueUnit handles cost deduction and validation
+            const success = productionBuilding.queueUnit(type);
+            console.log('Unit queued at', productionBuilding.type, 'success:', success);
+
+            if (success) {
+                this.alert(team, `${UNITS[type].name} queued`, 'info');
+            }
+        } else {
+            console.log('No production building found for', type);
+            this.alert(team, 'No building available to produce this unit', 'error');
+        }
+    }
+
+    handleBuildingDefense(data) {
+        const { entity, attacker } = data;
+
+        // Only defend buildings
+        if (!entity.isBuilding || entity.dead) return;
+
+        // Need a live ship or structure that fired the shot to engage
+        const shooter = attacker?.shooter;
+        if (!shooter?.mesh || shooter.dead) return;
+
+        // Cooldown check - prevent command spam
+        const now = simulationClock.now();
+        const lastTrigger = this.defenseTimestamps.get(entity.id) ?? -Infinity;
+        if (now - lastTrigger < CONFIG.DEFENSE_COOLDOWN) return;
+        this.defenseTimestamps.set(entity.id, now);
+
+        // Find nearby friendly units
+        const defenders = this.findNearbyDefenders(entity, CONFIG.DEFENSE_RADIUS);
+
+        // Idle defenders whose stance picks its own fights engage, on the
+        // same leash as a fight they found themselves
+        for (const unit of defenders) {
+            if (this.isUnitIdle(unit) && UNIT_STANCES[unit.stance].acquire && !unit.disengaging) {
+                unit.engage(shooter);
+            }
+        }
+
+        // Alert player (first attack only, use longer cooldown)
+        if (now - lastTrigger > 10000) {
+            this.alert(entity.team, `${entity.def?.name || 'Structure'} under attack!`, 'warning');
+        }
+    }
+
+    // ===== Entity Creation =====
+
+    createUnit(x, z, team, type) {
+        const unit = new Unit(x, z, team, type, this.scene);
+        gameState.addEntity(unit);
+        return unit;
+    }
+
+    /**
+     * Check if a building can be placed at the given position
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @param {number} team - The team placing the building
+     * @param {string} type - The building type
+     * @returns {Object} - { valid: boolean, reason?: string }
+     */
+    canPlaceBuilding(x, z, team, type) {
+        // Use the building placement system for validation
+        return buildingPlacementSystem.checkPlacementValid(x, z, team, type);
+    }
+
+    createBuilding(x, z, team, type) {
+        const buildingDef = BUILDINGS[type];
+
+        // Prerequisites hold for every team, whoever sent the request
+        const rule = techRules.checkBuilding(team, type);
+        if (!rule.valid) {
+            this.alert(team, rule.reason, 'danger');
+            return null;
+        }
+
+        // Check placement validity and cost for every human player (AI bypasses
+        // this). Every lockstep peer must reach the same answer for every team.
+        if (this.humanTeams.includes(team)) {
+            const placement = this.canPlaceBuilding(x, z, team, type);
+            if (!placement.valid) {
+                this.alert(team, placement.reason || 'Cannot place building here', 'danger');
+                return null;
+            }
+
+            if (!gameState.canAfford(team, buildingDef.cost)) {
+                this.alert(team, 'Insufficient credits', 'danger');
+                return null;
+            }
+        }
+
+        // Spend credits
+        if (buildingDef.cost > 0) {
+            gameState.spendCredits(team, buildingDef.cost);
+        }
+
+        const building = new Building(x, z, team, type, this.scene);
+        gameState.addEntity(building);
+
+        // Update capacity
+        this.updateResourceCapacity();
+
+        return building;
+    }
+
+    createAlienUnit(x, z, team, type) {
+        const alien = new AlienUnit(x, z, team, type, this.scene);
+        gameState.addEntity(alien);
+        return alien;
+    }
+
+    // ===== Base Spawning =====
+
+    spawnPlayerBases() {
+        const numPlayers = this.getNumPlayers();
+        // Scale base distance with map size
+        const baseDist = Math.min(200, CONFIG.MAP_SIZE * 0.17);
+
+        // Each side gets an equal arc of the ring; allies spread within it
+        const sides = this.getSides();
+        const sideOrder = [...new Set(sides)];
+        const sideStep = (Math.PI * 2) / sideOrder.length;
+
+        for (let t = 0; t < numPlayers; t++) {
+            const side = sideOrder.indexOf(sides[t]);
+            const allies = sides.flatMap((s, team) => s === sides[t] ? [team] : []);
+            const offset = (allies.indexOf(t) - (allies.length - 1) / 2) * sideStep / (allies.length + 1);
+            const angle = sideStep * side - Math.PI / 2 + offset;
+            const x = Math.cos(angle) * baseDist;
+            const z = Math.sin(angle) * baseDist;
+
+            // Command Center (starts complete)
+            const cc = new Building(x, z, t, 'commandCenter', this.scene);
+            cc.constructionProgress = 1;
+            cc.isConstructing = false;
+            cc.health = cc.maxHealth;
+            gameState.addEntity(cc);
+
+            // Spawn starting harvesters based on config
+            const numHarvesters = CONFIG.STARTING_HARVESTERS || 1;
+            for (let h = 0; h < numHarvesters; h++) {
+                const hAngle = (h / Math.max(numHarvesters, 1)) * Math.PI * 0.5;
+                const hx = x + 20 + Math.cos(hAngle) * (h * 8);
+                const hz = z + Math.sin(hAngle) * (h * 8);
+                const harvester = new Unit(hx, hz, t, 'harvester', this.scene);
+                gameState.addEntity(harvester);
+            }
+
+            // Set starting credits from config
+            const res = gameState.getResources(t);
+            res.credits = CONFIG.STARTING_CREDITS || 1000;
+
+            // Starting ore near base
+            resourceSystem.generateStartingOreForBase(x, z, angle);
+        }
+
+        // Update capacity after spawning buildings
+        this.updateResourceCapacity();
+    }
+
+    spawnNeutralAliens() {
+        const rng = getSeededRandom();
+
+        for (let i = 0; i < CONFIG.NUM_NEUTRAL_ALIENS; i++) {
+            const team = TEAMS.NEUTRAL + i;
+
+            // Place alien bases near crystal fields or in strategic locations
+            const angle = rng.angle();
+            const dist = rng.range(300, 350);
+            const x = Math.cos(angle) * dist;
+            const z = Math.sin(angle) * dist;
+
+            if (!resourceSystem.isInAsteroidBelt(x, z)) {
+                // Alien structure
+                const alienBase = new Building(x, z, team, 'commandCenter', this.scene);
+                alienBase.constructionProgress = 1;
+                alienBase.isConstructing = false;
+                alienBase.health = alienBase.maxHealth;
+                alienBase.isAlien = true;
+                gameState.addEntity(alienBase);
+
+                // Spawn guardian units
+                for (let g = 0; g < 3; g++) {
+                    const gAngle = (g / 3) * Math.PI * 2;
+                    this.createAlienUnit(
+                        x + Math.cos(gAngle) * 25,
+                        z + Math.sin(gAngle) * 25,
+                        team,
+                        'guardian'
+                    );
+                }
+
+                // One sentinel
+                this.createAlienUnit(x, z + 35, team, 'sentinel');
+            }
+        }
+    }
+
+    // ===== Resource Management =====
+
+    updateResourceCapacity() {
+        // Calculate max energy and supply for all teams in a single pass
+        // Initialize accumulators for each team
+        const teamStats = {};
+        for (let t = 0; t <= 5; t++) {
+            teamStats[t] = { maxEnergy: 0, maxSupply: 0, energyDrain: 0 };
+        }
+
+        // Single pass through all buildings (fixes O(teams * buildings) -> O(buildings))
+        for (const building of gameState.buildings) {
+            if (building.dead) continue;
+
+            const t = building.team;
+            if (t < 0 || t > 5) continue;
+
+            const def = building.def;
+
+            // Energy drain starts immediately when building is placed,
+            // and stops while its owner has it powered down
+            if (!building.poweredDown) {
+                teamStats[t].energyDrain += def.energyDrain || 0;
+            }
+
+            // Production only counts when construction is complete
+            if (!building.isConstructing) {
+                teamStats[t].maxEnergy += def.energyProduction || 0;
+                teamStats[t].maxSupply += def.supplyProvided || 0;
+            }
+        }
+
+        // Apply stats to each team's resources
+        for (let t = 0; t <= 5; t++) {
+            const res = gameState.getResources(t);
+            const stats = teamStats[t];
+            const wasShort = res.energy < 0;
+            res.maxEnergy = stats.maxEnergy;
+            res.energy = stats.maxEnergy - stats.energyDrain;
+            res.energyDrain = stats.energyDrain;
+            res.maxSupply = stats.maxSupply;
+
+            if (res.energy < 0 && !wasShort) {
+                const percent = Math.round(powerSystem.getEfficiency(t) * 100);
+                this.alert(t, `Low power! Base running at ${percent}%`, 'warning');
+            } else if (res.energy >= 0 && wasShort) {
+                this.alert(t, 'Power restored', 'success');
+            }
+        }
+    }
+
+    // ===== Auto-Defense Helpers =====
+
+    findNearbyDefenders(building, radius) {
+        const defenders = [];
+        const bPos = building.mesh.position;
+
+        for (const entity of gameState.entities) {
+            // Must be friendly unit (not building)
+            if (entity.isBuilding || entity.dead) continue;
+            if (entity.team !== building.team) continue;
+
+            // Must be combat-capable (has weapons)
+            if (!entity.def?.damage) continue;
+
+            // Check distance
+            const dx = entity.mesh.position.x - bPos.x;
+            const dz = entity.mesh.position.z - bPos.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            if (dist <= radius) {
+                defenders.push(entity);
+            }
+        }
+
+        return defenders;
+    }
+
+    isUnitIdle(unit) {
+        // Unit is idle if not currently attacking or moving to attack
+        if (unit.attackTarget && !unit.attackTarget.dead) return false;
+        if (unit.isAttackMoving) return false;
+
+        // Has move target but not attack-moving - consider idle for defense
+        // (will interrupt move to defend base)
+        return true;
+    }
+
+    // ===== Tick =====
+
+    /**
+     * Feed real frame time; runs whole fixed ticks only
+     * @param {number} frameDt - Real seconds since the last frame
+     * @returns {number} Ticks run
+     */
+    advance(frameDt) {
+        return simulationClock.advance(frameDt, () => this.step(), this.stepGate);
+    }
+
+    /**
+     * Advance the simulation by exactly one fixed tick
+     */
+    step() {
+        const dt = simulationClock.timestep;
+
+        // Commands stamped with the previous tick (replays, lockstep) apply here
+        eventBus.emit(GameEvents.SIM_TICK, { tick: simulationClock.tick });
+        simulationClock.nextTick();
+
+        gameState.update(dt);
+
+        // Update all entities
+        for (const entity of gameState.entities) {
+            entity.update(dt);
+        }
+
+        // Update core systems
+        combatSystem.update(dt);
+        resourceSystem.update(dt);
+        aiSystem.update();
+
+        // Update navigation and formations
+        pathfinding.updateFromGameState();
+        formationSystem.update(dt);
+
+        // Update force field system
+        forceFieldSystem.update(dt);
+
+        // Economic, crystal control and timed score objectives
+        victorySystem.update();
+
+        // Post-match timelines
+        statsSystem.update();
+
+        // Delayed gameplay actions (staggered hardpoint shots, etc.)
+        simulationClock.runTimers();
+
+        // Clean up dead entities
+        this.cleanupDeadEntities();
+    }
+
+    cleanupDeadEntities() {
+        // Remove dead entities from game state
+        for (let i = gameState.entities.length - 1; i >= 0; i--) {
+            if (gameState.entities[i].dead) {
+                gameState.removeEntity(gameState.entities[i]);
+            }
+        }
+    }
+
+    // ===== Game End =====
+
+    /**
+     * Hash of the authoritative match state (FNV-1a over entities and
+     * resources). Lockstep peers compare it to detect desyncs.
+     * @returns {number}
+     */
+    getChecksum() {
+        let hash = 2166136261;
+        const mix = (value) => {
+            hash ^= Math.round(value * 100) | 0;
+            hash = Math.imul(hash, 16777619);
+        };
+
+        mix(simulationClock.tick);
+        for (const entity of gameState.entities) {
+            if (entity.dead) continue;
+            mix(entity.id);
+            mix(entity.team);
+            mix(entity.health);
+            mix(entity.mesh.position.x);
+            mix(entity.mesh.position.z);
+        }
+        for (let t = 0; t < this.getNumPlayers(); t++) {
+            const res = gameState.getResources(t);
+            mix(res.credits);
+            mix(res.crystals);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Player teams still in the match: those with a building, or with a
+     * command center in assassination mode
+     * @returns {number[]}
+     */
+    getSurvivingTeams() {
+        const surviving = [];
+        for (let t = 0; t < this.getNumPlayers(); t++) {
+            if (victorySystem.isAlive(t)) {
+                surviving.push(t);
+            }
+        }
+        return surviving;
+    }
+
+    checkGameEnd() {
+        if (!gameState.running) return;
+
+        const surviving = this.getSurvivingTeams();
+
+        // The local player loses as soon as they are knocked out
+        if (this.humanTeam !== null && !surviving.includes(this.humanTeam)) {
+            gameState.end(null, [], GameEndReason.ELIMINATED);
+            return;
+        }
+
+        // Last side standing wins: one team, or teams all allied with each other
+        const oneSide = surviving.every(t => surviving.every(t2 => t === t2 || gameState.isAllied(t, t2)));
+        if (oneSide) {
+            const reason = victorySystem.getMode() === VictoryMode.ASSASSINATION
+                ? GameEndReason.ASSASSINATION
+                : GameEndReason.ANNIHILATION;
+            gameState.end(surviving.length > 0 ? surviving[0] : null, surviving, reason);
+        }
+    }
+
+    // ===== Save/Load =====
+
+    /**
+     * Snapshot everything the next tick depends on. Restoring it with
+     * restore() continues the match exactly as it would have run.
+     * @returns {Object} JSON-safe state
+     */
+    serialize() {
+        const rng = getSeededRandom();
+
+        return {
+            humanTeams: [...this.humanTeams],
+            clock: simulationClock.serialize(),
+            rng: { seed: rng.seed, state: rng.getState() >>> 0 },   // Only the low 32 bits affect output
+            entityIdCounter: getEntityIdCounter(),
+
+            running: gameState.running,
+            winner: gameState.winner,
+            winners: [...gameState.winners],
+            victoryReason: gameState.victoryReason,
+            gameTime: gameState.gameTime,
+            resources: structuredClone(gameState.resources),
+            stats: structuredClone(gameState.stats),
+            hostility: structuredClone(gameState.hostility),
+            alliances: structuredClone(gameState.alliances),
+
+            // Removal is swap-and-pop, so each list keeps its own order
+            entities: gameState.entities.map(e => e.serialize()),
+            units: gameState.units.map(e => e.id),
+            buildings: gameState.buildings.map(e => e.id),
+            spatialGrid: gameState.spatialGrid.serialize(),
+
+            resourceNodes: resourceSystem.serialize(),
+            projectiles: combatSystem.serialize(),
+            forceFields: forceFieldSystem.serialize(),
+            aiPlayers: aiSystem.serialize(),
+            diplomacy: diplomacySystem.serialize(),
+            victory: victorySystem.serialize(),
+            matchStats: statsSystem.serialize(),
+            research: researchSystem.serialize(),
+            defenseTimestamps: [...this.defenseTimestamps]
+        };
+    }
+
+    /**
+     * Replace the running match with a serialize() snapshot. The world must
+     * already be initialized (initSystems + generateWorld) with the saved config.
+     * @param {Object} state
+     */
+    restore(state) {
+        // Tear down the current world
+        for (const entity of gameState.entities) {
+            if (entity.isUnit) LODManager.unregister(entity.id);
+            entity.rallyMarker?.dispose();
+            entity.rallyLine?.dispose();
+            entity.dispose();
+        }
+        gameState.selectedEntities = [];
+        gameState.controlGroups = {};
+
+        resourceSystem.restore(state.resourceNodes);
+
+        // Recreate entities under their saved ids
+        const byId = new Map();
+        for (const data of state.entities) {
+            setEntityIdCounter(data.id - 1);
+            byId.set(data.id, this.createSavedEntity(data));
+        }
+
+        // References to entities that died before the save keep pointing at a
+        // dead stand-in, just like the stale reference they replace
+        const tombstones = new Map();
+        const resolveEntity = (id) => {
+            if (id === null || id === undefined) return null;
+            if (byId.has(id)) return byId.get(id);
+            if (!tombstones.has(id)) tombstones.set(id, { id, dead: true, mesh: null });
+            return tombstones.get(id);
+        };
+        const refs = {
+            entity: resolveEntity,
+            node: (ref) => resourceSystem.getNodeByRef(ref)
+        };
+
+        for (const data of state.entities) {
+            byId.get(data.id).restore(data, refs);
+        }
+
+        gameState.entities = state.entities.map(data => byId.get(data.id));
+        gameState.units = state.units.map(resolveEntity);
+        gameState.buildings = state.buildings.map(resolveEntity);
+        gameState._teamCacheValid = false;
+        gameState.spatialGrid = new SpatialGrid(50, CONFIG.MAP_SIZE || 2000);
+        gameState.spatialGrid.restore(state.spatialGrid, resolveEntity);
+
+        gameState.running = state.running;
+        gameState.winner = state.winner;
+        gameState.winners = [...state.winners];
+        gameState.victoryReason = state.victoryReason;
+        gameState.gameTime = state.gameTime;
+        gameState.resources = structuredClone(state.resources);
+        gameState.stats = structuredClone(state.stats);
+        gameState.hostility = structuredClone(state.hostility);
+        gameState.alliances = structuredClone(state.alliances);
+
+        this.humanTeams = [...state.humanTeams];
+        this.defenseTimestamps = new Map(state.defenseTimestamps);
+
+        combatSystem.restore(state.projectiles, resolveEntity);
+        forceFieldSystem.restore(state.forceFields, resolveEntity);
+        aiSystem.restore(state.aiPlayers);
+        diplomacySystem.restore(state.diplomacy);
+        victorySystem.restore(state.victory);
+        statsSystem.restore(state.matchStats);
+        researchSystem.restore(state.research);
+        simulationClock.restore(state.clock);
+        setEntityIdCounter(state.entityIdCounter);
+
+        // Last: creating entities and AI players above draws from the RNG
+        const rng = getSeededRandom();
+        rng.setSeed(state.rng.seed);
+        rng.setState(state.rng.state);
+    }
+
+    createSavedEntity(data) {
+        if (data.entityType === 'building') {
+            return new Building(data.x, data.z, data.team, data.type, this.scene);
+        }
+        if (data.alienType) {
+            return new AlienUnit(data.x, data.z, data.team, data.alienType, this.scene);
+        }
+        return new Unit(data.x, data.z, data.team, data.type, this.scene);
+    }
+
+    // ===== Cleanup =====
+
+    dispose() {
+        // Unsubscribe from event bus listeners
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        this.defenseTimestamps.clear();
+
+        combatSystem.dispose();
+        resourceSystem.dispose();
+        aiSystem.dispose();
+        pathfinding.dispose();
+        formationSystem.dispose();
+        forceFieldSystem.dispose();
+        diplomacySystem.dispose();
+        victorySystem.dispose();
+        statsSystem.dispose();
+        researchSystem.dispose();
+    }
+}
+
+// Create singleton instance
+export const simulation = new Simulation();
+
+export default Simulation;
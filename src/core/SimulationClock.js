@@ -0,0 +1,169 @@
+// ============================================================
+// VOID SUPREMACY 3D - Simulation Clock
+// Fixed-timestep tick counter and scheduled timers for gameplay.
+// Render frames feed real time in; the simulation only ever
+// sees whole ticks, so the same seed + inputs replay identically.
+// ============================================================
+
+export const FIXED_TIMESTEP = 1 / 30;       // Seconds per simulation tick
+const MAX_TICKS_PER_FRAME = 5;             // Drop backlog beyond this (tab was hidden, etc.)
+
+export class SimulationClock {
+    constructor() {
+        this.actions = new Map();   // Named timer handlers (saveable timers)
+        this.reset();
+    }
+
+    /**
+     * Reset to tick 0 and clear all pending timers
+     * @param {number} timestep - Seconds per tick
+     */
+    reset(timestep = FIXED_TIMESTEP) {
+        this.timestep = timestep;
+        this.tick = 0;
+        this.accumulator = 0;
+        this.timers = [];
+        this.timerIdCounter = 0;
+    }
+
+    /**
+     * Elapsed simulation time in seconds
+     */
+    get time() {
+        return this.tick * this.timestep;
+    }
+
+    /**
+     * Elapsed simulation time in milliseconds (drop-in for performance.now())
+     */
+    now() {
+        return this.tick * this.timestep * 1000;
+    }
+
+    /**
+     * Feed real frame time and run as many whole ticks as fit
+     * @param {number} frameDt - Real seconds since last frame
+     * @param {Function} tickFn - Called once per tick with the fixed timestep
+     * @param {Function|null} canTick - Optional gate; returning false holds the clock
+     * @returns {number} Ticks run this frame
+     */
+    advance(frameDt, tickFn, canTick = null) {
+        this.accumulator += frameDt;
+
+        let ticks = 0;
+        while (this.accumulator >= this.timestep && ticks < MAX_TICKS_PER_FRAME) {
+            if (canTick && !canTick()) {
+                // Held (e.g. waiting on the network) - keep at most one frame's worth of backlog
+                this.accumulator = Math.min(this.accumulator, this.timestep * MAX_TICKS_PER_FRAME);
+                return ticks;
+            }
+            this.accumulator -= this.timestep;
+            tickFn(this.timestep);
+            ticks++;
+        }
+
+        if (ticks === MAX_TICKS_PER_FRAME) {
+            this.accumulator = 0;
+        }
+
+        return ticks;
+    }
+
+    /**
+     * Move to the next tick (called by the simulation at the start of each step)
+     */
+    nextTick() {
+        this.tick++;
+    }
+
+    /**
+     * Run a callback after a delay in simulation time
+     * A zero delay runs at the end of the current tick.
+     * @param {number} delay - Delay in seconds
+     * @param {Function} callback
+     * @returns {number} Timer id for cancel()
+     */
+    schedule(delay, callback) {
+        const id = ++this.timerIdCounter;
+        const dueTick = this.tick + Math.round(Math.max(0, delay) / this.timestep);
+        this.timers.push({ id, dueTick, callback });
+        return id;
+    }
+
+    /**
+     * Register a named handler for scheduleAction(). Action timers are
+     * plain data, so unlike schedule() closures they survive save/load.
+     * @param {string} name
+     * @param {Function} handler - Called with the timer's payload
+     */
+    registerAction(name, handler) {
+        this.actions.set(name, handler);
+    }
+
+    /**
+     * Run a registered action after a delay in simulation time
+     * @param {number} delay - Delay in seconds
+     * @param {string} action - Name passed to registerAction()
+     * @param {Object} payload - JSON-safe data handed to the action
+     * @returns {number} Timer id for cancel()
+     */
+    scheduleAction(delay, action, payload) {
+        const id = ++this.timerIdCounter;
+        const dueTick = this.tick + Math.round(Math.max(0, delay) / this.timestep);
+        this.timers.push({ id, dueTick, action, payload });
+        return id;
+    }
+
+    cancel(id) {
+        this.timers = this.timers.filter(t => t.id !== id);
+    }
+
+    /**
+     * Run timers that are due, in the order they were scheduled
+     */
+    runTimers() {
+        while (this.timers.length > 0) {
+            const due = this.timers.filter(t => t.dueTick <= this.tick);
+            if (due.length === 0) break;
+
+            this.timers = this.timers.filter(t => t.dueTick > this.tick);
+            for (const timer of due) {
+                if (timer.callback) {
+                    timer.callback();
+                } else {
+                    this.actions.get(timer.action)?.(timer.payload);
+                }
+            }
+        }
+    }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        if (this.timers.some(t => t.callback)) {
+            console.warn('SimulationClock: closure timers cannot be saved and were dropped');
+        }
+
+        return {
+            tick: this.tick,
+            timestep: this.timestep,
+            timerIdCounter: this.timerIdCounter,
+            timers: this.timers
+                .filter(t => !t.callback)
+                .map(({ id, dueTick, action, payload }) => ({ id, dueTick, action, payload }))
+        };
+    }
+
+    restore(data) {
+        this.timestep = data.timestep;
+        this.tick = data.tick;
+        this.accumulator = 0;
+        this.timerIdCounter = data.timerIdCounter;
+        this.timers = data.timers.map(t => ({ ...t }));
+    }
+}
+
+// Create singleton instance
+export const simulationClock = new SimulationClock();
+
+export default SimulationClock;
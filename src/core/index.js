@@ -6,5 +6,7 @@
 export * from './Config.js?v=20260119';
 export { EventBus, eventBus, GameEvents } from './EventBus.js?v=20260119';
 export { GameState, gameState } from './GameState.js?v=20260119';
+export { Simulation, simulation } from './Simulation.js?v=20260119';
+export { SimTransform, SimVector3, createVector3, lerpVector3 } from './SimTransform.js?v=20260119';
 export { Game, game } from './Game.js?v=20260119';
 export { MaterialPool } from './MaterialPool.js?v=20260119';
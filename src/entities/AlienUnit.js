@@ -6,6 +6,7 @@
 import { Unit } from './Unit.js?v=20260119';
 import { ALIEN_UNITS, UNITS, TEAM_COLORS } from '../core/Config.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
 
 export class AlienUnit extends Unit {
     constructor(x, z, team, alienType, scene) {
@@ -123,8 +124,8 @@ export class AlienUnit extends Unit {
                 if (dist > this.def.range) {
                     this.moveToward(this.attackTarget.mesh.position.x, this.attackTarget.mesh.position.z, dt);
                 } else {
-                    const now = performance.now();
-                    if (now - this.lastFire > this.def.fireRate) {
+                    const now = simulationClock.now();
+                    if (now - this.lastFire > this.getFireRate()) {
                         this.fireAt(this.attackTarget);
                         this.lastFire = now;
                     }
@@ -155,6 +156,28 @@ export class AlienUnit extends Unit {
             }
         }
     }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            alienType: this.alienType,
+            homeX: this.homeX,
+            homeZ: this.homeZ,
+            aggroRange: this.aggroRange,
+            returnRange: this.returnRange
+        };
+    }
+
+    restore(data, refs) {
+        super.restore(data, refs);
+
+        this.homeX = data.homeX;
+        this.homeZ = data.homeZ;
+        this.aggroRange = data.aggroRange;
+        this.returnRange = data.returnRange;
+    }
 }
 
 export default AlienUnit;
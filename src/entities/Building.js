@@ -5,10 +5,25 @@
 // ============================================================
 
 import { Entity } from './Entity.js?v=20260119';
-import { BUILDINGS, UNITS, TEAMS, TEAM_COLORS, CONFIG } from '../core/Config.js?v=20260119';
+import { BUILDINGS, UNITS, UPGRADES, TEAMS, TEAM_COLORS, CONFIG } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
 import { MaterialPool } from '../core/MaterialPool.js?v=20260119';
+import { SimTransform } from '../core/SimTransform.js?v=20260119';
+import { getSeededRandom } from '../core/SeededRandom.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { researchSystem } from '../systems/ResearchSystem.js?v=20260119';
+import { techRules } from '../systems/TechRules.js?v=20260119';
+import { powerSystem } from '../systems/PowerSystem.js?v=20260119';
+
+// Share of max health a repair restores per second
+const REPAIR_RATE = 0.03;
+
+// Credits per hit point repaired
+const REPAIR_COST_PER_HP = 0.5;
+
+// Share of the credits put into a structure that selling it returns at full health
+const SELL_REFUND = 0.5;
 
 export class Building extends Entity {
     constructor(x, z, team, type, scene) {
@@ -45,13 +60,26 @@ export class Building extends Entity {
 
         // Turret specific
         this.lastFire = 0;
+        this.lastIntercept = 0;  // Point-defense volley
         this.turretHead = null;
 
+        // Switched off by its owner to free energy (see PowerSystem)
+        this.poweredDown = false;
+
+        // Owner-ordered repair and in-place upgrade (tier 2 uses def.upgrade)
+        this.tier = 1;
+        this.isUpgrading = false;
+        this.upgradeProgress = 0;
+        this.repairing = false;
+
         // Alien building flag
         this.isAlien = false;
 
         if (scene) {
             this.createMesh(scene);
+        } else {
+            // Headless: plain transform so gameplay code can use mesh.position
+            this.mesh = new SimTransform(x, 0, z);
         }
     }
 
@@ -99,6 +127,7 @@ export class Building extends Entity {
                 this.createShipyard(color, scene);
                 break;
             case 'turret':
+            case 'pointDefenseTurret':
                 this.createTurret(color, scene);
                 break;
             case 'supplyDepot':
@@ -573,44 +602,62 @@ export class Building extends Entity {
             return;
         }
 
-        // Building production
+        // Repairs and upgrades run alongside everything else
+        if (this.repairing) this.updateRepair(dt);
+        if (this.isUpgrading) this.updateUpgrade(dt);
+
+        // Building production (units, or upgrades in a research lab)
         if (this.buildQueue.length > 0) {
-            const building = this.buildQueue[0];
-            const unitDef = UNITS[building.type];
-            // Guard: skip if unitDef is invalid
-            if (!unitDef) {
+            const item = this.buildQueue[0];
+            const itemDef = this.getQueueItemDef(item.type);
+            // Guard: skip if itemDef is invalid
+            if (!itemDef) {
                 this.buildQueue.shift();
                 this.buildProgress = 0;
                 return;
             }
-            this.buildProgress += dt / unitDef.buildTime;
+            // Ships whose prerequisites were lost (or came in with a save) stay on hold
+            if (this.isProductionOnHold() || this.poweredDown) return;
+
+            // Brownouts slow production with the power shortfall
+            const rate = powerSystem.getEfficiency(this.team);
+            this.buildProgress += dt * rate / (this.def.canResearch ? itemDef.researchTime : itemDef.buildTime);
 
             if (this.buildProgress >= 1) {
-                this.spawnUnit(building.type);
+                if (this.def.canResearch) {
+                    researchSystem.complete(this.team, item.type);
+                } else {
+                    this.spawnUnit(item.type);
+                }
                 this.buildQueue.shift();
                 this.buildProgress = 0;
             }
         }
 
         // Refinery processing
-        if (this.type === 'refinery' && !this.isConstructing) {
-            const processAmount = Math.min(this.storedOre, this.def.processRate * dt);
+        if (this.type === 'refinery' && !this.isConstructing && !this.poweredDown) {
+            const rate = this.def.processRate * powerSystem.getEfficiency(this.team);
+            const processAmount = Math.min(this.storedOre, rate * dt);
             if (processAmount > 0) {
                 this.storedOre -= processAmount;
                 gameState.modifyResource(this.team, 'ore', -processAmount);
-                gameState.modifyResource(this.team, 'credits', processAmount * CONFIG.ORE_VALUE_MULTIPLIER);
+                const credits = processAmount * CONFIG.ORE_VALUE_MULTIPLIER;
+                gameState.modifyResource(this.team, 'credits', credits);
+                gameState.recordResourcesCollected(this.team, credits);
             }
 
-            const crystalProcess = Math.min(this.storedCrystals, this.def.processRate * 0.5 * dt);
+            const crystalProcess = Math.min(this.storedCrystals, rate * 0.5 * dt);
             if (crystalProcess > 0) {
                 this.storedCrystals -= crystalProcess;
                 gameState.modifyResource(this.team, 'crystals', -crystalProcess);
-                gameState.modifyResource(this.team, 'credits', crystalProcess * CONFIG.CRYSTAL_VALUE_MULTIPLIER * 2);
+                const credits = crystalProcess * CONFIG.CRYSTAL_VALUE_MULTIPLIER * 2;
+                gameState.modifyResource(this.team, 'credits', credits);
+                gameState.recordResourcesCollected(this.team, credits);
             }
         }
 
         // Turret combat
-        if (this.type === 'turret' && !this.isConstructing) {
+        if (this.type === 'turret' && !this.isConstructing && !this.poweredDown) {
             const target = this.findTarget();
             if (target && target.mesh) {
                 // Rotate turret to face target (if turretHead exists)
@@ -621,9 +668,9 @@ export class Building extends Entity {
                     this.turretHead.rotation.y = targetAngle;
                 }
 
-                // Fire regardless of turretHead
-                const now = performance.now();
-                if (now - this.lastFire > this.def.fireRate) {
+                // Fire regardless of turretHead; brownouts stretch the reload
+                const now = simulationClock.now();
+                if (now - this.lastFire > this.def.fireRate / powerSystem.getEfficiency(this.team)) {
                     this.fireAt(target);
                     this.lastFire = now;
                 }
@@ -658,7 +705,8 @@ export class Building extends Entity {
         // Determine if we should show progress bar
         const showConstruction = this.isConstructing;
         const showProduction = this.buildQueue.length > 0 && !this.isConstructing;
-        const showBar = showConstruction || showProduction;
+        const showUpgrade = this.isUpgrading && !this.isConstructing;
+        const showBar = showConstruction || showProduction || showUpgrade;
 
         this.progressBarBg.isVisible = showBar;
         this.progressBarFill.isVisible = showBar;
@@ -674,6 +722,13 @@ export class Building extends Entity {
                 this.progressBarFill.material.emissiveColor = new BABYLON.Color3(1, 0.8, 0);
                 this.progressBarFill.material.diffuseColor = new BABYLON.Color3(1, 0.8, 0);
             }
+        } else if (showUpgrade) {
+            progress = this.upgradeProgress;
+            // Blue for upgrades
+            if (this.progressBarFill.material) {
+                this.progressBarFill.material.emissiveColor = new BABYLON.Color3(0.2, 0.6, 1);
+                this.progressBarFill.material.diffuseColor = new BABYLON.Color3(0.2, 0.6, 1);
+            }
         } else if (showProduction) {
             progress = this.buildProgress || 0;
             // Green for production
@@ -694,7 +749,7 @@ export class Building extends Entity {
 
     findTarget() {
         let closest = null;
-        let closestDist = this.def.range || 0;
+        let closestDist = (this.def.range || 0) * (1 + researchSystem.getBonus(this.team, 'turretRange'));
 
         for (const ent of gameState.entities) {
             if (ent.dead || ent.team === this.team) continue;
@@ -724,21 +779,11 @@ export class Building extends Entity {
 
             hardpoints.forEach((hp, index) => {
                 // Stagger shots slightly (50ms between each hardpoint)
-                setTimeout(() => {
-                    if (this.dead || (target && target.dead)) return;
-
-                    // For turrets, use turretHead rotation for proper hardpoint positioning
-                    let hardpointOffset = { x: hp.x, y: hp.y, z: hp.z };
-
-                    eventBus.emit(GameEvents.COMBAT_PROJECTILE_FIRED, {
-                        shooter: this,
-                        target,
-                        startPos: this.mesh.position.clone(),
-                        damage: damagePerHardpoint,
-                        hardpointOffset: hardpointOffset,
-                        hardpointWeapon: hp.weapon || this.def.weaponType
-                    });
-                }, index * 50);
+                this.staggerShot(index, target, {
+                    damage: damagePerHardpoint,
+                    hardpointOffset: { x: hp.x, y: hp.y, z: hp.z },
+                    hardpointWeapon: hp.weapon || this.def.weaponType
+                });
             });
         } else {
             // Fallback to single shot
@@ -758,6 +803,21 @@ export class Building extends Entity {
             console.warn(`queueUnit: Unknown unit type '${unitType}'`);
             return false;
         }
+        if (!this.def.canBuild?.includes(unitType)) {
+            console.warn(`queueUnit: ${this.type} cannot build '${unitType}'`);
+            return false;
+        }
+
+        const rule = techRules.checkUnit(this.team, unitType);
+        if (!rule.valid) {
+            eventBus.emit(GameEvents.UI_ALERT, {
+                message: rule.reason,
+                type: 'danger',
+                team: this.team
+            });
+            return false;
+        }
+
         const res = gameState.getResources(this.team);
 
         // Normalize cost - handle both number and object formats
@@ -793,19 +853,71 @@ export class Building extends Entity {
         return true;
     }
 
+    /**
+     * Research upgrade at the back of this lab's queue
+     * @param {string} upgradeId - UPGRADES key
+     * @returns {boolean} Queued
+     */
+    queueResearch(upgradeId) {
+        const upgrade = UPGRADES[upgradeId];
+        if (!upgrade || !this.def.canResearch?.includes(upgradeId)) {
+            console.warn(`queueResearch: ${this.type} cannot research '${upgradeId}'`);
+            return false;
+        }
+
+        if (!gameState.canAfford(this.team, upgrade.cost)) {
+            eventBus.emit(GameEvents.UI_ALERT, {
+                message: 'Insufficient credits',
+                type: 'danger',
+                team: this.team
+            });
+            return false;
+        }
+
+        gameState.spendCredits(this.team, upgrade.cost);
+        this.buildQueue.push({ type: upgradeId });
+
+        eventBus.emit(GameEvents.RESEARCH_STARTED, {
+            building: this,
+            team: this.team,
+            upgrade: upgradeId
+        });
+
+        return true;
+    }
+
+    /**
+     * Definition of a queued item: an upgrade in a research lab, a unit elsewhere
+     * @param {string} type
+     * @returns {Object|undefined}
+     */
+    getQueueItemDef(type) {
+        return this.def.canResearch ? UPGRADES[type] : UNITS[type];
+    }
+
+    /**
+     * @returns {boolean} The ship at the head of the queue is locked
+     */
+    isProductionOnHold() {
+        const item = this.buildQueue[0];
+        return !!item && !this.def.canResearch && !techRules.checkUnit(this.team, item.type).valid;
+    }
+
     cancelProduction(index = 0) {
         if (index < 0 || index >= this.buildQueue.length) return false;
 
         const item = this.buildQueue[index];
         if (!item) return false;
 
-        const unitDef = UNITS[item.type];
-        if (!unitDef) return false;
+        const itemDef = this.getQueueItemDef(item.type);
+        if (!itemDef) return false;
 
-        // Refund cost and supply
-        const cost = typeof unitDef.cost === 'number' ? unitDef.cost : (unitDef.cost?.credits || 0);
+        // Refund cost, and supply for units
+        const cost = typeof itemDef.cost === 'number' ? itemDef.cost : (itemDef.cost?.credits || 0);
         gameState.modifyResource(this.team, 'credits', cost);
-        gameState.modifyResource(this.team, 'supply', -(unitDef.supply || 1));
+        if (!this.def.canResearch) {
+            gameState.modifyResource(this.team, 'supply', -(itemDef.supply || 1));
+        }
 
         // Remove from queue
         this.buildQueue.splice(index, 1);
@@ -816,7 +928,9 @@ export class Building extends Entity {
         }
 
         eventBus.emit(GameEvents.UI_ALERT, {
-            message: `${unitDef.name} cancelled (+${cost} credits, -${unitDef.supply || 1} supply)`,
+            message: this.def.canResearch
+                ? `${itemDef.name} research cancelled (+${cost} credits)`
+                : `${itemDef.name} cancelled (+${cost} credits, -${itemDef.supply || 1} supply)`,
             type: 'info',
             team: this.team
         });
@@ -831,7 +945,7 @@ export class Building extends Entity {
             console.warn(`spawnUnit: Unknown unit type '${unitType}'`);
             return;
         }
-        const angle = Math.random() * Math.PI * 2;
+        const angle = getSeededRandom().angle();
         const dist = this.size + 8;
         const x = this.mesh.position.x + Math.cos(angle) * dist;
         const z = this.mesh.position.z + Math.sin(angle) * dist;
@@ -845,6 +959,182 @@ export class Building extends Entity {
         });
     }
 
+    // ===== Repair, Sell and Upgrade =====
+
+    /**
+     * @returns {boolean} Damaged and able to take a repair order
+     */
+    canRepair() {
+        return !this.dead && !this.isConstructing && !this.isAlien && this.health < this.maxHealth;
+    }
+
+    /**
+     * Start or stop repairing. Repairs cost credits as hull is restored
+     * and stop by themselves when done or when credits run out.
+     * @param {boolean} repairing
+     * @returns {boolean} Changed
+     */
+    setRepairing(repairing) {
+        if (this.repairing === repairing || (repairing && !this.canRepair())) return false;
+        this.repairing = repairing;
+        return true;
+    }
+
+    updateRepair(dt) {
+        const res = gameState.getResources(this.team);
+        const amount = Math.min(
+            this.maxHealth - this.health,
+            this.maxHealth * REPAIR_RATE * dt,
+            res.credits / REPAIR_COST_PER_HP
+        );
+
+        if (amount > 0) {
+            gameState.spendCredits(this.team, amount * REPAIR_COST_PER_HP);
+            this.heal(amount);
+        }
+
+        if (this.health >= this.maxHealth) {
+            this.repairing = false;
+            eventBus.emit(GameEvents.UI_ALERT, {
+                message: `${this.def.name} repaired`,
+                type: 'info',
+                team: this.team
+            });
+        } else if (amount <= 0) {
+            this.repairing = false;
+            eventBus.emit(GameEvents.UI_ALERT, {
+                message: `${this.def.name} repair stopped: insufficient credits`,
+                type: 'warning',
+                team: this.team
+            });
+        }
+    }
+
+    /**
+     * @returns {boolean} Can be sold; the command center never can
+     */
+    canSell() {
+        return !this.dead && !this.isConstructing && !this.isAlien && this.type !== 'commandCenter';
+    }
+
+    /**
+     * Credits returned for selling now: a share of the build and upgrade
+     * cost, scaled by remaining health
+     * @returns {number}
+     */
+    getSellValue() {
+        const base = BUILDINGS[this.type];
+        const invested = base.cost + (this.tier > 1 || this.isUpgrading ? base.upgrade.cost : 0);
+        return Math.floor(invested * SELL_REFUND * (this.health / this.maxHealth));
+    }
+
+    /**
+     * Refund queued items, pay out the sell value and remove the structure
+     * @returns {boolean} Sold
+     */
+    sell() {
+        if (!this.canSell()) return false;
+
+        for (let i = this.buildQueue.length - 1; i >= 0; i--) {
+            this.cancelProduction(i);
+        }
+
+        const refund = this.getSellValue();
+        gameState.modifyResource(this.team, 'credits', refund);
+        this.dead = true;
+        this.clearRallyVisuals();
+
+        eventBus.emit(GameEvents.BUILDING_SOLD, {
+            building: this,
+            refund
+        });
+        eventBus.emit(GameEvents.BUILDING_DESTROYED, {
+            building: this,
+            killer: null,
+            sold: true
+        });
+        eventBus.emit(GameEvents.UI_ALERT, {
+            message: `${this.def.name} sold (+${refund} credits)`,
+            type: 'info',
+            team: this.team
+        });
+
+        this.dispose();
+        return true;
+    }
+
+    /**
+     * @returns {Object|null} The next tier's definition entry, if any
+     */
+    getUpgrade() {
+        return this.tier === 1 ? BUILDINGS[this.type].upgrade ?? null : null;
+    }
+
+    /**
+     * @returns {boolean} Has a further tier and nothing is in the way
+     */
+    canUpgrade() {
+        return !!this.getUpgrade() && !this.dead && !this.isConstructing && !this.isUpgrading && !this.isAlien;
+    }
+
+    /**
+     * Pay for and begin upgrading to the next tier
+     * @returns {boolean} Started
+     */
+    startUpgrade() {
+        if (!this.canUpgrade()) return false;
+
+        const upgrade = this.getUpgrade();
+        if (!gameState.spendCredits(this.team, upgrade.cost)) {
+            eventBus.emit(GameEvents.UI_ALERT, {
+                message: 'Insufficient credits',
+                type: 'danger',
+                team: this.team
+            });
+            return false;
+        }
+
+        this.isUpgrading = true;
+        this.upgradeProgress = 0;
+        return true;
+    }
+
+    updateUpgrade(dt) {
+        if (this.poweredDown) return;
+
+        // Brownouts slow upgrades like production
+        this.upgradeProgress += dt * powerSystem.getEfficiency(this.team) / this.getUpgrade().time;
+        if (this.upgradeProgress < 1) return;
+
+        const previousMaxHealth = this.maxHealth;
+        this.isUpgrading = false;
+        this.upgradeProgress = 0;
+        this.tier = 2;
+        this.def = this.getTierDef();
+        this.maxHealth = this.def.maxHealth;
+        this.health += this.maxHealth - previousMaxHealth;
+
+        eventBus.emit(GameEvents.BUILDING_UPGRADED, {
+            building: this,
+            tier: this.tier
+        });
+        eventBus.emit(GameEvents.UI_ALERT, {
+            message: `${this.def.name} upgrade complete!`,
+            type: 'success',
+            team: this.team
+        });
+    }
+
+    /**
+     * Base definition with the upgrade's stats applied from tier 2
+     * @returns {Object}
+     */
+    getTierDef() {
+        const base = BUILDINGS[this.type];
+        if (this.tier === 1 || !base.upgrade) return base;
+        return { ...base, ...base.upgrade.stats, name: base.upgrade.name };
+    }
+
     takeDamage(amount, attacker) {
         this.health -= amount;
 
@@ -874,7 +1164,17 @@ export class Building extends Entity {
             gameState.recordKill(killer.team);
         }
 
-        // Clean up rally point visuals
+        this.clearRallyVisuals();
+
+        eventBus.emit(GameEvents.BUILDING_DESTROYED, {
+            building: this,
+            killer
+        });
+
+        this.dispose();
+    }
+
+    clearRallyVisuals() {
         if (this.rallyMarker) {
             this.rallyMarker.dispose();
             this.rallyMarker = null;
@@ -883,13 +1183,50 @@ export class Building extends Entity {
             this.rallyLine.dispose();
             this.rallyLine = null;
         }
+    }
 
-        eventBus.emit(GameEvents.BUILDING_DESTROYED, {
-            building: this,
-            killer
-        });
+    // ===== Save/Load =====
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            isConstructing: this.isConstructing,
+            constructionProgress: this.constructionProgress,
+            buildQueue: this.buildQueue.map(item => ({ type: item.type })),
+            buildProgress: this.buildProgress,
+            rallyPoint: this.rallyPoint && { x: this.rallyPoint.x, z: this.rallyPoint.z },
+            storedOre: this.storedOre,
+            storedCrystals: this.storedCrystals,
+            lastFire: this.lastFire,
+            lastIntercept: this.lastIntercept,
+            poweredDown: this.poweredDown,
+            tier: this.tier,
+            isUpgrading: this.isUpgrading,
+            upgradeProgress: this.upgradeProgress,
+            repairing: this.repairing,
+            isAlien: this.isAlien
+        };
+    }
 
-        this.dispose();
+    restore(data, refs) {
+        super.restore(data, refs);
+
+        this.isConstructing = data.isConstructing;
+        this.constructionProgress = data.constructionProgress;
+        this.buildQueue = data.buildQueue.map(item => ({ type: item.type }));
+        this.buildProgress = data.buildProgress;
+        this.rallyPoint = data.rallyPoint;
+        this.storedOre = data.storedOre;
+        this.storedCrystals = data.storedCrystals;
+        this.lastFire = data.lastFire;
+        this.lastIntercept = data.lastIntercept;
+        this.poweredDown = data.poweredDown;
+        this.tier = data.tier;
+        this.def = this.getTierDef();
+        this.isUpgrading = data.isUpgrading;
+        this.upgradeProgress = data.upgradeProgress;
+        this.repairing = data.repairing;
+        this.isAlien = data.isAlien;
     }
 }
 
@@ -5,9 +5,48 @@
 
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { TEAM_COLORS } from '../core/Config.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
 
 let entityIdCounter = 0;
 
+/**
+ * Restart entity ids at 1 (new match) so ids are reproducible per seed
+ */
+export function resetEntityIds() {
+    entityIdCounter = 0;
+}
+
+/**
+ * Last id handed out (saved with the match)
+ */
+export function getEntityIdCounter() {
+    return entityIdCounter;
+}
+
+/**
+ * Continue ids from a saved counter; the next entity gets value + 1
+ * @param {number} value
+ */
+export function setEntityIdCounter(value) {
+    entityIdCounter = value;
+}
+
+// Staggered hardpoint shot. Shooter and target travel as ids so pending
+// shots are plain data and can be saved with the simulation clock.
+simulationClock.registerAction('hardpointShot', ({ shooterId, targetId, shot }) => {
+    const shooter = gameState.getEntityById(shooterId);
+    const target = gameState.getEntityById(targetId);
+    if (!shooter || shooter.dead || !target || target.dead) return;
+
+    eventBus.emit(GameEvents.COMBAT_PROJECTILE_FIRED, {
+        shooter,
+        target,
+        startPos: shooter.mesh.position.clone(),
+        ...shot
+    });
+});
+
 export class Entity {
     constructor(x, z, team) {
         this.id = ++entityIdCounter;
@@ -115,6 +154,57 @@ export class Entity {
         }
     }
 
+    /**
+     * Fire a hardpoint shot after its stagger delay (50ms per hardpoint),
+     * scheduled on the simulation clock so it lands on a fixed tick.
+     * Skipped if the shooter or target dies in the meantime.
+     * @param {number} index - Hardpoint index
+     * @param {Entity} target - Entity to fire at
+     * @param {Object} shot - damage, splash, hardpointOffset, hardpointWeapon
+     */
+    staggerShot(index, target, shot) {
+        simulationClock.scheduleAction(index * 0.05, 'hardpointShot', {
+            shooterId: this.id,
+            targetId: target.id,
+            shot
+        });
+    }
+
+    // ===== Save/Load =====
+
+    /**
+     * Plain-data snapshot of this entity. Entity references are stored as ids.
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            id: this.id,
+            entityType: this.entityType,
+            type: this.type,
+            team: this.team,
+            x: this.x,
+            z: this.z,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            position: [this.mesh.position.x, this.mesh.position.y, this.mesh.position.z],
+            rotation: this.mesh.rotation.y
+        };
+    }
+
+    /**
+     * Apply a snapshot from serialize() to a freshly constructed entity
+     * @param {Object} data - Snapshot
+     * @param {Object} refs - { entity(id), node(ref) } resolvers for references
+     */
+    restore(data, refs) {
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+        this.mesh.position.x = data.position[0];
+        this.mesh.position.y = data.position[1];
+        this.mesh.position.z = data.position[2];
+        this.mesh.rotation.y = data.rotation;
+    }
+
     update(dt) {
         // Override in subclasses
     }
@@ -5,12 +5,31 @@
 // ============================================================
 
 import { Entity } from './Entity.js?v=20260119';
-import { UNITS, TEAMS, TEAM_COLORS, CONFIG } from '../core/Config.js?v=20260119';
+import { UNITS, BUILDINGS, TEAMS, TEAM_COLORS, CONFIG, VETERANCY_RANKS, UNIT_STANCES, DEFAULT_STANCE } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
 import { MaterialPool } from '../core/MaterialPool.js?v=20260119';
 import { LODManager } from '../rendering/LODManager.js?v=20260119';
 import { forceFieldSystem } from '../systems/ForceFieldSystem.js?v=20260119';
+import { resourceSystem } from '../systems/ResourceSystem.js?v=20260119';
+import { researchSystem } from '../systems/ResearchSystem.js?v=20260119';
+import { SimTransform } from '../core/SimTransform.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+
+// Furthest a repairing building can reach, measured from its centre
+const REPAIR_REACH = Math.max(...Object.values(BUILDINGS).map(def => def.repairRate ? def.size + def.repairRange : 0));
+
+// Returning fighters this close to their carrier's hull are back aboard
+const FIGHTER_DOCK_DISTANCE = 6;
+
+// XP for a kill, as a share of the victim's hull and shields
+const KILL_XP_SHARE = 0.5;
+
+// Gap between rank insignia on the selection ring
+const INSIGNIA_SPACING = 1.5;
+
+// A ship this close to its move target has arrived (see updateMovement)
+const ARRIVE_DISTANCE = 2;
 
 export class Unit extends Entity {
     constructor(x, z, team, type, scene) {
@@ -41,28 +60,49 @@ export class Unit extends Entity {
         this.attackTarget = null;
         this.attackTargets = []; // For multi-target capital ships
         this.lastFire = 0;
+        this.lastIntercept = 0;  // Point-defense volley (capital ships)
         this.isAttackMoving = false;
         this.holdPosition = false;
         this.patrolPoints = null;
         this.patrolIndex = 0;
 
+        // Stance: what the ship engages without orders (see UNIT_STANCES)
+        this.stance = this.def.stance || DEFAULT_STANCE;
+        this.leashAnchor = null;    // Where a leashed fight of our own started
+        this.disengaging = false;   // Broke off at the leash, heading back
+        this.lastAttacker = null;   // Whoever hit us last, for stances that retaliate
+
+        // Veterancy (see VETERANCY_RANKS)
+        this.experience = 0;
+        this.rank = 0;
+        this.rankInsignia = [];
+
+        // Carrier hangar (see updateHangar); on fighters, the carrier they fly from
+        const hangar = this.def.hangar;
+        this.hangar = hangar ? { ready: hangar.capacity, rearming: [], rebuilding: false, rebuildProgress: 0 } : null;
+        this.fighters = [];
+        this.carrier = null;
+
         // Harvesting (for harvesters)
         this.harvestTarget = null;
         this.cargo = 0;
         this.cargoType = null; // 'ore' or 'crystal'
         this.isReturning = false;
 
-        // Store team color for LOD billboard
-        this.teamColor = TEAM_COLORS[this.team] ?
-            new BABYLON.Color3(TEAM_COLORS[this.team].r, TEAM_COLORS[this.team].g, TEAM_COLORS[this.team].b) :
-            new BABYLON.Color3(1, 1, 1);
-
         if (scene) {
+            // Store team color for LOD billboard
+            this.teamColor = TEAM_COLORS[this.team] ?
+                new BABYLON.Color3(TEAM_COLORS[this.team].r, TEAM_COLORS[this.team].g, TEAM_COLORS[this.team].b) :
+                new BABYLON.Color3(1, 1, 1);
+
             this.createMesh(scene);
             this.mesh.position = new BABYLON.Vector3(x, this.size, z);
 
             // Register with LOD manager for distance-based detail switching
             this.registerWithLODManager();
+        } else {
+            // Headless: plain transform so gameplay code can use mesh.position
+            this.mesh = new SimTransform(x, this.size, z);
         }
     }
 
@@ -140,7 +180,7 @@ export class Unit extends Entity {
             // Fallback to default ship creation
             if (this.type === 'harvester') {
                 this.createHarvesterMesh(color, parent, scene);
-            } else if (['scout', 'interceptor', 'striker'].includes(this.type)) {
+            } else if (['scout', 'interceptor', 'striker', 'carrierDrone'].includes(this.type)) {
                 this.createFighterMesh(color, parent, scene);
             } else if (['heavy', 'bomber', 'gunship'].includes(this.type)) {
                 this.createMediumMesh(color, parent, scene);
@@ -177,6 +217,30 @@ export class Unit extends Entity {
         this.mesh = parent;
     }
 
+    /**
+     * One marker per rank at the front of the selection ring, shown with it
+     */
+    updateRankInsignia() {
+        if (!this.selectionRing) return;
+
+        for (const mark of this.rankInsignia) mark.dispose();
+        this.rankInsignia = [];
+
+        for (let i = 0; i < this.rank; i++) {
+            const mark = BABYLON.MeshBuilder.CreatePolyhedron('rankInsignia_' + this.id, {
+                type: 1,
+                size: 0.5
+            }, this.scene);
+            mark.parent = this.mesh;
+            mark.position.x = (i - (this.rank - 1) / 2) * INSIGNIA_SPACING;
+            mark.position.y = this.selectionRing.position.y;
+            mark.position.z = this.size * 1.5;
+            mark.material = MaterialPool.getSelectionMaterial();
+            mark.isVisible = this.selectionRing.isVisible;
+            this.rankInsignia.push(mark);
+        }
+    }
+
     createHarvesterMesh(color, parent, scene) {
         const body = BABYLON.MeshBuilder.CreateBox('body', {
             width: this.size * 1.5,
@@ -306,11 +370,23 @@ export class Unit extends Entity {
         // Update selection ring visibility
         if (this.selectionRing) {
             this.selectionRing.isVisible = this.selected;
+            for (const mark of this.rankInsignia) mark.isVisible = this.selected;
         }
 
         // Shield regeneration
         if (this.shield < this.maxShield) {
-            this.shield = Math.min(this.maxShield, this.shield + dt * 5);
+            const regen = 5 * (1 + researchSystem.getBonus(this.team, 'shieldRegen') + this.getRankBonus('shieldRegen'));
+            this.shield = Math.min(this.maxShield, this.shield + dt * regen);
+        }
+
+        // Hull repair near a friendly command center or shipyard
+        if (this.health < this.maxHealth) {
+            this.updateRepair(dt);
+        }
+
+        // Carriers launch, recall and rebuild their fighters
+        if (this.hangar) {
+            this.updateHangar(dt);
         }
 
         // Harvesting logic
@@ -319,6 +395,11 @@ export class Unit extends Entity {
             return;
         }
 
+        // A ship that broke off at its leash picks no new fights until back
+        if (this.disengaging && this.isIdle()) {
+            this.disengaging = false;
+        }
+
         // Combat logic - handle multi-target capital ships
         const maxTargets = this.def.multiTarget || 1;
 
@@ -331,26 +412,29 @@ export class Unit extends Entity {
                 const dist = this.distanceTo(this.attackTarget);
 
                 if (dist > this.def.range) {
-                    // Move closer
-                    if (!this.holdPosition) {
+                    // Move closer, unless that takes us past the stance's leash
+                    if (this.isBeyondLeash()) {
+                        this.disengage();
+                    } else if (!this.holdPosition) {
                         this.moveToward(this.attackTarget.mesh.position.x, this.attackTarget.mesh.position.z, dt);
                     }
                 } else {
                     // Fire
-                    const now = performance.now();
-                    if (now - this.lastFire > this.def.fireRate) {
+                    const now = simulationClock.now();
+                    if (now - this.lastFire > this.getFireRate()) {
                         this.fireAt(this.attackTarget);
                         this.lastFire = now;
                     }
                 }
             } else {
                 this.attackTarget = null;
+                this.leashAnchor = null;
 
-                // Attack-move: find targets while moving
-                if (this.isAttackMoving || this.holdPosition) {
-                    const target = this.findTarget();
+                // Attack-move, hold position or nothing to do: engage as the stance allows
+                if (this.isAttackMoving || this.holdPosition || this.isIdle()) {
+                    const [target] = this.findStanceTargets(1);
                     if (target) {
-                        this.attackTarget = target;
+                        this.engage(target);
                         return;
                     }
                 }
@@ -370,7 +454,7 @@ export class Unit extends Entity {
                     }
 
                     // Check for enemies while patrolling
-                    const enemy = this.findTarget();
+                    const [enemy] = this.findStanceTargets(1);
                     if (enemy) this.attackTarget = enemy;
                     return;
                 }
@@ -385,14 +469,18 @@ export class Unit extends Entity {
         // Clean up dead targets
         this.attackTargets = this.attackTargets.filter(t => t && !t.dead && t.mesh);
 
-        // Find additional targets if we have room
+        // Find additional targets if we have room and the stance allows it
         if (this.attackTargets.length < maxTargets) {
-            const newTargets = this.findMultipleTargets(maxTargets - this.attackTargets.length);
+            const engaged = this.attackTargets.length > 0 || (this.attackTarget && !this.attackTarget.dead);
+            const newTargets = this.findStanceTargets(maxTargets - this.attackTargets.length);
             for (const t of newTargets) {
                 if (!this.attackTargets.includes(t)) {
                     this.attackTargets.push(t);
                 }
             }
+            if (!engaged && newTargets.length > 0) {
+                this.startLeash();
+            }
         }
 
         // Also include primary attackTarget if set
@@ -412,25 +500,21 @@ export class Unit extends Entity {
 
             if (targetsInRange.length > 0) {
                 // Fire at all targets in range
-                const now = performance.now();
-                if (now - this.lastFire > this.def.fireRate) {
+                const now = simulationClock.now();
+                if (now - this.lastFire > this.getFireRate()) {
                     this.fireAtMultiple(targetsInRange);
                     this.lastFire = now;
                 }
+            } else if (this.isBeyondLeash()) {
+                this.disengage();
             } else if (!this.holdPosition && this.attackTarget && this.attackTarget.mesh) {
                 // Move toward closest target
                 this.moveToward(this.attackTarget.mesh.position.x, this.attackTarget.mesh.position.z, dt);
             }
         } else {
-            // No targets - look for enemies or continue with orders
-            if (this.isAttackMoving || this.holdPosition) {
-                const target = this.findTarget();
-                if (target) {
-                    this.attackTargets.push(target);
-                    this.attackTarget = target;
-                    return;
-                }
-            }
+            this.leashAnchor = null;
+
+            // No targets - continue with orders (new ones were looked for above)
 
             // Patrol logic
             if (this.patrolPoints && this.patrolPoints.length > 0) {
@@ -447,7 +531,7 @@ export class Unit extends Entity {
                 }
 
                 // Check for enemies while patrolling
-                const enemies = this.findMultipleTargets(maxTargets);
+                const enemies = this.findStanceTargets(maxTargets);
                 if (enemies.length > 0) {
                     this.attackTargets = enemies;
                     this.attackTarget = enemies[0];
@@ -460,6 +544,112 @@ export class Unit extends Entity {
         }
     }
 
+    /**
+     * Launch fighters at the carrier's target or the nearest enemy within
+     * launch range, keep them on that target, and bring them back aboard
+     * when damaged, too far out or out of enemies. Docked fighters re-arm
+     * before they fly again; lost ones are rebuilt for credits.
+     */
+    updateHangar(dt) {
+        const hangar = this.def.hangar;
+        const bay = this.hangar;
+        const fighterDef = UNITS[hangar.fighter];
+        this.fighters = this.fighters.filter(f => f && !f.dead);
+
+        // Re-arming (all take the same time, so the first is always next)
+        bay.rearming = bay.rearming.map(time => time - dt);
+        while (bay.rearming.length > 0 && bay.rearming[0] <= 0) {
+            bay.rearming.shift();
+            bay.ready++;
+        }
+
+        // Replace lost fighters one at a time, paid up front like production
+        const aboard = bay.ready + bay.rearming.length + (bay.rebuilding ? 1 : 0);
+        if (!bay.rebuilding && aboard + this.fighters.length < hangar.capacity &&
+            gameState.spendCredits(this.team, fighterDef.cost)) {
+            bay.rebuilding = true;
+            bay.rebuildProgress = 0;
+        }
+        if (bay.rebuilding) {
+            bay.rebuildProgress += dt / fighterDef.buildTime;
+            if (bay.rebuildProgress >= 1) {
+                bay.rebuilding = false;
+                bay.rebuildProgress = 0;
+                bay.ready++;
+            }
+        }
+
+        const target = this.attackTarget && !this.attackTarget.dead
+            ? this.attackTarget
+            : UNIT_STANCES[this.stance].acquire ? this.findTarget(hangar.launchRange) : null;
+
+        if (target && bay.ready > 0) {
+            for (let i = 0; i < bay.ready; i++) {
+                const angle = (i / bay.ready) * Math.PI * 2;
+                eventBus.emit(GameEvents.FIGHTER_LAUNCHED, {
+                    carrier: this,
+                    unitType: hangar.fighter,
+                    team: this.team,
+                    position: {
+                        x: this.mesh.position.x + Math.cos(angle) * this.size,
+                        z: this.mesh.position.z + Math.sin(angle) * this.size
+                    }
+                });
+            }
+            bay.ready = 0;
+        }
+
+        for (const fighter of [...this.fighters]) {
+            const dist = this.distanceTo(fighter);
+            const returning = !target || dist > hangar.leash ||
+                fighter.health < fighter.maxHealth * hangar.returnAt;
+
+            if (!returning) {
+                if (fighter.attackTarget !== target) fighter.attack(target);
+            } else if (dist <= this.size + FIGHTER_DOCK_DISTANCE) {
+                this.fighters.splice(this.fighters.indexOf(fighter), 1);
+                fighter.recover();
+                bay.rearming.push(hangar.rearmTime);
+            } else if (fighter.attackTarget) {
+                fighter.moveTo(this.mesh.position.x, this.mesh.position.z);
+            } else {
+                // Follow the carrier home without a new order every tick
+                fighter.targetX = this.mesh.position.x;
+                fighter.targetZ = this.mesh.position.z;
+            }
+        }
+    }
+
+    /**
+     * Taken back aboard its carrier: leaves the field without counting as lost
+     */
+    recover() {
+        this.dead = true;
+        this.carrier = null;
+        LODManager.unregister(this.id);
+        this.dispose();
+    }
+
+    /**
+     * Repair the hull at the fastest friendly repair building in range
+     */
+    updateRepair(dt) {
+        const pos = this.mesh.position;
+        const docks = gameState.queryNearbyEntities(pos.x, pos.z, REPAIR_REACH, e =>
+            e.isBuilding && e.team === this.team && e.def.repairRate && !e.isConstructing
+        );
+
+        let rate = 0;
+        for (const dock of docks) {
+            if (this.distanceTo(dock) <= dock.size + dock.def.repairRange) {
+                rate = Math.max(rate, dock.def.repairRate);
+            }
+        }
+        if (rate > 0) {
+            this.health = Math.min(this.maxHealth, this.health + rate * dt);
+        }
+    }
+
     updateHarvester(dt) {
         if (this.isReturning) {
             // Return to refinery
@@ -504,7 +694,7 @@ export class Unit extends Entity {
                 // Harvest
                 const harvestAmount = Math.min(
                     this.def.harvestRate * dt,
-                    this.def.cargoCapacity - this.cargo,
+                    this.getCargoCapacity() - this.cargo,
                     this.harvestTarget.amount
                 );
 
@@ -533,7 +723,7 @@ export class Unit extends Entity {
                     });
                 }
 
-                if (this.cargo >= this.def.cargoCapacity) {
+                if (this.cargo >= this.getCargoCapacity()) {
                     this.isReturning = true;
                 }
             } else {
@@ -554,7 +744,7 @@ export class Unit extends Entity {
         const dz = this.targetZ - this.mesh.position.z;
         const dist = Math.hypot(dx, dz);
 
-        if (dist > 2) {
+        if (dist > ARRIVE_DISTANCE) {
             this.moveToward(this.targetX, this.targetZ, dt);
         }
     }
@@ -598,6 +788,7 @@ export class Unit extends Entity {
         this.attackTarget = null;
         this.isAttackMoving = false;
         this.patrolPoints = null;
+        this.clearEngagement();
 
         eventBus.emit(GameEvents.UNIT_COMMAND, {
             unit: this,
@@ -609,6 +800,7 @@ export class Unit extends Entity {
     attack(target) {
         this.attackTarget = target;
         this.isAttackMoving = false;
+        this.clearEngagement();
 
         eventBus.emit(GameEvents.UNIT_COMMAND, {
             unit: this,
@@ -622,6 +814,7 @@ export class Unit extends Entity {
         this.targetZ = z;
         this.isAttackMoving = true;
         this.patrolPoints = null;
+        this.clearEngagement();
 
         eventBus.emit(GameEvents.UNIT_COMMAND, {
             unit: this,
@@ -635,6 +828,7 @@ export class Unit extends Entity {
         this.patrolIndex = 0;
         this.attackTarget = null;
         this.isAttackMoving = false;
+        this.clearEngagement();
 
         eventBus.emit(GameEvents.UNIT_COMMAND, {
             unit: this,
@@ -649,6 +843,7 @@ export class Unit extends Entity {
         this.attackTarget = null;
         this.isAttackMoving = false;
         this.patrolPoints = null;
+        this.clearEngagement();
 
         eventBus.emit(GameEvents.UNIT_COMMAND, {
             unit: this,
@@ -669,6 +864,27 @@ export class Unit extends Entity {
         });
     }
 
+    /**
+     * @param {string} stance - UNIT_STANCES key
+     */
+    setStance(stance) {
+        if (!UNIT_STANCES[stance] || stance === this.stance) return;
+        this.stance = stance;
+        this.clearEngagement();
+
+        // Hold fire means ceasing fire now, whatever we were shooting at
+        if (this.isPassive()) {
+            this.attackTarget = null;
+            this.attackTargets = [];
+        }
+
+        eventBus.emit(GameEvents.UNIT_COMMAND, {
+            unit: this,
+            command: 'stance',
+            stance
+        });
+    }
+
     harvest(oreNode) {
         this.harvestTarget = oreNode;
         this.isReturning = false;
@@ -680,11 +896,102 @@ export class Unit extends Entity {
         });
     }
 
+    // ===== Stances =====
+
+    /**
+     * @returns {boolean} The stance never opens fire on its own (hold fire)
+     */
+    isPassive() {
+        const stance = UNIT_STANCES[this.stance];
+        return !stance.acquire && !stance.retaliate;
+    }
+
+    /**
+     * @returns {boolean} No attack-move or patrol, and at the move target
+     */
+    isIdle() {
+        if (this.isAttackMoving || this.patrolPoints) return false;
+        return Math.hypot(this.targetX - this.mesh.position.x, this.targetZ - this.mesh.position.z) <= ARRIVE_DISTANCE;
+    }
+
+    /**
+     * Enemies this ship takes on by itself. Attack-move and patrol orders
+     * fight anything in reach unless holding fire; otherwise the stance
+     * decides, falling back to whoever last hit us.
+     * @param {number} count
+     * @returns {Entity[]}
+     */
+    findStanceTargets(count) {
+        const stance = UNIT_STANCES[this.stance];
+        const attacker = this.lastAttacker;
+        this.lastAttacker = null;
+
+        if (!this.def.damage || this.disengaging || this.isPassive()) return [];
+
+        const ordered = this.isAttackMoving || !!this.patrolPoints;
+        const targets = stance.acquire || ordered ? this.findMultipleTargets(count) : [];
+
+        if (targets.length === 0 && stance.retaliate && attacker && !attacker.dead && attacker.mesh &&
+            gameState.isHostile(this.team, attacker.team) && !this.attackTargets.includes(attacker)) {
+            targets.push(attacker);
+        }
+        return targets;
+    }
+
+    /**
+     * Take on a target found by findStanceTargets()
+     */
+    engage(target) {
+        this.attackTarget = target;
+        this.startLeash();
+    }
+
+    /**
+     * Remember where a fight of our own started, for stances with a leash
+     */
+    startLeash() {
+        const ordered = this.isAttackMoving || this.patrolPoints;
+        this.leashAnchor = UNIT_STANCES[this.stance].leash !== null && !ordered
+            ? { x: this.mesh.position.x, z: this.mesh.position.z }
+            : null;
+    }
+
+    /**
+     * @returns {boolean} Chased further from the leash anchor than the stance allows
+     */
+    isBeyondLeash() {
+        if (!this.leashAnchor) return false;
+        const dist = Math.hypot(
+            this.mesh.position.x - this.leashAnchor.x,
+            this.mesh.position.z - this.leashAnchor.z
+        );
+        return dist > UNIT_STANCES[this.stance].leash;
+    }
+
+    /**
+     * Break off the chase and head back to the move target
+     */
+    disengage() {
+        this.attackTarget = null;
+        this.attackTargets = [];
+        this.leashAnchor = null;
+        this.disengaging = true;
+    }
+
+    /**
+     * New orders replace any fight the stance picked
+     */
+    clearEngagement() {
+        this.leashAnchor = null;
+        this.disengaging = false;
+        this.lastAttacker = null;
+    }
+
     // ===== Target Finding =====
 
-    findTarget() {
+    findTarget(range = this.def.range * 1.5) {
         let closest = null;
-        let closestDist = this.def.range * 1.5;
+        let closestDist = range;
 
         for (const ent of gameState.entities) {
             if (ent.dead || ent.team === this.team) continue;
@@ -776,19 +1083,12 @@ export class Unit extends Entity {
 
             hardpoints.forEach((hp, index) => {
                 // Stagger shots slightly (50ms between each hardpoint)
-                setTimeout(() => {
-                    if (this.dead || (target && target.dead)) return;
-
-                    eventBus.emit(GameEvents.COMBAT_PROJECTILE_FIRED, {
-                        shooter: this,
-                        target,
-                        startPos: this.mesh.position.clone(),
-                        damage: damagePerHardpoint,
-                        splash: this.def.splash ? this.def.splash / hardpoints.length : 0,
-                        hardpointOffset: { x: hp.x * this.size * 0.5, y: hp.y * this.size * 0.5, z: hp.z * this.size * 0.5 },
-                        hardpointWeapon: hp.weapon || this.def.weaponType
-                    });
-                }, index * 50);
+                this.staggerShot(index, target, {
+                    damage: damagePerHardpoint,
+                    splash: this.def.splash ? this.def.splash / hardpoints.length : 0,
+                    hardpointOffset: { x: hp.x * this.size * 0.5, y: hp.y * this.size * 0.5, z: hp.z * this.size * 0.5 },
+                    hardpointWeapon: hp.weapon || this.def.weaponType
+                });
             });
         } else {
             // Fallback to single shot from center
@@ -822,22 +1122,68 @@ export class Unit extends Entity {
             const target = targets[targetIndex];
 
             // Stagger shots slightly (50ms between each hardpoint)
-            setTimeout(() => {
-                if (this.dead || !target || target.dead) return;
-
-                eventBus.emit(GameEvents.COMBAT_PROJECTILE_FIRED, {
-                    shooter: this,
-                    target,
-                    startPos: this.mesh.position.clone(),
-                    damage: damagePerHardpoint,
-                    splash: this.def.splash ? this.def.splash / hardpoints.length : 0,
-                    hardpointOffset: { x: hp.x * this.size * 0.5, y: hp.y * this.size * 0.5, z: hp.z * this.size * 0.5 },
-                    hardpointWeapon: hp.weapon || this.def.weaponType
-                });
-            }, index * 50);
+            this.staggerShot(index, target, {
+                damage: damagePerHardpoint,
+                splash: this.def.splash ? this.def.splash / hardpoints.length : 0,
+                hardpointOffset: { x: hp.x * this.size * 0.5, y: hp.y * this.size * 0.5, z: hp.z * this.size * 0.5 },
+                hardpointWeapon: hp.weapon || this.def.weaponType
+            });
         });
     }
 
+    // ===== Veterancy =====
+
+    /**
+     * @param {string} stat - VETERANCY_RANKS bonus (damage, fireRate, shieldRegen)
+     * @returns {number} Bonus fraction of the current rank
+     */
+    getRankBonus(stat) {
+        return VETERANCY_RANKS[this.rank][stat];
+    }
+
+    /**
+     * @returns {number} Milliseconds between shots at the current rank
+     */
+    getFireRate() {
+        return this.def.fireRate / (1 + this.getRankBonus('fireRate'));
+    }
+
+    /**
+     * Add experience and promote through every rank it reaches
+     * @param {number} amount
+     */
+    gainExperience(amount) {
+        if (!(amount > 0)) return;
+        this.experience += amount;
+
+        const toughness = this.maxHealth + this.maxShield;
+        const previous = this.rank;
+        while (this.rank < VETERANCY_RANKS.length - 1 &&
+               this.experience >= VETERANCY_RANKS[this.rank + 1].xp * toughness) {
+            this.rank++;
+        }
+        if (this.rank === previous) return;
+
+        this.updateRankInsignia();
+        eventBus.emit(GameEvents.UNIT_PROMOTED, { unit: this, rank: this.rank });
+    }
+
+    /**
+     * Credit for destroying a ship or structure
+     * @param {Entity} victim
+     */
+    recordKill(victim) {
+        this.gainExperience(((victim.maxHealth || 0) + (victim.maxShield || 0)) * KILL_XP_SHARE);
+    }
+
+    /**
+     * Harvester cargo, with research bonuses
+     * @returns {number}
+     */
+    getCargoCapacity() {
+        return (this.def.cargoCapacity || 0) * (1 + researchSystem.getBonus(this.team, 'cargoCapacity'));
+    }
+
     takeDamage(amount, attacker) {
         // Shield absorbs first
         if (this.shield > 0) {
@@ -846,6 +1192,9 @@ export class Unit extends Entity {
             amount -= shieldDamage;
         }
 
+        // Hull armor research softens what gets through
+        amount *= 1 - researchSystem.getBonus(this.team, 'armor');
+
         this.health -= amount;
 
         // Provoke neutrals
@@ -853,9 +1202,10 @@ export class Unit extends Entity {
             gameState.provoke(attacker.team, this.team);
         }
 
-        // Auto-retaliate if we don't have a target
-        if (!this.attackTarget && attacker && !attacker.dead) {
-            this.attackTarget = attacker;
+        // Stances that retaliate answer the ship or structure that fired,
+        // when update() next looks for targets
+        if (UNIT_STANCES[this.stance].retaliate && attacker?.shooter?.mesh && !attacker.shooter.dead) {
+            this.lastAttacker = attacker.shooter;
         }
 
         eventBus.emit(GameEvents.ENTITY_DAMAGED, {
@@ -884,6 +1234,11 @@ export class Unit extends Entity {
             gameState.recordKill(killer.team);
         }
 
+        // Fighters in the air have nowhere left to land
+        for (const fighter of this.fighters) {
+            if (!fighter.dead) fighter.die(null);
+        }
+
         eventBus.emit(GameEvents.UNIT_KILLED, {
             unit: this,
             killer,
@@ -898,6 +1253,84 @@ export class Unit extends Entity {
 
         this.dispose();
     }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            shield: this.shield,
+            maxShield: this.maxShield,
+            speed: this.speed,
+            targetX: this.targetX,
+            targetZ: this.targetZ,
+            command: this.command,
+            guardTarget: this.guardTarget?.entityType
+                ? { id: this.guardTarget.id }
+                : this.guardTarget && { x: this.guardTarget.x, z: this.guardTarget.z },
+            attackTarget: this.attackTarget?.id ?? null,
+            attackTargets: this.attackTargets.map(t => t.id),
+            lastFire: this.lastFire,
+            lastIntercept: this.lastIntercept,
+            isAttackMoving: this.isAttackMoving,
+            holdPosition: this.holdPosition,
+            patrolPoints: this.patrolPoints && this.patrolPoints.map(p => ({ x: p.x, z: p.z })),
+            patrolIndex: this.patrolIndex,
+            harvestTarget: resourceSystem.getNodeRef(this.harvestTarget),
+            cargo: this.cargo,
+            cargoType: this.cargoType,
+            isReturning: this.isReturning,
+            returnTarget: this.returnTarget?.id ?? null,
+            hangar: this.hangar && { ...this.hangar, rearming: [...this.hangar.rearming] },
+            fighters: this.fighters.map(f => f.id),
+            carrier: this.carrier?.id ?? null,
+            experience: this.experience,
+            rank: this.rank,
+            stance: this.stance,
+            leashAnchor: this.leashAnchor && { x: this.leashAnchor.x, z: this.leashAnchor.z },
+            disengaging: this.disengaging,
+            lastAttacker: this.lastAttacker?.id ?? null
+        };
+    }
+
+    restore(data, refs) {
+        super.restore(data, refs);
+
+        this.shield = data.shield;
+        this.maxShield = data.maxShield;
+        this.speed = data.speed;
+        this.targetX = data.targetX;
+        this.targetZ = data.targetZ;
+        this.command = data.command;
+        this.guardTarget = data.guardTarget?.id !== undefined
+            ? refs.entity(data.guardTarget.id)
+            : data.guardTarget;
+        this.attackTarget = refs.entity(data.attackTarget);
+        this.attackTargets = data.attackTargets.map(id => refs.entity(id));
+        this.lastFire = data.lastFire;
+        this.lastIntercept = data.lastIntercept;
+        this.isAttackMoving = data.isAttackMoving;
+        this.holdPosition = data.holdPosition;
+        this.patrolPoints = data.patrolPoints && data.patrolPoints.map(p => ({ x: p.x, z: p.z }));
+        this.patrolIndex = data.patrolIndex;
+        this.harvestTarget = refs.node(data.harvestTarget);
+        this.cargo = data.cargo;
+        this.cargoType = data.cargoType;
+        this.isReturning = data.isReturning;
+        this.returnTarget = refs.entity(data.returnTarget);
+        this.hangar = data.hangar && { ...data.hangar, rearming: [...data.hangar.rearming] };
+        this.fighters = data.fighters.map(id => refs.entity(id));
+        this.carrier = refs.entity(data.carrier);
+        this.experience = data.experience;
+        this.rank = data.rank;
+        this.stance = data.stance;
+        this.leashAnchor = data.leashAnchor && { x: data.leashAnchor.x, z: data.leashAnchor.z };
+        this.disengaging = data.disengaging;
+        this.lastAttacker = refs.entity(data.lastAttacker);
+        this.updateRankInsignia();
+
+        LODManager.updatePosition(this.id, this.mesh.position);
+    }
 }
 
 export default Unit;
@@ -0,0 +1,142 @@
+// ============================================================
+// VOID SUPREMACY 3D - Headless Match
+// Runs a full AI-vs-AI match on pure simulation data (no Babylon,
+// no DOM) at a fixed tick rate. Renderers attach as observers.
+// ============================================================
+
+import { CONFIG, applyGameConfig, resetConfig } from '../core/Config.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { resetSeededRandom } from '../core/SeededRandom.js?v=20260119';
+import { simulation } from '../core/Simulation.js?v=20260119';
+
+const DEFAULT_OPTIONS = {
+    seed: 'headless',
+    tickRate: 20,           // Simulation ticks per second
+    maxGameTime: 60 * 60,   // Give up after an hour of game time (seconds)
+    config: null,           // Lobby-style config passed to applyGameConfig
+    humanTeam: null,        // Team driven from outside (e.g. a lockstep client) instead of AI
+    humanTeams: null        // Every externally driven team
+};
+
+export class HeadlessMatch {
+    /**
+     * @param {Object} options
+     * @param {string|number} options.seed - Map/RNG seed
+     * @param {number} options.tickRate - Fixed ticks per simulated second
+     * @param {number} options.maxGameTime - Game-time limit in seconds
+     * @param {Object|null} options.config - Lobby config (numAIPlayers, mapSize, ...)
+     * @param {number|null} options.humanTeam - Team this process issues commands for
+     * @param {number[]|null} options.humanTeams - Teams the AI must leave alone
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.observers = [];
+        this.tick = 0;
+        this.result = null;
+    }
+
+    /**
+     * Attach an observer (e.g. a renderer or logger)
+     * Observers may implement onStart(match), onTick(match) and onEnd(result)
+     * @returns {Function} Detach function
+     */
+    addObserver(observer) {
+        this.observers.push(observer);
+        return () => {
+            this.observers = this.observers.filter(o => o !== observer);
+        };
+    }
+
+    notify(hook, payload) {
+        for (const observer of this.observers) {
+            observer[hook]?.(payload);
+        }
+    }
+
+    /**
+     * Reset state and generate the world. Player teams are AI-controlled
+     * unless listed in humanTeams.
+     */
+    setup() {
+        resetConfig();
+        applyGameConfig({ mapSeed: this.options.seed, ...this.options.config });
+
+        gameState.reset();
+        gameState.playerTeam = this.options.humanTeam;
+        resetSeededRandom(CONFIG.MAP_SEED);
+
+        simulation.initSystems({
+            scene: null,
+            humanTeam: this.options.humanTeam,
+            humanTeams: this.options.humanTeams,
+            timestep: 1 / this.options.tickRate
+        });
+        simulation.generateWorld();
+
+        this.tick = 0;
+        this.result = null;
+        gameState.start();
+
+        this.notify('onStart', this);
+    }
+
+    /**
+     * Advance a single fixed tick
+     */
+    step() {
+        simulation.step();
+        this.tick++;
+
+        this.notify('onTick', this);
+    }
+
+    /**
+     * Whether the match should keep stepping
+     */
+    isRunning() {
+        return gameState.running && this.tick < Math.ceil(this.options.maxGameTime * this.options.tickRate);
+    }
+
+    /**
+     * Run the match until a winner is decided or the time limit is hit
+     * @returns {{winner: number|null, winners: number[], reason: string|null, timedOut: boolean, ticks: number, gameTime: number, seed: string, survivors: number[], stats: Object}}
+     */
+    run() {
+        this.setup();
+
+        while (this.isRunning()) {
+            this.step();
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * End the match (if still running), collect the result and tear down
+     */
+    finish() {
+        const timedOut = gameState.running;
+        if (timedOut) {
+            gameState.end(null);
+        }
+
+        this.result = {
+            winner: gameState.winner ?? null,
+            winners: [...gameState.winners],
+            reason: gameState.victoryReason,
+            timedOut,
+            ticks: this.tick,
+            gameTime: gameState.gameTime,
+            seed: String(CONFIG.MAP_SEED),
+            survivors: simulation.getSurvivingTeams(),
+            stats: gameState.stats
+        };
+
+        this.notify('onEnd', this.result);
+        simulation.dispose();
+
+        return this.result;
+    }
+}
+
+export default HeadlessMatch;
@@ -0,0 +1,6 @@
+// ============================================================
+// VOID SUPREMACY 3D - Headless Module
+// Re-exports headless simulation components
+// ============================================================
+
+export { HeadlessMatch } from './HeadlessMatch.js?v=20260119';
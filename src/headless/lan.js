@@ -0,0 +1,159 @@
+// ============================================================
+// VOID SUPREMACY 3D - Headless LAN Client
+// Joins a server.js lockstep lobby and plays its team with a
+// scripted bot, so multiplayer can be tested without browsers.
+// Usage: node src/headless/lan.js [--url=ws://localhost:3000/lockstep]
+//        [--name=bot] [--host] [--players=2] [--ai=0] [--seed=abc]
+//        [--max-time=600] [--verbose]
+// ============================================================
+
+import WebSocket from 'ws';
+
+import { HeadlessMatch } from './HeadlessMatch.js?v=20260119';
+import { FIXED_TIMESTEP } from '../core/SimulationClock.js?v=20260119';
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulation } from '../core/Simulation.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
+import { lockstepSession, LockstepSession, TURN_TICKS } from '../network/LockstepSession.js?v=20260119';
+
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+        if (match) {
+            args[match[1]] = match[2] === undefined ? true : match[2];
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const name = args.name ?? `bot-${process.pid}`;
+
+// Gameplay code logs liberally - keep output readable unless asked
+const log = (...parts) => process.stdout.write(`[${name}] ${parts.join(' ')}\n`);
+if (!args.verbose) {
+    console.log = () => {};
+}
+
+const BOT_BUILD_INTERVAL = 10;      // Seconds between scout orders
+const BOT_ATTACK_INTERVAL = 30;     // Seconds between attack waves
+
+/**
+ * Minimal bot: keeps queueing scouts and sends them at the nearest enemy base
+ */
+function runBot(match, team) {
+    const time = match.tick / match.options.tickRate;
+
+    if (match.tick % Math.round(BOT_BUILD_INTERVAL * match.options.tickRate) === 0) {
+        commandSystem.issue({ type: PlayerCommand.QUEUE_UNIT, team, unitType: 'scout' });
+    }
+
+    if (time > 0 && match.tick % Math.round(BOT_ATTACK_INTERVAL * match.options.tickRate) === 0) {
+        const army = gameState.units.filter(u => u.team === team && !u.dead && u.type === 'scout');
+        const home = gameState.getBuildingsByType(team, 'commandCenter')[0];
+        const target = gameState.buildings
+            .filter(b => !b.dead && b.team !== team && b.team < 4)
+            .sort((a, b) => distanceTo(home, a) - distanceTo(home, b))[0];
+
+        if (army.length > 0 && target) {
+            commandSystem.issue({
+                type: PlayerCommand.ATTACK_MOVE,
+                team,
+                unitIds: army.map(u => u.id),
+                x: target.mesh.position.x,
+                z: target.mesh.position.z
+            });
+        }
+    }
+}
+
+function distanceTo(from, to) {
+    if (!from) return 0;
+    const dx = to.mesh.position.x - from.mesh.position.x;
+    const dz = to.mesh.position.z - from.mesh.position.z;
+    return dx * dx + dz * dz;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function playMatch({ config, team }) {
+    const match = new HeadlessMatch({
+        seed: config.mapSeed,
+        tickRate: Math.round(1 / FIXED_TIMESTEP),   // Must match the browsers' tick length
+        maxGameTime: Number(args['max-time'] ?? 600),
+        config,
+        humanTeam: team,
+        humanTeams: config.humanTeams
+    });
+
+    match.setup();
+    lockstepSession.startMatch();
+    log(`Playing team ${team} (humans: ${config.humanTeams.join(', ')})`);
+
+    while (match.isRunning()) {
+        if (simulation.stepGate && !simulation.stepGate()) {
+            await wait(2);
+            continue;
+        }
+
+        runBot(match, team);
+        match.step();
+
+        // Let relay messages in once per turn
+        if (match.tick % TURN_TICKS === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    const checksum = simulation.getChecksum();
+    const desyncs = lockstepSession.desyncCount;
+    const result = match.finish();
+
+    log(`Finished at tick ${result.ticks}: winner ${result.winner ?? 'none'}${result.timedOut ? ' (time limit)' : ''}`);
+    log(`Checksum ${checksum}, desyncs ${desyncs}`);
+
+    // Give the leave message a moment to flush
+    await wait(50);
+    lockstepSession.dispose();
+    process.exitCode = desyncs > 0 ? 1 : 0;
+}
+
+const wanted = Number(args.players ?? 2);
+let started = false;
+
+eventBus.on(GameEvents.NET_LOBBY_UPDATE, ({ players }) => {
+    log(`Lobby: ${players.map(p => p.name).join(', ')}`);
+    if (args.host && !started && lockstepSession.isHost() && players.length >= wanted) {
+        started = true;
+        lockstepSession.requestStart({
+            mapSeed: String(args.seed ?? 'lan'),
+            numAIPlayers: Number(args.ai ?? 0),
+            mapSize: 800
+        });
+    }
+});
+
+eventBus.on(GameEvents.NET_MATCH_START, (data) => {
+    playMatch(data).catch(error => {
+        log(`Match failed: ${error.stack}`);
+        process.exit(1);
+    });
+});
+
+eventBus.on(GameEvents.NET_PLAYER_LEFT, ({ team }) => {
+    log(`Team ${team} left the match`);
+});
+
+eventBus.on(GameEvents.NET_MATCH_END, () => {
+    log('Host left, finishing the match offline');
+});
+
+try {
+    await lockstepSession.connect(args.url ?? LockstepSession.getDefaultUrl(), name, WebSocket);
+    log('Joined lobby');
+} catch (error) {
+    log(`Could not join: ${error.message}`);
+    process.exit(1);
+}
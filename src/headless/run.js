@@ -0,0 +1,81 @@
+// ============================================================
+// VOID SUPREMACY 3D - Headless Runner CLI
+// Usage: node src/headless/run.js [--seed=abc] [--ai=3]
+//        [--difficulty=normal] [--personalities=rusher,turtler]
+//        [--sides=0,0,1,1]
+//        [--victory=economic] [--victory-credits=20000]
+//        [--victory-fields=3] [--victory-hold=180] [--victory-time=1200]
+//        [--max-time=3600] [--tick-rate=20] [--verbose]
+// ============================================================
+
+import { HeadlessMatch } from './HeadlessMatch.js?v=20260119';
+import { TEAM_NAMES, VICTORY_MODES } from '../core/Config.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+        if (match) {
+            args[match[1]] = match[2] === undefined ? true : match[2];
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// Gameplay code logs liberally - keep output readable unless asked
+const log = console.log;
+if (!args.verbose) {
+    console.log = () => {};
+}
+
+const config = {};
+if (args.ai !== undefined) config.numAIPlayers = Number(args.ai);
+if (args.difficulty) config.aiDifficulty = args.difficulty;
+if (args.personalities) config.aiPersonalities = args.personalities.split(',');
+if (args['map-size'] !== undefined) config.mapSize = Number(args['map-size']);
+if (args.sides) config.teamSides = args.sides.split(',').map(Number);
+if (args.victory !== undefined) {
+    if (!Object.hasOwn(VICTORY_MODES, args.victory)) {
+        console.error(`Unknown victory mode "${args.victory}". Valid modes: ${Object.keys(VICTORY_MODES).join(', ')}`);
+        process.exit(1);
+    }
+    config.victoryMode = args.victory;
+}
+if (args['victory-credits'] !== undefined) config.victoryCredits = Number(args['victory-credits']);
+if (args['victory-fields'] !== undefined) config.victoryCrystalFields = Number(args['victory-fields']);
+if (args['victory-hold'] !== undefined) config.victoryHoldTime = Number(args['victory-hold']);
+if (args['victory-time'] !== undefined) config.victoryTimeLimit = Number(args['victory-time']);
+
+const match = new HeadlessMatch({
+    seed: args.seed ?? 'headless',
+    tickRate: Number(args['tick-rate'] ?? 20),
+    maxGameTime: Number(args['max-time'] ?? 3600),
+    config
+});
+
+let nextReport = 60;
+match.addObserver({
+    onTick: (m) => {
+        const time = m.tick / m.options.tickRate;
+        if (time >= nextReport) {
+            nextReport += 60;
+            log(`[${Math.floor(time / 60)}m] ${gameState.units.length} units, ${gameState.buildings.length} buildings`);
+        }
+    }
+});
+
+const started = Date.now();
+const result = match.run();
+
+const winnerName = result.winners.length === 0
+    ? 'none'
+    : result.winners.map(t => TEAM_NAMES[t] || `Team ${t}`).join(' + ');
+log(`Seed: ${result.seed}`);
+log(`Winner: ${winnerName}${result.timedOut ? ' (time limit reached)' : ''}`);
+log(`Reason: ${result.reason ?? 'none'}`);
+log(`Game time: ${result.gameTime.toFixed(1)}s over ${result.ticks} ticks (${Date.now() - started}ms wall)`);
+log(`Survivors: ${result.survivors.join(', ') || 'none'}`);
+log('Stats:', JSON.stringify(result.stats, null, 2));
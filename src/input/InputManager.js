@@ -3,10 +3,10 @@
 // Handles keyboard, mouse input and hotkeys
 // ============================================================
 
-import { TEAMS } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
 import { selectionSystem } from '../systems/SelectionSystem.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
 import { forceFieldSystem } from '../systems/ForceFieldSystem.js?v=20260119';
 import { buildingPlacementSystem } from '../systems/BuildingPlacementSystem.js?v=20260119';
 import { sceneManager } from '../rendering/SceneManager.js?v=20260119';
@@ -95,6 +95,15 @@ export class InputManager {
         this._onBuildModeExit = eventBus.on(GameEvents.UI_BUILD_MODE_EXIT, () => {
             this.clearForceFieldPreview();
         });
+
+        // Rebuild rally point flags after a saved game is loaded
+        this._onStateRestored = eventBus.on(GameEvents.STATE_RESTORED, () => {
+            for (const building of gameState.buildings) {
+                if (building.team === gameState.playerTeam && building.rallyPoint) {
+                    this.createRallyMarker(building, building.rallyPoint);
+                }
+            }
+        });
     }
 
     // ===== Keyboard Input =====
@@ -263,7 +272,7 @@ export class InputManager {
     onDoubleClick(e) {
         const entity = sceneManager.pickEntity(e.clientX, e.clientY, gameState.entities);
 
-        if (entity && entity.team === TEAMS.PLAYER && entity.isUnit) {
+        if (entity && entity.team === gameState.playerTeam && entity.isUnit) {
             // Select all units of the same type on screen
             this.selectAllOfType(entity.type);
         }
@@ -274,7 +283,7 @@ export class InputManager {
 
         // Get visible units of the same type
         for (const entity of gameState.entities) {
-            if (entity.dead || entity.team !== TEAMS.PLAYER) continue;
+            if (entity.dead || entity.team !== gameState.playerTeam) continue;
             if (!entity.isUnit || entity.type !== unitType) continue;
 
             // Check if unit is visible on screen
@@ -290,7 +299,7 @@ export class InputManager {
         eventBus.emit(GameEvents.UI_ALERT, {
             message: `Selected all ${unitType}s`,
             type: 'info',
-            team: TEAMS.PLAYER
+            team: gameState.playerTeam
         });
     }
 
@@ -348,21 +357,25 @@ export class InputManager {
         } else if (gameState.buildMode) {
             // Valid building type - check placement validity first
             if (!buildingPlacementSystem.canPlace()) {
-                const reason = buildingPlacementSystem.getInvalidReason(worldPos.x, worldPos.z, TEAMS.PLAYER);
+                const reason = buildingPlacementSystem.getInvalidReason(
+                    worldPos.x, worldPos.z, gameState.playerTeam, gameState.buildMode
+                );
                 eventBus.emit(GameEvents.UI_ALERT, {
                     message: reason || 'Cannot place building here',
                     type: 'warning',
-                    team: TEAMS.PLAYER
+                    team: gameState.playerTeam
                 });
                 // Don't exit build mode - let player try again
                 return;
             }
 
             // Placement is valid - place the building
-            eventBus.emit(GameEvents.BUILDING_PLACED, {
-                type: gameState.buildMode,
-                position: worldPos,
-                team: TEAMS.PLAYER
+            commandSystem.issue({
+                type: PlayerCommand.PLACE_BUILDING,
+                buildingType: gameState.buildMode,
+                x: worldPos.x,
+                z: worldPos.z,
+                team: gameState.playerTeam
             });
         }
     }
@@ -373,29 +386,28 @@ export class InputManager {
             e.isBuilding &&
             !e.dead &&
             !e.isConstructing &&
-            e.team === TEAMS.PLAYER &&
+            e.team === gameState.playerTeam &&
             e.def?.canBuild?.length > 0
         );
 
         if (!selectedBuilding) return;
 
         // Set the rally point
-        selectedBuilding.rallyPoint = { x: worldPos.x, z: worldPos.z };
+        commandSystem.issue({
+            type: PlayerCommand.SET_RALLY_POINT,
+            buildingId: selectedBuilding.id,
+            x: worldPos.x,
+            z: worldPos.z
+        });
 
         // Create or update rally marker visual
         this.createRallyMarker(selectedBuilding, worldPos);
 
-        // Emit event
-        eventBus.emit(GameEvents.RALLY_POINT_SET, {
-            building: selectedBuilding,
-            position: { x: worldPos.x, z: worldPos.z }
-        });
-
         // Show feedback
         eventBus.emit(GameEvents.UI_ALERT, {
             message: 'Rally point set',
             type: 'info',
-            team: TEAMS.PLAYER
+            team: gameState.playerTeam
         });
     }
 
@@ -510,7 +522,7 @@ export class InputManager {
         }
 
         // Default right-click behavior: move or attack
-        if (entity && entity.team !== TEAMS.PLAYER) {
+        if (entity && entity.team !== gameState.playerTeam) {
             // Enemy - attack
             selectionSystem.commandAttack(entity);
         } else if (worldPos) {
@@ -621,14 +633,14 @@ export class InputManager {
             if (worldPos) {
                 this.updateForceFieldPreview(worldPos);
                 // Also update building placement preview for force field generators
-                buildingPlacementSystem.updatePreview(worldPos, gameState.buildMode, TEAMS.PLAYER);
+                buildingPlacementSystem.updatePreview(worldPos, gameState.buildMode, gameState.playerTeam);
             }
         }
         // Update building placement preview for other building types
         else if (gameState.buildMode && this.isBuildingType(gameState.buildMode)) {
             const worldPos = sceneManager.getWorldPosition(this.mouseX, this.mouseY);
             if (worldPos) {
-                buildingPlacementSystem.updatePreview(worldPos, gameState.buildMode, TEAMS.PLAYER);
+                buildingPlacementSystem.updatePreview(worldPos, gameState.buildMode, gameState.playerTeam);
             }
         }
     }
@@ -684,7 +696,7 @@ export class InputManager {
         this.clearForceFieldPreview();
 
         const connections = forceFieldSystem.getPreviewConnections(
-            cursorPos.x, cursorPos.z, TEAMS.PLAYER
+            cursorPos.x, cursorPos.z, gameState.playerTeam
         );
 
         const scene = sceneManager.scene;
@@ -825,6 +837,10 @@ export class InputManager {
             this._onBuildModeExit();
             this._onBuildModeExit = null;
         }
+        if (this._onStateRestored) {
+            this._onStateRestored();
+            this._onStateRestored = null;
+        }
 
         this.canvas = null;
     }
@@ -0,0 +1,319 @@
+// ============================================================
+// VOID SUPREMACY 3D - Lockstep Session
+// LAN multiplayer client for the server.js relay. Local commands
+// are batched per turn and sent ahead; every peer executes the
+// merged batch on the same tick, so only commands cross the wire.
+// ============================================================
+
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { simulation } from '../core/Simulation.js?v=20260119';
+import { commandSystem } from '../systems/CommandSystem.js?v=20260119';
+
+export const TURN_TICKS = 6;            // Simulation ticks per lockstep turn (200ms at 30Hz)
+export const INPUT_DELAY_TURNS = 2;     // Turns between issuing a command and executing it
+export const LOCKSTEP_PATH = '/lockstep';
+
+export class LockstepSession {
+    constructor() {
+        this.socket = null;
+        this.playerId = null;
+        this.hostId = null;
+        this.players = [];
+
+        // Match state
+        this.active = false;
+        this.team = null;
+        this.humanTeams = [];
+        this.turns = new Map();     // turn -> { commands, checksums }
+        this.pending = [];          // Local commands for the next batch
+        this.waiting = false;
+        this.desyncCount = 0;
+        this.relayStopped = false;  // Host quit: run out the received turns, then go offline
+
+        this._unsubs = null;
+    }
+
+    /**
+     * Default relay address for the page's own server
+     */
+    static getDefaultUrl() {
+        if (typeof location === 'undefined') return `ws://localhost:3000${LOCKSTEP_PATH}`;
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${location.host}${LOCKSTEP_PATH}`;
+    }
+
+    isConnected() {
+        return this.playerId !== null;
+    }
+
+    isHost() {
+        return this.isConnected() && this.playerId === this.hostId;
+    }
+
+    // ===== Lobby =====
+
+    /**
+     * Connect to the relay and join its lobby
+     * @param {string} url - Relay address (ws://host:3000/lockstep)
+     * @param {string} name - Player name shown in the lobby
+     * @param {Function} WebSocketImpl - WebSocket constructor (the 'ws' package in Node)
+     * @returns {Promise<number>} Assigned player id
+     */
+    connect(url, name, WebSocketImpl = globalThis.WebSocket) {
+        this.disconnect();
+
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocketImpl(url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.send({ type: 'join', name });
+            };
+
+            socket.onmessage = (event) => {
+                const message = JSON.parse(String(event.data));
+                if (message.type === 'welcome') {
+                    this.playerId = message.id;
+                    eventBus.emit(GameEvents.NET_CONNECTED, { id: message.id });
+                    resolve(message.id);
+                } else if (message.type === 'error' && !this.isConnected()) {
+                    reject(new Error(message.message));
+                }
+                this.handleMessage(message);
+            };
+
+            socket.onerror = () => {
+                if (!this.isConnected()) reject(new Error('Could not reach relay'));
+            };
+
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                this.playerId = null;
+                eventBus.emit(GameEvents.NET_DISCONNECTED, {});
+            };
+        });
+    }
+
+    /**
+     * Host only: start the match for everyone in the lobby
+     * @param {Object} config - Lobby config; numAIPlayers counts AI opponents only
+     */
+    requestStart(config) {
+        if (!this.isHost()) return;
+
+        // Every human takes a player team; AIs fill the rest
+        const numAIPlayers = Math.max(0, Math.min(config.numAIPlayers, 4 - this.players.length));
+        this.send({
+            type: 'start',
+            config: { ...config, numAIPlayers: this.players.length - 1 + numAIPlayers }
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'lobby':
+                this.hostId = message.hostId;
+                this.players = message.players;
+                eventBus.emit(GameEvents.NET_LOBBY_UPDATE, {
+                    players: this.players,
+                    hostId: this.hostId,
+                    playerId: this.playerId
+                });
+                break;
+
+            case 'start': {
+                const me = message.players.find(p => p.id === this.playerId);
+                this.team = me ? me.team : null;
+                this.humanTeams = message.players.map(p => p.team);
+                eventBus.emit(GameEvents.NET_MATCH_START, {
+                    config: { ...message.config, humanTeams: this.humanTeams },
+                    team: this.team,
+                    players: message.players
+                });
+                break;
+            }
+
+            case 'turn':
+                this.turns.set(message.turn, message);
+                break;
+
+            case 'left':
+                eventBus.emit(GameEvents.NET_PLAYER_LEFT, { id: message.id, team: message.team });
+                break;
+
+            case 'ended':
+                // The relay stopped (the host quit). Every peer got the same
+                // turns before this, so all of them run those out first.
+                if (!this.active) break;
+                this.relayStopped = true;
+                this.goOfflineWhenDrained();
+                break;
+
+            case 'error':
+                console.warn('Lockstep relay error:', message.message);
+                eventBus.emit(GameEvents.NET_ERROR, { message: message.message });
+                break;
+        }
+    }
+
+    // ===== Match =====
+
+    /**
+     * Take over command execution. Call once the world is generated.
+     */
+    startMatch() {
+        this.active = true;
+        this.turns.clear();
+        this.pending = [];
+        this.waiting = false;
+        this.desyncCount = 0;
+        this.relayStopped = false;
+
+        // Nobody can have sent commands for the first turns yet
+        for (let turn = 0; turn < INPUT_DELAY_TURNS; turn++) {
+            this.turns.set(turn, { turn, commands: [], checksums: [] });
+        }
+
+        commandSystem.setInterceptor((command) => {
+            if (command.team === this.team) {
+                this.pending.push(command);
+            }
+            return true;
+        });
+        simulation.stepGate = () => this.canStep();
+
+        this._unsubs = [
+            eventBus.on(GameEvents.SIM_TICK, ({ tick }) => {
+                this.onTick(tick);
+            }),
+
+            eventBus.on(GameEvents.GAME_END, () => {
+                this.leave(true);
+            })
+        ];
+    }
+
+    /**
+     * The first tick of a turn may only run once that turn's batch has arrived
+     */
+    canStep() {
+        const tick = simulationClock.tick;
+        const ready = tick % TURN_TICKS !== 0 || this.turns.has(tick / TURN_TICKS);
+
+        if (ready === this.waiting) {
+            this.waiting = !ready;
+            eventBus.emit(GameEvents.NET_WAITING, { waiting: this.waiting });
+        }
+        return ready;
+    }
+
+    /**
+     * Turn boundary: send our batch for a future turn, then run this turn's batch
+     */
+    onTick(tick) {
+        if (tick % TURN_TICKS !== 0) return;
+        const turn = tick / TURN_TICKS;
+
+        if (!this.relayStopped) {
+            this.send({
+                type: 'turn',
+                turn: turn + INPUT_DELAY_TURNS,
+                commands: this.pending,
+                checksum: simulation.getChecksum()
+            });
+            this.pending = [];
+        }
+
+        const batch = this.turns.get(turn);
+        this.turns.delete(turn);
+        if (batch) {
+            this.verifyChecksums(batch);
+            for (const command of batch.commands) {
+                commandSystem.execute(command);
+            }
+        }
+        this.goOfflineWhenDrained();
+    }
+
+    /**
+     * Once the relay has stopped and its last turn has run, hand command
+     * execution back to the local game
+     */
+    goOfflineWhenDrained() {
+        if (!this.relayStopped || this.turns.size > 0) return;
+
+        const pending = this.pending;
+        this.active = false;
+        this.stopMatch();
+        for (const command of pending) {
+            commandSystem.execute(command);
+        }
+        eventBus.emit(GameEvents.NET_MATCH_END, {});
+    }
+
+    /**
+     * Every peer reports its state hash from INPUT_DELAY_TURNS turns earlier
+     */
+    verifyChecksums(batch) {
+        const checksums = batch.checksums || [];
+        if (checksums.every(c => c === checksums[0])) return;
+
+        this.desyncCount++;
+        if (this.desyncCount === 1) {
+            console.warn('Lockstep desync on turn', batch.turn - INPUT_DELAY_TURNS, checksums);
+            eventBus.emit(GameEvents.NET_DESYNC, { turn: batch.turn - INPUT_DELAY_TURNS, checksums });
+        }
+    }
+
+    /**
+     * Leave the match; the relay stops waiting for our turns
+     * @param {boolean} finished - Our game ended, rather than us quitting it
+     */
+    leave(finished = false) {
+        if (!this.active) return;
+        this.active = false;
+
+        this.send({ type: 'leave', finished });
+        this.stopMatch();
+    }
+
+    stopMatch() {
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        commandSystem.setInterceptor(null);
+        simulation.stepGate = null;
+        this.turns.clear();
+        this.pending = [];
+        this.relayStopped = false;
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        this.playerId = null;
+        socket.close();
+    }
+
+    dispose() {
+        this.leave();
+        this.stopMatch();
+        this.disconnect();
+        this.team = null;
+        this.humanTeams = [];
+    }
+}
+
+export const lockstepSession = new LockstepSession();
+
+export default LockstepSession;
@@ -0,0 +1,6 @@
+// ============================================================
+// VOID SUPREMACY 3D - Network Module
+// Re-exports all network components
+// ============================================================
+
+export { LockstepSession, lockstepSession, TURN_TICKS, INPUT_DELAY_TURNS, LOCKSTEP_PATH } from './LockstepSession.js?v=20260119';
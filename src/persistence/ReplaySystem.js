@@ -0,0 +1,258 @@
+// ============================================================
+// VOID SUPREMACY 3D - Replay System
+// Records the command stream (player commands + AI decisions)
+// with the seed and lobby config, and plays it back through the
+// deterministic simulation.
+// ============================================================
+
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { commandSystem } from '../systems/CommandSystem.js?v=20260119';
+
+export const REPLAY_VERSION = 1;
+
+export const ReplayMode = {
+    IDLE: 'idle',
+    RECORDING: 'recording',
+    PLAYBACK: 'playback'
+};
+
+export class ReplaySystem {
+    constructor() {
+        this.mode = ReplayMode.IDLE;
+        this.replay = null;
+        this.commandCursor = 0;
+        this.decisionCursor = 0;
+        this.desyncCount = 0;
+        this._unsubs = null;
+    }
+
+    // ===== Recording =====
+
+    /**
+     * Start recording a new match
+     * @param {Object} match
+     * @param {string} match.seed - Map seed the match was generated from
+     * @param {Object|null} match.lobbyConfig - Lobby config passed to applyGameConfig
+     * @param {number|null} match.humanTeam - Team the recording player controlled
+     * @param {number} match.timestep - Simulation seconds per tick
+     */
+    startRecording({ seed, lobbyConfig = null, humanTeam = null, timestep = simulationClock.timestep }) {
+        this.stop();
+
+        this.mode = ReplayMode.RECORDING;
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: String(seed),
+            lobbyConfig,
+            humanTeam,
+            timestep,
+            createdAt: Date.now(),
+            ticks: 0,
+            winner: null,
+            // [tick, command]
+            commands: [],
+            // [tick, team, action, buildingType, x, z] - used to detect desyncs on playback
+            decisions: []
+        };
+
+        this._unsubs = [
+            eventBus.on(GameEvents.COMMAND_EXECUTED, ({ command, tick }) => {
+                this.replay.commands.push([tick, command]);
+            }),
+
+            eventBus.on(GameEvents.AI_DECISION, (data) => {
+                this.replay.decisions.push(this.encodeDecision(data));
+            }),
+
+            eventBus.on(GameEvents.GAME_END, ({ winner }) => {
+                this.replay.ticks = simulationClock.tick;
+                this.replay.winner = winner;
+            })
+        ];
+    }
+
+    encodeDecision(data) {
+        return [
+            simulationClock.tick,
+            data.team,
+            data.action,
+            data.buildingType ?? null,
+            data.position?.x ?? null,
+            data.position?.z ?? null
+        ];
+    }
+
+    /**
+     * Get the recorded replay (finalizes the tick count for unfinished matches)
+     * @returns {Object|null}
+     */
+    getReplay() {
+        if (this.replay && this.mode === ReplayMode.RECORDING && this.replay.winner === null) {
+            this.replay.ticks = simulationClock.tick;
+        }
+        return this.replay;
+    }
+
+    // ===== Playback =====
+
+    /**
+     * Play a replay back. The match must already be generated from
+     * replay.seed / replay.lobbyConfig; AI teams re-simulate from the
+     * seed while recorded commands are fed in on their original ticks.
+     * @param {Object} replay
+     */
+    startPlayback(replay) {
+        this.stop();
+
+        this.mode = ReplayMode.PLAYBACK;
+        this.replay = replay;
+        this.commandCursor = 0;
+        this.decisionCursor = 0;
+        this.desyncCount = 0;
+
+        // Local input must not alter the recorded match
+        commandSystem.setInterceptor(() => true);
+
+        this._unsubs = [
+            eventBus.on(GameEvents.SIM_TICK, ({ tick }) => {
+                this.feedCommands(tick);
+            }),
+
+            eventBus.on(GameEvents.AI_DECISION, (data) => {
+                this.verifyDecision(data);
+            }),
+
+            eventBus.on(GameEvents.GAME_END, () => {
+                this.finishPlayback();
+            })
+        ];
+
+        eventBus.emit(GameEvents.REPLAY_STARTED, { replay });
+    }
+
+    /**
+     * Execute every recorded command stamped with this tick
+     * @param {number} tick - Ticks completed before the one about to run
+     */
+    feedCommands(tick) {
+        const commands = this.replay.commands;
+        while (this.commandCursor < commands.length && commands[this.commandCursor][0] <= tick) {
+            commandSystem.execute(commands[this.commandCursor][1]);
+            this.commandCursor++;
+        }
+
+        if (this.replay.ticks > 0 && tick >= this.replay.ticks) {
+            this.finishPlayback();
+        }
+    }
+
+    verifyDecision(data) {
+        const expected = this.replay.decisions[this.decisionCursor++];
+        const actual = this.encodeDecision(data);
+
+        if (!expected || JSON.stringify(expected) !== JSON.stringify(actual)) {
+            this.desyncCount++;
+            if (this.desyncCount === 1) {
+                console.warn('Replay desync at tick', actual[0], { expected, actual });
+                eventBus.emit(GameEvents.REPLAY_DESYNC, { tick: actual[0], expected, actual });
+            }
+        }
+    }
+
+    finishPlayback() {
+        if (this.mode !== ReplayMode.PLAYBACK) return;
+
+        const replay = this.replay;
+        const desyncCount = this.desyncCount;
+        this.stop();
+        this.replay = replay;
+
+        eventBus.emit(GameEvents.REPLAY_ENDED, { replay, desyncCount });
+    }
+
+    /**
+     * Progress through the replay (0-1)
+     */
+    getProgress() {
+        if (!this.replay || !this.replay.ticks) return 0;
+        return Math.min(1, simulationClock.tick / this.replay.ticks);
+    }
+
+    isPlayingBack() {
+        return this.mode === ReplayMode.PLAYBACK;
+    }
+
+    // ===== Import / Export =====
+
+    /**
+     * Download the current recording as a .json file
+     */
+    exportReplay(replay = this.getReplay()) {
+        if (!replay) return;
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `void-supremacy-replay-${replay.seed.replace(/[^a-z0-9]/gi, '_')}-${Date.now()}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    async importReplay(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    resolve(this.parseReplay(e.target.result));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Parse and validate replay JSON
+     * @param {string} text
+     * @returns {Object}
+     */
+    parseReplay(text) {
+        const replay = JSON.parse(text);
+
+        if (replay.version !== REPLAY_VERSION || !replay.seed || !Array.isArray(replay.commands)) {
+            throw new Error('Invalid replay file');
+        }
+
+        replay.decisions = replay.decisions || [];
+        return replay;
+    }
+
+    // ===== Cleanup =====
+
+    stop() {
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        if (this.mode === ReplayMode.PLAYBACK) {
+            commandSystem.setInterceptor(null);
+        }
+        this.mode = ReplayMode.IDLE;
+    }
+
+    dispose() {
+        this.stop();
+        this.replay = null;
+    }
+}
+
+export const replaySystem = new ReplaySystem();
+
+export default ReplaySystem;
@@ -0,0 +1,331 @@
+// ============================================================
+// VOID SUPREMACY 3D - Save File Format
+// Compression, checksums and schema validation for save payloads
+// ============================================================
+
+// Why a save was rejected - sent with LOAD_ERROR
+export const LoadErrorReason = {
+    NOT_FOUND: 'not_found',
+    CORRUPT: 'corrupt',               // Not valid JSON or cannot be decompressed
+    CHECKSUM: 'checksum_mismatch',    // Payload changed since it was written
+    VERSION: 'unsupported_version',
+    TOO_OLD: 'save_too_old',          // Written before the format could be migrated
+    SCHEMA: 'invalid_schema',
+    UNSUPPORTED: 'unsupported_encoding',
+    RESTORE: 'restore_failed'         // Valid save, but applying it threw
+};
+
+export class SaveFormatError extends Error {
+    /**
+     * @param {string} reason - LoadErrorReason value
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'SaveFormatError';
+        this.reason = reason;
+    }
+}
+
+// Payload encodings
+export const SaveEncoding = {
+    DEFLATE: 'deflate',     // CompressionStream
+    LZW: 'lzw'              // Pure-JS fallback
+};
+
+const hasCompressionStreams = () =>
+    typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+// ===== Compression =====
+
+/**
+ * Compress text, preferring the native deflate stream
+ * @param {string} text
+ * @returns {Promise<{encoding: string, data: string}>} Base64 payload and how it was encoded
+ */
+export async function compressText(text) {
+    const bytes = new TextEncoder().encode(text);
+
+    if (hasCompressionStreams()) {
+        const compressed = await pipeBytes(bytes, new CompressionStream('deflate'));
+        return { encoding: SaveEncoding.DEFLATE, data: bytesToBase64(compressed) };
+    }
+
+    return { encoding: SaveEncoding.LZW, data: bytesToBase64(lzwCompress(bytes)) };
+}
+
+/**
+ * Reverse of compressText()
+ * @param {string} encoding
+ * @param {string} data - Base64 payload
+ * @returns {Promise<string>}
+ */
+export async function decompressText(encoding, data) {
+    let bytes;
+    try {
+        bytes = base64ToBytes(data);
+    } catch {
+        throw new SaveFormatError(LoadErrorReason.CORRUPT, 'Save data is not valid base64');
+    }
+
+    if (encoding === SaveEncoding.DEFLATE) {
+        if (!hasCompressionStreams()) {
+            throw new SaveFormatError(LoadErrorReason.UNSUPPORTED, 'This browser cannot decompress deflate saves');
+        }
+        try {
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate'));
+        } catch {
+            throw new SaveFormatError(LoadErrorReason.CORRUPT, 'Save data failed to decompress');
+        }
+    } else if (encoding === SaveEncoding.LZW) {
+        bytes = lzwDecompress(bytes);
+    } else {
+        throw new SaveFormatError(LoadErrorReason.UNSUPPORTED, `Unknown save encoding "${encoding}"`);
+    }
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        throw new SaveFormatError(LoadErrorReason.CORRUPT, 'Save data is not valid text');
+    }
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked - spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// ===== LZW Fallback =====
+// Codes grow from 8 to 16 bits as the dictionary fills; the dictionary
+// freezes once all 16-bit codes are used. Output is prefixed with the
+// uncompressed length (uint32, little-endian).
+
+const LZW_MAX_CODE = 0xFFFF;
+
+// Both sides derive the code width from how many codes have been written
+const lzwCodeWidth = (step) => 32 - Math.clz32(Math.min(255 + step, LZW_MAX_CODE));
+
+function lzwCompress(bytes) {
+    const out = [bytes.length & 0xFF, (bytes.length >>> 8) & 0xFF, (bytes.length >>> 16) & 0xFF, bytes.length >>> 24];
+    if (bytes.length === 0) return Uint8Array.from(out);
+
+    let buffer = 0;
+    let bits = 0;
+    let step = 0;
+    const write = (code) => {
+        buffer |= code << bits;
+        bits += lzwCodeWidth(step++);
+        while (bits >= 8) {
+            out.push(buffer & 0xFF);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    const dictionary = new Map();   // prefixCode * 256 + byte -> code
+    let nextCode = 256;
+    let prefix = bytes[0];
+
+    for (let i = 1; i < bytes.length; i++) {
+        const key = prefix * 256 + bytes[i];
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        write(prefix);
+        if (nextCode <= LZW_MAX_CODE) {
+            dictionary.set(key, nextCode++);
+        }
+        prefix = bytes[i];
+    }
+    write(prefix);
+
+    if (bits > 0) out.push(buffer & 0xFF);
+    return Uint8Array.from(out);
+}
+
+function lzwDecompress(bytes) {
+    const corrupt = () => new SaveFormatError(LoadErrorReason.CORRUPT, 'Save data failed to decompress');
+    if (bytes.length < 4) throw corrupt();
+
+    const length = (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
+    const out = new Uint8Array(length);
+    if (length === 0) return out;
+
+    // Each code is its prefix code plus one trailing byte
+    const prefixes = new Int32Array(LZW_MAX_CODE + 1).fill(-1);
+    const suffixes = new Uint8Array(LZW_MAX_CODE + 1);
+    const firsts = new Uint8Array(LZW_MAX_CODE + 1);
+    const lengths = new Uint32Array(LZW_MAX_CODE + 1);
+    for (let c = 0; c < 256; c++) {
+        suffixes[c] = c;
+        firsts[c] = c;
+        lengths[c] = 1;
+    }
+
+    let offset = 4;
+    let buffer = 0;
+    let bits = 0;
+    let step = 0;
+    const read = () => {
+        const width = lzwCodeWidth(step++);
+        while (bits < width) {
+            if (offset >= bytes.length) throw corrupt();
+            buffer |= bytes[offset++] << bits;
+            bits += 8;
+        }
+        const code = buffer & ((1 << width) - 1);
+        buffer >>>= width;
+        bits -= width;
+        return code;
+    };
+
+    let written = 0;
+    const emit = (code) => {
+        const end = written + lengths[code];
+        if (end > length) throw corrupt();
+        for (let i = end - 1, c = code; i >= written; i--, c = prefixes[c]) {
+            out[i] = suffixes[c];
+        }
+        written = end;
+    };
+
+    let nextCode = 256;
+    let prev = read();
+    if (prev > 255) throw corrupt();
+    emit(prev);
+
+    while (written < length) {
+        const code = read();
+        if (code > nextCode) throw corrupt();
+
+        if (nextCode <= LZW_MAX_CODE) {
+            // code === nextCode is the cScSc case: prev plus its own first byte
+            const first = code === nextCode ? firsts[prev] : firsts[code];
+            prefixes[nextCode] = prev;
+            suffixes[nextCode] = first;
+            firsts[nextCode] = firsts[prev];
+            lengths[nextCode] = lengths[prev] + 1;
+            nextCode++;
+        } else if (code === nextCode) {
+            throw corrupt();
+        }
+
+        emit(code);
+        prev = code;
+    }
+
+    return out;
+}
+
+// ===== Checksum =====
+
+/**
+ * FNV-1a hash of the payload text, as 8 hex digits
+ * @param {string} text
+ * @returns {string}
+ */
+export function checksumText(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ===== Schema Validation =====
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Check the shape of a decoded save payload before anything is torn down,
+ * so a bad save is rejected instead of half-loading
+ * @param {Object} payload - { config, simulation, explored, controlGroups }
+ * @throws {SaveFormatError}
+ */
+export function validateSavePayload(payload) {
+    const expect = (condition, path) => {
+        if (!condition) {
+            throw new SaveFormatError(LoadErrorReason.SCHEMA, `Save file is invalid at "${path}"`);
+        }
+    };
+
+    expect(isObject(payload), 'payload');
+    expect(isObject(payload.config), 'config');
+
+    const sim = payload.simulation;
+    expect(isObject(sim), 'simulation');
+    expect(Array.isArray(sim.humanTeams) && sim.humanTeams.every(Number.isInteger), 'simulation.humanTeams');
+    expect(isObject(sim.clock) && Number.isInteger(sim.clock.tick) && sim.clock.timestep > 0, 'simulation.clock');
+    expect(Array.isArray(sim.clock.timers), 'simulation.clock.timers');
+    expect(isObject(sim.rng) && Number.isFinite(sim.rng.state), 'simulation.rng');
+    expect(Number.isInteger(sim.entityIdCounter), 'simulation.entityIdCounter');
+    expect(Number.isFinite(sim.gameTime), 'simulation.gameTime');
+    expect(isObject(sim.resources) && isObject(sim.stats), 'simulation.resources');
+    expect(Array.isArray(sim.winners) && sim.winners.every(Number.isInteger), 'simulation.winners');
+    expect(sim.victoryReason === null || typeof sim.victoryReason === 'string', 'simulation.victoryReason');
+    expect(isObject(sim.hostility) && isObject(sim.alliances), 'simulation.alliances');
+
+    expect(Array.isArray(sim.entities), 'simulation.entities');
+    const ids = new Set();
+    sim.entities.forEach((entity, i) => {
+        const path = `simulation.entities[${i}]`;
+        expect(isObject(entity) && isId(entity.id) && !ids.has(entity.id), `${path}.id`);
+        expect(entity.entityType === 'unit' || entity.entityType === 'building', `${path}.entityType`);
+        expect(typeof entity.type === 'string', `${path}.type`);
+        expect(Number.isInteger(entity.team), `${path}.team`);
+        expect(Number.isFinite(entity.x) && Number.isFinite(entity.z), `${path}.x`);
+        expect(Number.isFinite(entity.health) && Number.isFinite(entity.maxHealth), `${path}.health`);
+        expect(Array.isArray(entity.position) && entity.position.length === 3 &&
+            entity.position.every(Number.isFinite), `${path}.position`);
+        ids.add(entity.id);
+    });
+    expect(Array.isArray(sim.units) && sim.units.every(id => ids.has(id)), 'simulation.units');
+    expect(Array.isArray(sim.buildings) && sim.buildings.every(id => ids.has(id)), 'simulation.buildings');
+    expect(Array.isArray(sim.spatialGrid), 'simulation.spatialGrid');
+
+    const nodes = sim.resourceNodes;
+    expect(isObject(nodes) && Array.isArray(nodes.ore) && Array.isArray(nodes.crystals), 'simulation.resourceNodes');
+    expect([...nodes.ore, ...nodes.crystals].every(node =>
+        isObject(node) && Number.isFinite(node.x) && Number.isFinite(node.z) && Number.isFinite(node.amount)
+    ), 'simulation.resourceNodes');
+
+    expect(Array.isArray(sim.projectiles), 'simulation.projectiles');
+    expect(isObject(sim.forceFields) && Array.isArray(sim.forceFields.segments), 'simulation.forceFields');
+    expect(Array.isArray(sim.aiPlayers) && sim.aiPlayers.every(isObject), 'simulation.aiPlayers');
+    expect(isObject(sim.diplomacy) && Array.isArray(sim.diplomacy.rejectedAt), 'simulation.diplomacy');
+    expect(isObject(sim.victory) && Array.isArray(sim.victory.holdingSince), 'simulation.victory');
+    expect(isObject(sim.matchStats) && Array.isArray(sim.matchStats.samples) &&
+        isObject(sim.matchStats.unitTypes) && isObject(sim.matchStats.actions), 'simulation.matchStats');
+    expect(isObject(sim.research) && isObject(sim.research.completed) &&
+        Object.values(sim.research.completed).every(Array.isArray), 'simulation.research');
+    expect(Array.isArray(sim.defenseTimestamps), 'simulation.defenseTimestamps');
+
+    expect(isObject(payload.explored) && Object.values(payload.explored).every(runs =>
+        Array.isArray(runs) && runs.every(n => Number.isInteger(n) && n >= 0)
+    ), 'explored');
+    expect(isObject(payload.controlGroups) && Object.values(payload.controlGroups).every(group =>
+        Array.isArray(group) && group.every(isId)
+    ), 'controlGroups');
+}
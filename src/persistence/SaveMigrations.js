@@ -0,0 +1,598 @@
+// ============================================================
+// VOID SUPREMACY 3D - Save Migrations
+// Ordered upgrade steps for old save formats, plus cleanup of
+// entity types that no longer exist in Config.js
+// ============================================================
+
+import {
+    CONFIG, BUILDINGS, UNITS, ALIEN_UNITS, UPGRADES, DEFAULT_STANCE, TEAMS, AI_PERSONALITIES, DEFAULT_AI_PERSONALITY
+} from '../core/Config.js?v=20260119';
+import { FIXED_TIMESTEP } from '../core/SimulationClock.js?v=20260119';
+import { SpatialGrid } from '../systems/SpatialGrid.js?v=20260119';
+import { LoadErrorReason, SaveFormatError } from './SaveFormat.js?v=20260119';
+
+// Current save format version
+export const SAVE_VERSION = 13;
+
+// Oldest version that can still be upgraded. v1 saves only stored entity
+// types, positions and resources; the rest is rebuilt from defaults.
+export const MIN_SAVE_VERSION = 1;
+
+// Prefix the v1 format gave alien unit types
+const V1_ALIEN_PREFIX = 'alien_';
+
+/**
+ * Migration steps keyed by the version they upgrade FROM. Each step takes
+ * a save at that version and returns it at version + 1.
+ *
+ * v1 and v2 saves are the raw stored object. From v3 on, steps see the decoded
+ * form: { id, version, name, timestamp, playTime, payload } where payload
+ * is { config, simulation, explored, controlGroups }.
+ *
+ * When a unit or building type is renamed in Config.js, bump SAVE_VERSION
+ * and add a step that calls renameEntityTypes().
+ */
+export const SAVE_MIGRATIONS = {
+    1: {
+        description: 'Rebuild the simulation from v1 entities and resources',
+        migrate(save) {
+            const flat = save.compressed
+                ? JSON.parse(decodeURIComponent(atob(save.data)))
+                : save;
+
+            return {
+                id: save.id,
+                version: 2,
+                name: save.name,
+                timestamp: save.timestamp,
+                playTime: save.playTime,
+                // v1 did not record match settings; the running game's stay
+                config: {},
+                simulation: rebuildV1Simulation(flat),
+                explored: {},
+                controlGroups: {}
+            };
+        }
+    },
+    2: {
+        description: 'Unwrap base64 saves written before checksums',
+        migrate(save) {
+            const flat = save.compressed
+                ? JSON.parse(decodeURIComponent(atob(save.data)))
+                : save;
+
+            return {
+                id: save.id,
+                version: 3,
+                name: save.name,
+                timestamp: save.timestamp,
+                playTime: save.playTime,
+                payload: {
+                    config: flat.config,
+                    simulation: flat.simulation,
+                    explored: flat.explored,
+                    controlGroups: flat.controlGroups
+                }
+            };
+        }
+    },
+    3: {
+        description: 'Add alliances and diplomacy state',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            const alliances = {};
+            for (const team of Object.keys(sim.hostility)) {
+                alliances[team] = Object.fromEntries(Object.keys(sim.hostility[team]).map(t => [t, false]));
+            }
+
+            return {
+                ...save,
+                version: 4,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        winners: sim.winner === null ? [] : [sim.winner],
+                        alliances,
+                        diplomacy: { rejectedAt: [] }
+                    }
+                }
+            };
+        }
+    },
+
+    4: {
+        description: 'Add victory conditions',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 5,
+                payload: {
+                    ...save.payload,
+                    // Older matches were all annihilation
+                    config: { ...save.payload.config, VICTORY_MODE: 'annihilation' },
+                    simulation: {
+                        ...sim,
+                        victoryReason: sim.winners.length > 0 ? 'annihilation' : null,
+                        victory: { holdingSince: [] }
+                    }
+                }
+            };
+        }
+    },
+
+    5: {
+        description: 'Add match statistics timelines',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 6,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // The post-match screen starts from the load point
+                        matchStats: sim.matchStats ?? { samples: [], unitTypes: {}, actions: {} }
+                    }
+                }
+            };
+        }
+    },
+    6: {
+        description: 'Add research upgrades',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 7,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        research: sim.research ?? { completed: {} }
+                    }
+                }
+            };
+        }
+    },
+    7: {
+        description: 'Add building power switches',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 8,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // Every structure was running
+                        entities: sim.entities.map(entity => entity.entityType === 'building'
+                            ? { ...entity, poweredDown: entity.poweredDown ?? false }
+                            : entity)
+                    }
+                }
+            };
+        }
+    },
+    8: {
+        description: 'Add building repair and upgrade state',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 9,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // Structures were all base tier with no orders running
+                        entities: sim.entities.map(entity => entity.entityType === 'building'
+                            ? {
+                                ...entity,
+                                tier: entity.tier ?? 1,
+                                isUpgrading: entity.isUpgrading ?? false,
+                                upgradeProgress: entity.upgradeProgress ?? 0,
+                                repairing: entity.repairing ?? false
+                            }
+                            : entity)
+                    }
+                }
+            };
+        }
+    },
+    9: {
+        description: 'Add point defense',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 10,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // Nothing had intercepted a missile yet
+                        entities: sim.entities.map(entity => entity.entityType === 'unit' || entity.entityType === 'building'
+                            ? { ...entity, lastIntercept: entity.lastIntercept ?? 0 }
+                            : entity),
+                        stats: Object.fromEntries(Object.entries(sim.stats).map(([team, stats]) =>
+                            [team, { ...stats, missilesIntercepted: stats.missilesIntercepted ?? 0 }]
+                        ))
+                    }
+                }
+            };
+        }
+    },
+    10: {
+        description: 'Add carrier hangars',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 11,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // No carriers existed, so no unit had a hangar or fighters
+                        entities: sim.entities.map(entity => entity.entityType === 'unit'
+                            ? {
+                                ...entity,
+                                hangar: entity.hangar ?? null,
+                                fighters: entity.fighters ?? [],
+                                carrier: entity.carrier ?? null
+                            }
+                            : entity)
+                    }
+                }
+            };
+        }
+    },
+    11: {
+        description: 'Add unit veterancy',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 12,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // Every ship starts as a recruit; shots in flight earn nobody XP
+                        entities: sim.entities.map(entity => entity.entityType === 'unit'
+                            ? { ...entity, experience: entity.experience ?? 0, rank: entity.rank ?? 0 }
+                            : entity),
+                        projectiles: sim.projectiles.map(proj => ({ ...proj, shooter: proj.shooter ?? null }))
+                    }
+                }
+            };
+        }
+    },
+    12: {
+        description: 'Add unit stances',
+        migrate(save) {
+            const sim = save.payload.simulation;
+            return {
+                ...save,
+                version: 13,
+                payload: {
+                    ...save.payload,
+                    simulation: {
+                        ...sim,
+                        // Ships take their type's stance, not engaged in a fight of their own
+                        entities: sim.entities.map(entity => entity.entityType === 'unit'
+                            ? {
+                                ...entity,
+                                stance: entity.stance ?? UNITS[entity.type]?.stance ?? DEFAULT_STANCE,
+                                leashAnchor: entity.leashAnchor ?? null,
+                                disengaging: entity.disengaging ?? false,
+                                lastAttacker: entity.lastAttacker ?? null
+                            }
+                            : entity)
+                    }
+                }
+            };
+        }
+    }
+};
+
+// ===== v1 Saves =====
+
+/**
+ * A v2 simulation snapshot holding what a v1 save stored: entities with
+ * their type, team, position and health, team resources and resource
+ * nodes. Orders, projectiles and AI progress start fresh, and force
+ * fields link up again the next time a structure completes.
+ * @param {Object} v1 - Decompressed v1 save
+ * @returns {Object} Simulation state as v2 Simulation.serialize() wrote it
+ */
+function rebuildV1Simulation(v1) {
+    const teams = Object.values(TEAMS);
+    const players = teams.filter(t => t < TEAMS.NEUTRAL);
+    // Keyed like the grid Simulation.restore() creates
+    const grid = new SpatialGrid(50, CONFIG.MAP_SIZE || 2000);
+    const cells = new Map();
+
+    const entities = (v1.entities || []).map((saved, i) => {
+        const id = i + 1;
+        const { x = 0, y = 0, z = 0 } = saved.position || {};
+        const entity = {
+            id,
+            entityType: saved.isBuilding ? 'building' : 'unit',
+            type: saved.type,
+            team: saved.team,
+            x,
+            z,
+            health: saved.health,
+            maxHealth: saved.maxHealth ?? saved.health,
+            position: [x, y, z],
+            rotation: saved.rotation || 0
+        };
+
+        const key = grid.getCellKey(x, z);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(id);
+
+        if (saved.isBuilding) {
+            return {
+                ...entity,
+                isConstructing: saved.isConstructing ?? false,
+                constructionProgress: saved.constructionProgress ?? 1,
+                buildQueue: (saved.productionQueue || []).map(item => ({ type: item.type })),
+                buildProgress: 0,
+                rallyPoint: null,
+                storedOre: 0,
+                storedCrystals: 0,
+                lastFire: 0,
+                isAlien: false
+            };
+        }
+
+        const alienType = saved.type.startsWith(V1_ALIEN_PREFIX) ? saved.type.slice(V1_ALIEN_PREFIX.length) : null;
+        const def = alienType ? ALIEN_UNITS[alienType] : UNITS[saved.type];
+        const unit = {
+            ...entity,
+            shield: def?.shield || 0,
+            maxShield: def?.shield || 0,
+            speed: def?.speed ?? 0,
+            targetX: x,
+            targetZ: z,
+            command: 'idle',
+            guardTarget: null,
+            attackTarget: null,
+            attackTargets: [],
+            lastFire: 0,
+            isAttackMoving: false,
+            holdPosition: false,
+            patrolPoints: null,
+            patrolIndex: 0,
+            harvestTarget: null,
+            cargo: saved.cargo || 0,
+            cargoType: saved.cargoType ?? null,
+            isReturning: false,
+            returnTarget: null
+        };
+        // Aliens guard where they stand, with AlienUnit's default ranges
+        return alienType
+            ? { ...unit, alienType, homeX: x, homeZ: z, aggroRange: 100, returnRange: 200 }
+            : unit;
+    });
+
+    // Team tables as GameState.reset() lays them out, with what v1 kept
+    const resources = {};
+    const stats = {};
+    const hostility = {};
+    for (const t of teams) {
+        const saved = v1.resources?.[t] || {};
+        resources[t] = {
+            credits: saved.credits ?? (players.includes(t) ? 1000 : 5000),
+            ore: saved.ore || 0,
+            crystals: saved.crystals || 0,
+            energy: 0,
+            maxEnergy: 0,
+            energyDrain: 0,
+            supply: 0,
+            maxSupply: 0
+        };
+        stats[t] = {
+            unitsBuilt: 0, unitsLost: 0, enemyKilled: 0,
+            buildingsBuilt: 0, buildingsLost: 0, resourcesCollected: 0
+        };
+        hostility[t] = Object.fromEntries(teams.map(t2 =>
+            [t2, players.includes(t) && players.includes(t2) && t !== t2]
+        ));
+    }
+
+    // v1 kept one set of totals, for the player
+    const totals = v1.stats || {};
+    Object.assign(stats[TEAMS.PLAYER], {
+        unitsBuilt: totals.unitsBuilt || 0,
+        unitsLost: totals.unitsLost || 0,
+        enemyKilled: totals.unitsKilled || 0,
+        buildingsBuilt: totals.buildingsBuilt || 0,
+        resourcesCollected: totals.resourcesGathered || 0
+    });
+
+    const node = saved => ({
+        x: saved.x,
+        z: saved.z,
+        amount: saved.amount,
+        maxAmount: saved.maxAmount ?? saved.amount,
+        depleted: saved.depleted ?? false,
+        regrowTimer: 0
+    });
+
+    // Every enemy with a base left gets an AI, starting its build order over
+    const aiTeams = players.filter(t => t !== TEAMS.PLAYER &&
+        entities.some(e => e.team === t && e.type === 'commandCenter'));
+    const seed = (v1.timestamp || 0) >>> 0;
+    const gameTime = v1.gameTime || 0;
+
+    return {
+        humanTeams: [TEAMS.PLAYER],
+        clock: { tick: Math.round(gameTime / FIXED_TIMESTEP), timestep: FIXED_TIMESTEP, timerIdCounter: 0, timers: [] },
+        rng: { seed, state: seed },
+        entityIdCounter: entities.length,
+
+        running: true,
+        winner: null,
+        gameTime,
+        resources,
+        stats,
+        hostility,
+
+        entities,
+        units: entities.filter(e => e.entityType === 'unit').map(e => e.id),
+        buildings: entities.filter(e => e.entityType === 'building').map(e => e.id),
+        spatialGrid: [...cells],
+
+        resourceNodes: { ore: (v1.oreNodes || []).map(node), crystals: (v1.crystalNodes || []).map(node) },
+        projectiles: [],
+        forceFields: {
+            generators: entities.filter(e => e.type === 'forceFieldGenerator').map(e => e.id),
+            segmentIdCounter: 0,
+            segments: []
+        },
+        aiPlayers: aiTeams.map(team => ({
+            team,
+            lastAction: 0,
+            buildIndex: 0,
+            buildOrder: [...AI_PERSONALITIES[DEFAULT_AI_PERSONALITY].buildOrder]
+        })),
+        defenseTimestamps: []
+    };
+}
+
+/**
+ * Upgrade a save to SAVE_VERSION, one step at a time
+ * @param {Object} save - Save at any version from MIN_SAVE_VERSION
+ * @param {Object} [report] - Collects the description of each step applied
+ * @returns {Object} Save at SAVE_VERSION
+ * @throws {SaveFormatError}
+ */
+export function migrateSave(save, report = null) {
+    const fromVersion = save.version;
+
+    if (fromVersion < MIN_SAVE_VERSION) {
+        throw new SaveFormatError(LoadErrorReason.TOO_OLD, `Save format v${fromVersion} is too old to load`);
+    }
+    if (fromVersion > SAVE_VERSION) {
+        throw new SaveFormatError(LoadErrorReason.VERSION, `Save format v${fromVersion} is from a newer version of the game`);
+    }
+
+    while (save.version < SAVE_VERSION) {
+        const step = SAVE_MIGRATIONS[save.version];
+        if (!step) {
+            throw new SaveFormatError(LoadErrorReason.VERSION, `No migration from save format v${save.version}`);
+        }
+
+        const version = save.version;
+        try {
+            save = step.migrate(save);
+        } catch (error) {
+            throw new SaveFormatError(LoadErrorReason.CORRUPT, `Save migration from v${version} failed: ${error.message}`);
+        }
+        if (save.version !== version + 1) {
+            throw new Error(`Save migration from v${version} did not produce v${version + 1}`);
+        }
+
+        report?.steps.push(`v${version} -> v${save.version}: ${step.description}`);
+    }
+
+    return save;
+}
+
+/**
+ * Create an empty migration report
+ * @param {number} fromVersion
+ * @returns {{fromVersion: number, steps: string[], mapped: Object[], dropped: Object[]}}
+ */
+export function createMigrationReport(fromVersion) {
+    return { fromVersion, steps: [], mapped: [], dropped: [] };
+}
+
+// ===== Entity Types =====
+
+/**
+ * Rename entity and production queue types in a save payload. For use in
+ * migration steps after a type is renamed in Config.js.
+ * @param {Object} payload
+ * @param {Object} renames - { units: { old: new }, buildings: { old: new } }
+ * @param {Object} [report]
+ */
+export function renameEntityTypes(payload, renames, report = null) {
+    const unitRenames = renames.units || {};
+    const buildingRenames = renames.buildings || {};
+
+    for (const entity of payload.simulation.entities) {
+        const table = entity.entityType === 'building' ? buildingRenames : unitRenames;
+        const to = table[entity.type];
+        if (to) {
+            report?.mapped.push({ id: entity.id, entityType: entity.entityType, from: entity.type, to });
+            entity.type = to;
+        }
+
+        for (const item of entity.buildQueue || []) {
+            if (unitRenames[item.type]) item.type = unitRenames[item.type];
+        }
+    }
+}
+
+const isKnownEntity = (entity) => {
+    if (entity.entityType === 'building') return !!BUILDINGS[entity.type];
+    if (entity.alienType) return !!ALIEN_UNITS[entity.alienType];
+    return !!UNITS[entity.type];
+};
+
+/**
+ * Drop entities and queued units whose types are not in Config.js, so
+ * restoring does not crash on a missing definition. References to dropped
+ * entities resolve as dead on restore.
+ * @param {Object} payload - Validated save payload
+ * @param {Object} [report] - Records each dropped entity
+ */
+export function dropUnknownEntityTypes(payload, report = null) {
+    const sim = payload.simulation;
+    const dropped = new Set();
+
+    sim.entities = sim.entities.filter(entity => {
+        if (isKnownEntity(entity)) return true;
+        dropped.add(entity.id);
+        report?.dropped.push({ id: entity.id, entityType: entity.entityType, type: entity.alienType || entity.type });
+        return false;
+    });
+
+    for (const entity of sim.entities) {
+        if (!entity.buildQueue) continue;
+
+        // Research labs queue upgrades, everything else ships
+        const known = BUILDINGS[entity.type]?.canResearch ? UPGRADES : UNITS;
+        const queue = entity.buildQueue.filter(item => known[item.type]);
+        if (queue.length === entity.buildQueue.length) continue;
+
+        // Progress belongs to the head of the queue
+        if (!known[entity.buildQueue[0].type]) entity.buildProgress = 0;
+        for (const item of entity.buildQueue) {
+            if (!known[item.type]) {
+                report?.dropped.push({ id: entity.id, entityType: 'queued', type: item.type });
+            }
+        }
+        entity.buildQueue = queue;
+    }
+
+    if (dropped.size === 0) return;
+
+    const keep = (id) => !dropped.has(id);
+    sim.units = sim.units.filter(keep);
+    sim.buildings = sim.buildings.filter(keep);
+    sim.spatialGrid = sim.spatialGrid
+        .map(([key, ids]) => [key, ids.filter(keep)])
+        .filter(([, ids]) => ids.length > 0);
+    for (const [group, ids] of Object.entries(payload.controlGroups)) {
+        payload.controlGroups[group] = ids.filter(keep);
+    }
+}
@@ -3,12 +3,30 @@
 // Game state persistence using LocalStorage and IndexedDB
 // ============================================================
 
-import { CONFIG, TEAMS } from '../core/Config.js?v=20260119';
+import { CONFIG } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
-
-// Save format version for migration support
-const SAVE_VERSION = 1;
+import { simulation } from '../core/Simulation.js?v=20260119';
+import { fogOfWar } from '../systems/FogOfWar.js?v=20260119';
+import { selectionSystem } from '../systems/SelectionSystem.js?v=20260119';
+import {
+    LoadErrorReason, SaveFormatError, compressText, decompressText, checksumText, validateSavePayload
+} from './SaveFormat.js?v=20260119';
+import {
+    SAVE_VERSION, migrateSave, createMigrationReport, dropUnknownEntityTypes
+} from './SaveMigrations.js?v=20260119';
+
+// First format with compressed, checksummed payloads (see SaveMigrations)
+const CHECKSUM_VERSION = 3;
+
+// CONFIG keys set from the lobby (see applyGameConfig) - saved with the match
+const MATCH_CONFIG_KEYS = [
+    'MAP_SIZE', 'ASTEROID_BELT_INNER', 'ASTEROID_BELT_OUTER', 'MAP_SEED',
+    'NUM_PLAYERS', 'NUM_AI_PLAYERS', 'ORE_FIELDS', 'CRYSTAL_FIELDS',
+    'ORE_REGROW_RATE', 'CRYSTAL_REGROW_RATE', 'STARTING_CREDITS', 'STARTING_HARVESTERS',
+    'FOG_OF_WAR', 'AI_DIFFICULTY', 'AI_SLOT_PERSONALITIES', 'GAME_SPEED',
+    'VICTORY_MODE', 'VICTORY_CREDITS', 'VICTORY_CRYSTAL_FIELDS', 'VICTORY_HOLD_TIME', 'VICTORY_TIME_LIMIT'
+];
 
 // Storage keys
 const STORAGE_PREFIX = 'voidSupremacy_';
@@ -83,7 +101,7 @@ export class SaveSystem {
 
     async save(name, slot = null) {
         try {
-            const saveData = this.createSaveData(name);
+            const saveData = await this.createSaveData(name);
 
             if (this.useIndexedDB) {
                 await this.saveToIndexedDB(saveData, slot);
@@ -113,24 +131,23 @@ export class SaveSystem {
             }
 
             if (!saveData) {
-                throw new Error('Save not found');
-            }
-
-            // Validate version
-            if (saveData.version !== SAVE_VERSION) {
-                saveData = this.migrateSave(saveData);
+                throw new SaveFormatError(LoadErrorReason.NOT_FOUND, 'Save not found');
             }
 
-            // Apply save data
-            await this.applySaveData(saveData);
+            // Fully decoded and validated before the running game is touched
+            const { payload, report } = await this.readSaveData(saveData);
+            await this.applySaveData(payload);
 
-            eventBus.emit(GameEvents.LOAD_COMPLETE, { slot });
+            eventBus.emit(GameEvents.LOAD_COMPLETE, { slot, report });
             console.log(`Game loaded from slot: ${slot}`);
 
             return true;
         } catch (error) {
             console.error('Failed to load game:', error);
-            eventBus.emit(GameEvents.LOAD_ERROR, { error: error.message });
+            eventBus.emit(GameEvents.LOAD_ERROR, {
+                error: error.message,
+                reason: error.reason || LoadErrorReason.RESTORE
+            });
             return false;
         }
     }
@@ -150,205 +167,177 @@ export class SaveSystem {
 
     // ===== Save Data Creation =====
 
-    createSaveData(name) {
+    async createSaveData(name) {
+        const payload = {
+            // Match settings the world was generated with
+            config: this.serializeConfig(),
+
+            // Entities, systems, clock and RNG - everything the next tick depends on
+            simulation: simulation.serialize(),
+
+            // Local player view state
+            explored: this.serializeExplored(),
+            controlGroups: this.serializeControlGroups()
+        };
+        const text = JSON.stringify(payload);
+
+        // Metadata stays uncompressed so save lists can read it
         const saveData = {
             id: `save_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             version: SAVE_VERSION,
             name,
             timestamp: Date.now(),
-            playTime: gameState.playTime || 0,
-
-            // Game state
-            gameTime: gameState.gameTime,
-            isPaused: gameState.isPaused,
-            gameSpeed: gameState.gameSpeed,
-
-            // Resources per team
-            resources: this.serializeResources(),
-
-            // All entities
-            entities: this.serializeEntities(),
-
-            // Resource nodes
-            oreNodes: this.serializeResourceNodes(gameState.oreNodes),
-            crystalNodes: this.serializeResourceNodes(gameState.crystalNodes),
-
-            // Fog of war explored state
-            explored: this.serializeExplored(),
-
-            // AI state
-            aiState: this.serializeAIState(),
-
-            // Statistics
-            stats: this.serializeStats()
+            playTime: gameState.gameTime,
+            checksum: checksumText(text)
         };
 
-        // Compress if enabled
         if (this.useCompression) {
-            saveData.compressed = true;
-            saveData.data = this.compress(JSON.stringify(saveData));
+            const { encoding, data } = await compressText(text);
+            saveData.encoding = encoding;
+            saveData.data = data;
+        } else {
+            saveData.payload = payload;
         }
 
         return saveData;
     }
 
-    serializeResources() {
-        const resources = {};
-
-        for (const [team, res] of Object.entries(gameState.resources)) {
-            resources[team] = {
-                credits: res.credits,
-                ore: res.ore,
-                crystals: res.crystals,
-                energy: res.energy,
-                energyMax: res.energyMax,
-                supplyUsed: res.supplyUsed,
-                supplyMax: res.supplyMax
-            };
+    serializeConfig() {
+        const config = {};
+        for (const key of MATCH_CONFIG_KEYS) {
+            config[key] = CONFIG[key];
         }
-
-        return resources;
+        return config;
     }
 
-    serializeEntities() {
-        const entities = [];
-
-        for (const entity of gameState.entities) {
-            if (entity.dead) continue;
-
-            const serialized = {
-                type: entity.type,
-                team: entity.team,
-                health: entity.health,
-                maxHealth: entity.maxHealth,
-                isBuilding: entity.isBuilding,
-
-                // Position
-                position: entity.mesh ? {
-                    x: entity.mesh.position.x,
-                    y: entity.mesh.position.y,
-                    z: entity.mesh.position.z
-                } : null,
-                rotation: entity.mesh?.rotation.y || 0
-            };
-
-            // Building-specific
-            if (entity.isBuilding) {
-                serialized.isConstructing = entity.isConstructing;
-                serialized.constructionProgress = entity.constructionProgress;
-                serialized.productionQueue = entity.productionQueue?.map(item => ({
-                    type: item.type,
-                    timeRemaining: item.timeRemaining
-                })) || [];
-            }
-
-            // Unit-specific
-            if (!entity.isBuilding) {
-                serialized.command = entity.command;
-                serialized.targetPosition = entity.targetPosition;
+    serializeExplored() {
+        // Run-length encode each team's explored grid (alternating 0/1 runs, starting with 0)
+        const explored = {};
 
-                // Harvester cargo
-                if (entity.type === 'harvester') {
-                    serialized.cargo = entity.cargo || 0;
-                    serialized.cargoType = entity.cargoType;
+        for (const [team, cells] of fogOfWar.explored) {
+            const runs = [];
+            let value = 0;
+            let length = 0;
+            for (const cell of cells) {
+                if (cell === value) {
+                    length++;
+                } else {
+                    runs.push(length);
+                    value = cell;
+                    length = 1;
                 }
             }
-
-            entities.push(serialized);
+            runs.push(length);
+            explored[team] = runs;
         }
 
-        return entities;
+        return explored;
     }
 
-    serializeResourceNodes(nodes) {
-        if (!nodes) return [];
+    serializeControlGroups() {
+        const groups = {};
+        for (const [num, entities] of Object.entries(selectionSystem.controlGroups)) {
+            groups[num] = entities.filter(e => !e.dead).map(e => e.id);
+        }
+        return groups;
+    }
+
+    // ===== Save Data Reading =====
+
+    /**
+     * Decode a stored save into its payload, rejecting anything that is
+     * corrupted, tampered with or malformed. Old formats are migrated and
+     * entities of unknown types dropped.
+     * @param {Object} saveData - Save as stored or imported
+     * @returns {Promise<{payload: Object, report: Object}>} Payload for applySaveData()
+     *          and what migration changed
+     * @throws {SaveFormatError}
+     */
+    async readSaveData(saveData) {
+        if (!saveData || typeof saveData !== 'object' || !Number.isInteger(saveData.version)) {
+            throw new SaveFormatError(LoadErrorReason.SCHEMA, 'Not a save file');
+        }
 
-        return nodes.map(node => ({
-            x: node.x,
-            z: node.z,
-            amount: node.amount,
-            maxAmount: node.maxAmount,
-            depleted: node.depleted
-        }));
-    }
+        const report = createMigrationReport(saveData.version);
 
-    serializeExplored() {
-        // Only save player's explored state (fog of war data)
-        const explored = {};
+        let save = saveData;
+        if (save.version >= CHECKSUM_VERSION && save.version <= SAVE_VERSION) {
+            save = { ...save, payload: await this.unpackSaveData(save) };
+            delete save.data;
+        }
+        save = migrateSave(save, report);
 
-        // This would need access to fogOfWar system
-        // For now, return empty - actual implementation needs fogOfWar integration
+        validateSavePayload(save.payload);
+        dropUnknownEntityTypes(save.payload, report);
 
-        return explored;
-    }
+        if (report.steps.length > 0 || report.dropped.length > 0) {
+            console.warn('Save migrated:', report);
+        }
 
-    serializeAIState() {
-        // Serialize AI decision state
-        return {
-            // AI state data would go here
-        };
+        return { payload: save.payload, report };
     }
 
-    serializeStats() {
-        return {
-            unitsBuilt: gameState.stats?.unitsBuilt || 0,
-            unitsLost: gameState.stats?.unitsLost || 0,
-            unitsKilled: gameState.stats?.unitsKilled || 0,
-            buildingsBuilt: gameState.stats?.buildingsBuilt || 0,
-            resourcesGathered: gameState.stats?.resourcesGathered || 0
-        };
-    }
+    /**
+     * Decompress and checksum a v3+ save
+     * @param {Object} saveData
+     * @returns {Promise<Object>} Unvalidated payload
+     */
+    async unpackSaveData(saveData) {
+        const text = typeof saveData.data === 'string'
+            ? await decompressText(saveData.encoding, saveData.data)
+            : JSON.stringify(saveData.payload);
 
-    // ===== Save Data Application =====
+        if (typeof saveData.checksum !== 'string' || checksumText(text) !== saveData.checksum) {
+            throw new SaveFormatError(LoadErrorReason.CHECKSUM, 'Save file is corrupted or was modified');
+        }
 
-    async applySaveData(saveData) {
-        // Decompress if needed
-        if (saveData.compressed) {
-            const decompressed = this.decompress(saveData.data);
-            saveData = JSON.parse(decompressed);
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            throw new SaveFormatError(LoadErrorReason.CORRUPT, 'Save data is not valid JSON');
         }
+        return payload;
+    }
 
-        // Clear existing state
-        eventBus.emit(GameEvents.GAME_RESET);
+    // ===== Save Data Application =====
 
-        // Restore game time
-        gameState.gameTime = saveData.gameTime;
-        gameState.isPaused = saveData.isPaused;
-        gameState.gameSpeed = saveData.gameSpeed;
-        gameState.playTime = saveData.playTime;
+    async applySaveData(payload) {
+        // Match settings first - the simulation restore reads them (map size, player count)
+        Object.assign(CONFIG, payload.config);
 
-        // Restore resources
-        for (const [teamStr, res] of Object.entries(saveData.resources)) {
-            const team = parseInt(teamStr);
-            gameState.resources.set(team, { ...res });
-        }
+        simulation.restore(payload.simulation);
 
-        // Restore resource nodes
-        await this.restoreResourceNodes(saveData.oreNodes, 'ore');
-        await this.restoreResourceNodes(saveData.crystalNodes, 'crystal');
+        this.restoreExplored(payload.explored);
+        this.restoreControlGroups(payload.controlGroups);
 
-        // Restore entities
-        for (const entityData of saveData.entities) {
-            eventBus.emit(GameEvents.RESTORE_ENTITY, entityData);
-        }
+        // Signal load complete so views rebuild from the restored state
+        eventBus.emit(GameEvents.STATE_RESTORED);
+        eventBus.emit(GameEvents.UI_SELECTION_CHANGED, []);
+        eventBus.emit(GameEvents.RESOURCE_CHANGED, { team: gameState.playerTeam });
+    }
 
-        // Restore stats
-        gameState.stats = saveData.stats;
+    restoreExplored(explored) {
+        for (const [team, runs] of Object.entries(explored)) {
+            const cells = fogOfWar.explored.get(Number(team));
+            if (!cells) continue;
 
-        // Restore explored fog
-        if (saveData.explored) {
-            eventBus.emit(GameEvents.RESTORE_FOG, saveData.explored);
+            let index = 0;
+            runs.forEach((length, i) => {
+                cells.fill(i % 2, index, index + length);
+                index += length;
+            });
         }
-
-        // Signal load complete
-        eventBus.emit(GameEvents.STATE_RESTORED);
+        fogOfWar.markDirty();
     }
 
-    async restoreResourceNodes(nodes, type) {
-        if (type === 'ore') {
-            gameState.oreNodes = nodes.map(n => ({ ...n }));
-        } else {
-            gameState.crystalNodes = nodes.map(n => ({ ...n }));
+    restoreControlGroups(groups) {
+        selectionSystem.controlGroups = {};
+
+        for (const [num, ids] of Object.entries(groups)) {
+            const entities = ids.map(id => gameState.getEntityById(id)).filter(Boolean);
+            selectionSystem.controlGroups[num] = entities;
+            gameState.setControlGroup(num, entities);
         }
     }
 
@@ -499,41 +488,6 @@ export class SaveSystem {
         }
     }
 
-    // ===== Compression =====
-
-    compress(data) {
-        // Simple RLE-style compression for save data
-        // In production, use pako or similar library
-        try {
-            return btoa(encodeURIComponent(data));
-        } catch {
-            return data;
-        }
-    }
-
-    decompress(data) {
-        try {
-            return decodeURIComponent(atob(data));
-        } catch {
-            return data;
-        }
-    }
-
-    // ===== Migration =====
-
-    migrateSave(saveData) {
-        // Handle save format migrations
-        const version = saveData.version || 0;
-
-        if (version < 1) {
-            // Migrate from v0 to v1
-            saveData.version = 1;
-            saveData.stats = saveData.stats || {};
-        }
-
-        return saveData;
-    }
-
     // ===== Export/Import =====
 
     exportSave(saveData) {
@@ -554,19 +508,30 @@ export class SaveSystem {
 
             reader.onload = async (e) => {
                 try {
-                    const saveData = JSON.parse(e.target.result);
-
-                    // Validate save data
-                    if (!saveData.version || !saveData.entities) {
-                        throw new Error('Invalid save file');
+                    let saveData;
+                    try {
+                        saveData = JSON.parse(e.target.result);
+                    } catch {
+                        throw new SaveFormatError(LoadErrorReason.CORRUPT, 'Save file is not valid JSON');
                     }
 
-                    // Generate new ID
+                    // Reject bad files now rather than when they are loaded
+                    await this.readSaveData(saveData);
+
+                    // Store the imported save as-is under a new ID
                     saveData.id = `import_${Date.now()}`;
+                    if (this.useIndexedDB) {
+                        await this.saveToIndexedDB(saveData, saveData.id);
+                    } else {
+                        this.saveToLocalStorage(saveData, saveData.id);
+                    }
 
-                    await this.save(saveData.name, saveData.id);
                     resolve(saveData);
                 } catch (error) {
+                    eventBus.emit(GameEvents.LOAD_ERROR, {
+                        error: error.message,
+                        reason: error.reason || LoadErrorReason.CORRUPT
+                    });
                     reject(error);
                 }
             };
@@ -4,3 +4,12 @@
 // ============================================================
 
 export { SaveSystem, saveSystem } from './SaveSystem.js?v=20260119';
+export { ReplaySystem, replaySystem, ReplayMode, REPLAY_VERSION } from './ReplaySystem.js?v=20260119';
+export {
+    LoadErrorReason, SaveFormatError, SaveEncoding,
+    compressText, decompressText, checksumText, validateSavePayload
+} from './SaveFormat.js?v=20260119';
+export {
+    SAVE_VERSION, MIN_SAVE_VERSION, SAVE_MIGRATIONS,
+    migrateSave, createMigrationReport, renameEntityTypes, dropUnknownEntityTypes
+} from './SaveMigrations.js?v=20260119';
@@ -3,32 +3,152 @@
 // Handles AI opponent decision making and actions
 // ============================================================
 
-import { BUILDINGS, UNITS, CONFIG } from '../core/Config.js?v=20260119';
+import {
+    BUILDINGS, UNITS, CONFIG, AI_PERSONALITIES, DEFAULT_AI_PERSONALITY, AI_DIFFICULTY_SETTINGS, AI_COUNTERS
+} from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { getSeededRandom } from '../core/SeededRandom.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { fogOfWar } from './FogOfWar.js?v=20260119';
+import { resourceSystem } from './ResourceSystem.js?v=20260119';
+import { forceFieldSystem } from './ForceFieldSystem.js?v=20260119';
+import { techRules } from './TechRules.js?v=20260119';
+
+// Attack target classes referenced by personality target priorities
+const TARGET_CLASSES = {
+    production: t => t.isBuilding &&
+        (t.type === 'shipyard' || t.type === 'advancedShipyard' || t.type === 'commandCenter'),
+    units: t => !t.isBuilding,
+    buildings: t => t.isBuilding,
+    harvesters: t => !t.isBuilding && t.type === 'harvester',
+    defenses: t => t.isBuilding && t.type === 'turret'
+};
+
+// A resource field this close to our refineries or command center is claimed
+const EXPANSION_CLAIM_RADIUS = 100;
+
+// Fields with less than this left are not worth claiming or holding
+const FIELD_MIN_REMAINING = 500;
+
+// Fields this close to a known enemy building are left alone
+const EXPANSION_DANGER_RADIUS = 150;
+
+// Added to the distance when scoring fields, so nearby fields don't win on
+// distance alone
+const EXPANSION_DISTANCE_BIAS = 100;
+
+// Each outpost raises the harvester target and pulls this many to its field
+const HARVESTERS_PER_OUTPOST = 2;
+
+// Outpost turrets stand this far out from the field, facing away from home
+const OUTPOST_TURRET_DIST = 30;
+
+// Escorts return to their outpost when they stray further than this
+const ESCORT_LEASH = 40;
+
+// Average position of a group of units
+const centreOf = (units) => {
+    let x = 0;
+    let z = 0;
+    for (const unit of units) {
+        x += unit.mesh.position.x / units.length;
+        z += unit.mesh.position.z / units.length;
+    }
+    return { x, z };
+};
+
+// Whether one of our refineries or command center stands by a field
+const isClaimed = (field, claimants) => claimants.some(b =>
+    Math.hypot(b.mesh.position.x - field.x, b.mesh.position.z - field.z) < EXPANSION_CLAIM_RADIUS
+);
+
+// Scouting sweeps rings at these fractions of the map size
+const SCOUT_RINGS = [0.15, 0.3];
+const SCOUT_POINTS_PER_RING = 8;
+const SCOUT_ARRIVE_DIST = 15;
+
+// Scouted enemy ships are forgotten after this long out of sight (ms)
+const INTEL_MEMORY = 120000;
+
+// Not part of an army's composition; drones fly with their carrier
+const NON_COMBAT_TYPES = ['harvester', 'scout', 'carrierDrone'];
+
+// Retreating ships rejoin the army once repaired to this fraction of hull
+const REPAIRED_AT = 0.9;
+
+// Each veterancy rank retreats at this much more hull + shield, to keep veterans alive
+const VETERAN_RETREAT_BONUS = 0.1;
+
+// Attack waves gather this far short of their target, out of turret range
+const RALLY_STANDOFF = 160;
+const RALLY_RADIUS = 30;
+// A wave moves out once this share has gathered, or after GATHER_TIMEOUT (ms)
+const GATHER_FRACTION = 0.8;
+const GATHER_TIMEOUT = 30000;
+// A wave pulls back to its rally point when reduced to this share of its size
+const WAVE_BREAK_FRACTION = 0.35;
+
+// Squads focus fire on enemies this close to their centre
+const FOCUS_RADIUS = 90;
+
+// Ships needed per known turret near a target before a wave is launched
+const SHIPS_PER_TURRET = 2;
+const TURRET_SCAN_RADIUS = 100;
+
+// Force field generators stand on an arc this far from the command center,
+// facing the likeliest attack approach, spaced within linking range
+const PERIMETER_RADIUS = 95;
+const PERIMETER_SPACING = 70;
+// Turrets sit this far behind the middle of each stretch of wall
+const PERIMETER_TURRET_DEPTH = 15;
+// Radial shifts tried when a building would block a generator's link
+const PERIMETER_NUDGES = [0, 8, -8, 16, -16];
+// A building this close to a planned spot stands there
+const SLOT_TOLERANCE = 4;
+
+// Structures below this share of hull are repaired
+const STRUCTURE_REPAIR_AT = 0.6;
+// Credits kept back from repairs and upgrades for the build order and army
+const STRUCTURE_RESERVE = 500;
+// Structures with enemies this close are under attack: no repairs, and
+// sellable ones this far gone are sold before they fall
+const STRUCTURE_THREAT_RADIUS = 100;
+const STRUCTURE_SELL_AT = 0.1;
+// Support structures worth more as a refund than as a last stand.
+// Defenses, production, research and power are never sold.
+const SELLABLE_STRUCTURES = new Set(['refinery', 'supplyDepot', 'radar']);
 
 class AIPlayer {
-    constructor(team) {
+    /**
+     * @param {number} team
+     * @param {string} [personalityId] - AI_PERSONALITIES key
+     */
+    constructor(team, personalityId = DEFAULT_AI_PERSONALITY) {
         this.team = team;
+        this.personalityId = AI_PERSONALITIES[personalityId] ? personalityId : DEFAULT_AI_PERSONALITY;
+        this.personality = AI_PERSONALITIES[this.personalityId];
         this.lastAction = 0;
         this.buildIndex = 0;
+        this.buildOrder = [...this.personality.buildOrder];
+        this.outposts = [];     // Claimed fields: { x, z, isCrystal, turrets, escortIds }
 
-        // Expanded build order with turrets and more economic buildings
-        this.buildOrder = [
-            'powerPlant',
-            'refinery',
-            'shipyard',
-            'supplyDepot',
-            'turret',           // Defense around base
-            'turret',           // Second turret
-            'supplyDepot',      // More supply for bigger army
-            'refinery',         // Second refinery for more income
-            'turret',           // Third turret
-            'powerPlant',       // More power for turrets
-            'advancedShipyard', // Capital ship production
-            'supplyDepot',      // More supply
-            'turret',           // Fourth turret
-        ];
+        // What this AI has seen of its enemies. It only knows what its own
+        // ships and buildings can see, with the same vision ranges as FogOfWar.
+        this.intel = {
+            units: new Map(),       // id -> { type, team, lastSeen }
+            buildings: new Map()    // id -> { type, team, x, z }
+        };
+        this.visibleEnemies = [];
+        this.scoutsBuilt = 0;
+        this.scoutId = null;
+        this.scoutWaypoint = 0;
+        this.searchIndex = 0;   // Next waypoint to sweep with the army when no target is known
+
+        // Squad tactics
+        this.retreating = new Set();    // Ids of damaged ships heading home to repair
+        this.wave = null;               // { stage, unitIds, size, targetId, target, rally, startedAt }
+        this.perimeter = null;          // { slots: [{ x, z, built }] }, planned with the first generator
 
         // Apply difficulty scaling
         const difficulty = CONFIG.AI_DIFFICULTY || 'normal';
@@ -40,40 +160,25 @@ class AIPlayer {
             myUnits: { data: null, timestamp: 0 },
             myBuildings: { data: null, timestamp: 0 },
             myMilitary: { data: null, timestamp: 0 },
-            myHarvesters: { data: null, timestamp: 0 },
-            hostileEntities: { data: null, timestamp: 0 }
+            myHarvesters: { data: null, timestamp: 0 }
         };
     }
 
     /**
-     * Apply difficulty-based settings
+     * Scale the personality's numbers by difficulty
      * @param {string} difficulty - 'easy', 'normal', or 'hard'
      */
     applyDifficultySettings(difficulty) {
-        switch (difficulty) {
-            case 'easy':
-                this.minAttackForce = 5;
-                this.aggressionLevel = 0.2;
-                this.buildSpeedMultiplier = 0.7;
-                this.maxHarvesters = 4;
-                this.actionInterval = 2500 + Math.random() * 1500; // Slower decisions
-                break;
-            case 'hard':
-                this.minAttackForce = 10;
-                this.aggressionLevel = 0.6;
-                this.buildSpeedMultiplier = 1.3;
-                this.maxHarvesters = 8;
-                this.actionInterval = 1500 + Math.random() * 500; // Faster decisions
-                break;
-            case 'normal':
-            default:
-                this.minAttackForce = 8;
-                this.aggressionLevel = 0.4;
-                this.buildSpeedMultiplier = 1.0;
-                this.maxHarvesters = 6;
-                this.actionInterval = 2000 + Math.random() * 1000;
-                break;
-        }
+        const rng = getSeededRandom();
+        const settings = AI_DIFFICULTY_SETTINGS[difficulty] || AI_DIFFICULTY_SETTINGS.normal;
+        const { attack, harvesters } = this.personality;
+
+        this.minAttackForce = Math.max(1, attack.minForce + settings.attackForceBonus);
+        this.aggressionLevel = Math.min(1, attack.aggression * settings.aggressionScale);
+        this.firstAttackTime = attack.firstAttackAt * 1000;
+        this.buildSpeedMultiplier = settings.buildSpeedMultiplier;
+        this.maxHarvesters = Math.max(1, harvesters + settings.harvesterBonus);
+        this.actionInterval = rng.range(...settings.actionInterval);
     }
 
     /**
@@ -104,6 +209,55 @@ class AIPlayer {
         }
     }
 
+    // ===== Save/Load =====
+
+    serialize() {
+        return {
+            team: this.team,
+            personalityId: this.personalityId,
+            lastAction: this.lastAction,
+            buildIndex: this.buildIndex,
+            buildOrder: [...this.buildOrder],
+            outposts: this.outposts.map(o => ({ ...o, escortIds: [...o.escortIds] })),
+            minAttackForce: this.minAttackForce,
+            aggressionLevel: this.aggressionLevel,
+            buildSpeedMultiplier: this.buildSpeedMultiplier,
+            maxHarvesters: this.maxHarvesters,
+            actionInterval: this.actionInterval,
+            intel: {
+                units: [...this.intel.units].map(([id, u]) => ({ id, ...u })),
+                buildings: [...this.intel.buildings].map(([id, b]) => ({ id, ...b }))
+            },
+            visibleEnemies: this.visibleEnemies.filter(e => !e.dead).map(e => e.id),
+            scoutsBuilt: this.scoutsBuilt,
+            scoutId: this.scoutId,
+            scoutWaypoint: this.scoutWaypoint,
+            searchIndex: this.searchIndex,
+            retreating: [...this.retreating],
+            wave: this.wave ? { ...this.wave, unitIds: [...this.wave.unitIds] } : null,
+            perimeter: this.perimeter ? { slots: this.perimeter.slots.map(slot => ({ ...slot })) } : null
+        };
+    }
+
+    restore(data) {
+        const { intel, visibleEnemies, outposts, retreating, wave, perimeter, ...fields } = data;
+        Object.assign(this, fields, { buildOrder: [...data.buildOrder] });
+
+        this.outposts = (outposts || []).map(o => ({ ...o, escortIds: [...o.escortIds] }));
+        this.retreating = new Set(retreating || []);
+        this.wave = wave ? { ...wave, unitIds: [...wave.unitIds] } : null;
+        this.perimeter = perimeter ? { slots: perimeter.slots.map(slot => ({ ...slot })) } : null;
+
+        if (intel) {
+            this.intel.units = new Map(intel.units.map(({ id, ...u }) => [id, u]));
+            this.intel.buildings = new Map(intel.buildings.map(({ id, ...b }) => [id, b]));
+        }
+        this.visibleEnemies = (visibleEnemies || [])
+            .map(id => gameState.getEntityById(id))
+            .filter(Boolean);
+        this.invalidateCache();
+    }
+
     update(now) {
         if (now - this.lastAction < this.actionInterval) return;
         this.lastAction = now;
@@ -122,43 +276,609 @@ class AIPlayer {
         const cc = myBuildings.find(e => e.type === 'commandCenter');
         if (!cc) return;
 
-        // Build structures
-        this.buildStructures(res, cc);
+        // See what our forces can see
+        this.updateIntel(now);
+
+        // Pull damaged ships back before anything else claims them
+        this.commandRetreats(now);
+
+        // Rebuild lost generators, then carry on with the build order
+        this.maintainPerimeter(res, now);
+        this.buildStructures(res, cc, now);
+
+        // Repair, upgrade or sell off what we have
+        this.maintainStructures(res, myBuildings);
+
+        // Hold or abandon claimed fields, then claim new ones
+        const fields = resourceSystem.getFields();
+        this.manageOutposts(res, cc, fields, now);
+        this.expand(res, cc, fields, now);
 
         // Build units
         this.buildUnits(res, now);
 
         // Command harvesters to gather resources
-        this.commandHarvesters(now);
+        this.commandHarvesters(fields, now);
+
+        // Scout for enemy bases
+        this.commandScout(cc, now);
 
         // Command military units
-        this.commandMilitary(now);
+        this.commandMilitary(cc, now);
     }
 
-    buildStructures(res, cc) {
+    // ===== Intel =====
+
+    /**
+     * Record enemies within sight of our entities and forget stale sightings
+     * @param {number} now
+     */
+    updateIntel(now) {
+        const spotters = [];
+        const enemies = [];
+        for (const e of gameState.entities) {
+            if (e.dead || !e.mesh) continue;
+            if (e.team === this.team) {
+                spotters.push(e);
+            } else if (gameState.isHostile(this.team, e.team)) {
+                enemies.push(e);
+            }
+        }
+
+        const inSight = (x, z) => spotters.some(s =>
+            Math.hypot(s.mesh.position.x - x, s.mesh.position.z - z) <= fogOfWar.getVisionRange(s)
+        );
+
+        this.visibleEnemies = enemies.filter(e => inSight(e.mesh.position.x, e.mesh.position.z));
+        for (const e of this.visibleEnemies) {
+            if (e.isBuilding) {
+                this.intel.buildings.set(e.id, {
+                    type: e.type, team: e.team, x: e.mesh.position.x, z: e.mesh.position.z
+                });
+            } else {
+                this.intel.units.set(e.id, { type: e.type, team: e.team, lastSeen: now });
+            }
+        }
+
+        for (const [id, unit] of this.intel.units) {
+            const entity = gameState.getEntityById(id);
+            if (!entity || entity.dead || now - unit.lastSeen > INTEL_MEMORY ||
+                !gameState.isHostile(this.team, unit.team)) {
+                this.intel.units.delete(id);
+            }
+        }
+
+        // A destroyed building is only noticed once we look at where it stood.
+        // Teams we made peace with are no longer targets.
+        for (const [id, building] of this.intel.buildings) {
+            const entity = gameState.getEntityById(id);
+            if (((!entity || entity.dead) && inSight(building.x, building.z)) ||
+                !gameState.isHostile(this.team, building.team)) {
+                this.intel.buildings.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Scouted enemy combat ships by type
+     * @returns {Map<string, number>}
+     */
+    getEnemyComposition() {
+        const composition = new Map();
+        for (const { type } of this.intel.units.values()) {
+            if (NON_COMBAT_TYPES.includes(type)) continue;
+            composition.set(type, (composition.get(type) || 0) + 1);
+        }
+        return composition;
+    }
+
+    /**
+     * Enemies we can currently attack: those in sight plus remembered buildings
+     * @returns {Entity[]}
+     */
+    getKnownTargets() {
+        const targets = this.visibleEnemies.filter(e => !e.dead);
+        for (const id of this.intel.buildings.keys()) {
+            const entity = gameState.getEntityById(id);
+            if (entity && !entity.dead && !targets.includes(entity)) {
+                targets.push(entity);
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Search pattern: rings around the map centre, starting beside our base
+     * and working around it
+     * @param {Building} cc - Our command center
+     * @returns {{x: number, z: number}[]}
+     */
+    getScoutRoute(cc) {
+        const home = cc.mesh.position;
+        const homeAngle = Math.atan2(home.z, home.x);
+        const step = (Math.PI * 2) / SCOUT_POINTS_PER_RING;
+
+        const route = [];
+        for (const ring of SCOUT_RINGS) {
+            const radius = CONFIG.MAP_SIZE * ring;
+            for (let i = 1; i <= SCOUT_POINTS_PER_RING; i++) {
+                const angle = homeAngle + step * i;
+                route.push({ x: Math.cos(angle) * radius, z: Math.sin(angle) * radius });
+            }
+        }
+        return route;
+    }
+
+    buildStructures(res, cc, now) {
         if (this.buildIndex >= this.buildOrder.length) return;
 
         const buildingType = this.buildOrder[this.buildIndex];
         const buildingDef = BUILDINGS[buildingType];
 
-        if (res.credits >= buildingDef.cost) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = 30 + Math.random() * 20;
-            const x = cc.mesh.position.x + Math.cos(angle) * dist;
-            const z = cc.mesh.position.z + Math.sin(angle) * dist;
+        // Wait on the build order until its prerequisites are up
+        if (res.credits >= buildingDef.cost && techRules.checkBuilding(this.team, buildingType).valid) {
+            // Generators and the turrets after them go on the perimeter,
+            // everything else anywhere around the command center
+            let position = null;
+            if (buildingType === 'forceFieldGenerator') {
+                position = this.placeGenerator(cc, now);
+            } else if (buildingType === 'turret') {
+                position = this.placePerimeterTurret(cc, now);
+            }
+
+            if (!position) {
+                const rng = getSeededRandom();
+                const [minRadius, maxRadius] = this.personality.expansion.buildRadius;
+                const angle = rng.angle();
+                const dist = rng.range(minRadius, maxRadius);
+                position = {
+                    x: cc.mesh.position.x + Math.cos(angle) * dist,
+                    z: cc.mesh.position.z + Math.sin(angle) * dist
+                };
+            }
 
             eventBus.emit(GameEvents.AI_DECISION, {
                 team: this.team,
                 action: 'build',
                 buildingType,
-                position: { x, z }
+                position
             });
 
             this.buildIndex++;
         }
     }
 
+    // ===== Defensive Perimeter =====
+
+    /**
+     * Direction attacks are likeliest to come from: the nearest enemy
+     * command center we know of, else the map centre
+     * @param {Building} cc
+     * @returns {number} Angle from our command center
+     */
+    getThreatAngle(cc) {
+        const home = cc.mesh.position;
+        let threat = { x: 0, z: 0 };
+        let threatDist = Infinity;
+        for (const building of this.intel.buildings.values()) {
+            if (building.type !== 'commandCenter') continue;
+            const dist = Math.hypot(building.x - home.x, building.z - home.z);
+            if (dist < threatDist) {
+                threatDist = dist;
+                threat = building;
+            }
+        }
+
+        if (Math.hypot(threat.x - home.x, threat.z - home.z) < 1) return 0;
+        return Math.atan2(threat.z - home.z, threat.x - home.x);
+    }
+
+    /**
+     * One generator slot per generator in the build order, on an arc
+     * across the threat direction
+     */
+    planPerimeter(cc) {
+        const home = cc.mesh.position;
+        const facing = this.getThreatAngle(cc);
+        const count = this.buildOrder.filter(type => type === 'forceFieldGenerator').length;
+        const step = PERIMETER_SPACING / PERIMETER_RADIUS;
+
+        const slots = [];
+        for (let i = 0; i < count; i++) {
+            const angle = facing + (i - (count - 1) / 2) * step;
+            slots.push({
+                x: home.x + Math.cos(angle) * PERIMETER_RADIUS,
+                z: home.z + Math.sin(angle) * PERIMETER_RADIUS,
+                built: false
+            });
+        }
+        return { slots };
+    }
+
+    /**
+     * Our building of a type standing at a planned spot
+     * @returns {Building|undefined}
+     */
+    findStanding(type, spot, now) {
+        return this.getCached(
+            'myBuildings',
+            e => !e.dead && e.team === this.team,
+            gameState.buildings,
+            now
+        ).find(b => b.type === type &&
+            Math.hypot(b.mesh.position.x - spot.x, b.mesh.position.z - spot.z) < SLOT_TOLERANCE);
+    }
+
+    /**
+     * Claim the next generator slot, middle of the wall first so the main
+     * approach is covered early
+     * @returns {{x: number, z: number}|null}
+     */
+    placeGenerator(cc, now) {
+        this.perimeter ??= this.planPerimeter(cc);
+        const slots = this.perimeter.slots;
+        const middle = (slots.length - 1) / 2;
+
+        let index = -1;
+        slots.forEach((slot, i) => {
+            if (!slot.built && (index === -1 || Math.abs(i - middle) < Math.abs(index - middle))) {
+                index = i;
+            }
+        });
+        if (index === -1) return null;
+
+        const slot = slots[index];
+        slot.built = true;
+        Object.assign(slot, this.findLinkingSpot(cc, index, now));
+        return { x: slot.x, z: slot.z };
+    }
+
+    /**
+     * Shift a slot toward or away from home until it would link to every
+     * neighbouring generator already up. Falls back to the planned spot.
+     * @returns {{x: number, z: number}}
+     */
+    findLinkingSpot(cc, index, now) {
+        const slots = this.perimeter.slots;
+        const slot = slots[index];
+        const neighbours = [slots[index - 1], slots[index + 1]]
+            .filter(n => n?.built)
+            .map(n => this.findStanding('forceFieldGenerator', n, now))
+            .filter(gen => gen && !gen.isConstructing);
+        if (neighbours.length === 0) return { x: slot.x, z: slot.z };
+
+        const home = cc.mesh.position;
+        const dist = Math.hypot(slot.x - home.x, slot.z - home.z);
+        for (const nudge of PERIMETER_NUDGES) {
+            const x = slot.x + (slot.x - home.x) / dist * nudge;
+            const z = slot.z + (slot.z - home.z) / dist * nudge;
+            const links = forceFieldSystem.getPreviewConnections(x, z, this.team).map(c => c.generator);
+            if (neighbours.every(gen => links.includes(gen))) return { x, z };
+        }
+        return { x: slot.x, z: slot.z };
+    }
+
+    /**
+     * Behind the middle of the first stretch of wall without a turret
+     * @returns {{x: number, z: number}|null}
+     */
+    placePerimeterTurret(cc, now) {
+        if (!this.perimeter) return null;
+
+        const home = cc.mesh.position;
+        const slots = this.perimeter.slots;
+        for (let i = 0; i < slots.length - 1; i++) {
+            const a = slots[i];
+            const b = slots[i + 1];
+            if (!a.built || !b.built) continue;
+
+            const midX = (a.x + b.x) / 2;
+            const midZ = (a.z + b.z) / 2;
+            const dist = Math.hypot(home.x - midX, home.z - midZ);
+            const spot = {
+                x: midX + (home.x - midX) / dist * PERIMETER_TURRET_DEPTH,
+                z: midZ + (home.z - midZ) / dist * PERIMETER_TURRET_DEPTH
+            };
+            if (!this.findStanding('turret', spot, now)) return spot;
+        }
+        return null;
+    }
+
+    /**
+     * Rebuild one destroyed generator per decision
+     */
+    maintainPerimeter(res, now) {
+        if (!this.perimeter || res.credits < BUILDINGS.forceFieldGenerator.cost) return;
+
+        const lost = this.perimeter.slots.find(slot =>
+            slot.built && !this.findStanding('forceFieldGenerator', slot, now)
+        );
+        if (!lost) return;
+
+        eventBus.emit(GameEvents.AI_DECISION, {
+            team: this.team,
+            action: 'build',
+            buildingType: 'forceFieldGenerator',
+            position: { x: lost.x, z: lost.z }
+        });
+    }
+
+    // ===== Structures =====
+
+    /**
+     * Sell structures about to fall, repair damaged ones once the fighting
+     * around them is over and, when the build order is done, upgrade
+     * turrets and refineries one at a time
+     * @param {Object} res
+     * @param {Building[]} myBuildings
+     */
+    maintainStructures(res, myBuildings) {
+        const isThreatened = (building) => this.visibleEnemies.some(e => !e.dead &&
+            Math.hypot(e.mesh.position.x - building.mesh.position.x,
+                e.mesh.position.z - building.mesh.position.z) <= STRUCTURE_THREAT_RADIUS
+        );
+
+        for (const building of myBuildings) {
+            if (building.dead) continue;
+
+            if (isThreatened(building)) {
+                const expendable = SELLABLE_STRUCTURES.has(building.type);
+                if (expendable && building.health < building.maxHealth * STRUCTURE_SELL_AT && building.sell()) {
+                    // Cached building lists must not hand out the sold structure
+                    this.invalidateCache();
+                } else {
+                    // Credits under fire go to ships, not patching walls
+                    building.setRepairing(false);
+                }
+            } else if (res.credits >= STRUCTURE_RESERVE && building.health < building.maxHealth * STRUCTURE_REPAIR_AT) {
+                building.setRepairing(true);
+            }
+        }
+
+        if (this.buildIndex < this.buildOrder.length) return;
+        if (myBuildings.some(b => b.isUpgrading)) return;
+
+        const candidate = myBuildings.find(b => !b.dead && b.canUpgrade() &&
+            res.credits >= b.getUpgrade().cost + STRUCTURE_RESERVE
+        );
+        candidate?.startUpgrade();
+    }
+
+    // ===== Expansion =====
+
+    /**
+     * Buildings that claim the resource fields around them
+     * @returns {Building[]}
+     */
+    getClaimants(now) {
+        return this.getCached(
+            'myBuildings',
+            e => !e.dead && e.team === this.team,
+            gameState.buildings,
+            now
+        ).filter(b => b.type === 'refinery' || b.type === 'commandCenter');
+    }
+
+    isNearEnemyBase(x, z) {
+        for (const building of this.intel.buildings.values()) {
+            if (Math.hypot(building.x - x, building.z - z) < EXPANSION_DANGER_RADIUS) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Most valuable unclaimed field for its distance from home, away from
+     * enemy bases we know of
+     * @param {Object[]} fields - ResourceSystem.getFields()
+     * @param {Building[]} claimants
+     * @param {Building} cc
+     * @param {boolean} anyResource - Ignore the personality's resource preference
+     * @returns {Object|null}
+     */
+    chooseExpansionField(fields, claimants, cc, anyResource) {
+        const home = cc.mesh.position;
+        const crystalOnly = !anyResource && this.personality.expansion.resource === 'crystal';
+
+        let best = null;
+        let bestScore = 0;
+        for (const field of fields) {
+            if (field.remaining < FIELD_MIN_REMAINING) continue;
+            if (crystalOnly && !field.isCrystal) continue;
+            if (isClaimed(field, claimants) || this.isNearEnemyBase(field.x, field.z)) continue;
+
+            const value = field.remaining *
+                (field.isCrystal ? CONFIG.CRYSTAL_VALUE_MULTIPLIER : CONFIG.ORE_VALUE_MULTIPLIER);
+            const score = value / (Math.hypot(field.x - home.x, field.z - home.z) + EXPANSION_DISTANCE_BIAS);
+            if (score > bestScore) {
+                bestScore = score;
+                best = field;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Build a refinery at a new resource field - from the personality's
+     * startAt up to maxFields outposts, or whenever every field we hold
+     * has run dry
+     */
+    expand(res, cc, fields, now) {
+        if (this.buildIndex < this.buildOrder.length) return;
+        if (res.credits < BUILDINGS.refinery.cost) return;
+
+        const { startAt, maxFields } = this.personality.expansion;
+        const claimants = this.getClaimants(now);
+        const stalled = !fields.some(f => f.remaining >= FIELD_MIN_REMAINING && isClaimed(f, claimants));
+        const planned = startAt !== null && now >= startAt * 1000 && this.outposts.length < maxFields;
+        if (!stalled && !planned) return;
+
+        const field = this.chooseExpansionField(fields, claimants, cc, stalled);
+        if (!field) return;
+
+        // Place on the side of the field facing home
+        const home = cc.mesh.position;
+        const fieldDist = Math.hypot(home.x - field.x, home.z - field.z);
+        const offset = Math.min(25, fieldDist);
+        const x = field.x + (home.x - field.x) / fieldDist * offset;
+        const z = field.z + (home.z - field.z) / fieldDist * offset;
+
+        eventBus.emit(GameEvents.AI_DECISION, {
+            team: this.team,
+            action: 'build',
+            buildingType: 'refinery',
+            position: { x, z }
+        });
+        this.outposts.push({ x: field.x, z: field.z, isCrystal: field.isCrystal, turrets: 0, escortIds: [] });
+    }
+
+    /**
+     * Abandon outposts whose field ran dry or whose refinery was destroyed,
+     * and keep the rest guarded with turrets and escorts
+     */
+    manageOutposts(res, cc, fields, now) {
+        const refineries = this.getClaimants(now).filter(b => b.type === 'refinery');
+        const near = (outpost) => (e) =>
+            Math.hypot(e.x - outpost.x, e.z - outpost.z) < EXPANSION_CLAIM_RADIUS;
+        const refineryNear = (outpost) => refineries.find(r => near(outpost)(r.mesh.position));
+
+        this.outposts = this.outposts.filter(outpost => {
+            const remaining = fields
+                .filter(f => f.isCrystal === outpost.isCrystal && near(outpost)(f))
+                .reduce((sum, f) => sum + f.remaining, 0);
+            return remaining >= FIELD_MIN_REMAINING && refineryNear(outpost);
+        });
+        if (this.outposts.length === 0) return;
+
+        const { turrets, escort } = this.personality.expansion;
+        const home = cc.mesh.position;
+
+        // One turret per decision, once the outpost's refinery is up
+        const unguarded = this.outposts.find(o => o.turrets < turrets && !refineryNear(o).isConstructing);
+        if (unguarded && res.credits >= BUILDINGS.turret.cost) {
+            const away = Math.atan2(unguarded.z - home.z, unguarded.x - home.x);
+            const angle = away + (unguarded.turrets % 2 === 0 ? 1 : -1) * (0.4 + 0.3 * unguarded.turrets);
+            eventBus.emit(GameEvents.AI_DECISION, {
+                team: this.team,
+                action: 'build',
+                buildingType: 'turret',
+                position: {
+                    x: unguarded.x + Math.cos(angle) * OUTPOST_TURRET_DIST,
+                    z: unguarded.z + Math.sin(angle) * OUTPOST_TURRET_DIST
+                }
+            });
+            unguarded.turrets++;
+        }
+
+        // Escorts guard the field while harvesters work it
+        const busy = this.getBusyIds();
+        const free = this.getCached(
+            'myMilitary',
+            e => !e.dead && e.team === this.team && !NON_COMBAT_TYPES.includes(e.type) && !e.attackTarget,
+            gameState.units,
+            now
+        ).filter(u => !busy.has(u.id));
+
+        for (const outpost of this.outposts) {
+            const guards = outpost.escortIds
+                .map(id => gameState.getEntityById(id))
+                .filter(u => u && !u.dead && !this.retreating.has(u.id));
+            while (guards.length < escort && free.length > 0) {
+                guards.push(free.shift());
+            }
+            outpost.escortIds = guards.map(u => u.id);
+
+            for (const guard of guards) {
+                const pos = guard.mesh.position;
+                if (!guard.attackTarget && Math.hypot(pos.x - outpost.x, pos.z - outpost.z) > ESCORT_LEASH) {
+                    guard.attackMove(outpost.x, outpost.z);
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {Set<number>} Ids of ships guarding outposts
+     */
+    getEscortIds() {
+        const ids = new Set();
+        for (const outpost of this.outposts) {
+            for (const id of outpost.escortIds) ids.add(id);
+        }
+        return ids;
+    }
+
+    /**
+     * Pick an unlocked unit from the highest production tier we can afford
+     * @param {Object[]} tiers - Personality unit mix for one factory type
+     * @param {number} credits
+     * @returns {string|null}
+     */
+    pickUnit(tiers, credits) {
+        let tier = null;
+        for (const t of tiers || []) {
+            if (credits >= t.minCredits) tier = t;
+        }
+        if (!tier) return null;
+
+        const units = tier.units.filter(type => techRules.checkUnit(this.team, type).valid);
+        if (units.length === 0) return null;
+
+        // Single choices skip the RNG draw
+        return units.length === 1 ? units[0] : getSeededRandom().pick(units);
+    }
+
+    /**
+     * Pick a counter to the scouted enemy fleet, weighted by how many of
+     * each enemy type we've seen. Null when we roll the regular mix instead.
+     * @param {string} factoryType - Building type that will produce it
+     * @param {number} credits
+     * @returns {string|null}
+     */
+    pickCounter(factoryType, credits) {
+        const composition = this.getEnemyComposition();
+        if (composition.size === 0) return null;
+
+        const canBuild = BUILDINGS[factoryType].canBuild;
+        const weights = new Map();
+        for (const [enemyType, count] of composition) {
+            for (const counter of AI_COUNTERS[enemyType] || []) {
+                if (canBuild.includes(counter) && UNITS[counter].cost <= credits &&
+                    techRules.checkUnit(this.team, counter).valid) {
+                    weights.set(counter, (weights.get(counter) || 0) + count);
+                }
+            }
+        }
+        if (weights.size === 0) return null;
+
+        const rng = getSeededRandom();
+        if (!rng.bool(this.personality.counterBias)) return null;
+
+        let total = 0;
+        for (const weight of weights.values()) total += weight;
+        let roll = rng.next() * total;
+        for (const [counter, weight] of weights) {
+            roll -= weight;
+            if (roll < 0) return counter;
+        }
+        return null;
+    }
+
+    /**
+     * Scout while we have scouts left to build and no enemy base located
+     */
+    needsScout(cc, now) {
+        if (this.scoutsBuilt >= this.personality.scouts) return false;
+        if (cc.buildQueue.some(item => item.type === 'scout')) return false;
+        if (this.getScout(now)) return false;
+
+        for (const building of this.intel.buildings.values()) {
+            if (building.type === 'commandCenter') return false;
+        }
+        return true;
+    }
+
     buildUnits(res, now) {
+        const unitMix = this.personality.unitMix;
         // Use cached building list
         const myBuildings = this.getCached(
             'myBuildings',
@@ -177,38 +897,18 @@ class AIPlayer {
             e.type === 'advancedShipyard' && !e.isConstructing
         );
 
-        // Build from regular shipyard - expanded unit variety
+        // Small/medium ships - counters to what we've scouted, else the personality's mix
         if (shipyard && shipyard.buildQueue.length < 3) {
-            // Full variety of small/medium ships
-            const unitTypes = ['interceptor', 'striker', 'heavy', 'bomber', 'gunship'];
-            // Weight toward cheaper units early, more expensive units when wealthy
-            let selectedUnit;
-            if (res.credits < 300) {
-                // Low resources - build cheap interceptors
-                selectedUnit = 'interceptor';
-            } else if (res.credits < 500) {
-                // Medium resources - strikers and interceptors
-                const midUnits = ['interceptor', 'striker', 'heavy'];
-                selectedUnit = midUnits[Math.floor(Math.random() * midUnits.length)];
-            } else {
-                // High resources - any unit type
-                selectedUnit = unitTypes[Math.floor(Math.random() * unitTypes.length)];
-            }
-            shipyard.queueUnit(selectedUnit);
+            const unitType = this.pickCounter('shipyard', res.credits) ??
+                this.pickUnit(unitMix.shipyard, res.credits);
+            if (unitType) shipyard.queueUnit(unitType);
         }
 
-        // Build capital ships from advanced shipyard when we have resources
+        // Capital ships, bigger tiers when wealthy
         if (advShipyard && advShipyard.buildQueue.length < 2) {
-            const capitalTypes = ['frigate', 'cruiser'];
-            // Build bigger ships when we have lots of resources
-            if (res.credits > 1200) {
-                capitalTypes.push('battlecruiser');
-            }
-            if (res.credits > 2000) {
-                capitalTypes.push('dreadnought');
-            }
-            const selectedCapital = capitalTypes[Math.floor(Math.random() * capitalTypes.length)];
-            advShipyard.queueUnit(selectedCapital);
+            const unitType = this.pickCounter('advancedShipyard', res.credits) ??
+                this.pickUnit(unitMix.advancedShipyard, res.credits);
+            if (unitType) advShipyard.queueUnit(unitType);
         }
 
         // Build harvesters from command center - use difficulty-based cap
@@ -216,7 +916,9 @@ class AIPlayer {
             e.type === 'commandCenter' && !e.isConstructing
         );
 
-        if (cc && cc.buildQueue.length < 2) {
+        if (cc && cc.buildQueue.length < 2 && this.needsScout(cc, now)) {
+            if (cc.queueUnit('scout')) this.scoutsBuilt++;
+        } else if (cc && cc.buildQueue.length < 2) {
             // Use cached harvester count
             const harvesters = this.getCached(
                 'myHarvesters',
@@ -224,14 +926,14 @@ class AIPlayer {
                 gameState.units,
                 now
             );
-            // Use difficulty-based harvester cap
-            if (harvesters.length < this.maxHarvesters) {
+            // Personality harvester target, adjusted by difficulty, plus crews for outposts
+            if (harvesters.length < this.maxHarvesters + this.outposts.length * HARVESTERS_PER_OUTPOST) {
                 cc.queueUnit('harvester');
             }
         }
     }
 
-    commandHarvesters(now) {
+    commandHarvesters(fields, now) {
         // Get idle harvesters
         const harvesters = this.getCached(
             'myHarvesters',
@@ -240,34 +942,45 @@ class AIPlayer {
             now
         );
 
+        // Work the fields we hold; anywhere else only once they run dry
+        const claimants = this.getClaimants(now);
+        const nodes = [];
+        for (const field of fields) {
+            if (!isClaimed(field, claimants)) continue;
+            for (const node of field.nodes) {
+                if (!node.depleted) nodes.push(node);
+            }
+        }
+        if (nodes.length === 0) {
+            for (const field of fields) {
+                for (const node of field.nodes) {
+                    if (!node.depleted) nodes.push(node);
+                }
+            }
+        }
+        if (nodes.length === 0) return;
+
+        this.crewOutposts(harvesters);
+
         for (const harvester of harvesters) {
-            // Skip if already has a task
-            if (harvester.harvestTarget || harvester.command === 'harvest' ||
+            // Skip if already has a task (a depleted target is no task)
+            if ((harvester.harvestTarget && !harvester.harvestTarget.depleted) || harvester.command === 'harvest' ||
                 harvester.command === 'returnCargo' || harvester.cargo > 0) {
                 continue;
             }
 
-            // Find nearest ore node (avoid spread operator in hot path)
-            const oreNodes = [];
-            for (const node of gameState.oreNodes) {
-                if (!node.depleted) oreNodes.push(node);
-            }
-            for (const node of gameState.crystalNodes) {
-                if (!node.depleted) oreNodes.push(node);
-            }
-
-            if (oreNodes.length === 0) continue;
-
+            // Crystal-focused personalities treat crystal fields as closer
+            const crystalBias = this.personality.harvest.crystalBias;
             let nearestNode = null;
             let nearestDist = Infinity;
 
             const pos = harvester.mesh?.position;
             if (!pos) continue;
 
-            for (const node of oreNodes) {
+            for (const node of nodes) {
                 const dx = node.x - pos.x;
                 const dz = node.z - pos.z;
-                const dist = Math.sqrt(dx * dx + dz * dz);
+                const dist = Math.sqrt(dx * dx + dz * dz) * (node.isCrystal ? crystalBias : 1);
                 if (dist < nearestDist) {
                     nearestDist = dist;
                     nearestNode = node;
@@ -280,50 +993,116 @@ class AIPlayer {
         }
     }
 
-    commandMilitary(now) {
+    /**
+     * Send empty harvesters working elsewhere to outposts short of their crew
+     * @param {Unit[]} harvesters
+     */
+    crewOutposts(harvesters) {
+        const atOutpost = (harvester, outpost) => {
+            const target = harvester.harvestTarget;
+            return target && !target.depleted &&
+                Math.hypot(target.x - outpost.x, target.z - outpost.z) < EXPANSION_CLAIM_RADIUS;
+        };
+
+        for (const outpost of this.outposts) {
+            let crew = harvesters.filter(h => atOutpost(h, outpost)).length;
+            if (crew >= HARVESTERS_PER_OUTPOST) continue;
+
+            const nodes = (outpost.isCrystal ? gameState.crystalNodes : gameState.oreNodes).filter(node =>
+                !node.depleted && Math.hypot(node.x - outpost.x, node.z - outpost.z) < EXPANSION_CLAIM_RADIUS
+            );
+            if (nodes.length === 0) continue;
+
+            for (const harvester of harvesters) {
+                if (crew >= HARVESTERS_PER_OUTPOST) break;
+                if (harvester.cargo > 0 || harvester.isReturning) continue;
+                if (this.outposts.some(o => atOutpost(harvester, o))) continue;
+
+                harvester.harvest(nodes[crew % nodes.length]);
+                crew++;
+            }
+        }
+    }
+
+    /**
+     * Our scout, claiming an idle one if we don't have one yet
+     * @returns {Unit|null}
+     */
+    getScout(now) {
+        const current = this.scoutId !== null ? gameState.getEntityById(this.scoutId) : null;
+        if (current && !current.dead) return current;
+
+        const myUnits = this.getCached(
+            'myUnits',
+            e => !e.dead && e.team === this.team,
+            gameState.units,
+            now
+        );
+        const scout = myUnits.find(u => u.type === 'scout' && !u.dead);
+        this.scoutId = scout ? scout.id : null;
+        return scout || null;
+    }
+
+    commandScout(cc, now) {
+        const scout = this.getScout(now);
+        if (!scout) return;
+
+        const route = this.getScoutRoute(cc);
+        let waypoint = route[this.scoutWaypoint % route.length];
+        const pos = scout.mesh.position;
+        if (Math.hypot(pos.x - waypoint.x, pos.z - waypoint.z) < SCOUT_ARRIVE_DIST) {
+            this.scoutWaypoint++;
+            waypoint = route[this.scoutWaypoint % route.length];
+        }
+
+        // Re-issue after arriving or being diverted
+        if (scout.targetX !== waypoint.x || scout.targetZ !== waypoint.z || scout.attackTarget) {
+            scout.moveTo(waypoint.x, waypoint.z);
+        }
+    }
+
+    commandMilitary(cc, now) {
+        // A wave in progress has the army's attention until it ends
+        if (this.wave) {
+            this.updateWave(now);
+            return;
+        }
+
+        const rng = getSeededRandom();
         // Use cached military units list - get ALL idle military units
+        const busy = this.getBusyIds();
         const militaryUnits = this.getCached(
             'myMilitary',
-            e => !e.dead && e.team === this.team && e.type !== 'harvester' && !e.attackTarget,
+            e => !e.dead && e.team === this.team && !NON_COMBAT_TYPES.includes(e.type) && !e.attackTarget,
             gameState.units,
             now
-        );
+        ).filter(u => !busy.has(u.id));
 
-        // Only attack when we have built up a proper force (difficulty-based threshold)
-        // AND the aggression check passes
-        if (militaryUnits.length >= this.minAttackForce && Math.random() < this.aggressionLevel) {
-            // Use cached hostile entities
-            const targets = this.getCached(
-                'hostileEntities',
-                e => !e.dead && gameState.isHostile(this.team, e.team),
-                gameState.entities,
-                now
-            );
+        // Only attack when we have built up a proper force, the personality's
+        // first attack time has passed AND the aggression check passes
+        if (militaryUnits.length >= this.minAttackForce && now >= this.firstAttackTime &&
+            rng.bool(this.aggressionLevel)) {
+            // Only enemies we have seen
+            const targets = this.getKnownTargets();
 
-            if (targets.length > 0) {
-                // Prioritize buildings over units for strategic attacks
-                const buildings = targets.filter(t => t.isBuilding);
-                const units = targets.filter(t => !t.isBuilding);
-
-                // Target priority: enemy production buildings > units > other buildings
-                let target;
-                const productionBuildings = buildings.filter(b =>
-                    b.type === 'shipyard' || b.type === 'advancedShipyard' || b.type === 'commandCenter'
-                );
-
-                if (productionBuildings.length > 0) {
-                    // Attack enemy production first
-                    target = productionBuildings[Math.floor(Math.random() * productionBuildings.length)];
-                } else if (units.length > 0 && Math.random() < 0.6) {
-                    // 60% chance to attack enemy military
-                    target = units[Math.floor(Math.random() * units.length)];
-                } else if (buildings.length > 0) {
-                    // Attack any enemy building
-                    target = buildings[Math.floor(Math.random() * buildings.length)];
-                } else {
-                    // Fall back to any target
-                    target = targets[Math.floor(Math.random() * targets.length)];
+            if (targets.length === 0) {
+                // Nothing found yet - sweep the search pattern with the army
+                const route = this.getScoutRoute(cc);
+                const waypoint = route[this.searchIndex % route.length];
+                this.searchIndex++;
+                for (const unit of militaryUnits) {
+                    unit.attackMove(waypoint.x, waypoint.z);
                 }
+            } else {
+                const target = this.chooseAttackTarget(targets);
+                const pos = target.mesh.position;
+
+                // Wait until we outnumber the turrets we know guard it, unless
+                // supply is capped and the army can't grow any further
+                const res = gameState.getResources(this.team);
+                const turrets = this.countKnownTurrets(pos.x, pos.z);
+                if (militaryUnits.length < this.minAttackForce + turrets * SHIPS_PER_TURRET &&
+                    res.supply < res.maxSupply) return;
 
                 eventBus.emit(GameEvents.AI_ATTACK, {
                     team: this.team,
@@ -331,14 +1110,262 @@ class AIPlayer {
                     target
                 });
 
-                // Send ALL idle military units as a coordinated attack wave
+                // Gather ALL idle military units out of range before going in together
+                const rally = this.getRallyPoint(cc, pos);
+                this.wave = {
+                    stage: 'gathering',
+                    unitIds: militaryUnits.map(u => u.id),
+                    size: militaryUnits.length,
+                    targetId: target.id,
+                    target: { x: pos.x, z: pos.z },
+                    rally,
+                    startedAt: now
+                };
                 for (const unit of militaryUnits) {
-                    if (target.mesh) {
-                        unit.attackMove(target.mesh.position.x, target.mesh.position.z);
+                    unit.attackMove(rally.x, rally.z);
+                }
+            }
+        }
+    }
+
+    // ===== Diplomacy =====
+
+    /**
+     * Answer a ceasefire or alliance proposal. The AI only makes peace with
+     * players strong enough to be worth it, by its personality's standards.
+     * @param {string} treaty - 'ceasefire' or 'alliance'
+     * @param {number} relativeStrength - Proposer's strength over our own
+     * @returns {boolean} Accepted
+     */
+    considerTreaty(treaty, relativeStrength) {
+        const threshold = this.personality.diplomacy?.[treaty];
+        return threshold !== undefined && relativeStrength >= threshold;
+    }
+
+    // ===== Squad Tactics =====
+
+    /**
+     * Ids of ships with a job other than joining the next wave
+     * @returns {Set<number>}
+     */
+    getBusyIds() {
+        const ids = this.getEscortIds();
+        for (const id of this.retreating) ids.add(id);
+        for (const id of this.wave?.unitIds || []) ids.add(id);
+        return ids;
+    }
+
+    /**
+     * Send badly damaged ships to repair and return repaired ones to duty
+     */
+    commandRetreats(now) {
+        const myUnits = this.getCached(
+            'myUnits',
+            e => !e.dead && e.team === this.team,
+            gameState.units,
+            now
+        );
+
+        const alive = new Set();
+        for (const unit of myUnits) {
+            if (NON_COMBAT_TYPES.includes(unit.type)) continue;
+            alive.add(unit.id);
+
+            if (this.retreating.has(unit.id)) {
+                if (unit.health >= unit.maxHealth * REPAIRED_AT) {
+                    this.retreating.delete(unit.id);
+                    continue;
+                }
+            } else {
+                const condition = (unit.health + unit.shield) / (unit.maxHealth + unit.maxShield);
+                const retreatAt = this.personality.attack.retreatAt + unit.rank * VETERAN_RETREAT_BONUS;
+                if (condition >= retreatAt) continue;
+            }
+
+            const dock = this.findRepairDock(unit, now);
+            if (!dock) {
+                this.retreating.delete(unit.id);
+                continue;
+            }
+            this.retreating.add(unit.id);
+
+            // Re-issue when diverted into a fight on the way
+            const pos = dock.mesh.position;
+            if (unit.attackTarget || unit.isAttackMoving || unit.targetX !== pos.x || unit.targetZ !== pos.z) {
+                unit.moveTo(pos.x, pos.z);
+            }
+        }
+
+        for (const id of this.retreating) {
+            if (!alive.has(id)) this.retreating.delete(id);
+        }
+    }
+
+    /**
+     * Nearest of our finished buildings that repairs ships
+     * @returns {Building|null}
+     */
+    findRepairDock(unit, now) {
+        const myBuildings = this.getCached(
+            'myBuildings',
+            e => !e.dead && e.team === this.team,
+            gameState.buildings,
+            now
+        );
+
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const building of myBuildings) {
+            if (!building.def.repairRate || building.isConstructing) continue;
+            const dist = unit.distanceTo(building);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = building;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Point RALLY_STANDOFF short of the target on the way from home
+     * @param {Building} cc
+     * @param {{x: number, z: number}} target
+     * @returns {{x: number, z: number}}
+     */
+    getRallyPoint(cc, target) {
+        const home = cc.mesh.position;
+        const dist = Math.hypot(home.x - target.x, home.z - target.z);
+        if (dist <= RALLY_STANDOFF) return { x: home.x, z: home.z };
+
+        return {
+            x: target.x + (home.x - target.x) / dist * RALLY_STANDOFF,
+            z: target.z + (home.z - target.z) / dist * RALLY_STANDOFF
+        };
+    }
+
+    countKnownTurrets(x, z) {
+        let count = 0;
+        for (const building of this.intel.buildings.values()) {
+            if (building.type === 'turret' && Math.hypot(building.x - x, building.z - z) < TURRET_SCAN_RADIUS) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Gather at the rally point, then engage together with focused fire.
+     * Breaks off when the wave has lost too many ships or runs out of targets.
+     */
+    updateWave(now) {
+        const wave = this.wave;
+        const members = wave.unitIds
+            .map(id => gameState.getEntityById(id))
+            .filter(u => u && !u.dead && !this.retreating.has(u.id));
+        wave.unitIds = members.map(u => u.id);
+
+        // Called off when we make peace with the target's team
+        const target = gameState.getEntityById(wave.targetId);
+        const peace = target && !target.dead && !gameState.isHostile(this.team, target.team);
+
+        if (peace || members.length === 0 || members.length < wave.size * WAVE_BREAK_FRACTION) {
+            // Regroup at the rally point rather than feed the rest in one by one
+            for (const unit of members) {
+                unit.moveTo(wave.rally.x, wave.rally.z);
+            }
+            this.wave = null;
+            return;
+        }
+
+        if (wave.stage === 'gathering') {
+            const { rally } = wave;
+            const gathered = members.filter(u =>
+                Math.hypot(u.mesh.position.x - rally.x, u.mesh.position.z - rally.z) < RALLY_RADIUS
+            ).length;
+
+            if (gathered < members.length * GATHER_FRACTION && now - wave.startedAt < GATHER_TIMEOUT) {
+                for (const unit of members) {
+                    if (!unit.attackTarget && (unit.targetX !== rally.x || unit.targetZ !== rally.z)) {
+                        unit.attackMove(rally.x, rally.z);
                     }
                 }
+                return;
+            }
+            wave.stage = 'attacking';
+        }
+
+        // An enemy wall in the way stops the squad dead - bring down the
+        // nearer generator instead of pressing against the field
+        const centre = centreOf(members);
+        const wall = forceFieldSystem.checkProjectileCollision({ team: this.team }, centre, wave.target);
+        if (wall) {
+            const { generatorA, generatorB } = wall.segment;
+            const generator = Math.hypot(generatorA.mesh.position.x - centre.x, generatorA.mesh.position.z - centre.z) <=
+                Math.hypot(generatorB.mesh.position.x - centre.x, generatorB.mesh.position.z - centre.z)
+                ? generatorA : generatorB;
+            for (const unit of members) {
+                if (unit.attackTarget !== generator) unit.attack(generator);
+            }
+            return;
+        }
+
+        const focus = this.chooseFocusTarget(centre);
+        if (!focus && (!target || target.dead)) {
+            this.wave = null;
+            return;
+        }
+
+        for (const unit of members) {
+            if (focus && unit.attackTarget !== focus && unit.distanceTo(focus) <= FOCUS_RADIUS) {
+                unit.attack(focus);
+            } else if (!unit.attackTarget) {
+                unit.attackMove(wave.target.x, wave.target.z);
+            }
+        }
+    }
+
+    /**
+     * The best target near the squad: most valuable for the damage it
+     * takes to kill, so weak and expensive targets go first
+     * @param {{x: number, z: number}} centre - Middle of the squad
+     * @returns {Entity|null}
+     */
+    chooseFocusTarget(centre) {
+        const enemies = gameState.queryNearbyEntities(centre.x, centre.z, FOCUS_RADIUS, e =>
+            e.team !== this.team && gameState.isHostile(this.team, e.team)
+        );
+
+        let best = null;
+        let bestScore = 0;
+        for (const enemy of enemies) {
+            const value = enemy.def?.cost || 100;
+            const score = value / (enemy.health + (enemy.shield || 0));
+            if (score > bestScore) {
+                bestScore = score;
+                best = enemy;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Walk the personality's target priorities; the first class with
+     * targets (that passes its chance roll) supplies the target
+     * @param {Entity[]} targets - Hostile entities
+     * @returns {Entity}
+     */
+    chooseAttackTarget(targets) {
+        const rng = getSeededRandom();
+
+        for (const { kind, chance } of this.personality.attack.targets) {
+            const candidates = targets.filter(TARGET_CLASSES[kind]);
+            if (candidates.length > 0 && (chance === undefined || rng.bool(chance))) {
+                return rng.pick(candidates);
             }
         }
+
+        // Fall back to any target
+        return rng.pick(targets);
     }
 }
 
@@ -348,13 +1375,24 @@ export class AISystem {
         this.enabled = true;
     }
 
-    init() {
+    /**
+     * Create AI players and start listening for their decisions
+     * @param {number[]|null} teams - Teams to control (defaults to the enemy teams)
+     */
+    init(teams = null) {
         this.aiPlayers = [];
 
-        // Create AI players for enemy teams
-        for (let t = 1; t < 1 + CONFIG.NUM_AI_PLAYERS; t++) {
-            this.aiPlayers.push(new AIPlayer(t));
+        // Create AI players for enemy teams (or every team in headless matches)
+        if (!teams) {
+            teams = [];
+            for (let t = 1; t < 1 + CONFIG.NUM_AI_PLAYERS; t++) {
+                teams.push(t);
+            }
         }
+        // Personalities are assigned per AI slot, in team order
+        teams.forEach((t, slot) => {
+            this.aiPlayers.push(new AIPlayer(t, this.resolvePersonality(CONFIG.AI_SLOT_PERSONALITIES?.[slot])));
+        });
 
         // Listen for AI decision events to create buildings
         // Store unsubscribe functions for cleanup
@@ -367,11 +1405,22 @@ export class AISystem {
         ];
     }
 
+    /**
+     * @param {string|undefined} choice - AI_PERSONALITIES key, 'random' or unset
+     * @returns {string}
+     */
+    resolvePersonality(choice) {
+        if (choice === 'random') {
+            return getSeededRandom().pick(Object.keys(AI_PERSONALITIES));
+        }
+        return AI_PERSONALITIES[choice] ? choice : DEFAULT_AI_PERSONALITY;
+    }
+
     handleAIBuild(data) {
         const buildingDef = BUILDINGS[data.buildingType];
         const res = gameState.getResources(data.team);
 
-        if (res.credits >= buildingDef.cost) {
+        if (res.credits >= buildingDef.cost && techRules.checkBuilding(data.team, data.buildingType).valid) {
             gameState.spendCredits(data.team, buildingDef.cost);
 
             eventBus.emit(GameEvents.BUILDING_PLACED, {
@@ -385,7 +1434,8 @@ export class AISystem {
     update() {
         if (!this.enabled) return;
 
-        const now = performance.now();
+        // Simulation time so decisions follow game speed and pause
+        const now = simulationClock.now();
         for (const ai of this.aiPlayers) {
             ai.update(now);
         }
@@ -395,6 +1445,30 @@ export class AISystem {
         this.enabled = enabled;
     }
 
+    /**
+     * @param {number} team
+     * @returns {AIPlayer|null} The AI controlling the team, if any
+     */
+    getPlayer(team) {
+        return this.aiPlayers.find(ai => ai.team === team) || null;
+    }
+
+    serialize() {
+        return this.aiPlayers.map(ai => ai.serialize());
+    }
+
+    /**
+     * Recreate the AI players from a save. Constructing an AIPlayer draws
+     * from the seeded RNG, so restore the RNG state afterwards.
+     */
+    restore(players) {
+        this.aiPlayers = players.map(data => {
+            const ai = new AIPlayer(data.team, data.personalityId);
+            ai.restore(data);
+            return ai;
+        });
+    }
+
     dispose() {
         // Unsubscribe from event bus listeners
         this._unsubs?.forEach(unsub => unsub?.());
@@ -6,6 +6,7 @@
 import { BUILDINGS, TEAMS, TEAM_COLORS } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { techRules } from './TechRules.js?v=20260119';
 
 // Build range constant - must be within this distance of a friendly structure
 const BUILD_RANGE = 150;
@@ -77,7 +78,7 @@ export class BuildingPlacementSystem {
         }
 
         // Check if placement is valid
-        const validation = this.checkPlacementValid(worldPos.x, worldPos.z, team);
+        const validation = this.checkPlacementValid(worldPos.x, worldPos.z, team, buildingType);
         this.isValidPlacement = validation.valid;
 
         // Update ghost color based on validity
@@ -230,9 +231,15 @@ export class BuildingPlacementSystem {
      * @param {number} x - World X coordinate
      * @param {number} z - World Z coordinate
      * @param {number} team - The team placing the building
+     * @param {string} [buildingType] - Also check its prerequisites
      * @returns {Object} - { valid: boolean, reason?: string }
      */
-    checkPlacementValid(x, z, team) {
+    checkPlacementValid(x, z, team, buildingType = null) {
+        if (buildingType) {
+            const rule = techRules.checkBuilding(team, buildingType);
+            if (!rule.valid) return rule;
+        }
+
         // Find all completed friendly buildings
         const friendlyBuildings = gameState.entities.filter(e =>
             e.isBuilding && e.team === team && !e.dead && !e.isConstructing
@@ -270,10 +277,11 @@ export class BuildingPlacementSystem {
      * @param {number} x - World X coordinate
      * @param {number} z - World Z coordinate
      * @param {number} team - The team
+     * @param {string} [buildingType]
      * @returns {string|null} - Error message or null if valid
      */
-    getInvalidReason(x, z, team) {
-        const validation = this.checkPlacementValid(x, z, team);
+    getInvalidReason(x, z, team, buildingType = null) {
+        const validation = this.checkPlacementValid(x, z, team, buildingType);
         return validation.valid ? null : validation.reason;
     }
 
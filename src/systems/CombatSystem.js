@@ -4,11 +4,15 @@
 // Uses MaterialPool for memory efficiency and GPU particles
 // ============================================================
 
-import { TEAM_COLORS, WEAPON_TYPES, UNITS, BUILDINGS } from '../core/Config.js?v=20260119';
+import { TEAM_COLORS, WEAPON_TYPES, UNITS, BUILDINGS, getArmorMultiplier } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
 import { MaterialPool } from '../core/MaterialPool.js?v=20260119';
 import { forceFieldSystem } from './ForceFieldSystem.js?v=20260119';
+import { researchSystem } from './ResearchSystem.js?v=20260119';
+import { powerSystem } from './PowerSystem.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { createVector3, lerpVector3 } from '../core/SimTransform.js?v=20260119';
 
 export class CombatSystem {
     constructor() {
@@ -37,11 +41,14 @@ export class CombatSystem {
         this.muzzleFlashes = [];
         this.trails = [];
 
-        // Initialize GPU particle systems
-        this.initGPUParticleSystems();
+        // Visual resources only exist when rendering (headless runs have no scene)
+        if (scene) {
+            // Initialize GPU particle systems
+            this.initGPUParticleSystems();
 
-        // Initialize muzzle flash light pool
-        this.initLightPool();
+            // Initialize muzzle flash light pool
+            this.initLightPool();
+        }
 
         // Listen for combat events - store unsubscribe functions for cleanup
         this._unsubs = [
@@ -251,7 +258,7 @@ export class CombatSystem {
     }
 
     createProjectile(data) {
-        const { shooter, target, startPos, damage, splash = 0, hardpointWeapon, hardpointOffset } = data;
+        const { shooter, target, startPos, splash = 0, hardpointWeapon, hardpointOffset } = data;
 
         // Guard: skip if shooter is invalid (dead, disposed, or undefined)
         if (!shooter || !shooter.mesh) {
@@ -265,9 +272,13 @@ export class CombatSystem {
 
         const weaponDef = this.getWeaponType(shooter, hardpointWeapon);
         const teamColor = TEAM_COLORS[shooter.team];
-        const color = this.getWeaponColor(weaponDef, teamColor);
+        const color = this.scene ? this.getWeaponColor(weaponDef, teamColor) : null;
         const weaponType = hardpointWeapon || shooter.def?.weaponType || 'laser';
 
+        // Weapon research of the shooter's team, and the ship's own rank
+        const damage = data.damage * researchSystem.getDamageMultiplier(shooter.team, weaponType) *
+            (shooter.isUnit ? 1 + shooter.getRankBonus('damage') : 1);
+
         // Apply hardpoint offset if provided
         let firePos = startPos.clone();
         if (hardpointOffset && shooter.mesh) {
@@ -280,20 +291,24 @@ export class CombatSystem {
         }
 
         // Create muzzle flash at fire position
-        this.createMuzzleFlash(firePos, color, weaponDef, shooter.team, weaponType);
+        if (this.scene) {
+            this.createMuzzleFlash(firePos, color, weaponDef, shooter.team, weaponType);
+        }
 
         // Handle beam weapons (instant hit)
         if (weaponDef.instant) {
-            this.createBeam(firePos, target, damage, splash, shooter.team, color, weaponDef, weaponType);
+            this.createBeam(firePos, target, damage, splash, shooter.team, color, weaponDef, weaponType, shooter);
             return;
         }
 
         const projectile = {
             start: firePos.clone(),
+            position: firePos.clone(),
             target: target,
             targetPos: target.mesh.position.clone(),
             damage: damage,
             team: shooter.team,
+            shooter: shooter,
             splash: splash,
             progress: 0,
             speed: weaponDef.projectileSpeed || 3,
@@ -304,16 +319,25 @@ export class CombatSystem {
             homing: weaponDef.homing || false
         };
 
+        if (this.scene) {
+            this.createProjectileVisuals(projectile);
+        }
+
+        this.projectiles.push(projectile);
+    }
+
+    /**
+     * Create the mesh and trail for a projectile (rendering only)
+     */
+    createProjectileVisuals(projectile) {
         // Create projectile mesh using pooled materials
-        projectile.mesh = this.createProjectileMesh(weaponDef, weaponType, shooter.team);
-        projectile.mesh.position = firePos.clone();
+        projectile.mesh = this.createProjectileMesh(projectile.weaponDef, projectile.weaponType, projectile.team);
+        projectile.mesh.position = projectile.position.clone();
 
         // Create trail for projectile
-        if (weaponDef.trailLength > 0) {
-            projectile.trail = this.createTrail(weaponDef, weaponType, shooter.team, projectile);
+        if (projectile.weaponDef.trailLength > 0) {
+            projectile.trail = this.createTrail(projectile.weaponDef, projectile.weaponType, projectile.team, projectile);
         }
-
-        this.projectiles.push(projectile);
     }
 
     createProjectileMesh(weaponDef, weaponType, team) {
@@ -412,7 +436,28 @@ export class CombatSystem {
         };
     }
 
-    createBeam(startPos, target, damage, splash, team, color, weaponDef, weaponType) {
+    /**
+     * Hit an entity, scaled by the weapon's effect on its armor class
+     * @param {Entity} target
+     * @param {number} damage - Before armor
+     * @param {string} weaponType - WEAPON_TYPES key
+     * @param {number} team - Attacking team
+     * @param {Entity|null} [shooter] - Ships earn veterancy for what they hit
+     */
+    applyDamage(target, damage, weaponType, team, shooter = null) {
+        const before = target.health + (target.shield || 0);
+        const wasAlive = !target.dead;
+
+        target.takeDamage(damage * getArmorMultiplier(weaponType, target.def?.armorClass), { team, shooter });
+
+        if (!shooter?.isUnit || shooter.dead) return;
+        shooter.gainExperience(before - Math.max(0, target.health) - (target.shield || 0));
+        if (wasAlive && target.dead) {
+            shooter.recordKill(target);
+        }
+    }
+
+    createBeam(startPos, target, damage, splash, team, color, weaponDef, weaponType, shooter = null) {
         // Guard: skip if target is invalid (dead, disposed, or undefined)
         if (!target || !target.mesh || !target.mesh.position) {
             return;
@@ -437,29 +482,13 @@ export class CombatSystem {
             forceFieldSystem.damageSegment(fieldHit.segment, damage, { team });
         }
 
-        const distance = BABYLON.Vector3.Distance(startPos, targetPos);
-
-        const beam = BABYLON.MeshBuilder.CreateCylinder('beam', {
-            height: distance,
-            diameter: 0.5,
-            tessellation: 6
-        }, this.scene);
-
-        const midpoint = BABYLON.Vector3.Center(startPos, targetPos);
-        beam.position = midpoint;
-        beam.lookAt(targetPos);
-        beam.rotation.x += Math.PI / 2;
-
-        // Use MaterialPool
-        beam.material = MaterialPool.getBeamMaterial(weaponType, team);
-
         // Apply damage immediately (only if not blocked by force field)
         if (!hitForceField && actualTarget && !actualTarget.dead) {
             if (splash > 0) {
                 // Use spatial grid for efficient splash damage lookup (O(k) vs O(n))
                 const nearbyEntities = gameState.queryNearbyEntities(
                     actualTarget.mesh.position.x, actualTarget.mesh.position.z, splash,
-                    ent => !ent.dead && ent.team !== team
+                    ent => !ent.dead && ent.team !== team && !gameState.hasTreaty(team, ent.team)
                 );
                 for (const ent of nearbyEntities) {
                     const dist = Math.hypot(
@@ -467,13 +496,31 @@ export class CombatSystem {
                         ent.mesh.position.z - actualTarget.mesh.position.z
                     );
                     const falloff = 1 - (dist / splash);
-                    ent.takeDamage(damage * falloff, { team: team });
+                    this.applyDamage(ent, damage * falloff, weaponType, team, shooter);
                 }
             } else {
-                actualTarget.takeDamage(damage, { team: team });
+                this.applyDamage(actualTarget, damage, weaponType, team, shooter);
             }
         }
 
+        if (!this.scene) return;
+
+        const distance = BABYLON.Vector3.Distance(startPos, targetPos);
+
+        const beam = BABYLON.MeshBuilder.CreateCylinder('beam', {
+            height: distance,
+            diameter: 0.5,
+            tessellation: 6
+        }, this.scene);
+
+        const midpoint = BABYLON.Vector3.Center(startPos, targetPos);
+        beam.position = midpoint;
+        beam.lookAt(targetPos);
+        beam.rotation.x += Math.PI / 2;
+
+        // Use MaterialPool
+        beam.material = MaterialPool.getBeamMaterial(weaponType, team);
+
         this.beams.push({
             mesh: beam,
             life: weaponDef.duration || 0.2,
@@ -487,6 +534,8 @@ export class CombatSystem {
      * Create explosion using GPU particle system
      */
     createExplosion(position, size, weaponType = 'default') {
+        if (!this.scene) return;
+
         // Set explosion colors based on weapon type
         const colors = this.getExplosionColors(weaponType);
         this.explosionParticleSystem.color1 = new BABYLON.Color4(colors[0].r, colors[0].g, colors[0].b, 1);
@@ -561,6 +610,8 @@ export class CombatSystem {
      * Create impact effect using GPU particles
      */
     createImpactEffect(position, weaponType = 'laser') {
+        if (!this.scene) return;
+
         const colors = this.getExplosionColors(weaponType);
         this.impactParticleSystem.color1 = new BABYLON.Color4(colors[0].r, colors[0].g, colors[0].b, 1);
         this.impactParticleSystem.color2 = new BABYLON.Color4(colors[1].r, colors[1].g, colors[1].b, 1);
@@ -569,6 +620,7 @@ export class CombatSystem {
     }
 
     update(dt) {
+        this.updatePointDefense();
         this.updateProjectiles(dt);
         this.updateParticles(dt);
         this.updateBeams(dt);
@@ -588,14 +640,17 @@ export class CombatSystem {
                 proj.targetPos = targetPos;
             }
 
-            const prevPos = BABYLON.Vector3.Lerp(proj.start, targetPos, prevProgress);
-            proj.mesh.position = BABYLON.Vector3.Lerp(proj.start, targetPos, proj.progress);
+            const prevPos = lerpVector3(proj.start, targetPos, prevProgress);
+            proj.position = lerpVector3(proj.start, targetPos, proj.progress);
+            if (proj.mesh) {
+                proj.mesh.position = proj.position.clone();
+            }
 
             // Check for force field collision
             const fieldHit = forceFieldSystem.checkProjectileCollision(
                 proj,
                 prevPos,
-                proj.mesh.position
+                proj.position
             );
 
             if (fieldHit) {
@@ -609,7 +664,7 @@ export class CombatSystem {
                 });
 
                 // Cleanup
-                proj.mesh.dispose();
+                proj.mesh?.dispose();
                 if (proj.trail && proj.trail.mesh) {
                     proj.trail.mesh.dispose();
                 }
@@ -617,7 +672,7 @@ export class CombatSystem {
                 continue;
             }
 
-            if (proj.weaponDef.sound === 'missile') {
+            if (proj.mesh && proj.weaponDef.sound === 'missile') {
                 const direction = targetPos.subtract(proj.start).normalize();
                 proj.mesh.lookAt(proj.mesh.position.add(direction));
                 proj.mesh.rotation.x += Math.PI / 2;
@@ -639,7 +694,7 @@ export class CombatSystem {
                         // Use spatial grid for efficient splash damage lookup (O(k) vs O(n))
                         const nearbyEntities = gameState.queryNearbyEntities(
                             targetPos.x, targetPos.z, proj.splash,
-                            ent => !ent.dead && ent.team !== proj.team
+                            ent => !ent.dead && ent.team !== proj.team && !gameState.hasTreaty(proj.team, ent.team)
                         );
                         for (const ent of nearbyEntities) {
                             const dist = Math.hypot(
@@ -647,10 +702,10 @@ export class CombatSystem {
                                 ent.mesh.position.z - targetPos.z
                             );
                             const falloff = 1 - (dist / proj.splash);
-                            ent.takeDamage(proj.damage * falloff, { team: proj.team });
+                            this.applyDamage(ent, proj.damage * falloff, proj.weaponType, proj.team, proj.shooter);
                         }
                     } else {
-                        proj.target.takeDamage(proj.damage, { team: proj.team });
+                        this.applyDamage(proj.target, proj.damage, proj.weaponType, proj.team, proj.shooter);
                     }
                 }
 
@@ -661,7 +716,7 @@ export class CombatSystem {
                 });
 
                 // Cleanup - don't dispose shared materials!
-                proj.mesh.dispose();
+                proj.mesh?.dispose();
                 if (proj.trail && proj.trail.mesh) {
                     proj.trail.mesh.dispose();
                 }
@@ -670,6 +725,100 @@ export class CombatSystem {
         }
     }
 
+    // ===== Point Defense =====
+
+    /**
+     * Point-defense hardpoints shoot down hostile missiles in range, one
+     * missile per hardpoint each volley
+     */
+    updatePointDefense() {
+        if (!this.projectiles.some(proj => proj.weaponType === 'missile')) return;
+
+        const now = simulationClock.now();
+        for (const defender of gameState.entities) {
+            const pointDefense = defender.def?.pointDefense;
+            if (!pointDefense || defender.dead || !defender.mesh) continue;
+            if (defender.isConstructing || defender.poweredDown) continue;
+
+            // Brownouts stretch a structure's reload like turret fire
+            const reload = defender.isBuilding
+                ? pointDefense.fireRate / powerSystem.getEfficiency(defender.team)
+                : pointDefense.fireRate;
+            if (now - defender.lastIntercept < reload) continue;
+
+            for (const hardpoint of pointDefense.hardpoints) {
+                const missile = this.findInterceptTarget(defender, pointDefense.range);
+                if (!missile) break;
+                this.interceptMissile(defender, hardpoint, missile);
+                defender.lastIntercept = now;
+            }
+        }
+    }
+
+    /**
+     * @param {Entity} defender
+     * @param {number} range
+     * @returns {Object|null} Nearest hostile missile in flight within range
+     */
+    findInterceptTarget(defender, range) {
+        let closest = null;
+        let closestDist = range;
+
+        for (const proj of this.projectiles) {
+            if (proj.weaponType !== 'missile' || !gameState.isHostile(defender.team, proj.team)) continue;
+
+            const dist = Math.hypot(
+                proj.position.x - defender.mesh.position.x,
+                proj.position.z - defender.mesh.position.z
+            );
+            if (dist <= closestDist) {
+                closest = proj;
+                closestDist = dist;
+            }
+        }
+        return closest;
+    }
+
+    interceptMissile(defender, hardpoint, proj) {
+        this.projectiles.splice(this.projectiles.indexOf(proj), 1);
+        gameState.recordInterception(defender.team);
+
+        eventBus.emit(GameEvents.COMBAT_MISSILE_INTERCEPTED, {
+            defender,
+            projectile: proj,
+            position: proj.position.clone()
+        });
+
+        proj.mesh?.dispose();
+        if (proj.trail && proj.trail.mesh) {
+            proj.trail.mesh.dispose();
+        }
+
+        if (!this.scene) return;
+
+        // Tracer from the hardpoint (scaled like weapon hardpoints) to the missile
+        const scale = defender.isUnit ? defender.size * 0.5 : 1;
+        const cos = Math.cos(defender.mesh.rotation.y);
+        const sin = Math.sin(defender.mesh.rotation.y);
+        const from = defender.mesh.position.clone();
+        from.x += (hardpoint.x * cos - hardpoint.z * sin) * scale;
+        from.y += hardpoint.y * scale;
+        from.z += (hardpoint.x * sin + hardpoint.z * cos) * scale;
+
+        const tracer = BABYLON.MeshBuilder.CreateCylinder('pointDefenseTracer', {
+            height: BABYLON.Vector3.Distance(from, proj.position),
+            diameter: 0.2,
+            tessellation: 4
+        }, this.scene);
+        tracer.position = BABYLON.Vector3.Center(from, proj.position);
+        tracer.lookAt(proj.position);
+        tracer.rotation.x += Math.PI / 2;
+        tracer.material = MaterialPool.getBeamMaterial('laser', defender.team);
+
+        this.beams.push({ mesh: tracer, life: 0.1, startLife: 0.1 });
+        this.createExplosion(proj.position, 1, 'missile');
+    }
+
     updateParticles(dt) {
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
@@ -746,7 +895,7 @@ export class CombatSystem {
                 if (proj.trail.spawnTimer >= 0.02) {
                     proj.trail.spawnTimer = 0;
                     // Use GPU particle system instead of creating mesh
-                    this.spawnSmokeParticle(proj.mesh.position.clone());
+                    this.spawnSmokeParticle(proj.position.clone());
                 }
             }
         }
@@ -760,13 +909,77 @@ export class CombatSystem {
         this.smokeParticleSystem.manualEmitCount = 2;
     }
 
+    // ===== Save/Load =====
+
+    /**
+     * Projectiles in flight (beams and effects are instant/visual only)
+     */
+    serialize() {
+        const vec = (v) => [v.x, v.y, v.z];
+
+        return this.projectiles.map(proj => ({
+            start: vec(proj.start),
+            position: vec(proj.position),
+            target: proj.target?.id ?? null,
+            targetPos: vec(proj.targetPos),
+            damage: proj.damage,
+            team: proj.team,
+            shooter: proj.shooter?.id ?? null,
+            splash: proj.splash,
+            progress: proj.progress,
+            speed: proj.speed,
+            weaponType: proj.weaponType,
+            homing: proj.homing
+        }));
+    }
+
+    /**
+     * @param {Object[]} projectiles - From serialize()
+     * @param {Function} resolveEntity - Saved entity id -> entity
+     */
+    restore(projectiles, resolveEntity) {
+        for (const proj of this.projectiles) {
+            proj.mesh?.dispose();
+            if (proj.trail && proj.trail.mesh) {
+                proj.trail.mesh.dispose();
+            }
+        }
+
+        const vec = (v) => createVector3(v[0], v[1], v[2]);
+
+        this.projectiles = projectiles.map(saved => {
+            const projectile = {
+                start: vec(saved.start),
+                position: vec(saved.position),
+                target: resolveEntity(saved.target),
+                targetPos: vec(saved.targetPos),
+                damage: saved.damage,
+                team: saved.team,
+                shooter: resolveEntity(saved.shooter),
+                splash: saved.splash,
+                progress: saved.progress,
+                speed: saved.speed,
+                weaponType: saved.weaponType,
+                weaponDef: WEAPON_TYPES[saved.weaponType] || WEAPON_TYPES.laser,
+                mesh: null,
+                trail: null,
+                homing: saved.homing
+            };
+
+            if (this.scene) {
+                this.createProjectileVisuals(projectile);
+            }
+            return projectile;
+        });
+    }
+
     dispose() {
         // Unsubscribe from event bus listeners
         this._unsubs?.forEach(unsub => unsub?.());
         this._unsubs = null;
 
         for (const proj of this.projectiles) {
-            proj.mesh.dispose();
+            proj.mesh?.dispose();
             if (proj.trail && proj.trail.mesh) {
                 proj.trail.mesh.dispose();
             }
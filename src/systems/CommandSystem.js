@@ -0,0 +1,294 @@
+// ============================================================
+// VOID SUPREMACY 3D - Command System
+// Serializable player commands. Input and UI issue commands here;
+// they are executed against the simulation by entity id so they
+// can be recorded, replayed and sent over the network.
+// ============================================================
+
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { diplomacySystem } from './DiplomacySystem.js?v=20260119';
+import { researchSystem } from './ResearchSystem.js?v=20260119';
+import { powerSystem } from './PowerSystem.js?v=20260119';
+
+export const PlayerCommand = {
+    MOVE: 'move',
+    ATTACK_MOVE: 'attackMove',
+    ATTACK: 'attack',
+    STOP: 'stop',
+    HOLD: 'hold',
+    SET_STANCE: 'setStance',
+    PATROL: 'patrol',
+    GUARD: 'guard',
+    GUARD_POSITION: 'guardPosition',
+    HARVEST: 'harvest',
+    RETURN_CARGO: 'returnCargo',
+    PLACE_BUILDING: 'placeBuilding',
+    QUEUE_UNIT: 'queueUnit',
+    CANCEL_PRODUCTION: 'cancelProduction',
+    QUEUE_RESEARCH: 'queueResearch',
+    SET_POWER: 'setPower',
+    REPAIR_BUILDING: 'repairBuilding',
+    SELL_BUILDING: 'sellBuilding',
+    UPGRADE_BUILDING: 'upgradeBuilding',
+    SET_RALLY_POINT: 'setRallyPoint',
+    PROPOSE_TREATY: 'proposeTreaty',
+    DECLARE_WAR: 'declareWar',
+    TRANSFER_CREDITS: 'transferCredits'
+};
+
+export class CommandSystem {
+    constructor() {
+        // Optional hook that takes ownership of issued commands
+        // (replay playback drops them, lockstep delays them)
+        this.interceptor = null;
+
+        this.handlers = {
+            [PlayerCommand.MOVE]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    unit.moveTo(cmd.x, cmd.z);
+                }
+            },
+            [PlayerCommand.ATTACK_MOVE]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    unit.attackMove(cmd.x, cmd.z);
+                }
+            },
+            [PlayerCommand.ATTACK]: (cmd) => {
+                const target = gameState.getEntityById(cmd.targetId);
+                if (!target || target.dead) return;
+                for (const unit of this.getUnits(cmd)) {
+                    if (unit.def.damage) { // Only combat units
+                        unit.attack(target);
+                    }
+                }
+            },
+            [PlayerCommand.STOP]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    unit.stop();
+                }
+            },
+            [PlayerCommand.HOLD]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    unit.hold();
+                }
+            },
+            [PlayerCommand.SET_STANCE]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    if (unit.def.damage) { // Only combat units
+                        unit.setStance(cmd.stance);
+                    }
+                }
+            },
+            [PlayerCommand.PATROL]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    unit.patrol([
+                        { x: unit.mesh.position.x, z: unit.mesh.position.z },
+                        { x: cmd.x, z: cmd.z }
+                    ]);
+                }
+            },
+            [PlayerCommand.GUARD]: (cmd) => {
+                const target = gameState.getEntityById(cmd.targetId);
+                if (!target || target.dead) return;
+                for (const unit of this.getUnits(cmd)) {
+                    unit.guardTarget = target;
+                    unit.command = 'guard';
+                    unit.moveTo(target.mesh.position.x, target.mesh.position.z);
+                }
+            },
+            [PlayerCommand.GUARD_POSITION]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    unit.guardTarget = { x: cmd.x, z: cmd.z };
+                    unit.command = 'guard';
+                    unit.moveTo(cmd.x, cmd.z);
+                }
+            },
+            [PlayerCommand.HARVEST]: (cmd) => {
+                const nodes = cmd.crystal ? gameState.crystalNodes : gameState.oreNodes;
+                const node = nodes[cmd.nodeIndex];
+                if (!node) return;
+                for (const unit of this.getUnits(cmd)) {
+                    if (unit.type === 'harvester') {
+                        unit.harvest(node);
+                    }
+                }
+            },
+            [PlayerCommand.RETURN_CARGO]: (cmd) => {
+                for (const unit of this.getUnits(cmd)) {
+                    if (unit.type !== 'harvester' || !(unit.cargo > 0)) continue;
+                    const refinery = this.findNearestRefinery(unit);
+                    if (!refinery) continue;
+                    unit.command = 'returnCargo';
+                    unit.returnTarget = refinery;
+                    eventBus.emit(GameEvents.HARVESTER_RETURN, { harvester: unit, target: refinery });
+                }
+            },
+            [PlayerCommand.PLACE_BUILDING]: (cmd) => {
+                eventBus.emit(GameEvents.BUILDING_PLACED, {
+                    type: cmd.buildingType,
+                    position: { x: cmd.x, z: cmd.z },
+                    team: cmd.team
+                });
+            },
+            [PlayerCommand.QUEUE_UNIT]: (cmd) => {
+                eventBus.emit(GameEvents.UNIT_QUEUE_REQUEST, {
+                    type: cmd.unitType,
+                    team: cmd.team
+                });
+            },
+            [PlayerCommand.CANCEL_PRODUCTION]: (cmd) => {
+                const building = this.getOwnBuilding(cmd);
+                if (!building) return;
+                eventBus.emit(GameEvents.PRODUCTION_CANCEL, {
+                    building,
+                    index: cmd.index
+                });
+            },
+            [PlayerCommand.QUEUE_RESEARCH]: (cmd) => {
+                researchSystem.queue(cmd.team, cmd.upgradeId);
+            },
+            [PlayerCommand.SET_POWER]: (cmd) => {
+                const building = this.getOwnBuilding(cmd);
+                if (!building) return;
+                powerSystem.setPowered(building, cmd.powered);
+            },
+            [PlayerCommand.REPAIR_BUILDING]: (cmd) => {
+                const building = this.getOwnBuilding(cmd);
+                if (!building) return;
+                building.setRepairing(cmd.repairing);
+            },
+            [PlayerCommand.SELL_BUILDING]: (cmd) => {
+                const building = this.getOwnBuilding(cmd);
+                if (!building) return;
+                building.sell();
+            },
+            [PlayerCommand.UPGRADE_BUILDING]: (cmd) => {
+                const building = this.getOwnBuilding(cmd);
+                if (!building) return;
+                building.startUpgrade();
+            },
+            [PlayerCommand.SET_RALLY_POINT]: (cmd) => {
+                const building = this.getOwnBuilding(cmd);
+                if (!building) return;
+                if (cmd.x === undefined || cmd.x === null) {
+                    building.rallyPoint = null;
+                    return;
+                }
+                building.rallyPoint = { x: cmd.x, z: cmd.z };
+                eventBus.emit(GameEvents.RALLY_POINT_SET, {
+                    building,
+                    position: { x: cmd.x, z: cmd.z }
+                });
+            },
+            [PlayerCommand.PROPOSE_TREATY]: (cmd) => {
+                diplomacySystem.propose(cmd.team, cmd.targetTeam, cmd.treaty);
+            },
+            [PlayerCommand.DECLARE_WAR]: (cmd) => {
+                diplomacySystem.declareWar(cmd.team, cmd.targetTeam);
+            },
+            [PlayerCommand.TRANSFER_CREDITS]: (cmd) => {
+                diplomacySystem.transferCredits(cmd.team, cmd.targetTeam, cmd.amount);
+            }
+        };
+    }
+
+    /**
+     * Install or clear the issue interceptor
+     * @param {Function|null} interceptor - (command) => true if it handled the command
+     */
+    setInterceptor(interceptor) {
+        this.interceptor = interceptor;
+    }
+
+    /**
+     * Issue a command from local input. Executes immediately unless intercepted.
+     * @param {Object} command - { type, team?, unitIds?, x?, z?, targetId?, ... }
+     */
+    issue(command) {
+        if (command.team === undefined) {
+            command.team = gameState.playerTeam;
+        }
+
+        eventBus.emit(GameEvents.COMMAND_ISSUED, { command });
+
+        if (this.interceptor && this.interceptor(command)) return;
+
+        this.execute(command);
+    }
+
+    /**
+     * Apply a command to the simulation
+     * @param {Object} command - Command previously built by issue()
+     */
+    execute(command) {
+        const handler = this.handlers[command.type];
+        if (!handler) {
+            console.warn(`CommandSystem: Unknown command type '${command.type}'`);
+            return;
+        }
+
+        handler(command);
+
+        if (command.unitIds) {
+            eventBus.emit(GameEvents.UNIT_COMMAND, {
+                command: command.type,
+                team: command.team
+            });
+        }
+
+        eventBus.emit(GameEvents.COMMAND_EXECUTED, {
+            command,
+            tick: simulationClock.tick
+        });
+    }
+
+    // ===== Helpers =====
+
+    getUnits(command) {
+        const units = [];
+        for (const id of command.unitIds || []) {
+            const unit = gameState.getEntityById(id);
+            if (unit && unit.isUnit && !unit.dead && unit.team === command.team) {
+                units.push(unit);
+            }
+        }
+        return units;
+    }
+
+    findNearestRefinery(unit) {
+        const pos = unit.mesh.position;
+        let nearest = null;
+        let nearestDistSq = Infinity;
+
+        // Use squared distance to avoid sqrt (faster for comparison)
+        for (const ref of gameState.getBuildingsByType(unit.team, 'refinery')) {
+            if (ref.dead || ref.isConstructing) continue;
+            const dx = ref.mesh.position.x - pos.x;
+            const dz = ref.mesh.position.z - pos.z;
+            const distSq = dx * dx + dz * dz;
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = ref;
+            }
+        }
+        return nearest;
+    }
+
+    getOwnBuilding(command) {
+        const building = gameState.getEntityById(command.buildingId);
+        if (!building || !building.isBuilding || building.dead || building.team !== command.team) {
+            return null;
+        }
+        return building;
+    }
+
+    dispose() {
+        this.interceptor = null;
+    }
+}
+
+export const commandSystem = new CommandSystem();
+
+export default CommandSystem;
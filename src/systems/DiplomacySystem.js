@@ -0,0 +1,218 @@
+// ============================================================
+// VOID SUPREMACY 3D - Diplomacy System
+// Ceasefires and alliances between players. AI players weigh
+// proposals by relative strength; allies can send each other
+// credits. Standing itself lives in GameState's hostility and
+// alliance matrices.
+// ============================================================
+
+import { CONFIG } from '../core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { aiSystem } from './AISystem.js?v=20260119';
+
+// Treaties a player can propose
+export const Treaty = {
+    CEASEFIRE: 'ceasefire',     // Stop fighting
+    ALLIANCE: 'alliance'        // Stop fighting, share vision and credits, win together
+};
+
+// Current standing between two player teams
+export const Relation = {
+    WAR: 'war',
+    CEASEFIRE: 'ceasefire',
+    ALLIANCE: 'alliance'
+};
+
+// Why a proposal was turned down - sent with DIPLOMACY_PROPOSAL
+export const ProposalRejection = {
+    INVALID: 'invalid',         // Same team, not a player, or unknown treaty
+    IN_EFFECT: 'in_effect',     // Already at that standing or better
+    NOT_AI: 'not_ai',           // Only AI players answer proposals
+    COOLDOWN: 'cooldown',       // Turned down the same proposal too recently
+    TOO_WEAK: 'too_weak'        // The AI doesn't think the proposer is worth it
+};
+
+// An AI won't hear the same proposal again this soon after turning it down (ms)
+const PROPOSAL_COOLDOWN = 60000;
+
+export class DiplomacySystem {
+    constructor() {
+        this.rejectedAt = new Map();    // 'from:to:treaty' -> time turned down (ms)
+        this._unsubs = null;
+    }
+
+    init() {
+        this.rejectedAt.clear();
+
+        this._unsubs = [
+            // Ships already fighting stand down when their teams make peace
+            eventBus.on(GameEvents.DIPLOMACY_PEACE, ({ team1, team2 }) => {
+                this.disengage(team1, team2);
+                this.disengage(team2, team1);
+            })
+        ];
+    }
+
+    // ===== Queries =====
+
+    /**
+     * Teams that take part in diplomacy (players, not neutral aliens)
+     * @returns {number[]}
+     */
+    getPlayerTeams() {
+        const teams = [];
+        for (let t = 0; t < 1 + CONFIG.NUM_AI_PLAYERS; t++) {
+            teams.push(t);
+        }
+        return teams;
+    }
+
+    /**
+     * @param {number} team1
+     * @param {number} team2
+     * @returns {string} Relation value
+     */
+    getRelation(team1, team2) {
+        if (gameState.isAllied(team1, team2)) return Relation.ALLIANCE;
+        return gameState.hasTreaty(team1, team2) ? Relation.CEASEFIRE : Relation.WAR;
+    }
+
+    /**
+     * Rough strength of a team: what its ships and structures cost
+     * @param {number} team
+     * @returns {number}
+     */
+    getStrength(team) {
+        let strength = 0;
+        for (const entity of gameState.getEntitiesByTeam(team)) {
+            if (!entity.dead) strength += entity.def?.cost || 0;
+        }
+        return strength;
+    }
+
+    /**
+     * @returns {number} How strong team is compared to other (1 = even)
+     */
+    getRelativeStrength(team, other) {
+        return this.getStrength(team) / Math.max(1, this.getStrength(other));
+    }
+
+    // ===== Proposals =====
+
+    /**
+     * Propose a treaty to another player. AI players answer at once.
+     * @param {number} from - Proposing team
+     * @param {number} to - Team asked
+     * @param {string} treaty - Treaty value
+     * @returns {boolean} Accepted
+     */
+    propose(from, to, treaty) {
+        const reason = this.checkProposal(from, to, treaty);
+        const accepted = reason === null;
+
+        if (accepted) {
+            if (treaty === Treaty.ALLIANCE) {
+                gameState.setAlliance(from, to, true);
+            } else {
+                gameState.setHostility(from, to, false);
+            }
+        } else if (reason === ProposalRejection.TOO_WEAK) {
+            this.rejectedAt.set(`${from}:${to}:${treaty}`, simulationClock.now());
+        }
+
+        eventBus.emit(GameEvents.DIPLOMACY_PROPOSAL, { from, to, treaty, accepted, reason });
+        return accepted;
+    }
+
+    /**
+     * @returns {string|null} ProposalRejection value, or null if accepted
+     */
+    checkProposal(from, to, treaty) {
+        const players = this.getPlayerTeams();
+        if (from === to || !players.includes(from) || !players.includes(to) ||
+            !Object.values(Treaty).includes(treaty)) {
+            return ProposalRejection.INVALID;
+        }
+
+        const relation = this.getRelation(from, to);
+        if (relation === Relation.ALLIANCE || (relation === Relation.CEASEFIRE && treaty === Treaty.CEASEFIRE)) {
+            return ProposalRejection.IN_EFFECT;
+        }
+
+        const ai = aiSystem.getPlayer(to);
+        if (!ai) return ProposalRejection.NOT_AI;
+
+        const rejectedAt = this.rejectedAt.get(`${from}:${to}:${treaty}`);
+        if (rejectedAt !== undefined && simulationClock.now() - rejectedAt < PROPOSAL_COOLDOWN) {
+            return ProposalRejection.COOLDOWN;
+        }
+
+        if (!ai.considerTreaty(treaty, this.getRelativeStrength(from, to))) {
+            return ProposalRejection.TOO_WEAK;
+        }
+        return null;
+    }
+
+    /**
+     * End a ceasefire or alliance
+     * @returns {boolean} Whether the teams were at peace
+     */
+    declareWar(from, to) {
+        if (!gameState.hasTreaty(from, to)) return false;
+        gameState.setHostility(from, to, true);
+        return true;
+    }
+
+    /**
+     * Send credits to an ally
+     * @returns {boolean} Sent
+     */
+    transferCredits(from, to, amount) {
+        if (!gameState.isAllied(from, to) || !(amount > 0) || !gameState.canAfford(from, amount)) {
+            return false;
+        }
+
+        gameState.modifyResource(from, 'credits', -amount);
+        gameState.modifyResource(to, 'credits', amount);
+        eventBus.emit(GameEvents.DIPLOMACY_CREDITS, { from, to, amount });
+        return true;
+    }
+
+    /**
+     * Drop the team's current targets on the other team
+     */
+    disengage(team, other) {
+        for (const unit of gameState.getUnitsByTeam(team)) {
+            if (unit.attackTarget?.team === other) {
+                unit.attackTarget = null;
+            }
+            if (unit.attackTargets?.length) {
+                unit.attackTargets = unit.attackTargets.filter(t => t.team !== other);
+            }
+        }
+    }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        return { rejectedAt: [...this.rejectedAt] };
+    }
+
+    restore(state) {
+        this.rejectedAt = new Map(state.rejectedAt);
+    }
+
+    dispose() {
+        // Unsubscribe from event bus listeners
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        this.rejectedAt.clear();
+    }
+}
+
+export const diplomacySystem = new DiplomacySystem();
+
+export default DiplomacySystem;
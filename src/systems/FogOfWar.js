@@ -3,9 +3,10 @@
 // Visibility management with explored/visible states
 // ============================================================
 
-import { CONFIG, TEAMS, BUILDINGS, UNITS } from '../core/Config.js?v=20260119';
+import { CONFIG, BUILDINGS, UNITS } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { powerSystem } from './PowerSystem.js?v=20260119';
 
 // Visibility states
 export const Visibility = {
@@ -14,6 +15,9 @@ export const Visibility = {
     VISIBLE: 2       // Currently visible
 };
 
+// Vision of a radar without full power - no better than other structures
+const UNPOWERED_RADAR_VISION = 60;
+
 export class FogOfWar {
     constructor() {
         this.gridSize = 10; // Size of each fog cell in world units
@@ -171,6 +175,12 @@ export class FogOfWar {
             }
         }
 
+        // Allies share vision: each team's entities reveal for its allies too
+        const viewers = {};
+        for (let team = 0; team <= 5; team++) {
+            viewers[team] = [team, ...gameState.getAllies(team)];
+        }
+
         // Calculate visibility from all entities
         for (const entity of gameState.entities) {
             if (entity.dead || !entity.mesh) continue;
@@ -178,17 +188,24 @@ export class FogOfWar {
             const pos = entity.mesh.position;
             const visionRange = this.getVisionRange(entity);
 
-            this.revealArea(entity.team, pos.x, pos.z, visionRange);
+            for (const team of viewers[entity.team] || [entity.team]) {
+                this.revealArea(team, pos.x, pos.z, visionRange);
+            }
         }
 
         // Update fog texture for player's view
-        this.renderFog(TEAMS.PLAYER);
+        this.renderFog(gameState.playerTeam);
     }
 
     getVisionRange(entity) {
         // Get base vision range
         let range = this.visionRanges[entity.type] || 60;
 
+        // Radar loses its extended range in a brownout or when switched off
+        if (entity.type === 'radar' && !powerSystem.hasFullPower(entity)) {
+            range = UNPOWERED_RADAR_VISION;
+        }
+
         // Buildings under construction have reduced vision
         if (entity.isBuilding && entity.isConstructing) {
             range *= 0.5;
@@ -313,7 +330,7 @@ export class FogOfWar {
     // Check if an entity is visible to a team
     isEntityVisible(team, entity) {
         if (!this.enabled) return true;
-        if (entity.team === team) return true; // Always see own units
+        if (entity.team === team || gameState.isAllied(team, entity.team)) return true; // Always see own and allied units
 
         const pos = entity.mesh?.position;
         if (!pos) return false;
@@ -330,10 +347,10 @@ export class FogOfWar {
             if (entity.dead || !entity.mesh) continue;
 
             // Check if visible to player
-            const visible = this.isEntityVisible(TEAMS.PLAYER, entity);
+            const visible = this.isEntityVisible(gameState.playerTeam, entity);
 
             // Update entity mesh visibility
-            if (entity.team !== TEAMS.PLAYER) {
+            if (entity.team !== gameState.playerTeam) {
                 entity.mesh.setEnabled(visible);
             }
         }
@@ -341,14 +358,14 @@ export class FogOfWar {
         // Update resource nodes visibility
         for (const ore of gameState.oreNodes) {
             if (ore.mesh) {
-                const visible = this.isVisible(TEAMS.PLAYER, ore.x, ore.z);
+                const visible = this.isVisible(gameState.playerTeam, ore.x, ore.z);
                 ore.mesh.setEnabled(visible && !ore.depleted);
             }
         }
 
         for (const crystal of gameState.crystalNodes) {
             if (crystal.mesh) {
-                const visible = this.isVisible(TEAMS.PLAYER, crystal.x, crystal.z);
+                const visible = this.isVisible(gameState.playerTeam, crystal.x, crystal.z);
                 crystal.mesh.setEnabled(visible && !crystal.depleted);
             }
         }
@@ -7,6 +7,8 @@ import { BUILDINGS, TEAM_COLORS } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
 import { MaterialPool } from '../core/MaterialPool.js?v=20260119';
+import { createVector3 } from '../core/SimTransform.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
 
 export class ForceFieldSystem {
     constructor() {
@@ -166,6 +168,45 @@ export class ForceFieldSystem {
      */
     createFieldSegment(genA, genB) {
         const config = BUILDINGS.forceFieldGenerator;
+
+        const segment = {
+            id: this.segmentIdCounter++,
+            generatorA: genA,
+            generatorB: genB,
+            mesh: null,
+            innerMesh: null,
+            material: null,
+            innerMaterial: null,
+            health: config.fieldHealth,
+            maxHealth: config.fieldHealth,
+            team: genA.team,
+            lastDamageTime: 0,
+            destroyed: false,
+            regenDelayRemaining: 0
+        };
+
+        if (this.scene) {
+            this.createSegmentMeshes(segment);
+        }
+
+        this.segments.push(segment);
+
+        eventBus.emit(GameEvents.FORCE_FIELD_CREATED, {
+            segment,
+            generatorA: genA,
+            generatorB: genB
+        });
+
+        return segment;
+    }
+
+    /**
+     * Create the beam meshes for a segment (rendering only)
+     */
+    createSegmentMeshes(segment) {
+        const config = BUILDINGS.forceFieldGenerator;
+        const genA = segment.generatorA;
+        const genB = segment.generatorB;
         const teamColor = TEAM_COLORS[genA.team];
 
         // Calculate segment position and rotation
@@ -180,7 +221,7 @@ export class ForceFieldSystem {
         const angle = Math.atan2(dx, dz);
 
         // Create the beam mesh
-        const beam = BABYLON.MeshBuilder.CreateCylinder('forceField_' + this.segmentIdCounter, {
+        const beam = BABYLON.MeshBuilder.CreateCylinder('forceField_' + segment.id, {
             height: length,
             diameter: config.fieldWidth,
             tessellation: 12
@@ -194,7 +235,7 @@ export class ForceFieldSystem {
         beam.rotation.y = angle;
 
         // Create glowing material
-        const mat = new BABYLON.StandardMaterial('forceFieldMat_' + this.segmentIdCounter, this.scene);
+        const mat = new BABYLON.StandardMaterial('forceFieldMat_' + segment.id, this.scene);
         mat.emissiveColor = new BABYLON.Color3(teamColor[0], teamColor[1], teamColor[2]);
         mat.diffuseColor = new BABYLON.Color3(teamColor[0] * 0.5, teamColor[1] * 0.5, teamColor[2] * 0.5);
         mat.alpha = 0.6;
@@ -202,7 +243,7 @@ export class ForceFieldSystem {
         beam.material = mat;
 
         // Create inner glow effect
-        const innerBeam = BABYLON.MeshBuilder.CreateCylinder('forceFieldInner_' + this.segmentIdCounter, {
+        const innerBeam = BABYLON.MeshBuilder.CreateCylinder('forceFieldInner_' + segment.id, {
             height: length,
             diameter: config.fieldWidth * 0.5,
             tessellation: 8
@@ -210,43 +251,28 @@ export class ForceFieldSystem {
         innerBeam.position = beam.position.clone();
         innerBeam.rotation = beam.rotation.clone();
 
-        const innerMat = new BABYLON.StandardMaterial('forceFieldInnerMat_' + this.segmentIdCounter, this.scene);
+        const innerMat = new BABYLON.StandardMaterial('forceFieldInnerMat_' + segment.id, this.scene);
         innerMat.emissiveColor = new BABYLON.Color3(1, 1, 1);
         innerMat.alpha = 0.3;
         innerMat.backFaceCulling = false;
         innerBeam.material = innerMat;
 
-        const segment = {
-            id: this.segmentIdCounter++,
-            generatorA: genA,
-            generatorB: genB,
-            mesh: beam,
-            innerMesh: innerBeam,
-            material: mat,
-            innerMaterial: innerMat,
-            health: config.fieldHealth,
-            maxHealth: config.fieldHealth,
-            team: genA.team,
-            lastDamageTime: 0,
-            destroyed: false,
-            regenDelayRemaining: 0
-        };
-
-        this.segments.push(segment);
-
-        eventBus.emit(GameEvents.FORCE_FIELD_CREATED, {
-            segment,
-            generatorA: genA,
-            generatorB: genB
-        });
-
-        return segment;
+        segment.mesh = beam;
+        segment.innerMesh = innerBeam;
+        segment.material = mat;
+        segment.innerMaterial = innerMat;
     }
 
     /**
      * Remove a force field segment
      */
     removeFieldSegment(segment) {
+        this.disposeSegmentMeshes(segment);
+
+        eventBus.emit(GameEvents.FORCE_FIELD_DESTROYED, { segment });
+    }
+
+    disposeSegmentMeshes(segment) {
         if (segment.mesh) {
             segment.mesh.dispose();
         }
@@ -259,8 +285,6 @@ export class ForceFieldSystem {
         if (segment.innerMaterial) {
             segment.innerMaterial.dispose();
         }
-
-        eventBus.emit(GameEvents.FORCE_FIELD_DESTROYED, { segment });
     }
 
     /**
@@ -270,7 +294,7 @@ export class ForceFieldSystem {
         if (segment.destroyed) return;
 
         segment.health -= amount;
-        segment.lastDamageTime = performance.now();
+        segment.lastDamageTime = simulationClock.now();
         segment.regenDelayRemaining = BUILDINGS.forceFieldGenerator.fieldRegenDelay;
 
         // Visual feedback - flash brighter
@@ -321,7 +345,9 @@ export class ForceFieldSystem {
         }
 
         // Create explosion effect at midpoint
-        const midpoint = segment.mesh.position.clone();
+        const posA = segment.generatorA.mesh.position;
+        const posB = segment.generatorB.mesh.position;
+        const midpoint = createVector3((posA.x + posB.x) / 2, 5, (posA.z + posB.z) / 2);
         eventBus.emit(GameEvents.COMBAT_EXPLOSION, {
             position: midpoint,
             size: 3,
@@ -342,8 +368,8 @@ export class ForceFieldSystem {
             // Skip destroyed or power-disabled segments
             if (segment.destroyed || segment.powerDisabled) continue;
 
-            // Skip friendly fields
-            if (segment.team === unit.team) continue;
+            // Skip friendly and allied fields
+            if (segment.team === unit.team || gameState.isAllied(segment.team, unit.team)) continue;
 
             // Get field line endpoints
             const p1 = segment.generatorA.mesh.position;
@@ -369,8 +395,8 @@ export class ForceFieldSystem {
             // Skip destroyed or power-disabled segments
             if (segment.destroyed || segment.powerDisabled) continue;
 
-            // Skip friendly fields
-            if (segment.team === projectile.team) continue;
+            // Skip friendly and allied fields
+            if (segment.team === projectile.team || gameState.isAllied(segment.team, projectile.team)) continue;
 
             // Get field line endpoints
             const p1 = segment.generatorA.mesh.position;
@@ -387,7 +413,7 @@ export class ForceFieldSystem {
             if (intersection) {
                 return {
                     segment,
-                    intersection: new BABYLON.Vector3(intersection.x, 5, intersection.z)
+                    intersection: createVector3(intersection.x, 5, intersection.z)
                 };
             }
         }
@@ -472,8 +498,9 @@ export class ForceFieldSystem {
                 continue;
             }
 
-            // Power check - disable field if team has power shortage
-            const hasPower = teamPowered[segment.team];
+            // Power check - disable field if team has power shortage or either end is switched off
+            const hasPower = teamPowered[segment.team] &&
+                !segment.generatorA?.poweredDown && !segment.generatorB?.poweredDown;
             segment.powerDisabled = !hasPower;
 
             if (segment.powerDisabled) {
@@ -533,9 +560,11 @@ export class ForceFieldSystem {
         // Recreate the segment
         segment.destroyed = false;
         segment.health = segment.maxHealth * 0.5; // Start at 50% health
-        segment.mesh.isVisible = true;
-        segment.mesh.scaling.x = 1;
-        segment.mesh.scaling.z = 1;
+        if (segment.mesh) {
+            segment.mesh.isVisible = true;
+            segment.mesh.scaling.x = 1;
+            segment.mesh.scaling.z = 1;
+        }
         if (segment.innerMesh) {
             segment.innerMesh.isVisible = true;
         }
@@ -645,6 +674,62 @@ export class ForceFieldSystem {
         return this.segments.filter(s => !s.destroyed);
     }
 
+    // ===== Save/Load =====
+
+    serialize() {
+        return {
+            generators: this.generators.map(gen => gen.id),
+            segmentIdCounter: this.segmentIdCounter,
+            segments: this.segments.map(segment => ({
+                id: segment.id,
+                generatorA: segment.generatorA.id,
+                generatorB: segment.generatorB.id,
+                health: segment.health,
+                maxHealth: segment.maxHealth,
+                team: segment.team,
+                lastDamageTime: segment.lastDamageTime,
+                destroyed: segment.destroyed,
+                regenDelayRemaining: segment.regenDelayRemaining,
+                powerDisabled: Boolean(segment.powerDisabled)
+            }))
+        };
+    }
+
+    /**
+     * Rebuild generators and segments without re-running connection logic,
+     * so damaged or collapsed segments come back exactly as saved
+     * @param {Object} data - From serialize()
+     * @param {Function} resolveEntity - Saved entity id -> entity
+     */
+    restore(data, resolveEntity) {
+        for (const segment of this.segments) {
+            this.disposeSegmentMeshes(segment);
+        }
+
+        this.generators = data.generators.map(resolveEntity);
+        this.segmentIdCounter = data.segmentIdCounter;
+        this.segments = data.segments.map(saved => {
+            const segment = {
+                ...saved,
+                generatorA: resolveEntity(saved.generatorA),
+                generatorB: resolveEntity(saved.generatorB),
+                mesh: null,
+                innerMesh: null,
+                material: null,
+                innerMaterial: null
+            };
+
+            if (this.scene && segment.generatorA.mesh && segment.generatorB.mesh) {
+                this.createSegmentMeshes(segment);
+                if (segment.destroyed) {
+                    segment.mesh.isVisible = false;
+                    segment.innerMesh.isVisible = false;
+                }
+            }
+            return segment;
+        });
+    }
+
     dispose() {
         // Unsubscribe from event bus listeners
         this._unsubs?.forEach(unsub => unsub?.());
@@ -70,9 +70,11 @@ const FORMATION_PATTERNS = {
     }
 };
 
+let formationIdCounter = 0;
+
 export class Formation {
     constructor(units, type = FormationType.BOX) {
-        this.id = `formation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = `formation_${++formationIdCounter}`;
         this.units = [...units];
         this.type = type;
         this.spacing = 25; // Base spacing between units
@@ -5,6 +5,7 @@
 
 import { CONFIG } from '../core/Config.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
 
 // Priority Queue for A* (min-heap)
 class PriorityQueue {
@@ -198,7 +199,7 @@ export class Pathfinding {
         // Check cache first
         const cacheKey = `${start.x},${start.z}-${end.x},${end.z}`;
         const cached = this.pathCache.get(cacheKey);
-        if (cached && Date.now() - cached.time < this.cacheTimeout) {
+        if (cached && simulationClock.now() - cached.time < this.cacheTimeout) {
             return cached.path;
         }
 
@@ -239,7 +240,7 @@ export class Pathfinding {
                 // Cache the result
                 this.pathCache.set(cacheKey, {
                     path: smoothedPath,
-                    time: Date.now()
+                    time: simulationClock.now()
                 });
 
                 return smoothedPath;
@@ -0,0 +1,65 @@
+// ============================================================
+// VOID SUPREMACY 3D - Power System
+// Brownouts and manual power switching. A team whose drain
+// exceeds its production runs production, refineries and
+// turrets at the ratio of the two; radar and force fields need
+// full power. Powered-down structures drain nothing and idle.
+// ============================================================
+
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+
+export class PowerSystem {
+    /**
+     * Share of full speed a team's structures run at
+     * @param {number} team
+     * @returns {number} 1 with enough power, production / drain in a brownout
+     */
+    getEfficiency(team) {
+        const res = gameState.getResources(team);
+        if (!res || res.energy >= 0 || res.energyDrain <= 0) return 1;
+        return res.maxEnergy / res.energyDrain;
+    }
+
+    /**
+     * @param {Building} building
+     * @returns {boolean} Switched on and its team is not in a brownout
+     */
+    hasFullPower(building) {
+        return !building.poweredDown && gameState.getResources(building.team).energy >= 0;
+    }
+
+    /**
+     * Only consumers can be switched off; generators stay on
+     * @param {Building} building
+     * @returns {boolean}
+     */
+    canPowerDown(building) {
+        return !!building?.isBuilding && !building.dead &&
+            building.def.energyDrain > 0 && !building.def.energyProduction;
+    }
+
+    /**
+     * Switch a structure on or off. Simulation recomputes the grid on
+     * BUILDING_POWER_CHANGED.
+     * @param {Building} building
+     * @param {boolean} powered
+     * @returns {boolean} Changed
+     */
+    setPowered(building, powered) {
+        if (!this.canPowerDown(building) || building.poweredDown === !powered) return false;
+
+        building.poweredDown = !powered;
+        eventBus.emit(GameEvents.BUILDING_POWER_CHANGED, { building, powered });
+        eventBus.emit(GameEvents.UI_ALERT, {
+            message: `${building.def.name} powered ${powered ? 'up' : 'down'}`,
+            type: 'info',
+            team: building.team
+        });
+        return true;
+    }
+}
+
+export const powerSystem = new PowerSystem();
+
+export default PowerSystem;
@@ -0,0 +1,142 @@
+// ============================================================
+// VOID SUPREMACY 3D - Research System
+// Upgrades researched at research labs. Queued upgrades live in
+// the lab's build queue like units; this system tracks what each
+// team has finished and the bonuses that gives.
+// ============================================================
+
+import { UPGRADES } from '../core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+
+export class ResearchSystem {
+    constructor() {
+        this.completed = {};    // team -> upgrade ids researched, in order
+    }
+
+    init() {
+        this.completed = {};
+    }
+
+    // ===== Queries =====
+
+    /**
+     * @param {number} team
+     * @param {string} upgradeId - UPGRADES key
+     * @returns {boolean}
+     */
+    hasResearched(team, upgradeId) {
+        return this.completed[team]?.includes(upgradeId) ?? false;
+    }
+
+    /**
+     * @returns {boolean} Whether one of the team's labs has the upgrade queued
+     */
+    isQueued(team, upgradeId) {
+        return this.getLabs(team).some(lab => lab.buildQueue.some(item => item.type === upgradeId));
+    }
+
+    /**
+     * Completed labs of a team that can research the upgrade
+     * @param {number} team
+     * @param {string} [upgradeId] - Any upgrade when omitted
+     * @returns {Building[]}
+     */
+    getLabs(team, upgradeId = null) {
+        return gameState.getBuildingsByTeam(team).filter(b =>
+            !b.dead && !b.isConstructing && b.def?.canResearch &&
+            (upgradeId === null || b.def.canResearch.includes(upgradeId))
+        );
+    }
+
+    /**
+     * Sum of a stat's bonuses from the team's finished upgrades
+     * @param {number} team
+     * @param {string} stat - UPGRADES stat
+     * @param {string|null} [weaponType] - Only damage upgrades for this weapon
+     * @returns {number}
+     */
+    getBonus(team, stat, weaponType = null) {
+        let bonus = 0;
+        for (const id of this.completed[team] || []) {
+            const upgrade = UPGRADES[id];
+            if (upgrade?.stat === stat && (upgrade.weaponType ?? null) === weaponType) {
+                bonus += upgrade.value;
+            }
+        }
+        return bonus;
+    }
+
+    /**
+     * @returns {number} Damage multiplier for a team's weapon type
+     */
+    getDamageMultiplier(team, weaponType) {
+        return 1 + this.getBonus(team, 'damage', weaponType);
+    }
+
+    // ===== Research =====
+
+    /**
+     * Queue an upgrade at the team's least busy lab
+     * @param {number} team
+     * @param {string} upgradeId
+     * @returns {boolean} Queued
+     */
+    queue(team, upgradeId) {
+        const upgrade = UPGRADES[upgradeId];
+        if (!upgrade) return false;
+
+        let problem = null;
+        if (this.hasResearched(team, upgradeId)) {
+            problem = `${upgrade.name} already researched`;
+        } else if (this.isQueued(team, upgradeId)) {
+            problem = `${upgrade.name} is already being researched`;
+        }
+
+        const labs = this.getLabs(team, upgradeId);
+        if (!problem && labs.length === 0) {
+            problem = 'A research lab is required';
+        }
+
+        if (problem) {
+            eventBus.emit(GameEvents.UI_ALERT, { message: problem, type: 'warning', team });
+            return false;
+        }
+
+        const lab = labs.reduce((best, b) => b.buildQueue.length < best.buildQueue.length ? b : best);
+        return lab.queueResearch(upgradeId);
+    }
+
+    /**
+     * Called by a lab when an upgrade finishes
+     */
+    complete(team, upgradeId) {
+        if (this.hasResearched(team, upgradeId)) return;
+
+        (this.completed[team] ??= []).push(upgradeId);
+        eventBus.emit(GameEvents.RESEARCH_COMPLETED, { team, upgrade: upgradeId });
+        eventBus.emit(GameEvents.UI_ALERT, {
+            message: `${UPGRADES[upgradeId].name} research complete!`,
+            type: 'success',
+            team
+        });
+    }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        return { completed: structuredClone(this.completed) };
+    }
+
+    restore(state) {
+        this.completed = structuredClone(state.completed);
+    }
+
+    dispose() {
+        this.completed = {};
+    }
+}
+
+export const researchSystem = new ResearchSystem();
+
+export default ResearchSystem;
@@ -11,6 +11,9 @@ import { getSeededRandom } from '../core/SeededRandom.js?v=20260119';
 // Debug: Log ore regrow rate on load
 console.log('[ResourceSystem] ORE_REGROW_RATE:', CONFIG.ORE_REGROW_RATE);
 
+// Nodes this close to a field's first node belong to that field
+const FIELD_RADIUS = 45;
+
 export class ResourceSystem {
     constructor() {
         this.scene = null;
@@ -23,6 +26,9 @@ export class ResourceSystem {
     init(scene) {
         this.scene = scene;
 
+        // Headless: nodes are plain data, no glow layers or visuals
+        if (!scene) return;
+
         // Create shared HighlightLayers (MUCH more performant than per-entity layers)
         this.oreGlowLayer = new BABYLON.HighlightLayer('oreGlowShared', scene);
         this.oreGlowLayer.blurHorizontalSize = 0.5;
@@ -57,6 +63,11 @@ export class ResourceSystem {
             enhancedMats: null
         };
 
+        if (!this.scene) {
+            gameState.oreNodes.push(ore);
+            return ore;
+        }
+
         // Create parent transform node for positioning
         const parentNode = new BABYLON.TransformNode('ore_' + gameState.oreNodes.length, this.scene);
         parentNode.position = new BABYLON.Vector3(x, 0, z);
@@ -112,6 +123,11 @@ export class ResourceSystem {
             enhancedMats: null
         };
 
+        if (!this.scene) {
+            gameState.crystalNodes.push(crystal);
+            return crystal;
+        }
+
         // Create parent transform node for positioning
         const parent = new BABYLON.TransformNode('crystal_' + gameState.crystalNodes.length, this.scene);
         parent.position = new BABYLON.Vector3(x, 0, z);
@@ -242,6 +258,47 @@ export class ResourceSystem {
         return dist > CONFIG.ASTEROID_BELT_INNER - 30 && dist < CONFIG.ASTEROID_BELT_OUTER + 30;
     }
 
+    /**
+     * Group nodes into fields. Generated fields scatter nodes up to 30 from
+     * their centre and spread ore lands 15-25 from its parent, so a node
+     * joins the first field whose first node is within FIELD_RADIUS.
+     * @returns {{x: number, z: number, isCrystal: boolean, nodes: Object[], remaining: number}[]}
+     *   remaining - Harvestable amount left in nodes that are not depleted
+     */
+    getFields() {
+        const fields = [];
+
+        const group = (nodes, isCrystal) => {
+            const start = fields.length;
+            for (const node of nodes) {
+                let field = null;
+                for (let i = start; i < fields.length; i++) {
+                    const seed = fields[i].nodes[0];
+                    if (Math.hypot(seed.x - node.x, seed.z - node.z) < FIELD_RADIUS) {
+                        field = fields[i];
+                        break;
+                    }
+                }
+                if (!field) {
+                    field = { x: 0, z: 0, isCrystal, nodes: [], remaining: 0 };
+                    fields.push(field);
+                }
+                field.nodes.push(node);
+                if (!node.depleted) field.remaining += node.amount;
+            }
+        };
+        group(gameState.oreNodes, false);
+        group(gameState.crystalNodes, true);
+
+        for (const field of fields) {
+            for (const node of field.nodes) {
+                field.x += node.x / field.nodes.length;
+                field.z += node.z / field.nodes.length;
+            }
+        }
+        return fields;
+    }
+
     // ===== Regrowth System (C&C Style) =====
 
     update(dt) {
@@ -289,15 +346,16 @@ export class ResourceSystem {
 
             // Spread chance - time-based (per second), disabled when regrow is 0
             if (CONFIG.ORE_REGROW_RATE > 0 && !ore.depleted && ore.amount > ore.maxAmount * 0.8
-                && Math.random() < CONFIG.ORE_SPREAD_CHANCE * dt) {
+                && getSeededRandom().bool(CONFIG.ORE_SPREAD_CHANCE * dt)) {
                 this.trySpreadOre(ore);
             }
         }
     }
 
     trySpreadOre(ore) {
-        const angle = Math.random() * Math.PI * 2;
-        const dist = 15 + Math.random() * 10;
+        const rng = getSeededRandom();
+        const angle = rng.angle();
+        const dist = rng.range(15, 25);
         const newX = ore.x + Math.cos(angle) * dist;
         const newZ = ore.z + Math.sin(angle) * dist;
 
@@ -349,6 +407,71 @@ export class ResourceSystem {
         }
     }
 
+    // ===== Save/Load =====
+
+    /**
+     * Stable reference to a node for saves and commands
+     * @param {Object|null} node
+     * @returns {{crystal: boolean, index: number}|null}
+     */
+    getNodeRef(node) {
+        if (!node) return null;
+        const nodes = node.isCrystal ? gameState.crystalNodes : gameState.oreNodes;
+        return { crystal: node.isCrystal, index: nodes.indexOf(node) };
+    }
+
+    getNodeByRef(ref) {
+        if (!ref) return null;
+        const nodes = ref.crystal ? gameState.crystalNodes : gameState.oreNodes;
+        return nodes[ref.index] || null;
+    }
+
+    serialize() {
+        const serializeNode = (node) => ({
+            x: node.x,
+            z: node.z,
+            amount: node.amount,
+            maxAmount: node.maxAmount,
+            depleted: node.depleted,
+            regrowTimer: node.regrowTimer
+        });
+
+        return {
+            ore: gameState.oreNodes.map(serializeNode),
+            crystals: gameState.crystalNodes.map(serializeNode)
+        };
+    }
+
+    /**
+     * Replace every node with the saved ones (spread ore included)
+     */
+    restore(data) {
+        for (const node of [...gameState.oreNodes, ...gameState.crystalNodes]) {
+            if (node.mesh) node.mesh.dispose();
+        }
+        gameState.oreNodes = [];
+        gameState.crystalNodes = [];
+
+        const restoreNode = (node, saved) => {
+            node.amount = saved.amount;
+            node.depleted = saved.depleted;
+            node.regrowTimer = saved.regrowTimer;
+
+            if (node.mesh) {
+                node.mesh.setEnabled(!node.depleted);
+                node.mesh.scaling.setAll(0.3 + 0.7 * (node.amount / node.maxAmount));
+            }
+        };
+
+        // Nodes are sized from their full amount, so create at maxAmount
+        for (const saved of data.ore) {
+            restoreNode(this.createOreNode(saved.x, saved.z, saved.maxAmount), saved);
+        }
+        for (const saved of data.crystals) {
+            restoreNode(this.createCrystalNode(saved.x, saved.z, saved.maxAmount), saved);
+        }
+    }
+
     dispose() {
         // Clean up all ore nodes (meshes only, not glow - that's shared)
         for (const ore of gameState.oreNodes) {
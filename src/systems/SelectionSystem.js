@@ -3,9 +3,9 @@
 // Handles entity selection, control groups, and commands
 // ============================================================
 
-import { TEAMS } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { commandSystem, PlayerCommand } from './CommandSystem.js?v=20260119';
 
 export class SelectionSystem {
     constructor() {
@@ -78,7 +78,7 @@ export class SelectionSystem {
         let checkedCount = 0;
         let selectedCount = 0;
         for (const entity of gameState.entities) {
-            if (entity.dead || entity.team !== TEAMS.PLAYER || !entity.isUnit) continue;
+            if (entity.dead || entity.team !== gameState.playerTeam || !entity.isUnit) continue;
 
             const pos = entity.mesh?.position;
             if (!pos) {
@@ -110,7 +110,7 @@ export class SelectionSystem {
 
         if (entity) {
             // Clicked on an entity
-            if (entity.team === TEAMS.PLAYER) {
+            if (entity.team === gameState.playerTeam) {
                 this.selectEntity(entity, addToSelection);
             } else {
                 // Clicked on enemy - if we have units selected, attack
@@ -133,7 +133,7 @@ export class SelectionSystem {
         eventBus.emit(GameEvents.UI_ALERT, {
             message: `Group ${num} set`,
             type: 'info',
-            team: TEAMS.PLAYER
+            team: gameState.playerTeam
         });
     }
 
@@ -160,115 +160,108 @@ export class SelectionSystem {
 
     commandMove(x, z) {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            unit.moveTo(x, z);
-        }
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.MOVE, unitIds: this.getIds(units), x, z });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'move' });
         }
     }
 
     commandAttackMove(x, z) {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            unit.attackMove(x, z);
-        }
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.ATTACK_MOVE, unitIds: this.getIds(units), x, z });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'attackMove' });
         }
     }
 
     commandAttack(target) {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            if (unit.def.damage) { // Only combat units
-                unit.attack(target);
-            }
-        }
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.ATTACK, unitIds: this.getIds(units), targetId: target.id });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'attack' });
         }
     }
 
     commandStop() {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            unit.stop();
-        }
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.STOP, unitIds: this.getIds(units) });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'stop' });
         }
     }
 
     commandHold() {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            unit.hold();
-        }
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.HOLD, unitIds: this.getIds(units) });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'hold' });
         }
     }
 
-    commandPatrol(x, z) {
+    /**
+     * @param {string} stance - UNIT_STANCES key
+     */
+    commandStance(stance) {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            const currentX = unit.mesh.position.x;
-            const currentZ = unit.mesh.position.z;
-            unit.patrol([
-                { x: currentX, z: currentZ },
-                { x, z }
-            ]);
+        if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.SET_STANCE, unitIds: this.getIds(units), stance });
+            eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'stance' });
         }
+    }
+
+    commandPatrol(x, z) {
+        const units = this.getSelectedUnits();
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.PATROL, unitIds: this.getIds(units), x, z });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'patrol' });
         }
     }
 
     commandGuard(target) {
-        const units = this.getSelectedUnits();
-        for (const unit of units) {
-            unit.guardTarget = target;
-            unit.command = 'guard';
-            // Move to guard position
-            if (target.mesh) {
-                unit.moveTo(target.mesh.position.x, target.mesh.position.z);
-            } else if (target.x !== undefined) {
-                unit.moveTo(target.x, target.z);
-            }
+        // Entities are guarded by id, anything else is treated as a position
+        if (!target.mesh) {
+            this.commandGuardPosition(target.x, target.z);
+            return;
         }
+
+        const units = this.getSelectedUnits();
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.GUARD, unitIds: this.getIds(units), targetId: target.id });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'guard' });
         }
     }
 
     commandGuardPosition(x, z) {
         const units = this.getSelectedUnits();
-        for (const unit of units) {
-            unit.guardTarget = { x, z };
-            unit.command = 'guard';
-            unit.moveTo(x, z);
-        }
         if (units.length > 0) {
+            commandSystem.issue({ type: PlayerCommand.GUARD_POSITION, unitIds: this.getIds(units), x, z });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'guard' });
         }
     }
 
     commandHarvest(oreNode) {
         const harvesters = this.getSelectedHarvesters();
-        for (const harvester of harvesters) {
-            harvester.harvest(oreNode);
-        }
         if (harvesters.length > 0) {
+            const nodes = oreNode.isCrystal ? gameState.crystalNodes : gameState.oreNodes;
+            commandSystem.issue({
+                type: PlayerCommand.HARVEST,
+                unitIds: this.getIds(harvesters),
+                crystal: !!oreNode.isCrystal,
+                nodeIndex: nodes.indexOf(oreNode)
+            });
             eventBus.emit(GameEvents.COMMAND_COMPLETE, { command: 'harvest' });
         }
     }
 
     // ===== Helpers =====
 
+    getIds(entities) {
+        return entities.map(e => e.id);
+    }
+
     getSelectedUnits() {
         return gameState.selectedEntities.filter(e =>
-            e.isUnit && e.team === TEAMS.PLAYER && !e.dead
+            e.isUnit && e.team === gameState.playerTeam && !e.dead
         );
     }
 
@@ -278,7 +271,7 @@ export class SelectionSystem {
 
     getSelectedBuildings() {
         return gameState.selectedEntities.filter(e =>
-            e.isBuilding && e.team === TEAMS.PLAYER && !e.dead
+            e.isBuilding && e.team === gameState.playerTeam && !e.dead
         );
     }
 
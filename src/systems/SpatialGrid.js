@@ -291,6 +291,30 @@ export class SpatialGrid {
         this.entityCells.clear();
     }
 
+    /**
+     * Snapshot cell membership as entity ids. Order within a cell is kept
+     * because query results (and so splash damage order) depend on it.
+     * @returns {Array} [cellKey, entityIds[]] pairs
+     */
+    serialize() {
+        return [...this.cells].map(([key, cell]) => [key, [...cell].map(e => e.id)]);
+    }
+
+    /**
+     * Rebuild from serialize() output
+     * @param {Array} cells - [cellKey, entityIds[]] pairs
+     * @param {Function} resolveEntity - Entity id -> entity
+     */
+    restore(cells, resolveEntity) {
+        this.clear();
+        for (const [key, ids] of cells) {
+            this.cells.set(key, new Set(ids.map(resolveEntity)));
+            for (const id of ids) {
+                this.entityCells.set(id, key);
+            }
+        }
+    }
+
     /**
      * Get statistics about the grid
      * @returns {Object} Grid statistics
@@ -0,0 +1,222 @@
+// ============================================================
+// VOID SUPREMACY 3D - Match Statistics
+// Samples each player team's economy and army over time, counts
+// units built, lost and killed by type, and actions per team.
+// Feeds the post-match screen and its JSON/CSV export.
+// ============================================================
+
+import { TEAMS } from '../core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { diplomacySystem } from './DiplomacySystem.js?v=20260119';
+
+// Series sampled for every player team, in graph order
+export const STAT_SERIES = [
+    { key: 'credits', label: 'Credits' },
+    { key: 'income', label: 'Income / min' },
+    { key: 'armyValue', label: 'Army Value' },
+    { key: 'supply', label: 'Supply' },
+    { key: 'kills', label: 'Kills' },
+    { key: 'losses', label: 'Losses' }
+];
+
+// Game time between samples (ms)
+const SAMPLE_INTERVAL = 10000;
+
+export class StatsSystem {
+    constructor() {
+        this.samples = [];      // { time, team, credits, collected, income, armyValue, supply, kills, losses }
+        this.unitTypes = {};    // team -> unit type -> { built, lost, killed }
+        this.actions = {};      // team -> commands executed
+        this._unsubs = null;
+    }
+
+    init() {
+        this.samples = [];
+        this.unitTypes = {};
+        this.actions = {};
+
+        this._unsubs = [
+            eventBus.on(GameEvents.UNIT_SPAWNED, ({ team, unitType }) => {
+                this.countUnit(team, unitType, 'built');
+            }),
+
+            eventBus.on(GameEvents.UNIT_KILLED, ({ unit, killer }) => {
+                this.countUnit(unit.team, unit.type, 'lost');
+                if (killer && killer.team !== unit.team) {
+                    this.countUnit(killer.team, unit.type, 'killed');
+                }
+            }),
+
+            // Replays and lockstep execute the same commands, so APM matches too
+            eventBus.on(GameEvents.COMMAND_EXECUTED, ({ command }) => {
+                this.actions[command.team] = (this.actions[command.team] || 0) + 1;
+            }),
+
+            // Close the timelines where the match ended
+            eventBus.on(GameEvents.GAME_END, () => {
+                this.sample();
+            })
+        ];
+    }
+
+    countUnit(team, type, field) {
+        if (!(team < TEAMS.NEUTRAL)) return;
+
+        const types = this.unitTypes[team] ??= {};
+        const counts = types[type] ??= { built: 0, lost: 0, killed: 0 };
+        counts[field]++;
+    }
+
+    /**
+     * Sample every SAMPLE_INTERVAL of game time
+     */
+    update() {
+        const interval = Math.max(1, Math.round(SAMPLE_INTERVAL / 1000 / simulationClock.timestep));
+        if (simulationClock.tick % interval === 0) {
+            this.sample();
+        }
+    }
+
+    /**
+     * Record one row per player team at the current game time
+     */
+    sample() {
+        const time = simulationClock.now();
+        if (this.samples.length > 0 && this.samples[this.samples.length - 1].time === time) return;
+
+        for (const team of diplomacySystem.getPlayerTeams()) {
+            const res = gameState.getResources(team);
+            const stats = gameState.stats[team];
+            const previous = this.getLastSample(team);
+
+            // Credits the refineries paid out since the last sample, per minute
+            const elapsed = time - (previous?.time ?? 0);
+            const collected = Math.floor(stats.resourcesCollected);
+            const income = elapsed > 0 ? Math.round((collected - (previous?.collected ?? 0)) * 60000 / elapsed) : 0;
+
+            this.samples.push({
+                time,
+                team,
+                credits: Math.floor(res.credits),
+                collected,
+                income,
+                armyValue: this.getArmyValue(team),
+                supply: res.supply,
+                kills: stats.enemyKilled,
+                losses: stats.unitsLost + stats.buildingsLost
+            });
+        }
+    }
+
+    getLastSample(team) {
+        for (let i = this.samples.length - 1; i >= 0; i--) {
+            if (this.samples[i].team === team) return this.samples[i];
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} team
+     * @returns {number} What the team's living combat ships cost
+     */
+    getArmyValue(team) {
+        let value = 0;
+        for (const unit of gameState.getUnitsByTeam(team)) {
+            if (!unit.dead && unit.type !== 'harvester') value += unit.def?.cost || 0;
+        }
+        return value;
+    }
+
+    // ===== Queries =====
+
+    /**
+     * @param {number} team
+     * @param {string} key - STAT_SERIES key
+     * @returns {{time: number, value: number}[]}
+     */
+    getSeries(team, key) {
+        return this.samples
+            .filter(s => s.team === team)
+            .map(s => ({ time: s.time, value: s[key] }));
+    }
+
+    /**
+     * @param {number} team
+     * @returns {number} Commands per minute of game time
+     */
+    getAPM(team) {
+        const minutes = simulationClock.now() / 60000;
+        return minutes > 0 ? Math.round((this.actions[team] || 0) / minutes) : 0;
+    }
+
+    // ===== Export =====
+
+    /**
+     * Everything recorded, for the JSON export
+     * @returns {Object}
+     */
+    getExport() {
+        const teams = diplomacySystem.getPlayerTeams();
+        return {
+            gameTime: simulationClock.now(),
+            winners: [...gameState.winners],
+            reason: gameState.victoryReason,
+            apm: Object.fromEntries(teams.map(team => [team, this.getAPM(team)])),
+            stats: structuredClone(Object.fromEntries(teams.map(team => [team, gameState.stats[team]]))),
+            unitTypes: structuredClone(this.unitTypes),
+            samples: this.samples.map(s => ({ ...s }))
+        };
+    }
+
+    /**
+     * Timelines, then the unit type breakdown, as CSV
+     * @returns {string}
+     */
+    toCSV() {
+        const sampleKeys = ['time', 'team', 'collected', ...STAT_SERIES.map(s => s.key)];
+        const lines = [sampleKeys.join(',')];
+        for (const sample of this.samples) {
+            lines.push(sampleKeys.map(key => sample[key]).join(','));
+        }
+
+        lines.push('', 'team,unitType,built,lost,killed');
+        for (const [team, types] of Object.entries(this.unitTypes)) {
+            for (const [type, counts] of Object.entries(types)) {
+                lines.push([team, type, counts.built, counts.lost, counts.killed].join(','));
+            }
+        }
+        return lines.join('\n');
+    }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        return {
+            samples: this.samples.map(s => ({ ...s })),
+            unitTypes: structuredClone(this.unitTypes),
+            actions: { ...this.actions }
+        };
+    }
+
+    restore(state) {
+        this.samples = state.samples.map(s => ({ ...s }));
+        this.unitTypes = structuredClone(state.unitTypes);
+        this.actions = { ...state.actions };
+    }
+
+    dispose() {
+        // Unsubscribe from event bus listeners
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        this.samples = [];
+        this.unitTypes = {};
+        this.actions = {};
+    }
+}
+
+export const statsSystem = new StatsSystem();
+
+export default StatsSystem;
@@ -0,0 +1,84 @@
+// ============================================================
+// VOID SUPREMACY 3D - Tech Rules
+// Prerequisites for building structures and producing ships.
+// The build menu, placement, AI and production queues all ask
+// here, so no path can build something that is still locked.
+// ============================================================
+
+import { BUILDINGS, UNITS, TECH_TIERS } from '../core/Config.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+
+export class TechRules {
+    /**
+     * Structures and power a unit or building definition needs
+     * @param {Object} def - BUILDINGS or UNITS entry
+     * @returns {{requires: string[], powerSurplus: boolean}}
+     */
+    getRequirements(def) {
+        const tier = TECH_TIERS[def.tier] || TECH_TIERS[1];
+        return {
+            requires: [...new Set([...tier.requires, ...(def.requires || [])])],
+            powerSurplus: tier.powerSurplus
+        };
+    }
+
+    /**
+     * @param {number} team
+     * @param {string} type - BUILDINGS key
+     * @returns {boolean} The team has a completed structure of this type
+     */
+    hasBuilding(team, type) {
+        return gameState.getBuildingsByTeam(team).some(b =>
+            b.type === type && !b.dead && !b.isConstructing
+        );
+    }
+
+    /**
+     * @param {number} team
+     * @returns {boolean} Energy production exceeds drain
+     */
+    hasPowerSurplus(team) {
+        return gameState.getResources(team).energy > 0;
+    }
+
+    /**
+     * @param {number} team
+     * @param {string} type - BUILDINGS key
+     * @returns {Object} - { valid: boolean, reason?: string }
+     */
+    checkBuilding(team, type) {
+        const def = BUILDINGS[type];
+        if (!def) return { valid: false, reason: `Unknown structure '${type}'` };
+        return this.check(team, def);
+    }
+
+    /**
+     * Tier and prerequisites of a unit. Which factory builds it is up to
+     * the factory (Building.queueUnit).
+     * @param {number} team
+     * @param {string} type - UNITS key
+     * @returns {Object} - { valid: boolean, reason?: string }
+     */
+    checkUnit(team, type) {
+        const def = UNITS[type];
+        if (!def) return { valid: false, reason: `Unknown unit '${type}'` };
+        return this.check(team, def);
+    }
+
+    check(team, def) {
+        const { requires, powerSurplus } = this.getRequirements(def);
+
+        const missing = requires.filter(type => !this.hasBuilding(team, type));
+        if (missing.length > 0) {
+            return { valid: false, reason: `Requires ${missing.map(type => BUILDINGS[type].name).join(' and ')}` };
+        }
+        if (powerSurplus && !this.hasPowerSurplus(team)) {
+            return { valid: false, reason: 'Requires a power surplus' };
+        }
+        return { valid: true };
+    }
+}
+
+export const techRules = new TechRules();
+
+export default TechRules;
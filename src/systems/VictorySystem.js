@@ -0,0 +1,335 @@
+// ============================================================
+// VOID SUPREMACY 3D - Victory System
+// Win conditions picked in the lobby: annihilation, command
+// center assassination, economic, crystal control and timed
+// score. Allied teams form one side and win together.
+// ============================================================
+
+import { CONFIG, TEAM_NAMES, VICTORY_MODES } from '../core/Config.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { resourceSystem } from './ResourceSystem.js?v=20260119';
+import { diplomacySystem } from './DiplomacySystem.js?v=20260119';
+
+// Lobby-selectable win conditions (CONFIG.VICTORY_MODE values)
+export const VictoryMode = {
+    ANNIHILATION: 'annihilation',       // Last side with structures standing
+    ASSASSINATION: 'assassination',     // Last side with a command center
+    ECONOMIC: 'economic',               // First side to collect VICTORY_CREDITS
+    CRYSTAL_CONTROL: 'crystalControl',  // Hold VICTORY_CRYSTAL_FIELDS for VICTORY_HOLD_TIME
+    SCORE: 'score'                      // Best score after VICTORY_TIME_LIMIT
+};
+
+// Why the match ended - sent with GAME_END
+export const GameEndReason = {
+    ...VictoryMode,
+    ELIMINATED: 'eliminated'            // The local player was knocked out
+};
+
+// Objectives are checked this often (ms)
+const CHECK_INTERVAL = 1000;
+
+// A completed refinery this close to a crystal field's center claims it -
+// about the field's own extent, so a home base nearby does not count
+const CONTROL_RADIUS = 45;
+
+// Structures that claim a crystal field by working it
+const CONTROL_BUILDINGS = new Set(['refinery']);
+
+// Points per stat in timed score mode
+const SCORE_WEIGHTS = {
+    resourcesCollected: 1,
+    enemyKilled: 50,
+    unitsBuilt: 10,
+    buildingsBuilt: 25
+};
+
+/**
+ * @param {number} ms
+ * @returns {string} m:ss
+ */
+function formatTime(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export class VictorySystem {
+    constructor() {
+        this.holdingSince = new Map();  // Lead team of a side -> time it took its crystal fields (ms)
+    }
+
+    init() {
+        this.holdingSince.clear();
+    }
+
+    getMode() {
+        return VICTORY_MODES[CONFIG.VICTORY_MODE] ? CONFIG.VICTORY_MODE : VictoryMode.ANNIHILATION;
+    }
+
+    // ===== Sides =====
+
+    /**
+     * Whether a team is still in the match. Assassination knocks a team
+     * out with its command center; every other mode with its last structure.
+     * @param {number} team
+     * @returns {boolean}
+     */
+    isAlive(team) {
+        const buildings = gameState.getBuildingsByTeam(team);
+        if (this.getMode() === VictoryMode.ASSASSINATION) {
+            return buildings.some(b => !b.dead && b.type === 'commandCenter');
+        }
+        return buildings.some(b => !b.dead);
+    }
+
+    /**
+     * @returns {number[]} Player teams still in the match
+     */
+    getAliveTeams() {
+        return diplomacySystem.getPlayerTeams().filter(team => this.isAlive(team));
+    }
+
+    /**
+     * Group teams into sides of mutual allies, lowest team first
+     * @param {number[]} teams
+     * @returns {number[][]}
+     */
+    getSides(teams) {
+        const sides = [];
+        const assigned = new Set();
+        for (const team of teams) {
+            if (assigned.has(team)) continue;
+            const side = teams.filter(t => !assigned.has(t) && (t === team || gameState.isAllied(team, t)));
+            side.forEach(t => assigned.add(t));
+            sides.push(side);
+        }
+        return sides;
+    }
+
+    /**
+     * @param {number} team
+     * @returns {number[]} The living side the team belongs to
+     */
+    getSideOf(team) {
+        return this.getSides(this.getAliveTeams()).find(side => side.includes(team)) || [team];
+    }
+
+    // ===== Objectives =====
+
+    /**
+     * Check the selected objective. Last side standing is handled by
+     * Simulation.checkGameEnd in every mode.
+     */
+    update() {
+        if (!gameState.running) return;
+
+        const interval = Math.max(1, Math.round(CHECK_INTERVAL / 1000 / simulationClock.timestep));
+        if (simulationClock.tick % interval !== 0) return;
+
+        const now = simulationClock.now();
+        const sides = this.getSides(this.getAliveTeams());
+        switch (this.getMode()) {
+            case VictoryMode.ECONOMIC: {
+                const side = sides.find(s => this.getSideTotal(s, 'resourcesCollected') >= CONFIG.VICTORY_CREDITS);
+                if (side) this.win(side, GameEndReason.ECONOMIC);
+                break;
+            }
+            case VictoryMode.CRYSTAL_CONTROL:
+                this.updateCrystalControl(sides, now);
+                break;
+            case VictoryMode.SCORE:
+                if (now >= CONFIG.VICTORY_TIME_LIMIT * 1000) this.endOnScore(sides);
+                break;
+        }
+    }
+
+    /**
+     * Start or reset each side's hold timer and award the win once one
+     * has held enough fields for long enough
+     */
+    updateCrystalControl(sides, now) {
+        const required = this.getRequiredCrystalFields();
+        const held = this.getCrystalFieldsHeld(sides);
+
+        for (const side of sides) {
+            const lead = side[0];
+            if (held.get(lead) < required) {
+                this.holdingSince.delete(lead);
+                continue;
+            }
+            if (!this.holdingSince.has(lead)) {
+                this.holdingSince.set(lead, now);
+            } else if (now - this.holdingSince.get(lead) >= CONFIG.VICTORY_HOLD_TIME * 1000) {
+                this.win(side, GameEndReason.CRYSTAL_CONTROL);
+                return;
+            }
+        }
+
+        // Sides that broke up or were knocked out lose their timer
+        for (const lead of [...this.holdingSince.keys()]) {
+            if (!sides.some(side => side[0] === lead)) this.holdingSince.delete(lead);
+        }
+    }
+
+    /**
+     * A map with fewer crystal fields than asked for needs all of them
+     * @returns {number}
+     */
+    getRequiredCrystalFields() {
+        const fields = resourceSystem.getFields().filter(f => f.isCrystal).length;
+        return Math.max(1, Math.min(CONFIG.VICTORY_CRYSTAL_FIELDS, fields));
+    }
+
+    /**
+     * A field is held by the only side with a completed refinery on it
+     * @param {number[][]} sides
+     * @returns {Map<number, number>} Lead team of each side -> fields held
+     */
+    getCrystalFieldsHeld(sides) {
+        const held = new Map(sides.map(side => [side[0], 0]));
+
+        for (const field of resourceSystem.getFields()) {
+            if (!field.isCrystal) continue;
+
+            const present = sides.filter(side => side.some(team =>
+                gameState.getBuildingsByTeam(team).some(b => !b.dead && !b.isConstructing &&
+                    CONTROL_BUILDINGS.has(b.type) &&
+                    Math.hypot(b.mesh.position.x - field.x, b.mesh.position.z - field.z) <= CONTROL_RADIUS)
+            ));
+            if (present.length === 1) {
+                held.set(present[0][0], held.get(present[0][0]) + 1);
+            }
+        }
+        return held;
+    }
+
+    /**
+     * Time is up: the best side wins, a tie is a draw
+     */
+    endOnScore(sides) {
+        const scores = sides.map(side => side.reduce((sum, team) => sum + this.getScore(team), 0));
+        const best = Math.max(...scores);
+        const leaders = sides.filter((_, i) => scores[i] === best);
+
+        if (leaders.length === 1) {
+            this.win(leaders[0], GameEndReason.SCORE);
+        } else {
+            gameState.end(null, [], GameEndReason.SCORE);
+        }
+    }
+
+    /**
+     * @param {number} team
+     * @returns {number} Timed score mode points
+     */
+    getScore(team) {
+        const stats = gameState.stats[team];
+        let score = 0;
+        for (const [stat, weight] of Object.entries(SCORE_WEIGHTS)) {
+            score += stats[stat] * weight;
+        }
+        return Math.floor(score);
+    }
+
+    /**
+     * @returns {number} Sum of one stat over a side
+     */
+    getSideTotal(side, stat) {
+        return side.reduce((sum, team) => sum + gameState.stats[team][stat], 0);
+    }
+
+    win(side, reason) {
+        gameState.end(side[0], side, reason);
+    }
+
+    // ===== Display =====
+
+    /**
+     * One-line objective with the team's progress, for the HUD
+     * @param {number} team
+     * @returns {string}
+     */
+    getObjectiveText(team) {
+        const mode = this.getMode();
+        const side = this.getSideOf(team);
+        const others = this.getSides(this.getAliveTeams()).filter(s => !s.includes(team));
+        const now = simulationClock.now();
+
+        switch (mode) {
+            case VictoryMode.ECONOMIC: {
+                const mine = Math.floor(this.getSideTotal(side, 'resourcesCollected'));
+                const best = Math.max(0, ...others.map(s => Math.floor(this.getSideTotal(s, 'resourcesCollected'))));
+                return `Collect ${CONFIG.VICTORY_CREDITS} credits: ${mine} (best enemy ${best})`;
+            }
+            case VictoryMode.CRYSTAL_CONTROL: {
+                const holdTime = CONFIG.VICTORY_HOLD_TIME * 1000;
+                const held = this.getCrystalFieldsHeld([side, ...others]).get(side[0]);
+                let text = `Hold ${this.getRequiredCrystalFields()} crystal fields for ${formatTime(holdTime)}: ${held} held`;
+                if (this.holdingSince.has(side[0])) {
+                    text += ` - victory in ${formatTime(this.holdingSince.get(side[0]) + holdTime - now)}`;
+                }
+                const enemy = others.find(s => this.holdingSince.has(s[0]));
+                if (enemy) {
+                    text += ` - enemy wins in ${formatTime(this.holdingSince.get(enemy[0]) + holdTime - now)}`;
+                }
+                return text;
+            }
+            case VictoryMode.SCORE: {
+                const mine = side.reduce((sum, t) => sum + this.getScore(t), 0);
+                const best = Math.max(0, ...others.map(s => s.reduce((sum, t) => sum + this.getScore(t), 0)));
+                return `Score ${mine} (best enemy ${best}) - ${formatTime(CONFIG.VICTORY_TIME_LIMIT * 1000 - now)} left`;
+            }
+            default:
+                return VICTORY_MODES[mode].description;
+        }
+    }
+
+    /**
+     * Why the match ended, for the game-over screen
+     * @param {number[]} winners
+     * @param {string|null} reason - GameEndReason value
+     * @returns {string}
+     */
+    describeEnd(winners, reason) {
+        if (reason === GameEndReason.ELIMINATED) {
+            return this.getMode() === VictoryMode.ASSASSINATION
+                ? 'Your command center was destroyed'
+                : 'All your structures were destroyed';
+        }
+        if (winners.length === 0) {
+            return reason === GameEndReason.SCORE ? 'Time ran out with the scores tied' : 'No side was left standing';
+        }
+
+        const names = winners.map(t => TEAM_NAMES[t] || `Team ${t}`).join(' + ');
+        switch (reason) {
+            case GameEndReason.ASSASSINATION:
+                return `${names} destroyed every enemy command center`;
+            case GameEndReason.ECONOMIC:
+                return `${names} collected ${CONFIG.VICTORY_CREDITS} credits first`;
+            case GameEndReason.CRYSTAL_CONTROL:
+                return `${names} held the crystal fields for ${formatTime(CONFIG.VICTORY_HOLD_TIME * 1000)}`;
+            case GameEndReason.SCORE:
+                return `${names} had the highest score when time ran out`;
+            default:
+                return `${names} destroyed every enemy structure`;
+        }
+    }
+
+    // ===== Save/Load =====
+
+    serialize() {
+        return { holdingSince: [...this.holdingSince] };
+    }
+
+    restore(state) {
+        this.holdingSince = new Map(state.holdingSince);
+    }
+
+    dispose() {
+        this.holdingSince.clear();
+    }
+}
+
+export const victorySystem = new VictorySystem();
+
+export default VictorySystem;
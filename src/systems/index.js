@@ -12,3 +12,10 @@ export { Pathfinding, pathfinding } from './Pathfinding.js?v=20260119';
 export { FormationSystem, formationSystem, Formation, FormationType } from './FormationSystem.js?v=20260119';
 export { ForceFieldSystem, forceFieldSystem } from './ForceFieldSystem.js?v=20260119';
 export { BuildingPlacementSystem, buildingPlacementSystem } from './BuildingPlacementSystem.js?v=20260119';
+export { CommandSystem, commandSystem, PlayerCommand } from './CommandSystem.js?v=20260119';
+export { DiplomacySystem, diplomacySystem, Treaty, Relation, ProposalRejection } from './DiplomacySystem.js?v=20260119';
+export { VictorySystem, victorySystem, VictoryMode, GameEndReason } from './VictorySystem.js?v=20260119';
+export { StatsSystem, statsSystem, STAT_SERIES } from './StatsSystem.js?v=20260119';
+export { ResearchSystem, researchSystem } from './ResearchSystem.js?v=20260119';
+export { TechRules, techRules } from './TechRules.js?v=20260119';
+export { PowerSystem, powerSystem } from './PowerSystem.js?v=20260119';
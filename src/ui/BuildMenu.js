@@ -4,9 +4,12 @@
 // Renders into MainPanel's build section
 // ============================================================
 
-import { CONFIG, BUILDINGS, UNITS, TEAMS } from '../core/Config.js?v=20260119';
+import { CONFIG, BUILDINGS, UNITS, UPGRADES, WEAPON_TYPES, ARMOR_CLASSES } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
+import { researchSystem } from '../systems/ResearchSystem.js?v=20260119';
+import { techRules } from '../systems/TechRules.js?v=20260119';
 
 // Helper to normalize cost - handles both number and object formats
 function normalizeCost(cost) {
@@ -26,6 +29,7 @@ export class BuildMenu {
         this.container = null;
         this.buildingList = null;
         this.unitList = null;
+        this.researchList = null;
         this.selectedBuildingType = null;
         this.isPlacingBuilding = false;
         this.placementGhost = null;
@@ -49,7 +53,8 @@ export class BuildMenu {
             'u': 'gunship',
             'i': 'frigate',
             'o': 'cruiser',
-            'p': 'battlecruiser'
+            'p': 'battlecruiser',
+            '[': 'carrier'        // Every letter is taken - continue along the top row
         };
     }
 
@@ -72,15 +77,18 @@ export class BuildMenu {
             <div class="build-menu-tabs">
                 <button class="build-tab active" data-tab="buildings">Buildings</button>
                 <button class="build-tab" data-tab="units">Units</button>
+                <button class="build-tab" data-tab="research">Research</button>
             </div>
             <div class="build-menu-content">
                 <div class="build-list" id="buildingList"></div>
                 <div class="build-list hidden" id="unitList"></div>
+                <div class="build-list hidden" id="researchList"></div>
             </div>
             <div class="build-menu-info" id="buildInfo">
                 <div class="info-name">Hover to see info</div>
                 <div class="info-desc"></div>
                 <div class="info-cost"></div>
+                <div class="info-armor"></div>
             </div>
         `;
 
@@ -95,12 +103,14 @@ export class BuildMenu {
         // Cache references
         this.buildingList = document.getElementById('buildingList');
         this.unitList = document.getElementById('unitList');
+        this.researchList = document.getElementById('researchList');
         this.buildInfo = document.getElementById('buildInfo');
 
         // Cache build info child elements to avoid repeated DOM queries
         this._infoName = this.buildInfo.querySelector('.info-name');
         this._infoDesc = this.buildInfo.querySelector('.info-desc');
         this._infoCost = this.buildInfo.querySelector('.info-cost');
+        this._infoArmor = this.buildInfo.querySelector('.info-armor');
     }
 
     injectStyles() {
@@ -206,6 +216,15 @@ export class BuildMenu {
                 transform: none;
             }
 
+            .build-item.researched {
+                border-color: #0f8;
+                cursor: default;
+            }
+
+            .build-item.researching {
+                border-color: #ffd700;
+            }
+
             .build-item-icon {
                 font-size: 22px;
             }
@@ -271,6 +290,23 @@ export class BuildMenu {
                 color: #f44;
             }
 
+            .build-menu-info .info-armor {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 3px;
+                font-size: 9px;
+                color: #8ab;
+            }
+
+            .build-menu-info .armor-vs.strong {
+                color: #4f8;
+            }
+
+            .build-menu-info .armor-vs.weak {
+                color: #f84;
+            }
+
             /* Scrollbar styling */
             .build-menu-content::-webkit-scrollbar {
                 width: 4px;
@@ -298,7 +334,10 @@ export class BuildMenu {
         // Game events - store unsubscribe functions for cleanup
         this._unsubs = [
             eventBus.on(GameEvents.BUILDING_COMPLETED, () => this.updateAvailableItems()),
-            eventBus.on(GameEvents.RESOURCE_CHANGED, () => this.updateItemStates())
+            eventBus.on(GameEvents.RESOURCE_CHANGED, () => this.updateItemStates()),
+            eventBus.on(GameEvents.BUILDING_DESTROYED, () => this.updateItemStates()),
+            eventBus.on(GameEvents.RESEARCH_STARTED, () => this.updateResearchList()),
+            eventBus.on(GameEvents.RESEARCH_COMPLETED, () => this.updateResearchList())
             // Note: RESOURCES_CHANGED removed - redundant with RESOURCE_CHANGED
         ];
     }
@@ -314,6 +353,7 @@ export class BuildMenu {
         // Show/hide lists
         this.buildingList.classList.toggle('hidden', tab !== 'buildings');
         this.unitList.classList.toggle('hidden', tab !== 'units');
+        this.researchList.classList.toggle('hidden', tab !== 'research');
 
         // Update info using cached elements
         if (this._infoName) this._infoName.textContent = 'Hover to see info';
@@ -324,10 +364,11 @@ export class BuildMenu {
     updateAvailableItems() {
         this.updateBuildingList();
         this.updateUnitList();
+        this.updateResearchList();
     }
 
     updateBuildingList() {
-        const playerRes = gameState.getResources(TEAMS.PLAYER);
+        const playerRes = gameState.getResources(gameState.playerTeam);
         this.buildingList.innerHTML = '';
 
         const buildings = [
@@ -338,7 +379,9 @@ export class BuildMenu {
             { type: 'advancedShipyard', icon: '🛸', name: 'Adv. Shipyard', desc: 'Produces advanced warships' },
             { type: 'turret', icon: '🔫', name: 'Turret', desc: 'Defensive weapon platform' },
             { type: 'radar', icon: '📡', name: 'Radar', desc: 'Reveals large area of map' },
-            { type: 'forceFieldGenerator', icon: '🛡️', name: 'Force Field', desc: 'Creates barriers between generators' }
+            { type: 'forceFieldGenerator', icon: '🛡️', name: 'Force Field', desc: 'Creates barriers between generators' },
+            { type: 'pointDefenseTurret', icon: '🛰️', name: 'Point Defense', desc: 'Shoots down incoming missiles' },
+            { type: 'researchLab', icon: '🔬', name: 'Research Lab', desc: 'Researches weapon and ship upgrades' }
         ];
 
         for (const building of buildings) {
@@ -346,7 +389,7 @@ export class BuildMenu {
             if (!config) continue;
             const cost = normalizeCost(config.cost);
             const canBuild = this.canAfford(cost);
-            const meetsRequirements = this.meetsRequirements(config);
+            const meetsRequirements = this.meetsRequirements(building.type);
 
             const item = document.createElement('div');
             item.className = `build-item ${(!canBuild || !meetsRequirements) ? 'disabled' : ''}`;
@@ -386,7 +429,8 @@ export class BuildMenu {
             { type: 'gunship', icon: '🔥', name: 'Gunship', desc: 'Heavy weapons platform', hotkey: 'U' },
             { type: 'frigate', icon: '⚓', name: 'Frigate', desc: 'Medium warship', hotkey: 'I' },
             { type: 'cruiser', icon: '🚢', name: 'Cruiser', desc: 'Heavy warship', hotkey: 'O' },
-            { type: 'battlecruiser', icon: '⭐', name: 'Battlecruiser', desc: 'Capital ship', hotkey: 'P' }
+            { type: 'battlecruiser', icon: '⭐', name: 'Battlecruiser', desc: 'Capital ship', hotkey: 'P' },
+            { type: 'carrier', icon: '🛳', name: 'Carrier', desc: 'Launches and recovers fighter drones', hotkey: '[' }
         ];
 
         for (const unit of units) {
@@ -395,7 +439,7 @@ export class BuildMenu {
 
             const cost = normalizeCost(config.cost);
             const canBuild = this.canAfford(cost);
-            const hasProduction = this.hasProductionBuilding(unit.type);
+            const hasProduction = this.hasProductionBuilding(unit.type) && this.meetsUnitRequirements(unit.type);
             const hasSupply = this.hasEnoughSupply(config.supply || 1);
 
             const item = document.createElement('div');
@@ -426,13 +470,57 @@ export class BuildMenu {
         }
     }
 
+    updateResearchList() {
+        this.researchList.innerHTML = '';
+        const team = gameState.playerTeam;
+
+        for (const [type, upgrade] of Object.entries(UPGRADES)) {
+            const cost = normalizeCost(upgrade.cost);
+            const researched = researchSystem.hasResearched(team, type);
+            const researching = researchSystem.isQueued(team, type);
+            const canResearch = this.canResearch(type, cost);
+
+            const item = document.createElement('div');
+            item.className = 'build-item';
+            if (researched) item.classList.add('researched');
+            else if (researching) item.classList.add('researching');
+            else if (!canResearch) item.classList.add('disabled');
+            item.dataset.type = type;
+            item.dataset.category = 'research';
+
+            item.innerHTML = `
+                <span class="build-item-icon">${upgrade.icon}</span>
+                <span class="build-item-name">${upgrade.name}</span>
+                <span class="build-item-cost ${!this.canAfford(cost) ? 'unaffordable' : ''}">${researched ? '✓' : `$${cost.credits}`}</span>
+            `;
+
+            item.addEventListener('mouseenter', () => {
+                this.showResearchInfo(upgrade, cost, researched, researching);
+            });
+
+            item.addEventListener('click', () => {
+                if (this.canResearch(type, normalizeCost(upgrade.cost))) {
+                    commandSystem.issue({
+                        type: PlayerCommand.QUEUE_RESEARCH,
+                        upgradeId: type,
+                        team
+                    });
+                }
+            });
+
+            this.researchList.appendChild(item);
+        }
+    }
+
     showItemInfo(item, config, cost) {
-        const playerRes = gameState.getResources(TEAMS.PLAYER) || {};
+        const playerRes = gameState.getResources(gameState.playerTeam) || {};
         cost = cost || normalizeCost(config.cost);
 
         // Use cached elements
+        const rule = techRules.checkBuilding(gameState.playerTeam, item.type);
         if (this._infoName) this._infoName.textContent = item.name;
-        if (this._infoDesc) this._infoDesc.textContent = item.desc;
+        if (this._infoArmor) this._infoArmor.innerHTML = '';
+        if (this._infoDesc) this._infoDesc.textContent = rule.valid ? item.desc : `${item.desc} (${rule.reason})`;
         if (this._infoCost) {
             this._infoCost.innerHTML = `
                 <span class="cost-item ${(playerRes.credits || 0) < cost.credits ? 'insufficient' : ''}">
@@ -452,12 +540,13 @@ export class BuildMenu {
     }
 
     showUnitInfo(item, config, cost) {
-        const playerRes = gameState.getResources(TEAMS.PLAYER) || {};
+        const playerRes = gameState.getResources(gameState.playerTeam) || {};
         cost = cost || normalizeCost(config.cost);
 
         // Use cached elements
+        const rule = techRules.checkUnit(gameState.playerTeam, item.type);
         if (this._infoName) this._infoName.textContent = item.name;
-        if (this._infoDesc) this._infoDesc.textContent = item.desc;
+        if (this._infoDesc) this._infoDesc.textContent = rule.valid ? item.desc : `${item.desc} (${rule.reason})`;
         if (this._infoCost) {
             this._infoCost.innerHTML = `
                 <span class="cost-item ${(playerRes.credits || 0) < cost.credits ? 'insufficient' : ''}">
@@ -470,6 +559,43 @@ export class BuildMenu {
                 <span class="cost-item">👥 ${config.supply || 1}</span>
             `;
         }
+        if (this._infoArmor) this._infoArmor.innerHTML = this.getArmorInfoHtml(config);
+    }
+
+    /**
+     * Armor class of a unit and how its main weapon fares against each class
+     * @param {Object} config - UNITS entry
+     * @returns {string}
+     */
+    getArmorInfoHtml(config) {
+        const armor = `<span>🛡 ${ARMOR_CLASSES[config.armorClass] || 'Unarmored'}</span>`;
+        const damageVs = WEAPON_TYPES[config.weaponType]?.damageVs;
+        if (!config.damage || !damageVs) return armor;
+
+        return armor + '<span>⚔ vs</span>' + Object.entries(ARMOR_CLASSES).map(([armorClass, name]) => {
+            const multiplier = damageVs[armorClass] ?? 1;
+            const rating = multiplier > 1 ? 'strong' : multiplier < 1 ? 'weak' : '';
+            return `<span class="armor-vs ${rating}">${name} ${Math.round(multiplier * 100)}%</span>`;
+        }).join('');
+    }
+
+    showResearchInfo(upgrade, cost, researched, researching) {
+        const playerRes = gameState.getResources(gameState.playerTeam) || {};
+
+        if (this._infoName) this._infoName.textContent = upgrade.name;
+        if (this._infoArmor) this._infoArmor.innerHTML = '';
+        if (this._infoDesc) this._infoDesc.textContent = upgrade.desc;
+        if (this._infoCost) {
+            this._infoCost.innerHTML = researched
+                ? '<span class="cost-item">Researched</span>'
+                : `
+                <span class="cost-item ${(playerRes.credits || 0) < cost.credits ? 'insufficient' : ''}">
+                    💰 ${cost.credits}
+                </span>
+                <span class="cost-item">⏱ ${upgrade.researchTime}s</span>
+                ${researching ? '<span class="cost-item">In progress</span>' : ''}
+            `;
+        }
     }
 
     updateItemStates() {
@@ -483,19 +609,29 @@ export class BuildMenu {
                 const config = BUILDINGS[type];
                 if (config) {
                     const cost = normalizeCost(config.cost);
-                    canBuild = this.canAfford(cost) && this.meetsRequirements(config);
+                    canBuild = this.canAfford(cost) && this.meetsRequirements(type);
                     // Update cost display
                     const costEl = item.querySelector('.build-item-cost');
                     if (costEl) {
                         costEl.classList.toggle('unaffordable', !this.canAfford(cost));
                     }
                 }
+            } else if (category === 'research') {
+                const cost = normalizeCost(UPGRADES[type].cost);
+                canBuild = this.canResearch(type, cost);
+                const costEl = item.querySelector('.build-item-cost');
+                if (costEl) {
+                    costEl.classList.toggle('unaffordable', !this.canAfford(cost));
+                }
+                // Researched and in-progress upgrades keep their own look
+                if (item.classList.contains('researched') || item.classList.contains('researching')) return;
             } else {
                 const config = UNITS[type];
                 if (config) {
                     const cost = normalizeCost(config.cost);
                     canBuild = this.canAfford(cost) &&
                         this.hasProductionBuilding(type) &&
+                        this.meetsUnitRequirements(type) &&
                         this.hasEnoughSupply(config.supply || 1);
                     // Update cost display
                     const costEl = item.querySelector('.build-item-cost');
@@ -512,7 +648,7 @@ export class BuildMenu {
     // ===== Resource/Requirement Checks =====
 
     canAfford(cost) {
-        const playerRes = gameState.getResources(TEAMS.PLAYER);
+        const playerRes = gameState.getResources(gameState.playerTeam);
         if (!playerRes) return false;
 
         return playerRes.credits >= (cost.credits || 0) &&
@@ -521,30 +657,20 @@ export class BuildMenu {
             playerRes.energy >= (cost.energy || 0);
     }
 
-    meetsRequirements(config) {
-        // Check tech requirements
-        if (config.requires) {
-            for (const req of config.requires) {
-                if (!this.hasBuilding(req)) return false;
-            }
-        }
-        return true;
+    meetsRequirements(buildingType) {
+        // Same prerequisites placement and the simulation enforce
+        return techRules.checkBuilding(gameState.playerTeam, buildingType).valid;
     }
 
-    hasBuilding(type) {
-        // Use cached buildings list from GameState for better performance
-        const buildings = gameState.getBuildingsByTeam(TEAMS.PLAYER);
-        return buildings.some(b =>
-            b.type === type &&
-            !b.dead &&
-            !b.isConstructing
-        );
+    meetsUnitRequirements(unitType) {
+        // Tier prerequisites, checked again when the unit is queued
+        return techRules.checkUnit(gameState.playerTeam, unitType).valid;
     }
 
     hasProductionBuilding(unitType) {
         // Check if player has a building that can produce this unit type
         // Use cached buildings list from GameState for better performance
-        const buildings = gameState.getBuildingsByTeam(TEAMS.PLAYER);
+        const buildings = gameState.getBuildingsByTeam(gameState.playerTeam);
         return buildings.some(b =>
             !b.dead &&
             !b.isConstructing &&
@@ -552,8 +678,16 @@ export class BuildMenu {
         );
     }
 
+    canResearch(upgradeId, cost) {
+        const team = gameState.playerTeam;
+        return this.canAfford(cost) &&
+            researchSystem.getLabs(team, upgradeId).length > 0 &&
+            !researchSystem.hasResearched(team, upgradeId) &&
+            !researchSystem.isQueued(team, upgradeId);
+    }
+
     hasEnoughSupply(required) {
-        const playerRes = gameState.getResources(TEAMS.PLAYER);
+        const playerRes = gameState.getResources(gameState.playerTeam);
         // maxSupply = total capacity, supply = currently used
         return playerRes && (playerRes.maxSupply - playerRes.supply) >= required;
     }
@@ -575,9 +709,10 @@ export class BuildMenu {
     // ===== Unit Production =====
 
     queueUnit(type) {
-        eventBus.emit(GameEvents.UNIT_QUEUE_REQUEST, {
-            type,
-            team: TEAMS.PLAYER
+        commandSystem.issue({
+            type: PlayerCommand.QUEUE_UNIT,
+            unitType: type,
+            team: gameState.playerTeam
         });
     }
 
@@ -4,10 +4,13 @@
 // Renders into MainPanel's command section
 // ============================================================
 
-import { CONFIG, TEAMS } from '../core/Config.js?v=20260119';
+import { CONFIG } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
 import { FormationType } from '../systems/FormationSystem.js?v=20260119';
+import { selectionSystem } from '../systems/SelectionSystem.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
+import { powerSystem } from '../systems/PowerSystem.js?v=20260119';
 
 // Command types
 export const CommandType = {
@@ -15,12 +18,20 @@ export const CommandType = {
     ATTACK: 'attack',
     STOP: 'stop',
     HOLD: 'hold',
+    AGGRESSIVE: 'aggressive',
+    DEFENSIVE: 'defensive',
+    RETURN_FIRE: 'returnFire',
+    HOLD_FIRE: 'holdFire',
     PATROL: 'patrol',
     GUARD: 'guard',
     HARVEST: 'harvest',
     RETURN_CARGO: 'returnCargo',
     BUILD: 'build',
     CANCEL: 'cancel',
+    POWER: 'power',
+    REPAIR: 'repair',
+    SELL: 'sell',
+    UPGRADE: 'upgrade',
     FORMATION: 'formation',
     ABILITY: 'ability'
 };
@@ -63,10 +74,47 @@ export class CommandPanel {
                 icon: '🛑',
                 name: 'Hold',
                 hotkey: 'H',
-                description: 'Hold position and attack nearby enemies',
+                description: 'Hold position and engage as the stance allows',
                 available: (entities) => entities.some(e => e.stats?.damage > 0 || e.def?.damage > 0),
                 action: () => this.holdCommand()
             },
+            // Stances - CommandType values are UNIT_STANCES keys
+            [CommandType.AGGRESSIVE]: {
+                icon: '🔥',
+                name: 'Aggressive',
+                hotkey: 'C',
+                description: 'Stance: engage any enemy in reach and chase freely',
+                available: (entities) => this.getStanceUnits(entities).length > 0,
+                active: (entities) => this.hasStance(entities, CommandType.AGGRESSIVE),
+                action: () => this.setStance(CommandType.AGGRESSIVE)
+            },
+            [CommandType.DEFENSIVE]: {
+                icon: '🔰',
+                name: 'Defensive',
+                hotkey: 'J',
+                description: 'Stance: engage enemies in reach, but return instead of chasing far',
+                available: (entities) => this.getStanceUnits(entities).length > 0,
+                active: (entities) => this.hasStance(entities, CommandType.DEFENSIVE),
+                action: () => this.setStance(CommandType.DEFENSIVE)
+            },
+            [CommandType.RETURN_FIRE]: {
+                icon: '↩️',
+                name: 'Return Fire',
+                hotkey: 'I',
+                description: 'Stance: only shoot back when attacked',
+                available: (entities) => this.getStanceUnits(entities).length > 0,
+                active: (entities) => this.hasStance(entities, CommandType.RETURN_FIRE),
+                action: () => this.setStance(CommandType.RETURN_FIRE)
+            },
+            [CommandType.HOLD_FIRE]: {
+                icon: '🤫',
+                name: 'Hold Fire',
+                hotkey: 'N',
+                description: 'Stance: never open fire without a direct attack order',
+                available: (entities) => this.getStanceUnits(entities).length > 0,
+                active: (entities) => this.hasStance(entities, CommandType.HOLD_FIRE),
+                action: () => this.setStance(CommandType.HOLD_FIRE)
+            },
             [CommandType.PATROL]: {
                 icon: '🔄',
                 name: 'Patrol',
@@ -114,6 +162,38 @@ export class CommandPanel {
                 description: 'Cancel current production',
                 available: (entities) => entities.some(e => e.isBuilding && (e.productionQueue?.length > 0 || e.buildQueue?.length > 0)),
                 action: () => this.cancelProduction()
+            },
+            [CommandType.POWER]: {
+                icon: '🔌',
+                name: 'Power',
+                hotkey: 'O',
+                description: 'Power structures down to free energy, or back up',
+                available: (entities) => this.getPowerSwitchable(entities).length > 0,
+                action: () => this.togglePower()
+            },
+            [CommandType.REPAIR]: {
+                icon: '🔧',
+                name: 'Repair',
+                hotkey: 'T',
+                description: 'Repair damaged structures over time for credits, or stop',
+                available: (entities) => this.getOwnBuildings(entities).some(b => b.repairing || b.canRepair()),
+                action: () => this.toggleRepair()
+            },
+            [CommandType.SELL]: {
+                icon: '💲',
+                name: 'Sell',
+                hotkey: 'K',
+                description: 'Sell structures for part of their cost',
+                available: (entities) => this.getOwnBuildings(entities).some(b => b.canSell()),
+                action: () => this.sellBuildings()
+            },
+            [CommandType.UPGRADE]: {
+                icon: '⬆️',
+                name: 'Upgrade',
+                hotkey: 'U',
+                description: 'Upgrade turrets and refineries to their improved tier',
+                available: (entities) => this.getOwnBuildings(entities).some(b => b.canUpgrade()),
+                action: () => this.upgradeBuildings()
             }
         };
 
@@ -311,7 +391,7 @@ export class CommandPanel {
 
         for (const [type, cmd] of Object.entries(this.commands)) {
             const isAvailable = hasSelection && cmd.available(this.selectedEntities);
-            const isActive = this.commandMode === type;
+            const isActive = this.commandMode === type || (hasSelection && !!cmd.active?.(this.selectedEntities));
 
             const btn = document.createElement('div');
             btn.className = `command-btn ${!isAvailable ? 'disabled' : ''} ${isActive ? 'active' : ''}`;
@@ -356,29 +436,27 @@ export class CommandPanel {
     }
 
     stopCommand() {
-        for (const entity of this.selectedEntities) {
-            if (!entity.isBuilding) {
-                entity.target = null;
-                entity.path = null;
-                entity.command = 'idle';
-                eventBus.emit(GameEvents.UNIT_STOP, entity);
-            }
-        }
+        selectionSystem.commandStop();
     }
 
     holdCommand() {
-        for (const entity of this.selectedEntities) {
-            if (!entity.isBuilding) {
-                entity.target = null;
-                entity.path = null;
-                entity.command = 'hold';
-                entity.holdPosition = entity.mesh ? {
-                    x: entity.mesh.position.x,
-                    z: entity.mesh.position.z
-                } : null;
-                eventBus.emit(GameEvents.UNIT_HOLD, entity);
-            }
-        }
+        selectionSystem.commandHold();
+    }
+
+    getStanceUnits(entities) {
+        return entities.filter(e => e.isUnit && !e.dead && e.team === gameState.playerTeam && e.def?.damage > 0);
+    }
+
+    /**
+     * @returns {boolean} Every selected combat ship is in this stance
+     */
+    hasStance(entities, stance) {
+        const units = this.getStanceUnits(entities);
+        return units.length > 0 && units.every(u => u.stance === stance);
+    }
+
+    setStance(stance) {
+        selectionSystem.commandStance(stance);
     }
 
     startPatrolCommand() {
@@ -397,34 +475,15 @@ export class CommandPanel {
     }
 
     returnCargoCommand() {
-        for (const entity of this.selectedEntities) {
-            if (entity.type === 'harvester' && entity.cargo > 0 && entity.mesh) {
-                // Find nearest refinery using cached building list
-                const refineries = gameState.getBuildingsByType(entity.team, 'refinery')
-                    .filter(r => !r.dead && !r.isConstructing && r.mesh);
-
-                if (refineries.length > 0) {
-                    const pos = entity.mesh.position;
-                    let nearest = refineries[0];
-                    let nearestDistSq = Infinity;
-
-                    // Use squared distance to avoid sqrt (faster for comparison)
-                    for (const ref of refineries) {
-                        const dx = ref.mesh.position.x - pos.x;
-                        const dz = ref.mesh.position.z - pos.z;
-                        const distSq = dx * dx + dz * dz;
-                        if (distSq < nearestDistSq) {
-                            nearestDistSq = distSq;
-                            nearest = ref;
-                        }
-                    }
-
-                    entity.command = 'returnCargo';
-                    entity.returnTarget = nearest;
-                    eventBus.emit(GameEvents.HARVESTER_RETURN, { harvester: entity, target: nearest });
-                }
-            }
-        }
+        const harvesters = this.selectedEntities.filter(e =>
+            e.type === 'harvester' && e.team === gameState.playerTeam && !e.dead && e.cargo > 0
+        );
+        if (harvesters.length === 0) return;
+
+        commandSystem.issue({
+            type: PlayerCommand.RETURN_CARGO,
+            unitIds: harvesters.map(e => e.id)
+        });
     }
 
     cycleFormation() {
@@ -443,14 +502,71 @@ export class CommandPanel {
     cancelProduction() {
         for (const entity of this.selectedEntities) {
             if (entity.isBuilding && entity.productionQueue?.length > 0) {
-                eventBus.emit(GameEvents.PRODUCTION_CANCEL, {
-                    building: entity,
+                commandSystem.issue({
+                    type: PlayerCommand.CANCEL_PRODUCTION,
+                    buildingId: entity.id,
                     index: 0 // Cancel current
                 });
             }
         }
     }
 
+    getPowerSwitchable(entities) {
+        return entities.filter(e => e.team === gameState.playerTeam && powerSystem.canPowerDown(e));
+    }
+
+    togglePower() {
+        // Any running structure in the selection switches them all off
+        const buildings = this.getPowerSwitchable(this.selectedEntities);
+        const powered = buildings.every(b => b.poweredDown);
+        for (const building of buildings) {
+            if (building.poweredDown === !powered) continue;
+            commandSystem.issue({
+                type: PlayerCommand.SET_POWER,
+                buildingId: building.id,
+                powered
+            });
+        }
+    }
+
+    getOwnBuildings(entities) {
+        return entities.filter(e => e.isBuilding && !e.dead && e.team === gameState.playerTeam);
+    }
+
+    toggleRepair() {
+        // Any idle damaged structure in the selection starts them all repairing
+        const buildings = this.getOwnBuildings(this.selectedEntities);
+        const repairing = buildings.some(b => !b.repairing && b.canRepair());
+        for (const building of buildings) {
+            if (building.repairing === repairing || (repairing && !building.canRepair())) continue;
+            commandSystem.issue({
+                type: PlayerCommand.REPAIR_BUILDING,
+                buildingId: building.id,
+                repairing
+            });
+        }
+    }
+
+    sellBuildings() {
+        for (const building of this.getOwnBuildings(this.selectedEntities)) {
+            if (!building.canSell()) continue;
+            commandSystem.issue({
+                type: PlayerCommand.SELL_BUILDING,
+                buildingId: building.id
+            });
+        }
+    }
+
+    upgradeBuildings() {
+        for (const building of this.getOwnBuildings(this.selectedEntities)) {
+            if (!building.canUpgrade()) continue;
+            commandSystem.issue({
+                type: PlayerCommand.UPGRADE_BUILDING,
+                buildingId: building.id
+            });
+        }
+    }
+
     // ===== Command Mode =====
 
     setCommandMode(mode) {
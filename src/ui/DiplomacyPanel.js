@@ -0,0 +1,339 @@
+// ============================================================
+// VOID SUPREMACY 3D - Diplomacy Panel UI
+// Propose ceasefires and alliances, declare war and send
+// credits to allies. Actions go through the command system.
+// ============================================================
+
+import { TEAM_NAMES, getTeamColorHex } from '../core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { aiSystem } from '../systems/AISystem.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
+import { diplomacySystem, Treaty, Relation, ProposalRejection } from '../systems/DiplomacySystem.js?v=20260119';
+
+// Credit amounts offered to allies
+const CREDIT_GIFTS = [100, 500];
+
+const RELATION_LABELS = {
+    [Relation.WAR]: 'At war',
+    [Relation.CEASEFIRE]: 'Ceasefire',
+    [Relation.ALLIANCE]: 'Allied'
+};
+
+const REJECTION_MESSAGES = {
+    [ProposalRejection.INVALID]: 'cannot be proposed',
+    [ProposalRejection.IN_EFFECT]: 'is already in effect',
+    [ProposalRejection.NOT_AI]: 'must be agreed in person',
+    [ProposalRejection.COOLDOWN]: 'was turned down recently',
+    [ProposalRejection.TOO_WEAK]: 'was rejected - they do not fear you enough'
+};
+
+export class DiplomacyPanel {
+    constructor() {
+        this.container = null;
+        this.isVisible = false;
+        this._unsubs = null;
+    }
+
+    init() {
+        this.createUI();
+        this.setupEventListeners();
+
+        const refresh = () => {
+            if (this.isVisible) this.render();
+        };
+        this._unsubs = [
+            eventBus.on(GameEvents.DIPLOMACY_PROPOSAL, (data) => {
+                if (data.from === gameState.playerTeam) this.announceResponse(data);
+                refresh();
+            }),
+            eventBus.on(GameEvents.DIPLOMACY_CREDITS, (data) => {
+                if (data.to === gameState.playerTeam) {
+                    this.alert(`${TEAM_NAMES[data.from]} sent you ${data.amount} credits`, 'success');
+                }
+                refresh();
+            }),
+            eventBus.on(GameEvents.DIPLOMACY_WAR, (data) => {
+                if (data.team2 === gameState.playerTeam) {
+                    this.alert(`${TEAM_NAMES[data.team1]} declared war!`, 'danger');
+                }
+                refresh();
+            }),
+            eventBus.on(GameEvents.DIPLOMACY_PEACE, refresh),
+            eventBus.on(GameEvents.DIPLOMACY_ALLIANCE, refresh)
+        ];
+    }
+
+    createUI() {
+        // Modal overlay, styled like the settings panel
+        this.container = document.createElement('div');
+        this.container.id = 'diplomacyPanel';
+        this.container.className = 'diplomacy-overlay hidden';
+        this.container.innerHTML = `
+            <div class="diplomacy-panel">
+                <div class="diplomacy-header">
+                    <span class="diplomacy-title">DIPLOMACY</span>
+                    <button class="diplomacy-close" id="closeDiplomacy">×</button>
+                </div>
+                <div class="diplomacy-content" id="diplomacyRows"></div>
+            </div>
+        `;
+
+        this.injectStyles();
+        document.body.appendChild(this.container);
+    }
+
+    injectStyles() {
+        if (document.getElementById('diplomacy-panel-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'diplomacy-panel-styles';
+        style.textContent = `
+            .diplomacy-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.7);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 2000;
+            }
+
+            .diplomacy-overlay.hidden {
+                display: none;
+            }
+
+            .diplomacy-panel {
+                background: linear-gradient(135deg, rgba(20, 30, 50, 0.95), rgba(10, 15, 30, 0.95));
+                border: 1px solid rgba(100, 200, 255, 0.3);
+                border-radius: 8px;
+                width: 520px;
+                max-height: 80vh;
+                overflow-y: auto;
+                box-shadow: 0 10px 40px rgba(0, 0, 0, 0.5);
+            }
+
+            .diplomacy-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 15px 20px;
+                border-bottom: 1px solid rgba(100, 200, 255, 0.2);
+                background: rgba(0, 50, 100, 0.3);
+            }
+
+            .diplomacy-title {
+                color: #64c8ff;
+                font-size: 16px;
+                font-weight: bold;
+                letter-spacing: 2px;
+            }
+
+            .diplomacy-close {
+                background: none;
+                border: none;
+                color: #aaa;
+                font-size: 24px;
+                cursor: pointer;
+                line-height: 1;
+            }
+
+            .diplomacy-close:hover {
+                color: #ff6464;
+            }
+
+            .diplomacy-content {
+                padding: 10px 20px 20px;
+            }
+
+            .diplomacy-row {
+                padding: 12px 0;
+                border-bottom: 1px solid rgba(100, 200, 255, 0.15);
+            }
+
+            .diplomacy-row:last-child {
+                border-bottom: none;
+            }
+
+            .diplomacy-name {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                color: #ddd;
+                font-size: 13px;
+                font-weight: bold;
+            }
+
+            .diplomacy-swatch {
+                width: 12px;
+                height: 12px;
+                border-radius: 2px;
+            }
+
+            .diplomacy-info {
+                margin: 4px 0 8px 20px;
+                font-size: 11px;
+                color: #8ac4ff;
+            }
+
+            .diplomacy-relation-war { color: #ff6464; }
+            .diplomacy-relation-ceasefire { color: #ffd264; }
+            .diplomacy-relation-alliance { color: #64ff8a; }
+
+            .diplomacy-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-left: 20px;
+            }
+
+            .diplomacy-btn {
+                padding: 6px 10px;
+                background: rgba(30, 50, 80, 0.6);
+                border: 1px solid rgba(100, 200, 255, 0.2);
+                border-radius: 4px;
+                color: #aac;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .diplomacy-btn:hover:not(:disabled) {
+                background: rgba(50, 80, 120, 0.6);
+                color: #fff;
+            }
+
+            .diplomacy-btn:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+
+            .diplomacy-btn.war {
+                border-color: rgba(255, 100, 100, 0.4);
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.container.querySelector('#closeDiplomacy').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Click outside to close
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) {
+                this.hide();
+            }
+        });
+
+        // Row buttons are re-rendered, so listen once on the list
+        this.container.querySelector('#diplomacyRows').addEventListener('click', (e) => {
+            const btn = e.target.closest('.diplomacy-btn');
+            if (!btn || btn.disabled) return;
+
+            const targetTeam = Number(btn.dataset.team);
+            const { action } = btn.dataset;
+            if (action === 'war') {
+                commandSystem.issue({ type: PlayerCommand.DECLARE_WAR, targetTeam });
+            } else if (action === 'credits') {
+                commandSystem.issue({ type: PlayerCommand.TRANSFER_CREDITS, targetTeam, amount: Number(btn.dataset.amount) });
+            } else {
+                commandSystem.issue({ type: PlayerCommand.PROPOSE_TREATY, targetTeam, treaty: action });
+            }
+        });
+    }
+
+    render() {
+        const me = gameState.playerTeam;
+        const rows = diplomacySystem.getPlayerTeams()
+            .filter(team => team !== me && gameState.getEntitiesByTeam(team).some(e => !e.dead))
+            .map(team => this.renderRow(me, team));
+
+        this.container.querySelector('#diplomacyRows').innerHTML =
+            rows.join('') || '<div class="diplomacy-info">No other players remain</div>';
+    }
+
+    renderRow(me, team) {
+        const relation = diplomacySystem.getRelation(me, team);
+        const strength = diplomacySystem.getRelativeStrength(team, me);
+        const isAI = !!aiSystem.getPlayer(team);
+        const credits = gameState.getResources(me).credits;
+
+        const button = (action, label, enabled, extra = '') =>
+            `<button class="diplomacy-btn ${action}" data-team="${team}" data-action="${action}" ${extra}
+                ${enabled ? '' : 'disabled'}>${label}</button>`;
+
+        const actions = [
+            button(Treaty.CEASEFIRE, 'Propose ceasefire', isAI && relation === Relation.WAR),
+            button(Treaty.ALLIANCE, 'Propose alliance', isAI && relation !== Relation.ALLIANCE),
+            button('war', 'Declare war', relation !== Relation.WAR),
+            ...CREDIT_GIFTS.map(amount => button('credits', `Send ${amount}`,
+                relation === Relation.ALLIANCE && credits >= amount, `data-amount="${amount}"`))
+        ];
+
+        return `
+            <div class="diplomacy-row">
+                <div class="diplomacy-name">
+                    <span class="diplomacy-swatch" style="background: ${getTeamColorHex(team)}"></span>
+                    ${TEAM_NAMES[team] || `Team ${team}`}
+                </div>
+                <div class="diplomacy-info">
+                    <span class="diplomacy-relation-${relation}">${RELATION_LABELS[relation]}</span>
+                    · Strength ${Math.round(strength * 100)}% of yours${isAI ? '' : ' · Human player'}
+                </div>
+                <div class="diplomacy-actions">${actions.join('')}</div>
+            </div>
+        `;
+    }
+
+    announceResponse({ to, treaty, accepted, reason }) {
+        const name = TEAM_NAMES[to] || `Team ${to}`;
+        if (accepted) {
+            this.alert(`${name} accepted your ${treaty}`, 'success');
+        } else {
+            this.alert(`Your ${treaty} with ${name} ${REJECTION_MESSAGES[reason]}`, 'warning');
+        }
+    }
+
+    alert(message, type) {
+        eventBus.emit(GameEvents.UI_ALERT, { team: gameState.playerTeam, message, type });
+    }
+
+    show() {
+        this.isVisible = true;
+        this.render();
+        this.container.classList.remove('hidden');
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.container.classList.add('hidden');
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    dispose() {
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        if (this.container && this.container.parentElement) {
+            this.container.parentElement.removeChild(this.container);
+        }
+        this.container = null;
+        this.isVisible = false;
+    }
+}
+
+// Singleton export
+export const diplomacyPanel = new DiplomacyPanel();
+export default DiplomacyPanel;
@@ -0,0 +1,293 @@
+// ============================================================
+// VOID SUPREMACY 3D - Post-Match Statistics
+// Timeline graphs, unit type breakdown and APM on the game-over
+// screen, with JSON/CSV export of everything recorded.
+// ============================================================
+
+import { TEAM_NAMES, UNITS, ALIEN_UNITS, getTeamColorHex } from '../core/Config.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { statsSystem, STAT_SERIES } from '../systems/StatsSystem.js?v=20260119';
+import { diplomacySystem } from '../systems/DiplomacySystem.js?v=20260119';
+
+// Graph size in canvas pixels
+const GRAPH_WIDTH = 640;
+const GRAPH_HEIGHT = 220;
+
+// Room for the axis labels
+const GRAPH_PADDING = { left: 50, right: 10, top: 10, bottom: 24 };
+
+export class PostMatchStats {
+    constructor() {
+        this.container = null;
+        this.series = STAT_SERIES[0].key;
+    }
+
+    init() {
+        this.createUI();
+        this.setupEventListeners();
+    }
+
+    createUI() {
+        const gameOverScreen = document.getElementById('gameOverScreen');
+        if (!gameOverScreen) return;
+
+        this.container = document.createElement('div');
+        this.container.id = 'postMatchStats';
+        this.container.className = 'postmatch';
+        this.container.innerHTML = `
+            <div class="postmatch-tabs">
+                ${STAT_SERIES.map(({ key, label }) =>
+                    `<button class="postmatch-tab" data-series="${key}">${label}</button>`
+                ).join('')}
+            </div>
+            <canvas class="postmatch-graph" id="postMatchGraph" width="${GRAPH_WIDTH}" height="${GRAPH_HEIGHT}"></canvas>
+            <div class="postmatch-legend" id="postMatchLegend"></div>
+            <div class="postmatch-details">
+                <table class="postmatch-units">
+                    <thead><tr><th>Unit</th><th>Built</th><th>Lost</th><th>Killed</th></tr></thead>
+                    <tbody id="postMatchUnits"></tbody>
+                </table>
+                <div class="postmatch-apm">APM <span id="postMatchApm">0</span></div>
+            </div>
+            <div class="postmatch-export">
+                <button class="postmatch-tab" id="exportStatsJson">Export JSON</button>
+                <button class="postmatch-tab" id="exportStatsCsv">Export CSV</button>
+            </div>
+        `;
+
+        this.injectStyles();
+        gameOverScreen.insertBefore(this.container, gameOverScreen.querySelector('.restart-btn'));
+    }
+
+    injectStyles() {
+        if (document.getElementById('postmatch-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'postmatch-styles';
+        style.textContent = `
+            .postmatch {
+                width: ${GRAPH_WIDTH + 40}px;
+                margin-bottom: 20px;
+                padding: 15px 20px;
+                background: rgba(10, 20, 40, 0.8);
+                border: 1px solid rgba(100, 200, 255, 0.3);
+                border-radius: 8px;
+            }
+
+            .postmatch-tabs,
+            .postmatch-export {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-bottom: 10px;
+            }
+
+            .postmatch-export {
+                margin: 10px 0 0 0;
+            }
+
+            .postmatch-tab {
+                padding: 6px 10px;
+                background: rgba(30, 50, 80, 0.6);
+                border: 1px solid rgba(100, 200, 255, 0.2);
+                border-radius: 4px;
+                color: #aac;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .postmatch-tab:hover,
+            .postmatch-tab.active {
+                background: rgba(50, 80, 120, 0.6);
+                color: #fff;
+            }
+
+            .postmatch-legend {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 12px;
+                margin: 6px 0 10px 0;
+                font-size: 12px;
+                color: #ddd;
+            }
+
+            .postmatch-swatch {
+                display: inline-block;
+                width: 10px;
+                height: 10px;
+                margin-right: 4px;
+                border-radius: 2px;
+            }
+
+            .postmatch-details {
+                display: flex;
+                justify-content: space-between;
+                align-items: flex-start;
+                gap: 20px;
+            }
+
+            .postmatch-units {
+                flex: 1;
+                font-size: 12px;
+                border-collapse: collapse;
+            }
+
+            .postmatch-units th,
+            .postmatch-units td {
+                padding: 3px 8px;
+                text-align: right;
+                border-bottom: 1px solid rgba(100, 200, 255, 0.15);
+            }
+
+            .postmatch-units th:first-child,
+            .postmatch-units td:first-child {
+                text-align: left;
+            }
+
+            .postmatch-units th {
+                color: #8ac4ff;
+            }
+
+            .postmatch-apm {
+                font-family: 'Orbitron', sans-serif;
+                font-size: 14px;
+                color: #8ac4ff;
+            }
+
+            .postmatch-apm span {
+                font-size: 24px;
+                color: #fff;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        if (!this.container) return;
+
+        this.container.querySelector('.postmatch-tabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('.postmatch-tab');
+            if (!tab) return;
+            this.series = tab.dataset.series;
+            this.renderGraph();
+        });
+
+        this.container.querySelector('#exportStatsJson').addEventListener('click', () => {
+            this.download('json', JSON.stringify(statsSystem.getExport(), null, 2), 'application/json');
+        });
+        this.container.querySelector('#exportStatsCsv').addEventListener('click', () => {
+            this.download('csv', statsSystem.toCSV(), 'text/csv');
+        });
+    }
+
+    /**
+     * Fill in the screen from the recorded match
+     */
+    show() {
+        if (!this.container) return;
+
+        this.renderGraph();
+        this.renderLegend();
+        this.renderUnits();
+        this.container.querySelector('#postMatchApm').textContent = statsSystem.getAPM(gameState.playerTeam);
+    }
+
+    renderGraph() {
+        this.container.querySelectorAll('.postmatch-tab[data-series]').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.series === this.series);
+        });
+
+        const canvas = this.container.querySelector('#postMatchGraph');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const lines = diplomacySystem.getPlayerTeams().map(team => ({
+            team,
+            points: statsSystem.getSeries(team, this.series)
+        }));
+        const points = lines.flatMap(line => line.points);
+        if (points.length === 0) return;
+
+        const maxTime = Math.max(1, ...points.map(p => p.time));
+        const maxValue = Math.max(1, ...points.map(p => p.value));
+        const width = canvas.width - GRAPH_PADDING.left - GRAPH_PADDING.right;
+        const height = canvas.height - GRAPH_PADDING.top - GRAPH_PADDING.bottom;
+        const toX = time => GRAPH_PADDING.left + (time / maxTime) * width;
+        const toY = value => GRAPH_PADDING.top + height - (value / maxValue) * height;
+
+        // Axes and labels
+        ctx.strokeStyle = 'rgba(100, 200, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(GRAPH_PADDING.left, GRAPH_PADDING.top);
+        ctx.lineTo(GRAPH_PADDING.left, GRAPH_PADDING.top + height);
+        ctx.lineTo(GRAPH_PADDING.left + width, GRAPH_PADDING.top + height);
+        ctx.stroke();
+
+        ctx.fillStyle = '#8ac4ff';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(String(Math.round(maxValue)), GRAPH_PADDING.left - 6, GRAPH_PADDING.top + 10);
+        ctx.fillText('0', GRAPH_PADDING.left - 6, GRAPH_PADDING.top + height);
+        ctx.fillText(`${Math.round(maxTime / 60000)} min`, GRAPH_PADDING.left + width, canvas.height - 6);
+
+        for (const { team, points: series } of lines) {
+            if (series.length === 0) continue;
+            ctx.strokeStyle = getTeamColorHex(team);
+            ctx.lineWidth = team === gameState.playerTeam ? 3 : 2;
+            ctx.beginPath();
+            series.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toX(p.time), toY(p.value));
+                else ctx.lineTo(toX(p.time), toY(p.value));
+            });
+            ctx.stroke();
+        }
+    }
+
+    renderLegend() {
+        this.container.querySelector('#postMatchLegend').innerHTML = diplomacySystem.getPlayerTeams().map(team => `
+            <span>
+                <span class="postmatch-swatch" style="background: ${getTeamColorHex(team)}"></span>
+                ${TEAM_NAMES[team] || `Team ${team}`}
+            </span>
+        `).join('');
+    }
+
+    renderUnits() {
+        const types = statsSystem.unitTypes[gameState.playerTeam] || {};
+        const rows = Object.entries(types).map(([type, counts]) => `
+            <tr>
+                <td>${UNITS[type]?.name || ALIEN_UNITS[type]?.name || type}</td>
+                <td>${counts.built}</td>
+                <td>${counts.lost}</td>
+                <td>${counts.killed}</td>
+            </tr>
+        `);
+        this.container.querySelector('#postMatchUnits').innerHTML =
+            rows.join('') || '<tr><td colspan="4">No ships recorded</td></tr>';
+    }
+
+    download(extension, text, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `void-supremacy-stats-${Date.now()}.${extension}`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    dispose() {
+        if (this.container && this.container.parentElement) {
+            this.container.parentElement.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Singleton export
+export const postMatchStats = new PostMatchStats();
+export default PostMatchStats;
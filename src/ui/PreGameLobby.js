@@ -4,7 +4,13 @@
 // ============================================================
 
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
-import { CONFIG } from '../core/Config.js?v=20260119';
+import { CONFIG, AI_PERSONALITIES, DEFAULT_AI_PERSONALITY, TEAM_PRESETS, VICTORY_MODES } from '../core/Config.js?v=20260119';
+import { replaySystem } from '../persistence/ReplaySystem.js?v=20260119';
+import { lockstepSession, LockstepSession } from '../network/LockstepSession.js?v=20260119';
+
+const MAX_SLOTS = 4;
+const MAX_AI_SLOTS = 3;
+const SIDE_NAMES = ['Team 1', 'Team 2', 'Team 3', 'Team 4'];
 
 /**
  * Pre-Game Lobby for game configuration
@@ -15,6 +21,7 @@ export class PreGameLobby {
         this.container = null;
         this.isVisible = false;
         this.onStartCallback = null;
+        this._unsubs = null;
 
         // Default configuration
         this.config = {
@@ -35,7 +42,16 @@ export class PreGameLobby {
             // Game options
             fogOfWar: false,
             aiDifficulty: 'normal', // easy, normal, hard
-            gameSpeed: 1.0
+            aiPersonalities: [],    // AI_PERSONALITIES key or 'random' per AI slot
+            teamSides: [],          // Side per player slot (see TEAM_PRESETS)
+            gameSpeed: 1.0,
+
+            // Victory conditions
+            victoryMode: 'annihilation',    // VICTORY_MODES key
+            victoryCredits: 20000,
+            victoryCrystalFields: 3,
+            victoryHoldTime: 180,           // Seconds
+            victoryTimeLimit: 1200          // Seconds
         };
     }
 
@@ -162,10 +178,94 @@ export class PreGameLobby {
                                 <input type="checkbox" id="fog-of-war">
                             </div>
                         </div>
+
+                        <!-- Victory Conditions -->
+                        <div class="lobby-section">
+                            <h3>Victory</h3>
+                            <div class="setting-row">
+                                <label for="victory-mode">Mode</label>
+                                <select id="victory-mode">
+                                    ${Object.entries(VICTORY_MODES).map(([id, mode]) =>
+                                        `<option value="${id}">${mode.name}</option>`
+                                    ).join('')}
+                                </select>
+                            </div>
+                            <div class="setting-row victory-row" data-mode="economic">
+                                <label for="victory-credits">Credits</label>
+                                <select id="victory-credits">
+                                    <option value="10000">10000</option>
+                                    <option value="20000" selected>20000</option>
+                                    <option value="40000">40000</option>
+                                </select>
+                            </div>
+                            <div class="setting-row victory-row" data-mode="crystalControl">
+                                <label for="victory-fields">Fields</label>
+                                <select id="victory-fields">
+                                    <option value="2">2</option>
+                                    <option value="3" selected>3</option>
+                                    <option value="4">4</option>
+                                </select>
+                            </div>
+                            <div class="setting-row victory-row" data-mode="crystalControl">
+                                <label for="victory-hold">Hold For</label>
+                                <select id="victory-hold">
+                                    <option value="120">2 min</option>
+                                    <option value="180" selected>3 min</option>
+                                    <option value="300">5 min</option>
+                                </select>
+                            </div>
+                            <div class="setting-row victory-row" data-mode="score">
+                                <label for="victory-time">Time Limit</label>
+                                <select id="victory-time">
+                                    <option value="600">10 min</option>
+                                    <option value="1200" selected>20 min</option>
+                                    <option value="1800">30 min</option>
+                                </select>
+                            </div>
+                            <p class="victory-description" id="victory-description"></p>
+                        </div>
+
+                        <!-- Teams -->
+                        <div class="lobby-section lobby-section-wide">
+                            <h3>Teams</h3>
+                            <div class="team-presets">
+                                ${Object.entries(TEAM_PRESETS).map(([id, preset]) =>
+                                    `<button class="btn-small team-preset" data-preset="${id}">${preset.name}</button>`
+                                ).join('')}
+                            </div>
+                            ${this.createSideRows()}
+                            <p class="team-warning" id="team-warning"></p>
+                        </div>
+
+                        <!-- AI Personalities -->
+                        <div class="lobby-section lobby-section-wide">
+                            <h3>AI Personalities</h3>
+                            ${this.createPersonalityRows()}
+                        </div>
+
+                        <!-- LAN Multiplayer -->
+                        <div class="lobby-section lobby-section-wide">
+                            <h3>LAN Multiplayer</h3>
+                            <div class="setting-row">
+                                <label for="net-server">Server</label>
+                                <input type="text" id="net-server">
+                            </div>
+                            <div class="setting-row">
+                                <label for="net-name">Name</label>
+                                <input type="text" id="net-name" placeholder="Commander" maxlength="20">
+                            </div>
+                            <div class="setting-row">
+                                <span id="net-status">Offline</span>
+                                <button id="net-join-btn" class="btn-small">Join</button>
+                            </div>
+                            <ul id="net-slots" class="net-slots"></ul>
+                        </div>
                     </div>
 
                     <div class="lobby-buttons">
                         <button id="start-game-btn" class="btn-primary">Start Game</button>
+                        <button id="watch-replay-btn" class="btn-secondary">Watch Replay</button>
+                        <input type="file" id="replay-file" accept=".json" style="display: none">
                     </div>
 
                     <div class="lobby-footer">
@@ -185,6 +285,48 @@ export class PreGameLobby {
         this.setupEventListeners();
     }
 
+    /**
+     * One personality picker per AI slot
+     * @returns {string} HTML
+     */
+    createPersonalityRows() {
+        const options = Object.entries(AI_PERSONALITIES).map(([id, p]) =>
+            `<option value="${id}"${id === DEFAULT_AI_PERSONALITY ? ' selected' : ''} title="${p.description}">${p.name}</option>`
+        ).join('');
+
+        let rows = '';
+        for (let i = 1; i <= MAX_AI_SLOTS; i++) {
+            rows += `
+                            <div class="setting-row" id="ai-personality-row-${i}">
+                                <label for="ai-personality-${i}">AI ${i}</label>
+                                <select id="ai-personality-${i}">
+                                    ${options}
+                                    <option value="random">Random</option>
+                                </select>
+                            </div>`;
+        }
+        return rows;
+    }
+
+    /**
+     * One side picker per player slot, free for all by default
+     * @returns {string} HTML
+     */
+    createSideRows() {
+        let rows = '';
+        for (let i = 0; i < MAX_SLOTS; i++) {
+            const options = SIDE_NAMES.map((name, side) =>
+                `<option value="${side}"${side === i ? ' selected' : ''}>${name}</option>`
+            ).join('');
+            rows += `
+                            <div class="setting-row" id="team-side-row-${i}">
+                                <label for="team-side-${i}" id="team-side-label-${i}">Slot ${i + 1}</label>
+                                <select id="team-side-${i}">${options}</select>
+                            </div>`;
+        }
+        return rows;
+    }
+
     /**
      * Add CSS styles for the lobby
      */
@@ -262,6 +404,10 @@ export class PreGameLobby {
                 padding: 15px;
             }
 
+            .lobby-section-wide {
+                grid-column: 1 / -1;
+            }
+
             .lobby-section h3 {
                 color: #00aaff;
                 margin: 0 0 15px 0;
@@ -342,6 +488,74 @@ export class PreGameLobby {
                 transform: scale(0.98);
             }
 
+            .btn-secondary {
+                display: block;
+                margin: 12px auto 0;
+                background: none;
+                border: 1px solid rgba(0, 170, 255, 0.5);
+                color: #88ccff;
+                padding: 8px 24px;
+                border-radius: 5px;
+                cursor: pointer;
+                letter-spacing: 1px;
+            }
+
+            .btn-secondary:hover {
+                border-color: #00aaff;
+                color: #fff;
+            }
+
+            .btn-small {
+                background: rgba(0, 50, 80, 0.6);
+                border: 1px solid #00aaff;
+                color: #fff;
+                padding: 6px 16px;
+                border-radius: 3px;
+                cursor: pointer;
+            }
+
+            .btn-primary:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .team-presets {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-bottom: 15px;
+            }
+
+            .victory-description {
+                color: #88ccff;
+                font-size: 0.85em;
+                margin: 0;
+            }
+
+            .team-warning {
+                color: #ffaa44;
+                font-size: 0.85em;
+                margin: 8px 0 0 0;
+                min-height: 1em;
+            }
+
+            .net-slots {
+                list-style: none;
+                margin: 10px 0 0 0;
+                padding: 0;
+            }
+
+            .net-slots li {
+                color: #aaccee;
+                font-size: 0.9em;
+                padding: 4px 8px;
+                border-bottom: 1px solid rgba(0, 170, 255, 0.15);
+            }
+
+            .net-slots li.human {
+                color: #fff;
+            }
+
             .lobby-footer {
                 margin-top: 20px;
                 text-align: center;
@@ -385,12 +599,289 @@ export class PreGameLobby {
         startBtn.addEventListener('click', () => {
             this.startGame();
         });
+
+        // Replay file picker
+        const replayBtn = this.container.querySelector('#watch-replay-btn');
+        const replayInput = this.container.querySelector('#replay-file');
+        replayBtn.addEventListener('click', () => {
+            replayInput.click();
+        });
+        replayInput.addEventListener('change', () => {
+            if (replayInput.files.length > 0) {
+                this.startReplay(replayInput.files[0]);
+            }
+            replayInput.value = '';
+        });
+
+        // LAN multiplayer
+        this.container.querySelector('#net-server').value = LockstepSession.getDefaultUrl();
+        this.container.querySelector('#net-join-btn').addEventListener('click', () => {
+            this.toggleLan();
+        });
+        this.container.querySelector('#num-ai').addEventListener('change', () => {
+            this.updatePersonalityRows();
+            this.updateSideRows();
+            this.renderSlots();
+        });
+
+        // Victory
+        this.container.querySelector('#victory-mode').addEventListener('change', () => {
+            this.updateVictoryRows();
+        });
+
+        // Teams
+        this.container.querySelectorAll('.team-preset').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applyTeamPreset(btn.dataset.preset);
+            });
+        });
+        for (let i = 0; i < MAX_SLOTS; i++) {
+            this.container.querySelector(`#team-side-${i}`).addEventListener('change', () => {
+                this.updateSideRows();
+                this.renderSlots();
+            });
+        }
+        for (let i = 1; i <= MAX_AI_SLOTS; i++) {
+            this.container.querySelector(`#ai-personality-${i}`).addEventListener('change', () => {
+                this.renderSlots();
+            });
+        }
+
+        this._unsubs = [
+            eventBus.on(GameEvents.NET_LOBBY_UPDATE, () => {
+                this.updateSideRows();
+                this.renderSlots();
+            }),
+
+            eventBus.on(GameEvents.NET_DISCONNECTED, () => {
+                this.setLanStatus('Disconnected');
+                this.updateSideRows();
+                this.renderSlots();
+            }),
+
+            eventBus.on(GameEvents.NET_MATCH_START, (data) => {
+                this.hide();
+                if (this.onStartCallback) {
+                    this.onStartCallback(data.config, { lockstep: { team: data.team } });
+                }
+            })
+        ];
+
+        this.updatePersonalityRows();
+        this.updateSideRows();
+        this.updateVictoryRows();
+        this.renderSlots();
+    }
+
+    /**
+     * Only show the settings the selected victory mode uses
+     */
+    updateVictoryRows() {
+        const mode = this.container.querySelector('#victory-mode').value;
+        this.container.querySelectorAll('.victory-row').forEach(row => {
+            row.style.display = row.dataset.mode === mode ? '' : 'none';
+        });
+        this.container.querySelector('#victory-description').textContent = VICTORY_MODES[mode].description;
+    }
+
+    /**
+     * Player slots in the match: LAN players (or you) followed by the AIs
+     * @returns {number}
+     */
+    getSlotCount() {
+        const numAI = parseInt(this.container.querySelector('#num-ai').value);
+        const humans = lockstepSession.isConnected() ? lockstepSession.players.length : 1;
+        return Math.min(MAX_SLOTS, humans + numAI);
+    }
+
+    /**
+     * Set the AI count and every slot's side from a preset
+     * @param {string} presetId - TEAM_PRESETS key
+     */
+    applyTeamPreset(presetId) {
+        const preset = TEAM_PRESETS[presetId];
+        if (!preset) return;
+
+        if (preset.numAIPlayers !== null) {
+            this.container.querySelector('#num-ai').value = String(preset.numAIPlayers);
+            this.updatePersonalityRows();
+        }
+        preset.sides.forEach((side, i) => {
+            this.container.querySelector(`#team-side-${i}`).value = String(side);
+        });
+
+        this.updateSideRows();
+        this.renderSlots();
+    }
+
+    /**
+     * Only show side pickers for slots in use, and name who is in each
+     */
+    updateSideRows() {
+        const slots = this.getSlotCount();
+        const humans = lockstepSession.isConnected() ? lockstepSession.players.length : 1;
+        for (let i = 0; i < MAX_SLOTS; i++) {
+            this.container.querySelector(`#team-side-row-${i}`).style.display = i < slots ? '' : 'none';
+            let label = `AI ${i - humans + 1}`;
+            if (i < humans) {
+                label = lockstepSession.isConnected() ? `Player ${i + 1}` : 'You';
+            }
+            this.container.querySelector(`#team-side-label-${i}`).textContent = label;
+        }
+
+        // Everyone on one side leaves nobody to fight
+        const sides = this.readSides();
+        this.container.querySelector('#team-warning').textContent =
+            sides.length > 1 && new Set(sides).size === 1 ? 'Every player is on the same team' : '';
+    }
+
+    /**
+     * @returns {number[]} Selected side per player slot in use
+     */
+    readSides() {
+        const sides = [];
+        for (let i = 0; i < this.getSlotCount(); i++) {
+            sides.push(parseInt(this.container.querySelector(`#team-side-${i}`).value));
+        }
+        return sides;
+    }
+
+    /**
+     * Only show pickers for AI slots in use
+     */
+    updatePersonalityRows() {
+        const numAI = parseInt(this.container.querySelector('#num-ai').value);
+        for (let i = 1; i <= MAX_AI_SLOTS; i++) {
+            this.container.querySelector(`#ai-personality-row-${i}`).style.display = i <= numAI ? '' : 'none';
+        }
+    }
+
+    /**
+     * @returns {string[]} Selected personality per AI slot
+     */
+    readPersonalities() {
+        const numAI = parseInt(this.container.querySelector('#num-ai').value);
+        const personalities = [];
+        for (let i = 1; i <= Math.min(numAI, MAX_AI_SLOTS); i++) {
+            personalities.push(this.container.querySelector(`#ai-personality-${i}`).value);
+        }
+        return personalities;
+    }
+
+    /**
+     * Join or leave the LAN lobby on the relay server
+     */
+    async toggleLan() {
+        if (lockstepSession.isConnected()) {
+            lockstepSession.disconnect();
+            return;
+        }
+
+        const url = this.container.querySelector('#net-server').value.trim();
+        const name = this.container.querySelector('#net-name').value.trim() || 'Commander';
+
+        this.setLanStatus('Connecting...');
+        try {
+            await lockstepSession.connect(url, name);
+            this.setLanStatus('Connected');
+        } catch (error) {
+            this.setLanStatus(error.message);
+        }
+        this.renderSlots();
+    }
+
+    setLanStatus(text) {
+        this.container.querySelector('#net-status').textContent = text;
+    }
+
+    /**
+     * Show human players first, then AI opponents, then open slots
+     */
+    renderSlots() {
+        if (!this.container) return;
+
+        const list = this.container.querySelector('#net-slots');
+        const startBtn = this.container.querySelector('#start-game-btn');
+        const joinBtn = this.container.querySelector('#net-join-btn');
+        const connected = lockstepSession.isConnected();
+
+        joinBtn.textContent = connected ? 'Leave' : 'Join';
+
+        if (!connected) {
+            list.innerHTML = '';
+            startBtn.disabled = false;
+            startBtn.textContent = 'Start Game';
+            return;
+        }
+
+        const players = lockstepSession.players;
+        const numAI = Math.min(
+            parseInt(this.container.querySelector('#num-ai').value),
+            MAX_SLOTS - players.length
+        );
+
+        const personalities = this.readPersonalities();
+        const sides = this.readSides();
+        const slots = [];
+        for (let i = 0; i < MAX_SLOTS; i++) {
+            const player = players[i];
+            const side = sides[i] === undefined ? '' : ` - ${SIDE_NAMES[sides[i]]}`;
+            if (player) {
+                const tags = [
+                    player.id === lockstepSession.hostId ? 'host' : null,
+                    player.id === lockstepSession.playerId ? 'you' : null
+                ].filter(Boolean);
+                slots.push(`<li class="human">Slot ${i + 1}: ${this.escapeHtml(player.name)}${tags.length ? ` (${tags.join(', ')})` : ''}${side}</li>`);
+            } else if (i < players.length + numAI) {
+                const personality = personalities[i - players.length];
+                const label = AI_PERSONALITIES[personality]?.name || 'Random';
+                slots.push(`<li>Slot ${i + 1}: AI (${label})${side}</li>`);
+            } else {
+                slots.push(`<li>Slot ${i + 1}: Open</li>`);
+            }
+        }
+        list.innerHTML = slots.join('');
+
+        const isHost = lockstepSession.isHost();
+        startBtn.disabled = !isHost;
+        startBtn.textContent = isHost ? 'Start LAN Game' : 'Waiting for host...';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Load a replay file and start playback with its recorded settings
+     * @param {File} file
+     */
+    async startReplay(file) {
+        let replay;
+        try {
+            replay = await replaySystem.importReplay(file);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.container.querySelector('#current-seed').textContent = 'Invalid replay file';
+            return;
+        }
+
+        this.hide();
+
+        if (this.onStartCallback) {
+            this.onStartCallback(replay.lobbyConfig, { replay });
+        }
     }
 
     /**
      * Read configuration from UI and start game
      */
     startGame() {
+        // A match with one side would be won before it started
+        const sides = this.readSides();
+        if (sides.length > 1 && new Set(sides).size === 1) return;
+
         // Read all settings from UI
         this.config.mapSize = parseInt(this.container.querySelector('#map-size').value);
         this.config.mapSeed = this.container.querySelector('#map-seed').value || String(Date.now());
@@ -404,8 +895,22 @@ export class PreGameLobby {
         this.config.startingHarvesters = parseInt(this.container.querySelector('#start-harvesters').value);
 
         this.config.aiDifficulty = this.container.querySelector('#ai-difficulty').value;
+        this.config.aiPersonalities = this.readPersonalities();
         this.config.gameSpeed = parseFloat(this.container.querySelector('#game-speed').value);
         this.config.fogOfWar = this.container.querySelector('#fog-of-war').checked;
+        this.config.teamSides = sides;
+
+        this.config.victoryMode = this.container.querySelector('#victory-mode').value;
+        this.config.victoryCredits = parseInt(this.container.querySelector('#victory-credits').value);
+        this.config.victoryCrystalFields = parseInt(this.container.querySelector('#victory-fields').value);
+        this.config.victoryHoldTime = parseInt(this.container.querySelector('#victory-hold').value);
+        this.config.victoryTimeLimit = parseInt(this.container.querySelector('#victory-time').value);
+
+        // LAN: the host starts everyone; the lobby hides once the relay confirms
+        if (lockstepSession.isConnected()) {
+            lockstepSession.requestStart(this.config);
+            return;
+        }
 
         // Emit config ready event
         eventBus.emit(GameEvents.GAME_CONFIG_READY, this.config);
@@ -451,6 +956,9 @@ export class PreGameLobby {
      * Dispose of the lobby
      */
     dispose() {
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
         }
@@ -5,7 +5,7 @@
 
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
-import { TEAMS } from '../core/Config.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
 
 export class RallyPointSection {
     constructor() {
@@ -205,7 +205,7 @@ export class RallyPointSection {
             if (entity.isBuilding &&
                 !entity.dead &&
                 !entity.isConstructing &&
-                entity.team === TEAMS.PLAYER &&
+                entity.team === gameState.playerTeam &&
                 entity.def?.canBuild?.length > 0) {
                 this.selectedBuilding = entity;
                 break;
@@ -276,7 +276,12 @@ export class RallyPointSection {
 
         // Clear rally point on building
         if (this.selectedBuilding.rallyPoint) {
-            this.selectedBuilding.rallyPoint = null;
+            commandSystem.issue({
+                type: PlayerCommand.SET_RALLY_POINT,
+                buildingId: this.selectedBuilding.id,
+                x: null,
+                z: null
+            });
 
             // Clear visual marker if it exists
             if (this.selectedBuilding.rallyMarker) {
@@ -294,7 +299,7 @@ export class RallyPointSection {
         eventBus.emit(GameEvents.UI_ALERT, {
             message: 'Rally point cleared',
             type: 'info',
-            team: TEAMS.PLAYER
+            team: gameState.playerTeam
         });
     }
 
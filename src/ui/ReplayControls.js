@@ -0,0 +1,195 @@
+// ============================================================
+// VOID SUPREMACY 3D - Replay Controls
+// Playback overlay: pause/resume, speed and progress display
+// ============================================================
+
+import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
+import { gameState } from '../core/GameState.js?v=20260119';
+import { simulationClock } from '../core/SimulationClock.js?v=20260119';
+import { replaySystem } from '../persistence/ReplaySystem.js?v=20260119';
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+export class ReplayControls {
+    constructor() {
+        this.container = null;
+        this.speed = 1;
+        this.onSpeedChange = null;
+        this.finished = false;
+    }
+
+    /**
+     * @param {Function} onSpeedChange - Called with the new playback speed multiplier
+     */
+    init(onSpeedChange) {
+        this.onSpeedChange = onSpeedChange;
+        this.createUI();
+        this.setupEventListeners();
+
+        this._unsubs = [
+            eventBus.on(GameEvents.REPLAY_ENDED, (data) => {
+                this.finished = true;
+                gameState.pause();
+                this.setStatus(data.desyncCount > 0
+                    ? `Replay finished (${data.desyncCount} desyncs)`
+                    : 'Replay finished');
+                this.updatePauseButton();
+            }),
+
+            eventBus.on(GameEvents.REPLAY_DESYNC, (data) => {
+                this.setStatus(`Desync detected at ${this.formatTime(data.tick)}`);
+            })
+        ];
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'replayControls';
+        this.container.innerHTML = `
+            <span class="replay-label">REPLAY</span>
+            <button class="replay-btn" id="replayPauseBtn">❚❚</button>
+            <div class="replay-speeds">
+                ${SPEEDS.map(s => `
+                    <button class="replay-btn replay-speed ${s === this.speed ? 'active' : ''}" data-speed="${s}">${s}x</button>
+                `).join('')}
+            </div>
+            <span class="replay-time" id="replayTime">0:00 / 0:00</span>
+            <span class="replay-status" id="replayStatus"></span>
+        `;
+
+        this.injectStyles();
+        document.body.appendChild(this.container);
+    }
+
+    injectStyles() {
+        if (document.getElementById('replay-controls-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'replay-controls-styles';
+        style.textContent = `
+            #replayControls {
+                position: fixed;
+                top: 10px;
+                left: 50%;
+                transform: translateX(-50%);
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 8px 14px;
+                background: rgba(10, 20, 40, 0.9);
+                border: 1px solid rgba(100, 200, 255, 0.4);
+                border-radius: 6px;
+                color: #aac;
+                font-size: 12px;
+                z-index: 1500;
+            }
+
+            .replay-label {
+                color: #64c8ff;
+                font-weight: bold;
+                letter-spacing: 2px;
+            }
+
+            .replay-speeds {
+                display: flex;
+                gap: 4px;
+            }
+
+            .replay-btn {
+                background: rgba(30, 50, 80, 0.6);
+                border: 1px solid rgba(100, 200, 255, 0.2);
+                border-radius: 3px;
+                color: #aac;
+                padding: 4px 8px;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .replay-btn:hover,
+            .replay-btn.active {
+                border-color: #64c8ff;
+                color: #fff;
+            }
+
+            .replay-time {
+                font-family: monospace;
+                color: #8ac4ff;
+            }
+
+            .replay-status {
+                color: #ffaa44;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.container.querySelector('#replayPauseBtn').addEventListener('click', () => {
+            this.togglePause();
+        });
+
+        this.container.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setSpeed(parseFloat(btn.dataset.speed));
+            });
+        });
+    }
+
+    togglePause() {
+        if (this.finished) return;
+
+        if (gameState.paused) {
+            gameState.resume();
+        } else {
+            gameState.pause();
+        }
+        this.updatePauseButton();
+    }
+
+    updatePauseButton() {
+        const btn = this.container?.querySelector('#replayPauseBtn');
+        if (btn) btn.textContent = gameState.paused ? '▶' : '❚❚';
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.container.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+        this.onSpeedChange?.(speed);
+    }
+
+    setStatus(text) {
+        const el = this.container?.querySelector('#replayStatus');
+        if (el) el.textContent = text;
+    }
+
+    formatTime(tick) {
+        const seconds = Math.floor(tick * simulationClock.timestep);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    update() {
+        if (!this.container || !replaySystem.replay) return;
+
+        const el = this.container.querySelector('#replayTime');
+        if (el) {
+            el.textContent = `${this.formatTime(simulationClock.tick)} / ${this.formatTime(replaySystem.replay.ticks)}`;
+        }
+    }
+
+    dispose() {
+        this._unsubs?.forEach(unsub => unsub?.());
+        this._unsubs = null;
+
+        if (this.container && this.container.parentElement) {
+            this.container.parentElement.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+export const replayControls = new ReplayControls();
+
+export default ReplayControls;
@@ -4,9 +4,10 @@
 // Renders into MainPanel's selection section
 // ============================================================
 
-import { CONFIG, BUILDINGS, UNITS, TEAMS } from '../core/Config.js?v=20260119';
+import { CONFIG, BUILDINGS, UNITS, UPGRADES, TEAMS, VETERANCY_RANKS, UNIT_STANCES } from '../core/Config.js?v=20260119';
 import { eventBus, GameEvents } from '../core/EventBus.js?v=20260119';
 import { gameState } from '../core/GameState.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../systems/CommandSystem.js?v=20260119';
 
 export class SelectionPanel {
     constructor() {
@@ -576,10 +577,12 @@ export class SelectionPanel {
         const prodNameEl = document.getElementById('prodName');
 
         if (current && current.type) {
-            const config = UNITS[current.type];
+            // Research labs queue upgrades instead of ships
+            const config = UNITS[current.type] || UPGRADES[current.type];
             if (config) {
                 prodIconEl.textContent = this.getUnitIcon(current.type);
                 prodNameEl.textContent = config.name || this.formatName(current.type);
+                if (building.isProductionOnHold?.()) prodNameEl.textContent += ' (on hold)';
 
                 // buildProgress is stored on the building itself (0-1 range)
                 const progress = (building.buildProgress || 0) * 100;
@@ -594,8 +597,9 @@ export class SelectionPanel {
             prodIconEl.style.cursor = 'pointer';
             prodIconEl.title = 'Click to cancel current production';
             prodIconEl.onclick = () => {
-                eventBus.emit(GameEvents.PRODUCTION_CANCEL, {
-                    building,
+                commandSystem.issue({
+                    type: PlayerCommand.CANCEL_PRODUCTION,
+                    buildingId: building.id,
                     index: 0
                 });
             };
@@ -619,11 +623,12 @@ export class SelectionPanel {
             const item = document.createElement('div');
             item.className = 'queue-item';
             item.textContent = this.getUnitIcon(queueItem.type);
-            item.title = `Click to cancel ${this.formatName(queueItem.type)}`;
+            item.title = `Click to cancel ${UPGRADES[queueItem.type]?.name || this.formatName(queueItem.type)}`;
 
             item.addEventListener('click', () => {
-                eventBus.emit(GameEvents.PRODUCTION_CANCEL, {
-                    building,
+                commandSystem.issue({
+                    type: PlayerCommand.CANCEL_PRODUCTION,
+                    buildingId: building.id,
                     index: i
                 });
             });
@@ -651,6 +656,8 @@ export class SelectionPanel {
             advancedShipyard: '🛸',
             turret: '🔫',
             radar: '📡',
+            pointDefenseTurret: '🛰️',
+            researchLab: '🔬',
             // Units
             harvester: '🚜',
             scout: '👁',
@@ -662,6 +669,8 @@ export class SelectionPanel {
             frigate: '⚓',
             cruiser: '🚢',
             battlecruiser: '⭐',
+            carrier: '🛳',
+            carrierDrone: '🛩',
             dreadnought: '👑',
             // Aliens
             guardian: '👾',
@@ -683,9 +692,11 @@ export class SelectionPanel {
             frigate: '⚓',
             cruiser: '🚢',
             battlecruiser: '⭐',
+            carrier: '🛳',
+            carrierDrone: '🛩',
             dreadnought: '👑'
         };
-        return icons[type] || '❓';
+        return icons[type] || UPGRADES[type]?.icon || '❓';
     }
 
     getEntityDisplayName(entity) {
@@ -717,12 +728,37 @@ export class SelectionPanel {
             </div>
         `);
 
+        // Veterancy rank and progress to the next one
+        if (entity.isUnit && entity.experience !== undefined) {
+            const rank = VETERANCY_RANKS[entity.rank];
+            const next = VETERANCY_RANKS[entity.rank + 1];
+            const toughness = entity.maxHealth + entity.maxShield;
+            const progress = next ? ` ${Math.floor(entity.experience / (next.xp * toughness) * 100)}%` : '';
+            stats.push(`
+                <div class="stat-item" title="${rank.name}">
+                    <span class="stat-icon">🎖</span>
+                    <span class="stat-value">${rank.insignia || rank.name}${progress}</span>
+                </div>
+            `);
+        }
+
+        // Stance
+        if (entity.isUnit && def.damage && UNIT_STANCES[entity.stance]) {
+            stats.push(`
+                <div class="stat-item">
+                    <span class="stat-icon">⚑</span>
+                    <span class="stat-value">${UNIT_STANCES[entity.stance].name}</span>
+                </div>
+            `);
+        }
+
         // Damage
         if (def.damage) {
+            const damage = def.damage * (1 + (entity.getRankBonus?.('damage') || 0));
             stats.push(`
                 <div class="stat-item">
                     <span class="stat-icon">⚔️</span>
-                    <span class="stat-value">${def.damage}</span>
+                    <span class="stat-value">${Math.round(damage)}</span>
                 </div>
             `);
         }
@@ -759,7 +795,7 @@ export class SelectionPanel {
 
         // Cargo (for harvesters)
         if (entity.cargo !== undefined && entity.type === 'harvester') {
-            const capacity = def.cargoCapacity || entity.cargoCapacity || 100;
+            const capacity = Math.floor(entity.getCargoCapacity?.() || def.cargoCapacity || 100);
             stats.push(`
                 <div class="stat-item">
                     <span class="stat-icon">📦</span>
@@ -768,6 +804,16 @@ export class SelectionPanel {
             `);
         }
 
+        // Fighters aboard (for carriers)
+        if (entity.hangar) {
+            stats.push(`
+                <div class="stat-item">
+                    <span class="stat-icon">✈️</span>
+                    <span class="stat-value">${entity.hangar.ready}/${def.hangar.capacity}</span>
+                </div>
+            `);
+        }
+
         // Energy production (for power plants)
         if (entity.type === 'powerPlant') {
             stats.push(`
@@ -778,6 +824,34 @@ export class SelectionPanel {
             `);
         }
 
+        // Energy use (for consumers)
+        if (entity.isBuilding && def.energyDrain > 0 && !def.energyProduction) {
+            stats.push(`
+                <div class="stat-item">
+                    <span class="stat-icon">🔌</span>
+                    <span class="stat-value">${entity.poweredDown ? 'Off' : `-${def.energyDrain}`}</span>
+                </div>
+            `);
+        }
+
+        // Repair and upgrade orders
+        if (entity.repairing) {
+            stats.push(`
+                <div class="stat-item">
+                    <span class="stat-icon">🔧</span>
+                    <span class="stat-value">Repairing</span>
+                </div>
+            `);
+        }
+        if (entity.isUpgrading) {
+            stats.push(`
+                <div class="stat-item">
+                    <span class="stat-icon">⬆️</span>
+                    <span class="stat-value">${Math.floor(entity.upgradeProgress * 100)}%</span>
+                </div>
+            `);
+        }
+
         return stats.join('');
     }
 
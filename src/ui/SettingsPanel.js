@@ -70,6 +70,7 @@ export class SettingsPanel {
                             <div class="control-row"><kbd>Z/X</kbd> Zoom in/out</div>
                             <div class="control-row"><kbd>B</kbd> Build menu</div>
                             <div class="control-row"><kbd>P</kbd> Settings</div>
+                            <div class="control-row"><kbd>L</kbd> Diplomacy</div>
                             <div class="control-row"><kbd>F5</kbd> Quick save</div>
                             <div class="control-row"><kbd>F9</kbd> Quick load</div>
                         </div>
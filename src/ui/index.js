@@ -7,3 +7,6 @@ export { Minimap, minimap } from './Minimap.js?v=20260119';
 export { BuildMenu, buildMenu } from './BuildMenu.js?v=20260119';
 export { SelectionPanel, selectionPanel } from './SelectionPanel.js?v=20260119';
 export { CommandPanel, commandPanel, CommandType } from './CommandPanel.js?v=20260119';
+export { ReplayControls, replayControls } from './ReplayControls.js?v=20260119';
+export { DiplomacyPanel, diplomacyPanel } from './DiplomacyPanel.js?v=20260119';
+export { PostMatchStats, postMatchStats } from './PostMatchStats.js?v=20260119';
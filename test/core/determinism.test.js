@@ -0,0 +1,39 @@
+// ============================================================
+// VOID SUPREMACY 3D - Determinism Tests
+// The same seed plays out the same match, tick for tick
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { startMatch, runFor, TICK_RATE } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Long enough for scouting, expansion and the first fights
+const MATCH_SECONDS = 300;
+
+// Checksums are compared this often (ticks)
+const SAMPLE_TICKS = 10 * TICK_RATE;
+
+// State hashes of an all-AI match, sampled through its course
+function playChecksums(seed) {
+    const match = startMatch(seed, { humanTeams: null, config: { numAIPlayers: 3 } });
+    const checksums = [];
+    runFor(match, MATCH_SECONDS, () => {
+        if (match.tick % SAMPLE_TICKS === 0) checksums.push(simulation.getChecksum());
+    });
+    match.finish();
+    return checksums;
+}
+
+test('the same seed gives the same checksum at every sample', () => {
+    const first = playChecksums('determinism');
+    const second = playChecksums('determinism');
+
+    assert.ok(first.length > 0);
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(playChecksums('determinism-2'), first);
+});
@@ -0,0 +1,33 @@
+// ============================================================
+// VOID SUPREMACY 3D - Simulation Tests
+// Rules every lockstep peer applies the same way, whichever team
+// it plays
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BUILDINGS } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { startMatch } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+test('placement and credits are checked for every human team, not only the local one', () => {
+    const match = startMatch('simulation', { humanTeam: 0, humanTeams: [0, 1] });
+    const cc = gameState.getBuildingsByTeam(1).find(b => b.type === 'commandCenter');
+    const { x, z } = cc.mesh.position;
+    const res = gameState.getResources(1);
+
+    res.credits = BUILDINGS.powerPlant.cost - 1;
+    assert.equal(simulation.createBuilding(x + 30, z, 1, 'powerPlant'), null);
+    assert.equal(res.credits, BUILDINGS.powerPlant.cost - 1);
+
+    res.credits = BUILDINGS.powerPlant.cost;
+    assert.equal(simulation.createBuilding(x + 1000, z, 1, 'powerPlant'), null);
+    assert.ok(simulation.createBuilding(x + 30, z, 1, 'powerPlant'));
+    assert.equal(res.credits, 0);
+    match.finish();
+});
@@ -0,0 +1,81 @@
+// ============================================================
+// VOID SUPREMACY 3D - Team Preset Tests
+// Lobby sides become starting alliances and base placement
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TEAMS, TEAM_PRESETS } from '../../src/core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { startMatch, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+function startPreset(presetId) {
+    const { numAIPlayers, sides } = TEAM_PRESETS[presetId];
+    return startMatch('team-presets', {
+        humanTeams: null,
+        config: { numAIPlayers: numAIPlayers ?? sides.length - 1, teamSides: sides }
+    });
+}
+
+function basePosition(team) {
+    return gameState.getBuildingsByTeam(team).find(b => b.type === 'commandCenter').mesh.position;
+}
+
+for (const [presetId, { sides }] of Object.entries(TEAM_PRESETS)) {
+    test(`${presetId}: slots on the same side start allied, everyone else at war`, () => {
+        const match = startPreset(presetId);
+
+        for (let t = 0; t < sides.length; t++) {
+            for (let t2 = 0; t2 < sides.length; t2++) {
+                if (t === t2) continue;
+                const allied = sides[t] === sides[t2];
+                assert.equal(gameState.isAllied(t, t2), allied, `${t} and ${t2}`);
+                assert.equal(gameState.isHostile(t, t2), !allied, `${t} and ${t2}`);
+            }
+        }
+        match.finish();
+    });
+}
+
+test('allies start closer to each other than to any enemy', () => {
+    for (const presetId of ['twoVsTwo', 'coop', 'oneVsThree']) {
+        const { sides } = TEAM_PRESETS[presetId];
+        const match = startPreset(presetId);
+
+        for (let t = 0; t < sides.length; t++) {
+            const pos = basePosition(t);
+            const dist = t2 => Math.hypot(pos.x - basePosition(t2).x, pos.z - basePosition(t2).z);
+            const others = sides.map((_, t2) => t2).filter(t2 => t2 !== t);
+            const allies = others.filter(t2 => sides[t2] === sides[t]);
+            const enemies = others.filter(t2 => sides[t2] !== sides[t]);
+
+            for (const ally of allies) {
+                assert.ok(enemies.every(enemy => dist(ally) < dist(enemy)), `${presetId}: team ${t}`);
+            }
+        }
+        match.finish();
+    }
+});
+
+test('2v2: AI teammates never shoot each other', () => {
+    const match = startPreset('twoVsTwo');
+    let friendlyFire = 0;
+    let enemyFire = 0;
+    const unsub = eventBus.on(GameEvents.ENTITY_DAMAGED, ({ entity, attacker }) => {
+        if (!attacker || attacker.team === entity.team) return;
+        if (gameState.isAllied(entity.team, attacker.team)) friendlyFire++;
+        else if (attacker.team < TEAMS.NEUTRAL && entity.team < TEAMS.NEUTRAL) enemyFire++;
+    });
+
+    runFor(match, 60 * 6);
+    unsub();
+
+    assert.ok(enemyFire > 0, 'the sides never fought');
+    assert.equal(friendlyFire, 0);
+    match.finish();
+});
@@ -0,0 +1,129 @@
+// ============================================================
+// VOID SUPREMACY 3D - Building Maintenance Tests
+// Repair, sell-back and in-place upgrades, for players through
+// commands and for the AI on its own
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BUILDINGS } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../../src/systems/CommandSystem.js?v=20260119';
+import { aiSystem } from '../../src/systems/AISystem.js?v=20260119';
+import { startMatch, build, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+test('repairs restore hull for credits and stop when done or broke', () => {
+    const match = startMatch('maintenance');
+    const refinery = build(0, 'refinery');
+    const res = gameState.getResources(0);
+    assert.equal(refinery.setRepairing(true), false, 'nothing to repair');
+
+    refinery.health = refinery.maxHealth / 2;
+    res.credits = 10000;
+    commandSystem.issue({ type: PlayerCommand.REPAIR_BUILDING, team: 0, buildingId: refinery.id, repairing: true });
+    assert.equal(refinery.repairing, true);
+
+    runFor(match, 5);
+    assert.ok(refinery.health > refinery.maxHealth / 2);
+    assert.ok(refinery.health < refinery.maxHealth);
+    assert.ok(Math.abs(res.credits - (10000 - (refinery.health - refinery.maxHealth / 2) * 0.5)) < 1e-6);
+
+    runFor(match, 15);
+    assert.equal(refinery.health, refinery.maxHealth);
+    assert.equal(refinery.repairing, false);
+
+    // Out of credits the order lapses with the hull half patched
+    refinery.health = refinery.maxHealth / 2;
+    res.credits = 20;
+    refinery.setRepairing(true);
+    runFor(match, 5);
+    assert.equal(refinery.repairing, false);
+    assert.ok(res.credits < 1e-6);
+    assert.ok(Math.abs(refinery.health - (refinery.maxHealth / 2 + 40)) < 1e-6);
+    match.finish();
+});
+
+test('selling refunds the queue and a share of the cost scaled by health', () => {
+    const match = startMatch('maintenance');
+    build(0, 'powerPlant', { dx: -40 });
+    const yard = build(0, 'shipyard');
+    match.step();
+    const res = gameState.getResources(0);
+    res.credits = 5000;
+
+    assert.equal(yard.queueUnit('striker'), true);
+    yard.health = yard.maxHealth / 2;
+    const value = Math.floor(BUILDINGS.shipyard.cost * 0.5 / 2);
+    assert.equal(yard.getSellValue(), value);
+
+    commandSystem.issue({ type: PlayerCommand.SELL_BUILDING, team: 0, buildingId: yard.id });
+    assert.equal(yard.dead, true);
+    assert.equal(res.credits, 5000 + value);
+    match.step();
+    assert.ok(!gameState.getBuildingsByTeam(0).includes(yard));
+    assert.equal(gameState.stats[0].buildingsLost, 0);
+
+    const cc = gameState.getBuildingsByTeam(0).find(b => b.type === 'commandCenter');
+    assert.equal(cc.sell(), false);
+    match.finish();
+});
+
+test('upgrades take credits and time, then raise stats and resale value', () => {
+    const match = startMatch('maintenance');
+    const turret = build(0, 'turret');
+    const { upgrade } = BUILDINGS.turret;
+    const res = gameState.getResources(0);
+
+    res.credits = upgrade.cost - 1;
+    assert.equal(turret.startUpgrade(), false);
+    res.credits = 1000;
+    commandSystem.issue({ type: PlayerCommand.UPGRADE_BUILDING, team: 0, buildingId: turret.id });
+    assert.equal(turret.isUpgrading, true);
+    assert.equal(res.credits, 1000 - upgrade.cost);
+    assert.equal(turret.canUpgrade(), false);
+
+    runFor(match, upgrade.time - 1);
+    assert.equal(turret.tier, 1);
+    runFor(match, 2);
+    assert.equal(turret.tier, 2);
+    assert.equal(turret.def.name, upgrade.name);
+    assert.equal(turret.def.damage, upgrade.stats.damage);
+    assert.equal(turret.maxHealth, upgrade.stats.maxHealth);
+    assert.equal(turret.health, turret.maxHealth);
+    assert.equal(turret.getUpgrade(), null);
+    assert.equal(turret.getSellValue(), Math.floor((BUILDINGS.turret.cost + upgrade.cost) * 0.5));
+    match.finish();
+});
+
+test('the AI sells failing support structures under fire but never its defenses', () => {
+    const match = startMatch('maintenance');
+    const ai = aiSystem.aiPlayers[0];
+    const res = gameState.getResources(ai.team);
+    const structures = {};
+    for (const [i, type] of ['forceFieldGenerator', 'turret', 'refinery', 'supplyDepot'].entries()) {
+        structures[type] = build(ai.team, type, { dx: (i - 2) * 20 });
+        structures[type].health = structures[type].maxHealth * 0.05;
+    }
+    const { x, z } = structures.turret.mesh.position;
+    ai.visibleEnemies = [simulation.createUnit(x + 40, z, 0, 'striker')];
+    res.credits = 5000;
+
+    ai.maintainStructures(res, gameState.getBuildingsByTeam(ai.team));
+    assert.equal(structures.refinery.dead, true);
+    assert.equal(structures.supplyDepot.dead, true);
+    assert.equal(structures.turret.dead, false);
+    assert.equal(structures.forceFieldGenerator.dead, false);
+    assert.equal(structures.turret.repairing, false);
+
+    // Once the threat is gone the defenses are patched up
+    ai.visibleEnemies = [];
+    ai.maintainStructures(res, gameState.getBuildingsByTeam(ai.team));
+    assert.equal(structures.turret.repairing, true);
+    assert.equal(structures.forceFieldGenerator.repairing, true);
+    match.finish();
+});
@@ -0,0 +1,114 @@
+// ============================================================
+// VOID SUPREMACY 3D - Carrier Hangar Tests
+// Carriers launch their fighters, recover and re-arm them, and
+// rebuild the ones they lose
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UNITS } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { startMatch, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+const { hangar } = UNITS.carrier;
+
+// A carrier with an enemy structure inside its launch range
+function startEngagement(stance = 'defensive') {
+    const carrier = simulation.createUnit(0, 0, 0, 'carrier');
+    carrier.setStance(stance);
+    const depot = simulation.createBuilding(100, 0, 1, 'supplyDepot');
+    depot.isConstructing = false;
+    depot.health = depot.maxHealth;
+    return { carrier, depot };
+}
+
+// Step until every fighter is back aboard
+function runUntilRecovered(match, carrier) {
+    for (let i = 0; i < 20 * 60 && carrier.fighters.length > 0; i++) match.step();
+    assert.equal(carrier.fighters.length, 0, 'fighters never came home');
+}
+
+test('fighters launch at enemies, come home when done and re-arm aboard', () => {
+    const match = startMatch('carrier');
+    const { carrier, depot } = startEngagement();
+    assert.equal(carrier.hangar.ready, hangar.capacity);
+
+    match.step();
+    assert.equal(carrier.hangar.ready, 0);
+    assert.equal(carrier.fighters.length, hangar.capacity);
+    for (const fighter of carrier.fighters) {
+        assert.equal(fighter.type, hangar.fighter);
+        assert.equal(fighter.carrier, carrier);
+        assert.equal(fighter.attackTarget, depot);
+    }
+
+    runUntilRecovered(match, carrier);
+    assert.equal(depot.dead, true);
+    assert.equal(carrier.hangar.rearming.length, hangar.capacity);
+    assert.equal(gameState.stats[0].unitsLost, 0);
+    assert.equal(gameState.getUnitsByTeam(0).filter(u => u.type === hangar.fighter).length, 0);
+
+    runFor(match, hangar.rearmTime + 1);
+    assert.equal(carrier.hangar.ready, hangar.capacity);
+    assert.equal(carrier.hangar.rearming.length, 0);
+    match.finish();
+});
+
+test('a carrier on hold fire keeps its fighters aboard until ordered to attack', () => {
+    const match = startMatch('carrier');
+    const { carrier, depot } = startEngagement('holdFire');
+
+    runFor(match, 2);
+    assert.equal(carrier.fighters.length, 0);
+    assert.equal(carrier.hangar.ready, hangar.capacity);
+
+    carrier.attack(depot);
+    match.step();
+    assert.equal(carrier.fighters.length, hangar.capacity);
+    assert.ok(carrier.fighters.every(f => f.attackTarget === depot));
+    match.finish();
+});
+
+test('lost fighters are rebuilt one at a time for credits', () => {
+    const match = startMatch('carrier');
+    const { carrier } = startEngagement();
+    const res = gameState.getResources(0);
+    const fighterDef = UNITS[hangar.fighter];
+
+    match.step();
+    for (const fighter of carrier.fighters.slice(0, 2)) {
+        fighter.takeDamage(fighter.health + fighter.shield, { team: 1 });
+    }
+    res.credits = fighterDef.cost;
+    runUntilRecovered(match, carrier);
+
+    // One replacement paid up front; the second waits for credits
+    assert.equal(carrier.hangar.rebuilding, true);
+    assert.equal(res.credits, 0);
+    runFor(match, fighterDef.buildTime + 1);
+    assert.equal(carrier.hangar.ready, hangar.capacity - 1);
+    assert.equal(carrier.hangar.rebuilding, false);
+
+    res.credits = fighterDef.cost;
+    runFor(match, fighterDef.buildTime + 1);
+    assert.equal(carrier.hangar.ready, hangar.capacity);
+    assert.equal(res.credits, 0);
+    match.finish();
+});
+
+test('fighters in the air are lost with their carrier', () => {
+    const match = startMatch('carrier');
+    const { carrier } = startEngagement();
+    match.step();
+    const fighters = [...carrier.fighters];
+
+    carrier.takeDamage(carrier.health + carrier.shield, { team: 1 });
+    assert.ok(fighters.every(f => f.dead));
+    assert.equal(gameState.stats[0].unitsLost, 1 + fighters.length);
+    match.finish();
+});
@@ -0,0 +1,132 @@
+// ============================================================
+// VOID SUPREMACY 3D - Unit Stance Tests
+// What ships pick fights with, answer, and how far they chase
+// without orders
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UNIT_STANCES } from '../../src/core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { startMatch, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// One ship per stance, in this order
+const STANCES = Object.keys(UNIT_STANCES);
+
+// A striker per stance, spaced along z from the origin
+function createSquad(x = 0, z = 0) {
+    return Object.fromEntries(STANCES.map((stance, i) => {
+        const ship = simulation.createUnit(x, z + i * 30, 0, 'striker');
+        ship.setStance(stance);
+        return [stance, ship];
+    }));
+}
+
+// An enemy ship that never shoots back
+function createEnemy(x, z) {
+    const enemy = simulation.createUnit(x, z, 1, 'striker');
+    enemy.setStance('holdFire');
+    return enemy;
+}
+
+test('only aggressive and defensive ships pick their own fights', () => {
+    const match = startMatch('stances');
+    const squad = createSquad();
+    const enemies = STANCES.map((_, i) => createEnemy(40, i * 30));
+    const fired = new Set();
+    const unsub = eventBus.on(GameEvents.COMBAT_PROJECTILE_FIRED, ({ shooter }) => fired.add(shooter));
+
+    runFor(match, 2);
+    unsub();
+    for (const [i, stance] of STANCES.entries()) {
+        const acquire = UNIT_STANCES[stance].acquire;
+        assert.equal(squad[stance].attackTarget === enemies[i], acquire, stance);
+        assert.equal(fired.has(squad[stance]), acquire, stance);
+    }
+    match.finish();
+});
+
+test('ships that retaliate answer whoever hits them; hold fire never shoots', () => {
+    const match = startMatch('stances');
+    const squad = createSquad();
+
+    // Out of acquisition range but inside the leash, so only the hit draws a response
+    const enemies = STANCES.map((_, i) => createEnemy(75, i * 30));
+    const fired = new Set();
+    const unsub = eventBus.on(GameEvents.COMBAT_PROJECTILE_FIRED, ({ shooter }) => fired.add(shooter));
+
+    match.step();
+    for (const [i, stance] of STANCES.entries()) squad[stance].takeDamage(1, { team: 1, shooter: enemies[i] });
+    runFor(match, 3);
+    unsub();
+    for (const [i, stance] of STANCES.entries()) {
+        const retaliate = UNIT_STANCES[stance].retaliate;
+        assert.equal(squad[stance].attackTarget === enemies[i], retaliate, stance);
+        assert.equal(fired.has(squad[stance]), retaliate, stance);
+    }
+    match.finish();
+});
+
+test('defensive ships give up a chase at the leash and return; aggressive ones do not', () => {
+    const match = startMatch('stances');
+    const squad = createSquad();
+    const { aggressive, defensive } = squad;
+    const runners = [createEnemy(40, 0), createEnemy(40, 30)];
+
+    // Each enemy keeps running just out of its pursuer's range
+    runFor(match, 10, () => {
+        for (const [i, ship] of [aggressive, defensive].entries()) {
+            runners[i].mesh.position.x = ship.mesh.position.x + ship.def.range + 10;
+            runners[i].mesh.position.z = ship.mesh.position.z;
+        }
+    });
+    assert.equal(aggressive.attackTarget, runners[0]);
+    assert.ok(aggressive.mesh.position.x > 100);
+    assert.equal(defensive.attackTarget, null);
+    assert.ok(defensive.mesh.position.x <= UNIT_STANCES.defensive.leash + defensive.def.speed);
+
+    // Broke off, it heads back to where it was told to be
+    for (const runner of runners) runner.mesh.position.x = 1000;
+    runFor(match, 10);
+    assert.ok(Math.hypot(defensive.mesh.position.x, defensive.mesh.position.z - 30) < 5);
+    match.finish();
+});
+
+test('a direct attack order is obeyed under any stance, without a leash', () => {
+    const match = startMatch('stances');
+    const { holdFire } = createSquad();
+    const enemy = createEnemy(150, 90);
+
+    holdFire.attack(enemy);
+    runFor(match, 3);
+    assert.equal(holdFire.attackTarget, enemy);
+    assert.equal(holdFire.leashAnchor, null);
+    assert.ok(holdFire.mesh.position.x > UNIT_STANCES.holdFire.leash);
+
+    for (let i = 0; i < 20 * 30 && !enemy.dead; i++) match.step();
+    assert.equal(enemy.dead, true);
+    match.finish();
+});
+
+test('defenders of a struck structure respond as their stance allows', () => {
+    const match = startMatch('stances');
+    const cc = gameState.getBuildingsByTeam(0).find(b => b.type === 'commandCenter');
+    const { x, z } = cc.mesh.position;
+    const squad = createSquad(x - 20, z - 45);
+    const enemy = createEnemy(x + 60, z);
+
+    match.step();
+    cc.takeDamage(1, { team: 1, shooter: enemy });
+    for (const stance of STANCES) {
+        const { acquire, leash } = UNIT_STANCES[stance];
+        assert.equal(squad[stance].attackTarget === enemy, acquire, stance);
+        assert.equal(squad[stance].leashAnchor !== null, acquire && leash !== null, stance);
+    }
+    match.finish();
+});
@@ -0,0 +1,102 @@
+// ============================================================
+// VOID SUPREMACY 3D - Veterancy Tests
+// Ships earn experience for damage and kills, rank up relative
+// to their own toughness and fight better for it
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UNITS, VETERANCY_RANKS, getArmorMultiplier } from '../../src/core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { combatSystem } from '../../src/systems/CombatSystem.js?v=20260119';
+import { startMatch, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+function createDepot(x) {
+    const depot = simulation.createBuilding(x, 0, 1, 'supplyDepot');
+    depot.isConstructing = false;
+    depot.health = depot.maxHealth;
+    return depot;
+}
+
+test('ships rank up at multiples of their own hull and shields', () => {
+    const match = startMatch('veterancy');
+    const striker = simulation.createUnit(0, 0, 0, 'striker');
+    const cruiser = simulation.createUnit(20, 0, 0, 'cruiser');
+    const promotions = [];
+    const unsub = eventBus.on(GameEvents.UNIT_PROMOTED, ({ unit, rank }) => promotions.push([unit.type, rank]));
+    const toughness = unit => unit.maxHealth + unit.maxShield;
+
+    striker.gainExperience(VETERANCY_RANKS[1].xp * toughness(striker) - 1);
+    assert.equal(striker.rank, 0);
+    striker.gainExperience(1);
+    assert.equal(striker.rank, 1);
+
+    // The same experience barely dents a capital ship
+    cruiser.gainExperience(VETERANCY_RANKS[1].xp * toughness(striker));
+    assert.equal(cruiser.rank, 0);
+
+    // A big jump is one promotion straight to the rank it reaches, capped at the last
+    striker.gainExperience(100 * toughness(striker));
+    assert.equal(striker.rank, VETERANCY_RANKS.length - 1);
+    unsub();
+    assert.deepEqual(promotions, [['striker', 1], ['striker', 3]]);
+    match.finish();
+});
+
+test('experience is the damage dealt after armor plus a share of each kill', () => {
+    const match = startMatch('veterancy');
+    const striker = simulation.createUnit(0, 0, 0, 'striker');
+    const depot = createDepot(30);
+    const ranks = [];
+    const unsub = eventBus.on(GameEvents.UNIT_PROMOTED, ({ unit, rank }) => {
+        if (unit === striker) ranks.push(rank);
+    });
+
+    combatSystem.applyDamage(depot, 100, 'plasma', 0, striker);
+    assert.equal(striker.experience, 100 * getArmorMultiplier('plasma', 'structure'));
+
+    // Overkill earns nothing; the kill earns half the victim's hull
+    striker.attack(depot);
+    for (let i = 0; i < 20 * 60 && !depot.dead; i++) match.step();
+    unsub();
+    assert.equal(depot.dead, true);
+    assert.ok(Math.abs(striker.experience - depot.maxHealth * 1.5) < 1e-6);
+    assert.deepEqual(ranks, [1, 2]);
+    match.finish();
+});
+
+test('ranks raise damage, fire rate and shield regeneration', () => {
+    const match = startMatch('veterancy');
+    const recruit = simulation.createUnit(0, 0, 0, 'striker');
+    const elite = simulation.createUnit(0, 20, 0, 'striker');
+    elite.gainExperience(VETERANCY_RANKS[2].xp * (elite.maxHealth + elite.maxShield));
+    const { damage, fireRate, shieldRegen } = VETERANCY_RANKS[2];
+
+    assert.equal(recruit.getFireRate(), UNITS.striker.fireRate);
+    assert.equal(elite.getFireRate(), UNITS.striker.fireRate / (1 + fireRate));
+
+    const target = createDepot(60);
+    for (const shooter of [recruit, elite]) {
+        eventBus.emit(GameEvents.COMBAT_PROJECTILE_FIRED, {
+            shooter,
+            target,
+            startPos: shooter.mesh.position.clone(),
+            damage: UNITS.striker.damage
+        });
+    }
+    const [fromRecruit, fromElite] = combatSystem.projectiles.slice(-2);
+    assert.equal(fromRecruit.damage, UNITS.striker.damage);
+    assert.equal(fromElite.damage, UNITS.striker.damage * (1 + damage));
+
+    // Both ships recharge from empty for one second
+    recruit.shield = 0;
+    elite.shield = 0;
+    runFor(match, 1);
+    assert.ok(Math.abs(elite.shield - recruit.shield * (1 + shieldRegen)) < 1e-6);
+    match.finish();
+});
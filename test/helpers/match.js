@@ -0,0 +1,74 @@
+// ============================================================
+// VOID SUPREMACY 3D - Test Match Helpers
+// Headless matches, finished structures and stepping shared by
+// the behavior tests
+// Run: npm test
+// ============================================================
+
+import { HeadlessMatch } from '../../src/headless/HeadlessMatch.js?v=20260119';
+import { BUILDINGS } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+
+// Simulation ticks per game second in every test match
+export const TICK_RATE = 20;
+
+/**
+ * Set up a headless match against one AI. Team 0 is left alone by the AI
+ * unless the options say otherwise.
+ * @param {string} seed - Match seed
+ * @param {Object} options - HeadlessMatch options; config is merged over the defaults
+ * @returns {HeadlessMatch}
+ */
+export function startMatch(seed, { config, ...options } = {}) {
+    const match = new HeadlessMatch({
+        seed,
+        tickRate: TICK_RATE,
+        humanTeams: [0],
+        ...options,
+        config: { numAIPlayers: 1, ...config }
+    });
+    match.setup();
+    return match;
+}
+
+/**
+ * Place a structure at an offset from the team's command center. It is
+ * paid for here, so the team's credits are left as the test set them.
+ * @param {number} team - Owning team
+ * @param {string} type - Building type
+ * @param {Object} options
+ * @param {number} options.dx - Offset east of the command center
+ * @param {number} options.dz - Offset north of the command center
+ * @param {boolean} options.finished - Skip construction
+ * @returns {Building|null} - null if the team may not build it there
+ */
+export function build(team, type, { dx = 0, dz = 30, finished = true } = {}) {
+    const cc = gameState.getBuildingsByTeam(team).find(b => b.type === 'commandCenter');
+    const res = gameState.getResources(team);
+    const credits = res.credits;
+
+    res.credits += BUILDINGS[type].cost;
+    const building = simulation.createBuilding(cc.mesh.position.x + dx, cc.mesh.position.z + dz, team, type);
+    res.credits = credits;
+
+    if (building && finished) {
+        building.isConstructing = false;
+        building.constructionProgress = 1;
+        building.health = building.maxHealth;
+    }
+    return building;
+}
+
+/**
+ * Step the match for a number of game seconds, or until it ends
+ * @param {HeadlessMatch} match
+ * @param {number} seconds
+ * @param {Function} each - Called after every tick
+ */
+export function runFor(match, seconds, each = () => {}) {
+    for (let i = 0; i < seconds * TICK_RATE && match.isRunning(); i++) {
+        match.step();
+        each();
+    }
+}
@@ -0,0 +1,101 @@
+// ============================================================
+// VOID SUPREMACY 3D - LAN Match Tests
+// Two headless clients play a match through a real server.js
+// relay and finish in sync
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+import { FIXED_TIMESTEP } from '../../src/core/SimulationClock.js?v=20260119';
+
+// Repository root, where server.js and src/ live
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+// Game time each client plays before its match times out (seconds)
+const MATCH_SECONDS = 120;
+
+// Give up on a process after this long (ms)
+const PROCESS_TIMEOUT = 60000;
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start a node process from the repository root, collecting its output
+ * @returns {{child: ChildProcess, output: () => string, exited: Promise<number>}}
+ */
+function run(args, env = {}) {
+    const child = spawn(process.execPath, args, { cwd: ROOT, env: { ...process.env, ...env } });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const exited = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`${args.join(' ')} did not finish:\n${output}`));
+        }, PROCESS_TIMEOUT);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            resolve(code);
+        });
+    });
+    return { child, output: () => output, exited };
+}
+
+// Resolves once the process has printed the text
+function waitFor(proc, text) {
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (proc.output().includes(text)) {
+                proc.child.stdout.off('data', check);
+                resolve();
+            }
+        };
+        proc.child.stdout.on('data', check);
+        proc.exited.then(() => reject(new Error(`exited before printing "${text}":\n${proc.output()}`)), reject);
+        check();
+    });
+}
+
+test('two LAN clients play a relayed match to the end with matching checksums', async (t) => {
+    const port = await findFreePort();
+    const server = run(['server.js'], { PORT: String(port) });
+    t.after(() => server.child.kill());
+    await waitFor(server, 'Server running');
+
+    const url = `--url=ws://localhost:${port}/lockstep`;
+    const common = [url, '--seed=lan-test', `--max-time=${MATCH_SECONDS}`];
+    const host = run(['src/headless/lan.js', '--name=host', '--host', '--players=2', ...common]);
+    await waitFor(host, 'Joined lobby');
+    const guest = run(['src/headless/lan.js', '--name=guest', ...common]);
+
+    const codes = await Promise.all([host.exited, guest.exited]);
+    const outputs = [host.output(), guest.output()];
+    assert.deepEqual(codes, [0, 0], outputs.join('\n'));
+
+    const checksums = outputs.map(output => output.match(/Checksum (-?\d+), desyncs (\d+)/));
+    assert.ok(checksums.every(Boolean), outputs.join('\n'));
+    assert.equal(checksums[0][1], checksums[1][1]);
+    assert.deepEqual(checksums.map(c => c[2]), ['0', '0']);
+
+    // Both played the whole match through the relay
+    for (const output of outputs) {
+        assert.match(output, new RegExp(`Finished at tick ${Math.round(MATCH_SECONDS / FIXED_TIMESTEP)}\\b`));
+        assert.doesNotMatch(output, /Host left/);
+    }
+    await waitFor(server, 'Lockstep match ended');
+});
@@ -0,0 +1,86 @@
+// ============================================================
+// VOID SUPREMACY 3D - Lockstep Session Tests
+// Turn batches run on the same tick everywhere, including the
+// last ones the relay sent before it stopped
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../../src/systems/CommandSystem.js?v=20260119';
+import { LockstepSession, TURN_TICKS } from '../../src/network/LockstepSession.js?v=20260119';
+import { startMatch } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// A session for team 0 whose relay messages are collected instead of sent
+function joinMatch() {
+    const session = new LockstepSession();
+    const sent = [];
+    session.socket = { readyState: 1, send: data => sent.push(JSON.parse(data)), close() {} };
+    session.playerId = 1;
+    session.team = 0;
+    session.startMatch();
+    return { session, sent };
+}
+
+// Step like a lockstep client: only while the session lets us
+function stepTurns(match, turns) {
+    for (let i = 0; i < turns * TURN_TICKS; i++) {
+        if (simulation.stepGate && !simulation.stepGate()) return;
+        match.step();
+    }
+}
+
+test('when the host quits, turns already relayed still run before going offline', () => {
+    const match = startMatch('lockstep', { humanTeam: 0, humanTeams: [0, 1] });
+    const { session, sent } = joinMatch();
+    const unit = gameState.getUnitsByTeam(1)[0];
+    const moveTo = x => ({ type: PlayerCommand.MOVE, team: 1, unitIds: [unit.id], x, z: 0 });
+    let ended = 0;
+    const unsub = eventBus.on(GameEvents.NET_MATCH_END, () => ended++);
+
+    session.handleMessage({ type: 'turn', turn: 2, commands: [moveTo(100)], checksums: [] });
+    session.handleMessage({ type: 'turn', turn: 3, commands: [moveTo(200)], checksums: [] });
+    session.handleMessage({ type: 'ended' });
+    assert.equal(session.active, true);
+    assert.equal(ended, 0);
+
+    stepTurns(match, 3);
+    assert.equal(session.active, true);
+    assert.equal(unit.targetX, 100);
+
+    // The last relayed turn runs, then local commands execute straight away
+    const turnsSent = sent.filter(m => m.type === 'turn').length;
+    stepTurns(match, 2);
+    unsub();
+    assert.equal(unit.targetX, 200);
+    assert.equal(session.active, false);
+    assert.equal(ended, 1);
+    assert.equal(simulation.stepGate, null);
+    assert.equal(sent.filter(m => m.type === 'turn').length, turnsSent);
+
+    commandSystem.issue({ ...moveTo(300), team: 0, unitIds: [gameState.getUnitsByTeam(0)[0].id] });
+    assert.equal(gameState.getUnitsByTeam(0)[0].targetX, 300);
+    session.dispose();
+    match.finish();
+});
+
+test('a finished game tells the relay so, a quit does not', () => {
+    const match = startMatch('lockstep', { humanTeam: 0, humanTeams: [0, 1] });
+    const first = joinMatch();
+    gameState.end(1);
+    assert.deepEqual(first.sent.pop(), { type: 'leave', finished: true });
+    first.session.dispose();
+    match.finish();
+
+    const rematch = startMatch('lockstep', { humanTeam: 0, humanTeams: [0, 1] });
+    const second = joinMatch();
+    second.session.dispose();
+    assert.deepEqual(second.sent.pop(), { type: 'leave', finished: false });
+    rematch.finish();
+});
@@ -0,0 +1,98 @@
+// ============================================================
+// VOID SUPREMACY 3D - Save File Format Tests
+// Compression round trips and rejection of damaged saves
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadlessMatch } from '../../src/headless/HeadlessMatch.js?v=20260119';
+import { saveSystem } from '../../src/persistence/SaveSystem.js?v=20260119';
+import {
+    LoadErrorReason, SaveEncoding, compressText, decompressText, checksumText
+} from '../../src/persistence/SaveFormat.js?v=20260119';
+import { SAVE_VERSION } from '../../src/persistence/SaveMigrations.js?v=20260119';
+
+console.log = () => {};
+
+const rejectsWith = (promise, reason) =>
+    assert.rejects(promise, error => error.reason === reason);
+
+async function createSave() {
+    const match = new HeadlessMatch({ seed: 'save-format', tickRate: 20 });
+    match.setup();
+    for (let i = 0; i < 200; i++) match.step();
+    const saveData = await saveSystem.createSaveData('test');
+    match.finish();
+    return JSON.parse(JSON.stringify(saveData));
+}
+
+test('deflate round trip', async () => {
+    const text = JSON.stringify({ name: 'Zeta Ω', values: Array.from({ length: 500 }, (_, i) => i % 7) });
+    const { encoding, data } = await compressText(text);
+
+    assert.equal(encoding, SaveEncoding.DEFLATE);
+    assert.ok(data.length < text.length);
+    assert.equal(await decompressText(encoding, data), text);
+});
+
+test('LZW fallback round trip', async () => {
+    const original = globalThis.CompressionStream;
+    globalThis.CompressionStream = undefined;
+    try {
+        for (const text of ['', 'a', 'aaaaaaaaaaaaaaa', 'abababababab', 'Zeta Ω ✓', JSON.stringify(await createSave())]) {
+            const { encoding, data } = await compressText(text);
+            assert.equal(encoding, SaveEncoding.LZW);
+            assert.equal(await decompressText(encoding, data), text);
+        }
+    } finally {
+        globalThis.CompressionStream = original;
+    }
+});
+
+test('valid saves decode', async () => {
+    const saveData = await createSave();
+    const { payload } = await saveSystem.readSaveData(saveData);
+    assert.ok(payload.simulation.entities.length > 0);
+});
+
+test('tampered saves are rejected by checksum', async () => {
+    const saveData = await createSave();
+    const { payload } = await saveSystem.readSaveData(saveData);
+    payload.simulation.resources[payload.simulation.humanTeams[0]] = { credits: 999999 };
+
+    const { data } = await compressText(JSON.stringify(payload));
+    await rejectsWith(saveSystem.readSaveData({ ...saveData, data }), LoadErrorReason.CHECKSUM);
+});
+
+test('corrupted saves are rejected', async () => {
+    const saveData = await createSave();
+
+    await rejectsWith(saveSystem.readSaveData({ ...saveData, data: saveData.data.slice(0, 100) }), LoadErrorReason.CORRUPT);
+    await rejectsWith(saveSystem.readSaveData({ ...saveData, data: '%%%' }), LoadErrorReason.CORRUPT);
+    await rejectsWith(saveSystem.readSaveData({ ...saveData, encoding: 'zip' }), LoadErrorReason.UNSUPPORTED);
+    await rejectsWith(saveSystem.readSaveData({ ...saveData, version: SAVE_VERSION + 1 }), LoadErrorReason.VERSION);
+    await rejectsWith(saveSystem.readSaveData({ name: 'junk' }), LoadErrorReason.SCHEMA);
+});
+
+test('saves from before versioning are reported as too old rather than corrupt', async () => {
+    const v0 = {
+        id: 'save_0', version: 0, name: 'Old', timestamp: 0, playTime: 0,
+        entities: [{ type: 'commandCenter', team: 0, health: 100, isBuilding: true, position: { x: 0, y: 0, z: 0 } }]
+    };
+    await rejectsWith(saveSystem.readSaveData(v0), LoadErrorReason.TOO_OLD);
+});
+
+test('malformed payloads fail schema validation', async () => {
+    const saveData = await createSave();
+    const { payload } = await saveSystem.readSaveData(saveData);
+    payload.simulation.units.push(123456);
+
+    const text = JSON.stringify(payload);
+    const { data } = await compressText(text);
+    await rejectsWith(
+        saveSystem.readSaveData({ ...saveData, data, checksum: checksumText(text) }),
+        LoadErrorReason.SCHEMA
+    );
+});
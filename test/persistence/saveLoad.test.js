@@ -0,0 +1,89 @@
+// ============================================================
+// VOID SUPREMACY 3D - Save/Load Round-Trip Tests
+// A loaded match must continue exactly as the original would have
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadlessMatch } from '../../src/headless/HeadlessMatch.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { simulationClock } from '../../src/core/SimulationClock.js?v=20260119';
+import { combatSystem } from '../../src/systems/CombatSystem.js?v=20260119';
+import { saveSystem } from '../../src/persistence/SaveSystem.js?v=20260119';
+
+console.log = () => {};
+
+const MATCH = { seed: 'save-load', tickRate: 20, config: { numAIPlayers: 3 } };
+const SAVE_TICK = 4000;
+const CONTINUE_TICKS = 600;
+
+function startMatch() {
+    const match = new HeadlessMatch(MATCH);
+    match.setup();
+    return match;
+}
+
+function stepTicks(match, ticks) {
+    for (let i = 0; i < ticks && match.isRunning(); i++) {
+        match.step();
+    }
+}
+
+// Save mid-fight, with projectiles and staggered shots in flight
+function stepToCombat(match) {
+    stepTicks(match, SAVE_TICK);
+    for (let i = 0; i < 2000 && match.isRunning(); i++) {
+        if (combatSystem.projectiles.length > 0 && simulationClock.timers.length > 0) return;
+        match.step();
+    }
+    assert.fail('no combat found to save in');
+}
+
+// JSON round trip, as the save file does
+const snapshot = () => JSON.parse(JSON.stringify(simulation.serialize()));
+
+test('restoring a snapshot reproduces it exactly', () => {
+    const match = startMatch();
+    stepToCombat(match);
+    const saved = snapshot();
+    match.finish();
+
+    const loaded = startMatch();
+    simulation.restore(saved);
+    assert.deepEqual(snapshot(), saved);
+    loaded.finish();
+});
+
+test('a loaded match continues exactly as the original', () => {
+    const match = startMatch();
+    stepToCombat(match);
+    const saved = snapshot();
+
+    stepTicks(match, CONTINUE_TICKS);
+    const expected = snapshot();
+    const expectedChecksum = simulation.getChecksum();
+    match.finish();
+
+    const loaded = startMatch();
+    simulation.restore(saved);
+    stepTicks(loaded, CONTINUE_TICKS);
+
+    assert.equal(simulation.getChecksum(), expectedChecksum);
+    assert.deepEqual(snapshot(), expected);
+    loaded.finish();
+});
+
+test('a save file loads back to the same state', async () => {
+    const match = startMatch();
+    stepToCombat(match);
+    const expected = snapshot();
+    const saveData = JSON.parse(JSON.stringify(await saveSystem.createSaveData('test')));
+    match.finish();
+
+    const loaded = startMatch();
+    await saveSystem.applySaveData((await saveSystem.readSaveData(saveData)).payload);
+    assert.deepEqual(snapshot(), expected);
+    loaded.finish();
+});
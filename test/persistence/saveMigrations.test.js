@@ -0,0 +1,280 @@
+// ============================================================
+// VOID SUPREMACY 3D - Save Migration Tests
+// Every migration step, plus unknown entity type handling
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadlessMatch } from '../../src/headless/HeadlessMatch.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { aiSystem } from '../../src/systems/AISystem.js?v=20260119';
+import { saveSystem } from '../../src/persistence/SaveSystem.js?v=20260119';
+import { LoadErrorReason } from '../../src/persistence/SaveFormat.js?v=20260119';
+import {
+    SAVE_VERSION, MIN_SAVE_VERSION, SAVE_MIGRATIONS,
+    migrateSave, createMigrationReport, renameEntityTypes, dropUnknownEntityTypes
+} from '../../src/persistence/SaveMigrations.js?v=20260119';
+
+console.log = () => {};
+console.warn = () => {};
+
+const META = { id: 'save_test', name: 'test', timestamp: 1, playTime: 10 };
+
+// Decoded payload of a short match
+async function createPayload() {
+    const match = new HeadlessMatch({ seed: 'save-migrations', tickRate: 20 });
+    match.setup();
+    for (let i = 0; i < 200; i++) match.step();
+    const { payload } = await saveSystem.readSaveData(await saveSystem.createSaveData('test'));
+    match.finish();
+    return payload;
+}
+
+test('every version from MIN_SAVE_VERSION has a step', () => {
+    for (let version = MIN_SAVE_VERSION; version < SAVE_VERSION; version++) {
+        assert.ok(SAVE_MIGRATIONS[version], `missing migration from v${version}`);
+    }
+});
+
+// Remove fields added since an older version
+const omit = (object, keys) => Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+const omitSimulation = (payload, ...keys) => ({ ...payload, simulation: omit(payload.simulation, keys) });
+const omitEntities = (payload, ...keys) => ({
+    ...payload,
+    simulation: { ...payload.simulation, entities: payload.simulation.entities.map(e => omit(e, keys)) }
+});
+const withSimulation = (payload, fields) => ({ ...payload, simulation: { ...payload.simulation, ...fields } });
+const wrap = (version, payload) => ({ ...META, version, payload });
+
+// Each step rebuilds a save at its from-version out of a current payload.
+// After migrating, the payload must equal the current one, or expected()
+// where the step's defaults differ from what a live match would have.
+const STEPS = [
+    {
+        from: 2,
+        change: 'unwraps base64 saves',
+        save: p => ({
+            ...META,
+            version: 2,
+            compressed: true,
+            data: btoa(encodeURIComponent(JSON.stringify({ ...META, version: 2, ...p })))
+        })
+    },
+    {
+        from: 2,
+        change: 'moves uncompressed fields into the payload',
+        save: p => ({ ...META, version: 2, ...p })
+    },
+    {
+        from: 3,
+        change: 'adds alliances and diplomacy state',
+        save: p => wrap(3, omitSimulation(p, 'winners', 'alliances', 'diplomacy'))
+    },
+    {
+        from: 4,
+        change: 'adds victory state as an annihilation match',
+        save: p => wrap(4, { ...omitSimulation(p, 'victoryReason', 'victory'), config: omit(p.config, ['VICTORY_MODE']) })
+    },
+    {
+        from: 5,
+        change: 'adds empty match statistics',
+        save: p => wrap(5, omitSimulation(p, 'matchStats')),
+        expected: p => withSimulation(p, { matchStats: { samples: [], unitTypes: {}, actions: {} } })
+    },
+    {
+        from: 6,
+        change: 'adds research with nothing completed',
+        save: p => wrap(6, omitSimulation(p, 'research')),
+        expected: p => withSimulation(p, { research: { completed: {} } })
+    },
+    {
+        from: 7,
+        change: 'leaves every building powered',
+        save: p => wrap(7, omitEntities(p, 'poweredDown'))
+    },
+    {
+        from: 8,
+        change: 'leaves every building at base tier with no orders',
+        save: p => wrap(8, omitEntities(p, 'tier', 'isUpgrading', 'upgradeProgress', 'repairing'))
+    },
+    {
+        from: 9,
+        change: 'adds point defense with nothing intercepted',
+        save: p => wrap(9, withSimulation(omitEntities(p, 'lastIntercept'), {
+            stats: Object.fromEntries(Object.entries(p.simulation.stats).map(([team, stats]) => [team, omit(stats, ['missilesIntercepted'])]))
+        }))
+    },
+    {
+        from: 10,
+        change: 'adds empty hangars to every unit',
+        save: p => wrap(10, omitEntities(p, 'hangar', 'fighters', 'carrier'))
+    },
+    {
+        from: 11,
+        change: 'starts every unit as a recruit',
+        save: p => wrap(11, withSimulation(omitEntities(p, 'experience', 'rank'), {
+            projectiles: p.simulation.projectiles.map(proj => omit(proj, ['shooter']))
+        })),
+        expected: p => withSimulation(p, {
+            entities: p.simulation.entities.map(e => e.entityType === 'unit' ? { ...e, experience: 0, rank: 0 } : e),
+            projectiles: p.simulation.projectiles.map(proj => ({ ...proj, shooter: null }))
+        })
+    },
+    {
+        from: 12,
+        change: 'gives every unit the default stance of its type',
+        save: p => wrap(12, omitEntities(p, 'stance', 'leashAnchor', 'disengaging', 'lastAttacker'))
+    }
+];
+
+// v1 saves cannot be rebuilt from a current payload; they have their own test
+test('every migration step has a test', () => {
+    for (let version = 2; version < SAVE_VERSION; version++) {
+        assert.ok(STEPS.some(step => step.from === version), `no test for the migration from v${version}`);
+    }
+});
+
+for (const step of STEPS) {
+    test(`migrates v${step.from} to v${step.from + 1}: ${step.change}`, async () => {
+        const payload = await createPayload();
+        const migrated = SAVE_MIGRATIONS[step.from].migrate(step.save(structuredClone(payload)));
+
+        assert.equal(migrated.version, step.from + 1);
+        assert.equal(migrated.name, META.name);
+        assert.deepEqual(migrated.payload, (step.expected ?? (p => p))(payload));
+    });
+}
+
+test('v2 saves load through readSaveData', async () => {
+    const payload = await createPayload();
+    const { payload: loaded, report } = await saveSystem.readSaveData({ ...META, version: 2, ...payload });
+
+    assert.deepEqual(loaded, payload);
+    assert.equal(report.fromVersion, 2);
+    assert.equal(report.steps.length, SAVE_VERSION - 2);
+});
+
+// A save as v1 wrote it, of the running match
+function createV1Save() {
+    const position = e => ({ x: e.mesh.position.x, y: e.mesh.position.y, z: e.mesh.position.z });
+    return {
+        ...META,
+        version: 1,
+        gameTime: gameState.gameTime,
+        resources: Object.fromEntries(Object.entries(gameState.resources).map(([team, res]) =>
+            [team, { credits: res.credits, ore: res.ore, crystals: res.crystals }]
+        )),
+        entities: gameState.entities.filter(e => !e.dead).map(e => ({
+            type: e.type,
+            team: e.team,
+            health: e.health,
+            maxHealth: e.maxHealth,
+            isBuilding: e.isBuilding,
+            position: position(e),
+            rotation: e.mesh.rotation.y,
+            ...(e.isBuilding
+                ? { isConstructing: e.isConstructing, constructionProgress: e.constructionProgress, productionQueue: [] }
+                : { command: e.command, cargo: e.cargo, cargoType: e.cargoType })
+        })),
+        oreNodes: gameState.oreNodes.map(({ x, z, amount, maxAmount, depleted }) => ({ x, z, amount, maxAmount, depleted })),
+        crystalNodes: gameState.crystalNodes.map(({ x, z, amount, maxAmount, depleted }) => ({ x, z, amount, maxAmount, depleted })),
+        explored: {},
+        aiState: {},
+        stats: { unitsBuilt: 3, unitsLost: 1, unitsKilled: 2, buildingsBuilt: 1, resourcesGathered: 500 }
+    };
+}
+
+test('migrates v1 to v2: rebuilds the match from its entities and resources', async () => {
+    const match = new HeadlessMatch({ seed: 'save-migrations', tickRate: 20, config: { numAIPlayers: 2 } });
+    match.setup();
+    for (let i = 0; i < 200; i++) match.step();
+    gameState.getResources(0).credits = 1234;
+    const v1 = createV1Save();
+    const compressed = {
+        ...META, version: 1, compressed: true, data: btoa(encodeURIComponent(JSON.stringify(v1)))
+    };
+    match.finish();
+
+    for (const save of [v1, compressed]) {
+        const { payload, report } = await saveSystem.readSaveData(save);
+        assert.equal(report.steps.length, SAVE_VERSION - 1);
+        assert.equal(payload.simulation.entities.length, v1.entities.length);
+    }
+
+    const rematch = new HeadlessMatch({ seed: 'save-migrations', tickRate: 20, config: { numAIPlayers: 2 } });
+    rematch.setup();
+    const { payload } = await saveSystem.readSaveData(v1);
+    await saveSystem.applySaveData(payload);
+
+    const described = entities => entities.map(e => [e.type, e.team, Math.round(e.position.x), Math.round(e.position.z), e.health]);
+    assert.deepEqual(described(createV1Save().entities), described(v1.entities));
+    assert.equal(gameState.getResources(0).credits, 1234);
+    assert.equal(gameState.stats[0].enemyKilled, 2);
+    assert.deepEqual(aiSystem.aiPlayers.map(ai => ai.team), [1, 2]);
+    assert.equal(gameState.isHostile(0, 1), true);
+
+    // The rebuilt match plays on
+    for (let i = 0; i < 200; i++) rematch.step();
+    assert.ok(gameState.getBuildingsByTeam(1).some(b => b.type === 'commandCenter' && !b.dead));
+    rematch.finish();
+});
+
+test('versions outside the supported range are rejected', () => {
+    assert.throws(() => migrateSave({ version: MIN_SAVE_VERSION - 1 }), error => error.reason === LoadErrorReason.TOO_OLD);
+    assert.throws(() => migrateSave({ version: SAVE_VERSION + 1 }), error => error.reason === LoadErrorReason.VERSION);
+});
+
+test('renamed types are mapped and reported', async () => {
+    const payload = await createPayload();
+    const building = payload.simulation.entities.find(e => e.entityType === 'building');
+    const buildingType = building.type;
+    building.type = 'old_building';
+    building.buildQueue = [{ type: 'old_unit' }];
+
+    const report = createMigrationReport(SAVE_VERSION);
+    renameEntityTypes(payload, {
+        units: { old_unit: 'harvester' },
+        buildings: { old_building: buildingType }
+    }, report);
+
+    assert.equal(building.type, buildingType);
+    assert.deepEqual(building.buildQueue, [{ type: 'harvester' }]);
+    assert.deepEqual(report.mapped, [
+        { id: building.id, entityType: 'building', from: 'old_building', to: buildingType }
+    ]);
+});
+
+test('unknown types are dropped and reported instead of crashing the load', async () => {
+    const payload = await createPayload();
+    const sim = payload.simulation;
+    const unit = sim.entities.find(e => e.entityType === 'unit' && !e.alienType);
+    const building = sim.entities.find(e => e.entityType === 'building');
+    unit.type = 'removed_unit';
+    building.buildQueue = [{ type: 'removed_unit' }, { type: 'harvester' }];
+    building.buildProgress = 5;
+    payload.controlGroups[1] = [unit.id];
+
+    const report = createMigrationReport(SAVE_VERSION);
+    dropUnknownEntityTypes(payload, report);
+
+    assert.ok(!sim.entities.includes(unit));
+    assert.ok(!sim.units.includes(unit.id));
+    assert.ok(sim.spatialGrid.every(([, ids]) => !ids.includes(unit.id)));
+    assert.deepEqual(payload.controlGroups[1], []);
+    assert.deepEqual(building.buildQueue, [{ type: 'harvester' }]);
+    assert.equal(building.buildProgress, 0);
+    assert.deepEqual(report.dropped, [
+        { id: unit.id, entityType: 'unit', type: 'removed_unit' },
+        { id: building.id, entityType: 'queued', type: 'removed_unit' }
+    ]);
+
+    // The cleaned payload restores; references to the dropped unit resolve as dead
+    const match = new HeadlessMatch({ seed: 'save-migrations', tickRate: 20 });
+    match.setup();
+    await saveSystem.applySaveData(payload);
+    assert.equal(gameState.getEntityById(unit.id), null);
+    for (let i = 0; i < 100; i++) match.step();
+    match.finish();
+});
@@ -0,0 +1,160 @@
+// ============================================================
+// VOID SUPREMACY 3D - AI System Tests
+// AI players follow their personality and react to what they
+// have seen of the match
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BUILDINGS, AI_PERSONALITIES, AI_COUNTERS } from '../../src/core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { simulationClock } from '../../src/core/SimulationClock.js?v=20260119';
+import { aiSystem } from '../../src/systems/AISystem.js?v=20260119';
+import { resourceSystem } from '../../src/systems/ResourceSystem.js?v=20260119';
+import { startMatch, build, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// A refinery this close to a field claims it (EXPANSION_CLAIM_RADIUS in AISystem)
+const CLAIM_RADIUS = 100;
+
+test('an AI builds its personality\'s build order, in order', () => {
+    const match = startMatch('ai-personality', { config: { aiPersonalities: ['rusher'] } });
+    const ai = aiSystem.aiPlayers[0];
+    const placed = [];
+    const unsub = eventBus.on(GameEvents.BUILDING_PLACED, ({ team, type }) => {
+        if (team === ai.team) placed.push(type);
+    });
+    assert.equal(ai.personalityId, 'rusher');
+
+    runFor(match, 180, () => {
+        gameState.getResources(ai.team).credits = 5000;
+    });
+    unsub();
+
+    const { buildOrder } = AI_PERSONALITIES.rusher;
+    assert.deepEqual(placed.slice(0, buildOrder.length), buildOrder);
+    match.finish();
+});
+
+test('an AI counters the enemy ships it has seen, and only those', () => {
+    const match = startMatch('ai-counters');
+    const ai = aiSystem.aiPlayers[0];
+    build(ai.team, 'powerPlant', { dx: -30 });
+    build(ai.team, 'shipyard', { dx: 30 });
+    const { x, z } = gameState.getBuildingsByTeam(ai.team).find(b => b.type === 'commandCenter').mesh.position;
+
+    // A bomber wing flies past the base; a cruiser stays out of sight
+    for (let i = 0; i < 3; i++) simulation.createUnit(x + 40 + i * 5, z - 40, 0, 'bomber');
+    simulation.createUnit(x + 1000, z + 1000, 0, 'cruiser');
+    ai.updateIntel(simulationClock.now());
+    assert.deepEqual([...ai.getEnemyComposition()], [['bomber', 3]]);
+
+    const picks = new Set();
+    for (let i = 0; i < 50; i++) picks.add(ai.pickCounter('shipyard', 5000));
+    picks.delete(null);
+    assert.ok(picks.size > 0);
+    assert.ok([...picks].every(type => AI_COUNTERS.bomber.includes(type)), [...picks].join(', '));
+    match.finish();
+});
+
+test('an AI claims an outpost with a refinery and gives it up once the refinery falls', () => {
+    const match = startMatch('ai-outposts', { config: { aiPersonalities: ['crystalRaider'] } });
+    const ai = aiSystem.aiPlayers[0];
+    const res = gameState.getResources(ai.team);
+    const cc = gameState.getBuildingsByTeam(ai.team).find(b => b.type === 'commandCenter');
+    const { startAt } = ai.personality.expansion;
+    ai.buildIndex = ai.buildOrder.length;
+    res.credits = 5000;
+
+    // Nothing is claimed before the personality's expansion time
+    ai.expand(res, cc, resourceSystem.getFields(), startAt * 1000 - 1);
+    assert.equal(ai.outposts.length, 0);
+
+    ai.expand(res, cc, resourceSystem.getFields(), startAt * 1000);
+    assert.equal(ai.outposts.length, 1);
+    const [outpost] = ai.outposts;
+    assert.equal(outpost.isCrystal, true);
+    const refinery = gameState.getBuildingsByTeam(ai.team).find(b => b.type === 'refinery');
+    assert.ok(refinery);
+    assert.ok(Math.hypot(refinery.mesh.position.x - outpost.x, refinery.mesh.position.z - outpost.z) < CLAIM_RADIUS);
+
+    ai.invalidateCache();
+    ai.manageOutposts(res, cc, resourceSystem.getFields(), startAt * 1000);
+    assert.deepEqual(ai.outposts, [outpost]);
+
+    refinery.takeDamage(refinery.health + refinery.maxHealth, { team: 0 });
+    ai.invalidateCache();
+    ai.manageOutposts(res, cc, resourceSystem.getFields(), startAt * 1000);
+    assert.deepEqual(ai.outposts, []);
+    match.finish();
+});
+
+test('damaged ships retreat to repair below the personality\'s threshold, veterans sooner', () => {
+    const match = startMatch('ai-retreat');
+    const ai = aiSystem.aiPlayers[0];
+    const cc = gameState.getBuildingsByTeam(ai.team).find(b => b.type === 'commandCenter');
+    const { x, z } = cc.mesh.position;
+    const { retreatAt } = ai.personality.attack;
+    const rookie = simulation.createUnit(x + 300, z, ai.team, 'frigate');
+    const veteran = simulation.createUnit(x, z + 300, ai.team, 'frigate');
+    veteran.rank = 1;
+
+    // Both are just above the rookie's threshold
+    for (const ship of [rookie, veteran]) {
+        ship.shield = 0;
+        ship.health = (ship.maxHealth + ship.maxShield) * (retreatAt + 0.05);
+    }
+    ai.commandRetreats(simulationClock.now());
+    assert.equal(ai.retreating.has(rookie.id), false);
+    assert.equal(ai.retreating.has(veteran.id), true);
+    assert.deepEqual([veteran.targetX, veteran.targetZ], [x, z]);
+
+    rookie.health = (rookie.maxHealth + rookie.maxShield) * (retreatAt - 0.05);
+    ai.commandRetreats(simulationClock.now());
+    assert.equal(ai.retreating.has(rookie.id), true);
+    assert.deepEqual([rookie.targetX, rookie.targetZ], [x, z]);
+
+    // Back to duty once repaired
+    rookie.health = rookie.maxHealth;
+    ai.commandRetreats(simulationClock.now());
+    assert.equal(ai.retreating.has(rookie.id), false);
+    assert.equal(ai.retreating.has(veteran.id), true);
+    match.finish();
+});
+
+test('an AI walls its approach with generators and rebuilds one that falls', () => {
+    const match = startMatch('ai-perimeter');
+    const ai = aiSystem.aiPlayers[0];
+    const res = gameState.getResources(ai.team);
+    const cc = gameState.getBuildingsByTeam(ai.team).find(b => b.type === 'commandCenter');
+    const now = simulationClock.now();
+    const generators = () => gameState.getBuildingsByTeam(ai.team).filter(b => !b.dead && b.type === 'forceFieldGenerator');
+    const count = ai.buildOrder.filter(type => type === 'forceFieldGenerator').length;
+
+    ai.buildIndex = ai.buildOrder.indexOf('forceFieldGenerator');
+    res.credits = 5000;
+    for (let i = 0; i < count; i++) ai.buildStructures(res, cc, now);
+    assert.equal(generators().length, count);
+    assert.ok(ai.perimeter.slots.every(slot => slot.built));
+
+    const [lost] = generators();
+    const { x, z } = lost.mesh.position;
+    lost.takeDamage(lost.health + lost.maxHealth, { team: 0 });
+    ai.invalidateCache();
+
+    // Waits for the credits, then rebuilds on the same spot
+    res.credits = BUILDINGS.forceFieldGenerator.cost - 1;
+    ai.maintainPerimeter(res, now);
+    assert.equal(generators().length, count - 1);
+
+    res.credits = BUILDINGS.forceFieldGenerator.cost;
+    ai.maintainPerimeter(res, now);
+    assert.equal(generators().length, count);
+    assert.ok(generators().some(gen => gen.mesh.position.x === x && gen.mesh.position.z === z));
+    match.finish();
+});
@@ -0,0 +1,74 @@
+// ============================================================
+// VOID SUPREMACY 3D - Armor Matrix Tests
+// Every hit is scaled by the weapon type against the target's
+// armor class
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UNITS, BUILDINGS, ALIEN_UNITS, WEAPON_TYPES, ARMOR_CLASSES, getArmorMultiplier } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { combatSystem } from '../../src/systems/CombatSystem.js?v=20260119';
+import { startMatch, build } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Raw damage of every test hit
+const HIT = 100;
+
+// A ship or structure of the class, tough enough to take every hit
+function createTarget(armorClass, slot) {
+    const unitType = Object.keys(UNITS).find(type => UNITS[type].armorClass === armorClass);
+    const target = unitType
+        ? simulation.createUnit(slot * 20, 0, 0, unitType)
+        : build(0, Object.keys(BUILDINGS).find(type => BUILDINGS[type].armorClass === armorClass), { dx: slot * 30, dz: 60 });
+    target.health = 1e6;
+    target.shield = 0;
+    return target;
+}
+
+test('every ship and structure has an armor class every weapon knows', () => {
+    for (const defs of [UNITS, BUILDINGS, ALIEN_UNITS]) {
+        for (const [type, def] of Object.entries(defs)) {
+            assert.ok(def.armorClass in ARMOR_CLASSES, type);
+        }
+    }
+    for (const [weaponType, { damageVs }] of Object.entries(WEAPON_TYPES)) {
+        assert.deepEqual(Object.keys(damageVs).sort(), Object.keys(ARMOR_CLASSES).sort(), weaponType);
+    }
+    assert.equal(getArmorMultiplier('laser', undefined), 1);
+    assert.equal(getArmorMultiplier(undefined, 'heavy'), 1);
+});
+
+test('hits are scaled by weapon against armor class', () => {
+    const match = startMatch('armor');
+
+    for (const [slot, armorClass] of Object.keys(ARMOR_CLASSES).entries()) {
+        const target = createTarget(armorClass, slot);
+        for (const weaponType of Object.keys(WEAPON_TYPES)) {
+            const before = target.health;
+            combatSystem.applyDamage(target, HIT, weaponType, 1);
+            assert.equal(before - target.health, HIT * WEAPON_TYPES[weaponType].damageVs[armorClass], `${weaponType} vs ${armorClass}`);
+        }
+    }
+
+    // The matrix leans the way its weapons are described
+    assert.ok(getArmorMultiplier('laser', 'light') > getArmorMultiplier('laser', 'heavy'));
+    assert.ok(getArmorMultiplier('missile', 'structure') > getArmorMultiplier('missile', 'light'));
+    assert.ok(getArmorMultiplier('plasma', 'shield') > 1);
+    match.finish();
+});
+
+test('shields soak the hit after armor scaling', () => {
+    const match = startMatch('armor');
+    const unitType = Object.keys(UNITS).find(type => UNITS[type].armorClass === 'shield' && UNITS[type].shield);
+    const ship = simulation.createUnit(0, 0, 0, unitType);
+    const { shield, health } = ship;
+
+    combatSystem.applyDamage(ship, HIT, 'plasma', 1);
+    assert.equal(shield - ship.shield, Math.min(shield, HIT * getArmorMultiplier('plasma', 'shield')));
+    assert.equal(health - ship.health, Math.max(0, HIT * getArmorMultiplier('plasma', 'shield') - shield));
+    match.finish();
+});
@@ -0,0 +1,103 @@
+// ============================================================
+// VOID SUPREMACY 3D - Diplomacy Tests
+// Treaties with AI players, what peace and alliances change,
+// and allied survivors winning together
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { aiSystem } from '../../src/systems/AISystem.js?v=20260119';
+import {
+    diplomacySystem, Treaty, Relation, ProposalRejection
+} from '../../src/systems/DiplomacySystem.js?v=20260119';
+import { startMatch } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Team 0 is driven by the test; teams 1 and 2 are AI
+function startDiplomacy() {
+    return startMatch('diplomacy', { humanTeam: 0, config: { numAIPlayers: 2 } });
+}
+
+// Add battlecruisers to a team until done() holds
+function reinforce(team, done) {
+    const cc = gameState.getBuildingsByTeam(team).find(b => b.type === 'commandCenter');
+    while (!done()) {
+        simulation.createUnit(cc.mesh.position.x + 20, cc.mesh.position.z, team, 'battlecruiser');
+    }
+}
+
+test('an AI turns down a weak proposer, then will not hear it again for a while', () => {
+    const match = startDiplomacy();
+    const { ceasefire } = aiSystem.getPlayer(1).personality.diplomacy;
+
+    reinforce(1, () => diplomacySystem.getRelativeStrength(0, 1) < ceasefire);
+    assert.equal(diplomacySystem.checkProposal(0, 1, Treaty.CEASEFIRE), ProposalRejection.TOO_WEAK);
+    assert.equal(diplomacySystem.propose(0, 1, Treaty.CEASEFIRE), false);
+    assert.equal(diplomacySystem.checkProposal(0, 1, Treaty.CEASEFIRE), ProposalRejection.COOLDOWN);
+    assert.equal(diplomacySystem.getRelation(0, 1), Relation.WAR);
+
+    // Only AI players answer, and only real treaties between players
+    assert.equal(diplomacySystem.checkProposal(1, 0, Treaty.CEASEFIRE), ProposalRejection.NOT_AI);
+    assert.equal(diplomacySystem.checkProposal(0, 0, Treaty.CEASEFIRE), ProposalRejection.INVALID);
+    assert.equal(diplomacySystem.checkProposal(0, 1, 'tribute'), ProposalRejection.INVALID);
+    match.finish();
+});
+
+test('a ceasefire stops ships that are already fighting', () => {
+    const match = startDiplomacy();
+    reinforce(0, () => diplomacySystem.getRelativeStrength(0, 1) >= aiSystem.getPlayer(1).personality.diplomacy.ceasefire);
+
+    const mine = simulation.createUnit(0, 0, 0, 'striker');
+    const theirs = simulation.createUnit(10, 0, 1, 'striker');
+    mine.attackTarget = theirs;
+    mine.attackTargets = [theirs];
+
+    assert.equal(diplomacySystem.propose(0, 1, Treaty.CEASEFIRE), true);
+    assert.equal(diplomacySystem.getRelation(0, 1), Relation.CEASEFIRE);
+    assert.equal(gameState.isHostile(0, 1), false);
+    assert.equal(gameState.isHostile(1, 0), false);
+    assert.equal(mine.attackTarget, null);
+    assert.deepEqual(mine.attackTargets, []);
+    assert.equal(diplomacySystem.checkProposal(0, 1, Treaty.CEASEFIRE), ProposalRejection.IN_EFFECT);
+    match.finish();
+});
+
+test('allies can send each other credits until one declares war', () => {
+    const match = startDiplomacy();
+    reinforce(0, () => diplomacySystem.getRelativeStrength(0, 1) >= aiSystem.getPlayer(1).personality.diplomacy.alliance);
+
+    assert.equal(diplomacySystem.transferCredits(0, 1, 100), false);
+    assert.equal(diplomacySystem.propose(0, 1, Treaty.ALLIANCE), true);
+    assert.equal(diplomacySystem.getRelation(0, 1), Relation.ALLIANCE);
+
+    const before = [gameState.getResources(0).credits, gameState.getResources(1).credits];
+    assert.equal(diplomacySystem.transferCredits(0, 1, 100), true);
+    assert.equal(gameState.getResources(0).credits, before[0] - 100);
+    assert.equal(gameState.getResources(1).credits, before[1] + 100);
+    assert.equal(diplomacySystem.transferCredits(0, 1, before[0] * 10), false);
+
+    assert.equal(diplomacySystem.declareWar(1, 0), true);
+    assert.equal(diplomacySystem.getRelation(0, 1), Relation.WAR);
+    assert.equal(diplomacySystem.transferCredits(0, 1, 100), false);
+    match.finish();
+});
+
+test('allies left standing win together', () => {
+    const match = startDiplomacy();
+    reinforce(0, () => diplomacySystem.getRelativeStrength(0, 1) >= aiSystem.getPlayer(1).personality.diplomacy.alliance);
+    diplomacySystem.propose(0, 1, Treaty.ALLIANCE);
+
+    for (const building of gameState.getBuildingsByTeam(2)) {
+        building.takeDamage(building.health + building.maxHealth, { team: 0 });
+    }
+    match.step();
+
+    assert.equal(gameState.running, false);
+    assert.deepEqual([...gameState.winners].sort(), [0, 1]);
+    match.finish();
+});
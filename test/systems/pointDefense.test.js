@@ -0,0 +1,110 @@
+// ============================================================
+// VOID SUPREMACY 3D - Point Defense Tests
+// Hardpoints on turrets and capital ships shoot down hostile
+// missiles, one per hardpoint each volley
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BUILDINGS, UNITS, getArmorMultiplier } from '../../src/core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { combatSystem } from '../../src/systems/CombatSystem.js?v=20260119';
+import { powerSystem } from '../../src/systems/PowerSystem.js?v=20260119';
+import { startMatch, build, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Damage of every test missile
+const MISSILE_DAMAGE = 50;
+
+function buildPointDefense(match) {
+    build(0, 'powerPlant', { dx: -40, dz: 40 });
+    build(0, 'radar', { dx: -20, dz: 40 });
+    const turret = build(0, 'pointDefenseTurret', { dx: 20, dz: 40 });
+    runFor(match, 1);
+    return turret;
+}
+
+// An unarmed structure just off the target to fire from
+function createLauncher(target, team) {
+    const depot = simulation.createBuilding(target.mesh.position.x + 40, target.mesh.position.z, team, 'supplyDepot');
+    depot.isConstructing = false;
+    return depot;
+}
+
+function fireMissiles(shooter, target, count) {
+    for (let i = 0; i < count; i++) {
+        eventBus.emit(GameEvents.COMBAT_PROJECTILE_FIRED, {
+            shooter,
+            target,
+            startPos: shooter.mesh.position.clone(),
+            damage: MISSILE_DAMAGE,
+            hardpointWeapon: 'missile'
+        });
+    }
+}
+
+function missilesInFlight(team) {
+    return combatSystem.projectiles.filter(proj => proj.weaponType === 'missile' && proj.team === team).length;
+}
+
+test('each hardpoint shoots down one hostile missile per volley', () => {
+    const match = startMatch('point-defense');
+    const turret = buildPointDefense(match);
+    const { hardpoints, fireRate } = BUILDINGS.pointDefenseTurret.pointDefense;
+    let intercepted = 0;
+    const unsub = eventBus.on(GameEvents.COMBAT_MISSILE_INTERCEPTED, ({ defender }) => {
+        if (defender === turret) intercepted++;
+    });
+
+    fireMissiles(createLauncher(turret, 1), turret, hardpoints.length + 1);
+    match.step();
+    assert.equal(intercepted, hardpoints.length);
+    assert.equal(gameState.stats[0].missilesIntercepted, hardpoints.length);
+    assert.equal(missilesInFlight(1), 1);
+
+    // The next volley, once reloaded, takes the rest
+    for (let i = 0; i <= fireRate / 1000 * 20; i++) match.step();
+    unsub();
+    assert.equal(intercepted, hardpoints.length + 1);
+    assert.equal(turret.health, turret.maxHealth);
+    match.finish();
+});
+
+test('friendly missiles fly past and idle hardpoints stay silent', () => {
+    const match = startMatch('point-defense');
+    const turret = buildPointDefense(match);
+
+    // Our own missiles at an enemy beside the turret
+    const enemy = simulation.createUnit(turret.mesh.position.x - 20, turret.mesh.position.z, 1, 'heavy');
+    fireMissiles(createLauncher(turret, 0), enemy, 2);
+    match.step();
+    assert.equal(gameState.stats[0].missilesIntercepted, 0);
+    assert.equal(missilesInFlight(0), 2);
+    runFor(match, 1);
+
+    // Switched off, the turret lets a hostile salvo through
+    assert.equal(powerSystem.setPowered(turret, false), true);
+    fireMissiles(createLauncher(turret, 1), turret, 2);
+    runFor(match, 1);
+    assert.equal(gameState.stats[0].missilesIntercepted, 0);
+    assert.equal(turret.maxHealth - turret.health, 2 * MISSILE_DAMAGE * getArmorMultiplier('missile', 'structure'));
+    match.finish();
+});
+
+test('capital ships carry their own point defense', () => {
+    const match = startMatch('point-defense');
+    runFor(match, 1);
+    const ship = simulation.createUnit(0, 0, 0, 'battlecruiser');
+    const { hardpoints } = UNITS.battlecruiser.pointDefense;
+
+    fireMissiles(createLauncher(ship, 1), ship, hardpoints.length);
+    match.step();
+    assert.equal(gameState.stats[0].missilesIntercepted, hardpoints.length);
+    assert.equal(missilesInFlight(1), 0);
+    match.finish();
+});
@@ -0,0 +1,98 @@
+// ============================================================
+// VOID SUPREMACY 3D - Power Tests
+// Brownouts slow the whole base; switched-off structures drain
+// nothing and stop working
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UNITS } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { powerSystem } from '../../src/systems/PowerSystem.js?v=20260119';
+import { startMatch, build, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Structures go in rows north of the command center
+let nextSlot = 0;
+
+function startGrid() {
+    nextSlot = 0;
+    return startMatch('power');
+}
+
+function buildNext(type) {
+    const slot = nextSlot++;
+    const building = build(0, type, { dx: -60 + (slot % 6) * 24, dz: 40 + Math.floor(slot / 6) * 24 });
+    simulation.updateResourceCapacity();
+    return building;
+}
+
+// Shipyard building a striker for a few seconds
+function productionAfter(match, yard, seconds) {
+    yard.buildQueue = [{ type: 'striker' }];
+    yard.buildProgress = 0;
+    runFor(match, seconds);
+    return yard.buildProgress;
+}
+
+test('a brownout runs production at production over drain', () => {
+    const match = startGrid();
+    buildNext('powerPlant');
+    const yard = buildNext('shipyard');
+    assert.equal(powerSystem.getEfficiency(0), 1);
+
+    const full = productionAfter(match, yard, 5);
+    assert.ok(Math.abs(full - 5 / UNITS.striker.buildTime) < 1e-9);
+
+    while (gameState.getResources(0).energy >= 0) buildNext('radar');
+    const res = gameState.getResources(0);
+    const efficiency = powerSystem.getEfficiency(0);
+    assert.equal(efficiency, res.maxEnergy / res.energyDrain);
+    assert.ok(efficiency < 1);
+
+    const slowed = productionAfter(match, yard, 5);
+    assert.ok(Math.abs(slowed - full * efficiency) < 1e-9);
+    match.finish();
+});
+
+test('switching a structure off removes its drain and idles it', () => {
+    const match = startGrid();
+    buildNext('powerPlant');
+    const yard = buildNext('shipyard');
+    const plant = buildNext('powerPlant');
+    const energy = gameState.getResources(0).energy;
+
+    // Generators stay on
+    assert.equal(powerSystem.canPowerDown(plant), false);
+    assert.equal(powerSystem.setPowered(plant, false), false);
+
+    assert.equal(powerSystem.setPowered(yard, false), true);
+    assert.equal(yard.poweredDown, true);
+    assert.equal(gameState.getResources(0).energy, energy + yard.def.energyDrain);
+    assert.equal(powerSystem.hasFullPower(yard), false);
+    assert.equal(productionAfter(match, yard, 3), 0);
+
+    assert.equal(powerSystem.setPowered(yard, true), true);
+    assert.equal(gameState.getResources(0).energy, energy);
+    assert.ok(productionAfter(match, yard, 3) > 0);
+    match.finish();
+});
+
+test('switching consumers off ends a brownout', () => {
+    const match = startGrid();
+    buildNext('powerPlant');
+    const radars = [];
+    while (gameState.getResources(0).energy >= 0) radars.push(buildNext('radar'));
+    assert.ok(powerSystem.getEfficiency(0) < 1);
+
+    for (const radar of radars) {
+        if (gameState.getResources(0).energy >= 0) break;
+        powerSystem.setPowered(radar, false);
+    }
+    assert.equal(powerSystem.getEfficiency(0), 1);
+    match.finish();
+});
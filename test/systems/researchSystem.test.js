@@ -0,0 +1,90 @@
+// ============================================================
+// VOID SUPREMACY 3D - Research Tests
+// Upgrades are queued at labs, take time and credits, and their
+// bonuses reach ships, harvesters and turrets
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UPGRADES } from '../../src/core/Config.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { researchSystem } from '../../src/systems/ResearchSystem.js?v=20260119';
+import { startMatch, build, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+test('an upgrade needs a lab, costs credits, takes its research time and is done once', () => {
+    const match = startMatch('research');
+    const res = gameState.getResources(0);
+
+    assert.equal(researchSystem.queue(0, 'hullArmor'), false);
+
+    build(0, 'powerPlant', { dx: -40 });
+    build(0, 'shipyard');
+    build(0, 'researchLab', { dx: 40 });
+    res.credits = 5000;
+    assert.equal(researchSystem.queue(0, 'hullArmor'), true);
+    assert.equal(res.credits, 5000 - UPGRADES.hullArmor.cost);
+    assert.equal(researchSystem.isQueued(0, 'hullArmor'), true);
+    assert.equal(researchSystem.queue(0, 'hullArmor'), false);
+
+    runFor(match, UPGRADES.hullArmor.researchTime - 1);
+    assert.equal(researchSystem.hasResearched(0, 'hullArmor'), false);
+    runFor(match, 2);
+    assert.equal(researchSystem.hasResearched(0, 'hullArmor'), true);
+    assert.equal(researchSystem.getBonus(0, 'armor'), UPGRADES.hullArmor.value);
+    assert.equal(researchSystem.getBonus(1, 'armor'), 0);
+    assert.equal(researchSystem.queue(0, 'hullArmor'), false);
+    match.finish();
+});
+
+test('cancelling research refunds it', () => {
+    const match = startMatch('research');
+    build(0, 'powerPlant', { dx: -40 });
+    build(0, 'shipyard');
+    const lab = build(0, 'researchLab', { dx: 40 });
+    const res = gameState.getResources(0);
+    res.credits = 1000;
+
+    researchSystem.queue(0, 'laserDamage');
+    lab.cancelProduction(0);
+    assert.equal(res.credits, 1000);
+    assert.equal(researchSystem.isQueued(0, 'laserDamage'), false);
+
+    runFor(match, UPGRADES.laserDamage.researchTime + 1);
+    assert.equal(researchSystem.hasResearched(0, 'laserDamage'), false);
+    match.finish();
+});
+
+test('finished upgrades change damage, hull armor, cargo and turret range', () => {
+    const match = startMatch('research');
+    const ship = simulation.createUnit(0, 0, 0, 'striker');
+    const harvester = gameState.getUnitsByTeam(0).find(u => u.type === 'harvester');
+    const cargo = harvester.getCargoCapacity();
+
+    assert.equal(researchSystem.getDamageMultiplier(0, 'laser'), 1);
+    researchSystem.complete(0, 'laserDamage');
+    researchSystem.complete(0, 'hullArmor');
+    researchSystem.complete(0, 'harvesterCapacity');
+    assert.equal(researchSystem.getDamageMultiplier(0, 'laser'), 1 + UPGRADES.laserDamage.value);
+    assert.equal(researchSystem.getDamageMultiplier(0, 'plasma'), 1);
+    assert.equal(harvester.getCargoCapacity(), cargo * (1 + UPGRADES.harvesterCapacity.value));
+
+    // Shields soak first; the armor bonus only softens hull damage
+    ship.shield = 0;
+    const health = ship.health;
+    ship.takeDamage(100, { team: 1 });
+    assert.equal(health - ship.health, 100 * (1 - UPGRADES.hullArmor.value));
+
+    // A turret with the range upgrade reaches a ship just past its base range
+    const turret = build(0, 'turret');
+    const reach = turret.def.range * (1 + UPGRADES.turretRange.value / 2);
+    const target = simulation.createUnit(turret.mesh.position.x + reach, turret.mesh.position.z, 1, 'striker');
+    assert.notEqual(turret.findTarget(), target);
+    researchSystem.complete(0, 'turretRange');
+    assert.equal(turret.findTarget(), target);
+    match.finish();
+});
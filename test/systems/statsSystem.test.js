@@ -0,0 +1,75 @@
+// ============================================================
+// VOID SUPREMACY 3D - Match Statistics Tests
+// Timelines, per-type unit counts, APM and the exports behind
+// the post-match screen
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { simulationClock } from '../../src/core/SimulationClock.js?v=20260119';
+import { commandSystem, PlayerCommand } from '../../src/systems/CommandSystem.js?v=20260119';
+import { statsSystem, STAT_SERIES } from '../../src/systems/StatsSystem.js?v=20260119';
+import { startMatch } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Long enough for the first fights, ending off the sample interval
+const MATCH_SECONDS = 365;
+
+test('timelines and unit counts follow a played match', () => {
+    const match = startMatch('stats', {
+        humanTeams: null,
+        config: { numAIPlayers: 3, victoryMode: 'score', victoryTimeLimit: MATCH_SECONDS }
+    });
+    while (match.isRunning()) match.step();
+    assert.equal(gameState.running, false);
+
+    for (const team of [0, 1, 2, 3]) {
+        const times = statsSystem.getSeries(team, 'credits').map(s => s.time);
+        assert.ok(times.every((time, i) => i === 0 || time > times[i - 1] && time - times[i - 1] <= 10000));
+
+        // The last sample closes the timeline where the match ended
+        assert.equal(times[times.length - 1], MATCH_SECONDS * 1000);
+        for (const { key } of STAT_SERIES) {
+            assert.equal(statsSystem.getSeries(team, key).length, times.length, key);
+        }
+
+        const stats = gameState.stats[team];
+        const counts = Object.values(statsSystem.unitTypes[team]);
+        const total = field => counts.reduce((sum, c) => sum + c[field], 0);
+        assert.equal(total('built'), stats.unitsBuilt);
+        assert.equal(total('lost'), stats.unitsLost);
+        assert.ok(total('killed') <= stats.enemyKilled);
+
+        const last = statsSystem.getLastSample(team);
+        assert.equal(last.kills, stats.enemyKilled);
+        assert.equal(last.losses, stats.unitsLost + stats.buildingsLost);
+    }
+    assert.ok([0, 1, 2, 3].some(team => gameState.stats[team].enemyKilled > 0), 'nobody fought');
+    match.finish();
+});
+
+test('executed commands count towards APM and the exports carry everything', () => {
+    const match = startMatch('stats', { humanTeam: 0 });
+
+    const harvesters = gameState.getUnitsByTeam(0).map(u => u.id);
+    for (let i = 0; i < 20 * 60; i++) {
+        if (i % 100 === 0) commandSystem.issue({ type: PlayerCommand.STOP, unitIds: harvesters });
+        match.step();
+    }
+    assert.equal(simulationClock.now(), 60000);
+    assert.equal(statsSystem.getAPM(0), 12);
+    assert.equal(statsSystem.getAPM(1), 0);
+
+    const exported = statsSystem.getExport();
+    assert.deepEqual(exported.apm, { 0: 12, 1: 0 });
+    assert.equal(exported.samples.length, statsSystem.samples.length);
+
+    const [header, ...rows] = statsSystem.toCSV().split('\n');
+    assert.deepEqual(header.split(','), ['time', 'team', 'collected', ...STAT_SERIES.map(s => s.key)]);
+    assert.equal(rows.indexOf('team,unitType,built,lost,killed'), statsSystem.samples.length + 1);
+    match.finish();
+});
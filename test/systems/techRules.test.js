@@ -0,0 +1,118 @@
+// ============================================================
+// VOID SUPREMACY 3D - Tech Rule Tests
+// Prerequisites and tiers hold for placement, production and
+// the AI alike
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UNITS } from '../../src/core/Config.js?v=20260119';
+import { eventBus, GameEvents } from '../../src/core/EventBus.js?v=20260119';
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { techRules } from '../../src/systems/TechRules.js?v=20260119';
+import { startMatch, build, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Structures go in a row north of the command center
+let nextSlot = 0;
+
+function startRow() {
+    const match = startMatch('tech-rules');
+    gameState.getResources(0).credits = 20000;
+    nextSlot = 0;
+    return match;
+}
+
+function buildNext(type, { finished = true } = {}) {
+    return build(0, type, { dx: -60 + (nextSlot++ % 6) * 24, dz: 40, finished });
+}
+
+test('structures stay locked until their prerequisites are finished', () => {
+    const match = startRow();
+
+    assert.equal(techRules.checkBuilding(0, 'shipyard').valid, false);
+    assert.equal(buildNext('shipyard'), null);
+
+    const plant = buildNext('powerPlant', { finished: false });
+    assert.equal(techRules.checkBuilding(0, 'shipyard').reason, 'Requires Power Plant');
+    plant.isConstructing = false;
+    assert.equal(techRules.checkBuilding(0, 'shipyard').valid, true);
+
+    assert.ok(buildNext('shipyard'));
+    assert.equal(techRules.checkBuilding(0, 'researchLab').valid, true);
+    assert.equal(techRules.checkBuilding(0, 'advancedShipyard').valid, true);
+    match.finish();
+});
+
+test('ship tiers need a sensor array, and capital ships a power surplus', () => {
+    const match = startRow();
+    buildNext('powerPlant');
+    buildNext('shipyard');
+    const yard = buildNext('advancedShipyard');
+    match.step();
+
+    assert.equal(UNITS.frigate.tier, 2);
+    assert.equal(techRules.checkUnit(0, 'frigate').reason, 'Requires Sensor Array');
+    const credits = gameState.getResources(0).credits;
+    assert.equal(yard.queueUnit('frigate'), false);
+    assert.equal(gameState.getResources(0).credits, credits);
+
+    buildNext('radar');
+    match.step();
+    assert.equal(techRules.checkUnit(0, 'frigate').valid, true);
+    assert.equal(yard.queueUnit('frigate'), true);
+
+    // Capital ships also need more power than the base drains
+    assert.equal(UNITS.battlecruiser.tier, 3);
+    assert.equal(techRules.checkUnit(0, 'battlecruiser').valid, techRules.hasPowerSurplus(0));
+    while (techRules.hasPowerSurplus(0)) {
+        buildNext('researchLab');
+        match.step();
+    }
+    assert.equal(techRules.checkUnit(0, 'battlecruiser').reason, 'Requires a power surplus');
+    match.finish();
+});
+
+test('production holds while a queued ship is locked and resumes once unlocked', () => {
+    const match = startRow();
+    buildNext('powerPlant');
+    buildNext('powerPlant');
+    buildNext('shipyard');
+    const yard = buildNext('advancedShipyard');
+    const radar = buildNext('radar');
+    match.step();
+
+    assert.equal(yard.queueUnit('frigate'), true);
+    radar.takeDamage(radar.health + radar.maxHealth, { team: 1 });
+    runFor(match, UNITS.frigate.buildTime + 5);
+    assert.equal(yard.isProductionOnHold(), true);
+    assert.equal(yard.buildProgress, 0);
+    assert.equal(yard.buildQueue.length, 1);
+
+    buildNext('radar');
+    runFor(match, UNITS.frigate.buildTime + 5);
+    assert.equal(yard.buildQueue.length, 0);
+    assert.ok(gameState.getUnitsByTeam(0).some(u => u.type === 'frigate'));
+    match.finish();
+});
+
+test('the AI only ever produces ships it has unlocked', () => {
+    const match = startMatch('tech-rules', { humanTeams: null, config: { numAIPlayers: 3 } });
+
+    const locked = [];
+    const tiers = new Set();
+    const unsub = eventBus.on(GameEvents.UNIT_SPAWNED, ({ team, unitType }) => {
+        tiers.add(UNITS[unitType].tier ?? 1);
+        if (!techRules.checkUnit(team, unitType).valid) locked.push(unitType);
+    });
+    runFor(match, 60 * 12);
+    unsub();
+
+    assert.deepEqual(locked, []);
+    assert.ok(tiers.has(2), 'no advanced ships were built');
+    match.finish();
+});
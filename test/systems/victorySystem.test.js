@@ -0,0 +1,120 @@
+// ============================================================
+// VOID SUPREMACY 3D - Victory Mode Tests
+// Objectives decide the match the way the lobby describes them
+// Run: npm test
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulation } from '../../src/core/Simulation.js?v=20260119';
+import { gameState } from '../../src/core/GameState.js?v=20260119';
+import { victorySystem, GameEndReason } from '../../src/systems/VictorySystem.js?v=20260119';
+import { resourceSystem } from '../../src/systems/ResourceSystem.js?v=20260119';
+import { startMatch, runFor } from '../helpers/match.js?v=20260119';
+
+console.log = () => {};
+
+// Four AI players
+function startMode(config = {}) {
+    return startMatch('victory-1', { humanTeams: null, config: { numAIPlayers: 3, ...config } });
+}
+
+function destroy(building) {
+    building.takeDamage(building.health + building.maxHealth, { team: 0 });
+}
+
+// A finished refinery on the field, facing the map center
+function buildRefineryAt(field, team) {
+    const dist = Math.hypot(field.x, field.z) || 1;
+    const refinery = simulation.createBuilding(field.x - field.x / dist * 25, field.z - field.z / dist * 25, team, 'refinery');
+    refinery.isConstructing = false;
+    refinery.constructionProgress = 1;
+    return refinery;
+}
+
+test('crystal control: an idle start holds no field', () => {
+    const match = startMode({ victoryMode: 'crystalControl' });
+    const sides = victorySystem.getSides(victorySystem.getAliveTeams());
+
+    assert.ok(sides.length > 1);
+    for (const held of victorySystem.getCrystalFieldsHeld(sides).values()) {
+        assert.equal(held, 0);
+    }
+    match.finish();
+});
+
+test('crystal control: a refinery holds its field unless another side has one there', () => {
+    const match = startMode({ victoryMode: 'crystalControl' });
+    const sides = victorySystem.getSides(victorySystem.getAliveTeams());
+    const [first, second] = sides.map(side => side[0]);
+    const field = resourceSystem.getFields().find(f => f.isCrystal);
+
+    buildRefineryAt(field, first);
+    assert.equal(victorySystem.getCrystalFieldsHeld(sides).get(first), 1);
+
+    buildRefineryAt(field, second);
+    assert.equal(victorySystem.getCrystalFieldsHeld(sides).get(first), 0);
+    assert.equal(victorySystem.getCrystalFieldsHeld(sides).get(second), 0);
+    match.finish();
+});
+
+test('crystal control: holding enough fields for the hold time wins', () => {
+    const match = startMode({ victoryMode: 'crystalControl', victoryCrystalFields: 1, victoryHoldTime: 3 });
+    buildRefineryAt(resourceSystem.getFields().find(f => f.isCrystal), 2);
+
+    runFor(match, 2);
+    assert.equal(gameState.running, true);
+    runFor(match, 3);
+    assert.deepEqual(gameState.winners, [2]);
+    assert.equal(gameState.victoryReason, GameEndReason.CRYSTAL_CONTROL);
+    match.finish();
+});
+
+test('assassination knocks a team out with its command center, annihilation does not', () => {
+    for (const [victoryMode, alive] of [['assassination', false], ['annihilation', true]]) {
+        const match = startMode({ victoryMode });
+        const cc = gameState.getBuildingsByTeam(1).find(b => b.type === 'commandCenter');
+        simulation.createBuilding(cc.mesh.position.x + 30, cc.mesh.position.z, 1, 'powerPlant');
+
+        destroy(cc);
+        assert.equal(victorySystem.isAlive(1), alive, victoryMode);
+        assert.equal(victorySystem.getAliveTeams().includes(1), alive, victoryMode);
+        match.finish();
+    }
+});
+
+test('economic: the first side to collect the target wins', () => {
+    const match = startMode({ victoryMode: 'economic', victoryCredits: 5000 });
+
+    gameState.stats[3].resourcesCollected = 4999;
+    runFor(match, 1);
+    assert.equal(gameState.running, true);
+
+    gameState.stats[3].resourcesCollected = 5000;
+    runFor(match, 1);
+    assert.deepEqual(gameState.winners, [3]);
+    assert.equal(gameState.victoryReason, GameEndReason.ECONOMIC);
+    match.finish();
+});
+
+test('timed score: the best score wins when time runs out, a tie is a draw', () => {
+    const match = startMode({ victoryMode: 'score', victoryTimeLimit: 3 });
+    gameState.stats[1].enemyKilled += 10;
+
+    runFor(match, 2);
+    assert.equal(gameState.running, true);
+    runFor(match, 2);
+    assert.deepEqual(gameState.winners, [1]);
+    assert.equal(gameState.victoryReason, GameEndReason.SCORE);
+    match.finish();
+
+    const tied = startMode({ victoryMode: 'score', victoryTimeLimit: 1 });
+    for (const stats of Object.values(gameState.stats)) {
+        Object.assign(stats, { resourcesCollected: 0, enemyKilled: 0, unitsBuilt: 0, buildingsBuilt: 0 });
+    }
+    runFor(tied, 1.5);
+    assert.equal(gameState.running, false);
+    assert.deepEqual(gameState.winners, []);
+    tied.finish();
+});